@@ -3,13 +3,18 @@
 //
 // STRUTTURA FOGLI:
 // - Exercises:    libreria esercizi (col 0=Name, 5=ImageURL, 8=Audio, 9=AudioCambio)
-// - Workouts:     col 0=Mesociclo, 1=Timing, 2=Name, 3=Block, 4=Exercise, 5=FullDur, 6=TipoDiPeso, 7=Rounds, 8=Reps
+// - Workouts:     col 0=Mesociclo, 1=Timing, 2=Name, 3=Block, 4=Exercise, 5=FullDur, 6=TipoDiPeso, 7=Rounds, 8=Reps,
+//                 9=Type (work|rest|marker), 10=Format (EMOM 12, AMRAP 15, ...), 11=Mode (timed|reps) — 9-11 optional
 // - Instructions: col 0=WorkoutName, 1=Instructions
-// - RunWorkouts:  col 0=WorkoutName, 1=PhaseOrder, 2=LoopGroup, 3=LoopCount, 4=Value, 5=Unit, 6=Zone, 7=Section, 8=Description
+// - RunWorkouts:  col 0=WorkoutName, 1=PhaseOrder, 2=LoopGroup, 3=LoopCount, 4=Value, 5=Unit, 6=Zone, 7=Section, 8=Description, 9=CueProfile
 // - Plans:        col 0=PlanName, 1=Mesociclo1, 2=Mesociclo2, ... (mesociclo names, not individual workouts)
 // - Users:        col 0=utente, 1=email, 2=nutrition_pdf_url, 3=nutrition_scadenza, 4=scadenza, 5+=Plan names
 // - UserWeights:  col 0=Email, 1=Weights(JSON), 2=LastUpdated
 // - UserProgress: col 0=Email, 1=PlanName, 2=LastWorkoutIndex, 3=TotalWorkouts, 4=LastUpdated
+// - NutritionPlans: col 0=Email, 1=Meal, 2=Slot, 3=Food, 4=Qty, 5=Unit, 6=Kcal, 7=Protein, 8=Carbs, 9=Fat, 10=VisualHelp, 11=Crudo, 12=Min, 13=Max
+// - NutritionDiary: col 0=Email, 1=Date, 2-5=Kcal/Protein/Carbs/Fat eaten, 6-9=targets, 10=MealsLogged, 11=MealsPlanned, 12=Selections(JSON), 13=UpdatedAt, 14=ReceivedAt
+// - NutritionWeeks: col 0=Email, 1=WeekStart, 2=DaysLogged, 3=DaysElapsed, 4-7=Kcal/Protein/Carbs/Fat hit %, 8=MealsLogged, 9=MealsPlanned, 10=UpdatedAt
+// - Products:     col 0=Barcode, 1=Name, 2=Brand, 3=Kcal, 4=Protein, 5=Carbs, 6=Fat (per 100 g), 7=ServingGrams, 8=ServingLabel
 
 // ═══════════════════════════════════════════════════════════════════════════
 // V9 AUTH — Supabase JWT verification
@@ -166,6 +171,7 @@ function _getSharedData(ss) {
       name: exercise, duration: fullDur, imageUrl: info.imageUrl || "",
       block: block, tipoDiPeso: normalizeTipoDiPeso(row[6], exercise),
       rounds: normalizeRounds(row[7]), reps: normalizeReps(row[8]),
+      type: normalizeSequenceCell(row[9]), format: (row[10] || "").toString().trim(), mode: normalizeSequenceCell(row[11]),
       audio: info.audio || "", audioCambio: info.audioCambio || ""
     });
   }
@@ -209,6 +215,7 @@ function _getSharedData(ss) {
         unit: (row[off+4] || "").toString().trim(), zone: row[off+5] || null,
         section: (row[off+6] || "").toString().trim(), description: (row[off+7] || "").toString().trim()
       });
+      _setRunCueProfile(allRunWorkouts[wN], row[off+8]);
     }
     Object.keys(allRunWorkouts).forEach(function(n) { allRunWorkouts[n].phases.sort(function(a,b) { return (a.index||0) - (b.index||0); }); });
   }
@@ -433,6 +440,7 @@ function loadExerciseLibrary(ss) {
 
 // Returns { workoutName: { exercises: [...], instructions: "" } }
 // V8: Workouts sheet now has Mesociclo(0) | Timing(1) | Name(2) | Block(3) | Exercise(4) | FullDur(5) | TipoDiPeso(6) | Rounds(7) | Reps(8)
+//     + optional Type(9) | Format(10) | Mode(11), read by js/workout-sequence.js
 function loadAllMuscleWorkouts(ss, exerciseLibrary) {
   const data     = ss.getSheetByName("Workouts").getDataRange().getValues();
   const workouts = {};
@@ -446,6 +454,9 @@ function loadAllMuscleWorkouts(ss, exerciseLibrary) {
     const tipoDiPeso   = normalizeTipoDiPeso(row[6], exercise);   // col G = Tipo di peso
     const rounds       = normalizeRounds(row[7]);              // col H = Rounds
     const reps         = normalizeReps(row[8]);   // col I = Reps
+    const type         = normalizeSequenceCell(row[9]);      // col J = Type (work / rest / marker)
+    const format       = (row[10] || "").toString().trim();  // col K = Format (EMOM 12, AMRAP 15, ...)
+    const mode         = normalizeSequenceCell(row[11]);     // col L = Mode (timed / reps)
 
     if (!workoutName || !exercise) continue;
 
@@ -462,6 +473,9 @@ function loadAllMuscleWorkouts(ss, exerciseLibrary) {
       tipoDiPeso:  tipoDiPeso,
       rounds:      rounds,
       reps:        reps,
+      type:        type,
+      format:      format,
+      mode:        mode,
       audio:       info.audio       || "",
       audioCambio: info.audioCambio || ""
     });
@@ -480,8 +494,15 @@ function loadAllMuscleWorkouts(ss, exerciseLibrary) {
   return workouts;
 }
 
+// CueProfile: one cell per workout (any of its rows, first non-empty wins), e.g.
+// "agonista; km=1; silenzio=0-10". Parsed client-side by js/cue-policy.js.
+function _setRunCueProfile(workout, cell) {
+  var spec = (cell || "").toString().trim();
+  if (spec && !workout.cueProfile) workout.cueProfile = spec;
+}
+
 // Returns { workoutName: { mesociclo, lines: [...] } }
-// V8 headers: Mesociclo(0) | WorkoutName(1) | WorkoutName full(2) | PhaseOrder(3) | LoopGroup(4) | LoopCount(5) | Value(6) | Unit(7) | Zone(8) | Section(9) | Description(10)
+// V8 headers: Mesociclo(0) | WorkoutName(1) | WorkoutName full(2) | PhaseOrder(3) | LoopGroup(4) | LoopCount(5) | Value(6) | Unit(7) | Zone(8) | Section(9) | Description(10) | CueProfile(11)
 function loadAllRunWorkouts(ss) {
   const sheet = ss.getSheetByName("RunWorkouts");
   if (!sheet) return {};
@@ -543,6 +564,7 @@ function loadAllRunWorkouts(ss) {
       section:     (row[offset + 6] || "").toString().trim(),
       description: (row[offset + 7] || "").toString().trim()
     });
+    _setRunCueProfile(runWorkouts[workoutName], row[offset + 8]);
   }
 
   // Sort by PhaseOrder
@@ -921,6 +943,7 @@ function getUserDataFast(params) {
         section:     (row[offset + 6] || "").toString().trim(),
         description: (row[offset + 7] || "").toString().trim()
       });
+      _setRunCueProfile(runWorkouts[wName], row[offset + 8]);
     }
     Object.keys(runWorkouts).forEach(n => {
       runWorkouts[n].phases.sort((a, b) => (a.index || 0) - (b.index || 0));
@@ -1198,6 +1221,7 @@ function getWorkoutDataHeavy(params) {
         unit: (row[off+4] || "").toString().trim(), zone: row[off+5] || null,
         section: (row[off+6] || "").toString().trim(), description: (row[off+7] || "").toString().trim()
       });
+      _setRunCueProfile(runWorkouts[wN], row[off+8]);
     }
     Object.keys(runWorkouts).forEach(n => runWorkouts[n].phases.sort((a,b) => (a.index||0) - (b.index||0)));
   }
@@ -1385,6 +1409,641 @@ function getAllUserProgress(params) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// SESSION LOG
+//
+// One row per finished session, written by the player's history sync. This is
+// what coaches read to see whether a client actually trained.
+// Merge rules (mirrored in js/workout-history.js):
+//   - rows are keyed by Email + SessionId, the id is generated on the device,
+//     so two devices add rows side by side and never overwrite each other;
+//   - re-sending a session replaces its row only when UpdatedAt is newer.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SESSION_LOG_HEADERS = [
+  "Email", "SessionId", "StartedAt", "EndedAt", "Plan", "Workout", "DurationSec",
+  "StepsCompleted", "StepsSkipped", "StepsTotal", "Notes", "Detail", "UpdatedAt", "ReceivedAt"
+];
+const SESSION_BATCH_MAX = 50;
+const SESSION_PAGE_MAX  = 100;
+// A sheet cell holds 50k characters; past that the per-set detail is dropped
+// and only the per-exercise loads are kept.
+const SESSION_DETAIL_MAX = 45000;
+
+function getSessionLogSheet() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName("SessionLog");
+  if (!sheet) {
+    sheet = ss.insertSheet("SessionLog");
+    sheet.getRange(1, 1, 1, SESSION_LOG_HEADERS.length).setValues([SESSION_LOG_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+// Sheets turns ISO strings into Date cells on write; compare them as ISO.
+function _isoCell(v) {
+  if (v instanceof Date) return v.toISOString();
+  return (v || "").toString();
+}
+
+function _sessionRow(email, s, now) {
+  // Runs carry their distance and per-phase splits (js/run-splits.js)
+  const run = s.splits ? { distanceM: s.distanceM || null, splits: s.splits } : {};
+  let detail = JSON.stringify(Object.assign({ loads: s.exerciseWeights || {}, sets: s.sets || [], results: s.results || [] }, run));
+  if (detail.length > SESSION_DETAIL_MAX) {
+    detail = JSON.stringify(Object.assign({ loads: s.exerciseWeights || {}, truncated: true }, run));
+  }
+  const n = (v) => (v === null || v === undefined || v === "") ? "" : (parseInt(v) || 0);
+  return [
+    email,
+    String(s.id),
+    s.startedAt || "",
+    s.completedAt || "",
+    s.plan || "",
+    (s.workoutName || "").toString().slice(0, 200),
+    n(s.duration),
+    n(s.stepsCompleted),
+    n(s.stepsSkipped),
+    n(s.stepsTotal),
+    (s.notes || "").toString().slice(0, 1000),
+    detail,
+    s.updatedAt || now,
+    now
+  ];
+}
+
+function _sessionFromRow(row) {
+  let detail = {};
+  try { detail = JSON.parse(row[11] || "{}"); } catch (e) { detail = {}; }
+  const n = (v) => (v === "" || v === null) ? null : (parseInt(v) || 0);
+  return {
+    id:             (row[1] || "").toString(),
+    startedAt:      _isoCell(row[2]),
+    completedAt:    _isoCell(row[3]),
+    plan:           (row[4] || "").toString() || null,
+    workoutName:    (row[5] || "").toString(),
+    duration:       parseInt(row[6]) || 0,
+    stepsCompleted: n(row[7]),
+    stepsSkipped:   n(row[8]),
+    stepsTotal:     n(row[9]),
+    notes:          (row[10] || "").toString(),
+    exerciseWeights: detail.loads || {},
+    sets:           detail.sets || [],
+    results:        detail.results || [],
+    distanceM:      detail.distanceM || null,
+    splits:         detail.splits || null,
+    updatedAt:      _isoCell(row[12])
+  };
+}
+
+/**
+ * Upsert a batch of sessions for the caller.
+ * @param {object} params - params.sessions: JSON array (string or parsed)
+ * @return {object} { saved: ids written, stale: ids where the sheet was newer }
+ */
+function saveSessions(params) {
+  try {
+    const email = (params.email || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) return createResponse({ status: 'error', message: 'Invalid email' });
+
+    let sessions = params.sessions || [];
+    if (typeof sessions === 'string') sessions = JSON.parse(sessions);
+    if (!Array.isArray(sessions))                  return createResponse({ status: 'error', message: 'sessions must be an array' });
+    if (sessions.length > SESSION_BATCH_MAX)       return createResponse({ status: 'error', message: 'Too many sessions in one call' });
+
+    // Two devices syncing at once must not both append the same id
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = getSessionLogSheet();
+      const data  = sheet.getDataRange().getValues();
+      const rowById = {};
+      for (let i = 1; i < data.length; i++) {
+        if ((data[i][0] || "").toString().trim().toLowerCase() === email) rowById[(data[i][1] || "").toString()] = i;
+      }
+
+      const now = new Date().toISOString();
+      const saved = [], stale = [], appended = [];
+      sessions.forEach(function (s) {
+        if (!s || !s.id || String(s.id).length > 64) return;
+        const id = String(s.id);
+        const i = rowById[id];
+        if (i !== undefined) {
+          if (i < 0 || _isoCell(data[i][12]) >= (s.updatedAt || "")) { stale.push(id); return; }
+          sheet.getRange(i + 1, 1, 1, SESSION_LOG_HEADERS.length).setValues([_sessionRow(email, s, now)]);
+        } else {
+          appended.push(_sessionRow(email, s, now));
+          rowById[id] = -1; // a duplicate inside the same batch is stale
+        }
+        saved.push(id);
+      });
+      if (appended.length) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, appended.length, SESSION_LOG_HEADERS.length).setValues(appended);
+      }
+      return createResponse({ status: 'success', saved: saved, stale: stale });
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
+/**
+ * The caller's sessions, newest first, one page at a time.
+ * @param {object} params - limit (default 20, max 100), cursor (from the previous page)
+ * @return {object} { sessions, nextCursor } — nextCursor is null on the last page
+ */
+function getSessions(params) {
+  try {
+    const email = (params.email || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) return createResponse({ status: 'error', message: 'Invalid email' });
+
+    const limit = Math.min(Math.max(parseInt(params.limit) || 20, 1), SESSION_PAGE_MAX);
+    // Cursor = "<EndedAt>|<SessionId>" of the last row returned. Unlike an
+    // offset it does not shift when a new session lands between two pages.
+    const cursor = (params.cursor || "").toString();
+    const cut = cursor.indexOf('|');
+    const cursorEnd = cut >= 0 ? cursor.slice(0, cut) : "";
+    const cursorId  = cut >= 0 ? cursor.slice(cut + 1) : "";
+
+    const data = getSessionLogSheet().getDataRange().getValues();
+    const rows = [];
+    for (let i = 1; i < data.length; i++) {
+      if ((data[i][0] || "").toString().trim().toLowerCase() === email) rows.push(_sessionFromRow(data[i]));
+    }
+    rows.sort(function (a, b) {
+      if (a.completedAt !== b.completedAt) return a.completedAt < b.completedAt ? 1 : -1;
+      return a.id < b.id ? 1 : (a.id > b.id ? -1 : 0);
+    });
+
+    const after = cursor
+      ? rows.filter(function (r) { return r.completedAt < cursorEnd || (r.completedAt === cursorEnd && r.id < cursorId); })
+      : rows;
+    const page = after.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = after.length > limit && last ? last.completedAt + '|' + last.id : null;
+
+    return createResponse({ status: 'success', sessions: page, nextCursor: nextCursor, total: rows.length });
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NUTRITION PLANS
+//
+// The coach writes each client's plan in the NutritionPlans sheet, one row per
+// food option. Email, Meal and Slot may be left blank on the rows that follow:
+// they carry over from the row above, the same way RunWorkouts does.
+// Two kinds of special rows:
+//   - Meal "TOTALE": Kcal..Fat are the daily targets;
+//   - Meal "NOTE":   Food is a note shown under the plan.
+// A row whose Food is "TARGET" sets the slot's target macros instead of adding
+// an option. Unit "libera" means no fixed quantity (e.g. vegetables).
+// Min / Max (optional, in the option's unit) bound the portion the app may
+// propose when it rebalances the day (js/macro-balance.js).
+// The response has the shape js/nutrition-app-v2.js already renders.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const NUTRITION_PLAN_HEADERS = [
+  "Email", "Meal", "Slot", "Food", "Qty", "Unit", "Kcal", "Protein", "Carbs", "Fat", "VisualHelp", "Crudo", "Min", "Max"
+];
+
+// What coaches type -> meal key of the app
+const NUTRITION_MEAL_KEYS = {
+  "colazione": "colazione",
+  "spuntino": "spuntino1", "spuntino1": "spuntino1", "spuntino mattina": "spuntino1",
+  "pranzo": "pranzo",
+  "merenda": "spuntino2", "spuntino2": "spuntino2", "spuntino pomeriggio": "spuntino2",
+  "cena": "cena"
+};
+
+function getNutritionPlansSheet() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName("NutritionPlans");
+  if (!sheet) {
+    sheet = ss.insertSheet("NutritionPlans");
+    sheet.getRange(1, 1, 1, NUTRITION_PLAN_HEADERS.length).setValues([NUTRITION_PLAN_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+// "Fiocchi d'Avena" -> "fiocchi_d_avena". Ids end up in onclick attributes.
+function _nutritionSlug(text) {
+  return text.toString().toLowerCase()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+function _nutritionMacros(row) {
+  const n = (v) => Math.round((parseFloat(String(v).replace(',', '.')) || 0) * 10) / 10;
+  return { kcal: n(row[6]), protein: n(row[7]), carbs: n(row[8]), fat: n(row[9]) };
+}
+
+// Returns the plan of one client, or null when the coach has not written one
+function loadNutritionPlan(email) {
+  const data  = getNutritionPlansSheet().getDataRange().getValues();
+  const plan  = { dailyTargets: null, meals: {}, notes: [] };
+  let found   = false;
+  let _email  = "", _meal = "", _slot = "";
+
+  for (let i = 1; i < data.length; i++) {
+    const row  = data[i];
+    const col0 = (row[0] || "").toString().trim().toLowerCase();
+    const col1 = (row[1] || "").toString().trim().toLowerCase();
+    const col2 = (row[2] || "").toString().trim();
+    if (col0) { _email = col0; _meal = ""; _slot = ""; }
+    if (col1) { _meal = col1; _slot = ""; }
+    if (col2) _slot = col2;
+    if (_email !== email) continue;
+
+    const food = (row[3] || "").toString().trim();
+    if (_meal === "totale") {
+      plan.dailyTargets = _nutritionMacros(row);
+      found = true;
+      continue;
+    }
+    if (_meal === "note") {
+      if (food) { plan.notes.push(food); found = true; }
+      continue;
+    }
+
+    const mealKey = NUTRITION_MEAL_KEYS[_meal];
+    const slotKey = _nutritionSlug(_slot);
+    if (!mealKey || !slotKey || !food) continue;
+
+    const meal = plan.meals[mealKey] || (plan.meals[mealKey] = {});
+    const slot = meal[slotKey] || (meal[slotKey] = { targetMacros: null, options: [] });
+    found = true;
+
+    if (food.toUpperCase() === "TARGET") {
+      slot.targetMacros = _nutritionMacros(row);
+      continue;
+    }
+
+    const unit = (row[5] || "").toString().trim() || "g";
+    const free = unit.toLowerCase() === "libera";
+    let id = _nutritionSlug(food) || "opzione";
+    // The same food twice in a slot (two portions) still needs two ids
+    const base = id;
+    for (let k = 2; slot.options.some(function (o) { return o.id === id; }); k++) id = base + "_" + k;
+
+    const option = {
+      id:     id,
+      name:   food,
+      qty:    free ? null : (parseFloat(String(row[4]).replace(',', '.')) || null),
+      unit:   unit,
+      inPlan: true,
+      macros: _nutritionMacros(row)
+    };
+    const help = (row[10] || "").toString().trim();
+    if (help) option.visualHelp = help;
+    if (/^(s[iì]|x|yes|1|true)$/i.test((row[11] || "").toString().trim())) option.rawWeight = true;
+    const min = parseFloat(String(row[12]).replace(',', '.'));
+    const max = parseFloat(String(row[13]).replace(',', '.'));
+    if (!free && min > 0) option.minQty = min;
+    if (!free && max > 0) option.maxQty = max;
+    slot.options.push(option);
+  }
+
+  // A slot with only its TARGET row has nothing to pick
+  Object.keys(plan.meals).forEach(function (mealKey) {
+    const meal = plan.meals[mealKey];
+    Object.keys(meal).forEach(function (slotKey) { if (!meal[slotKey].options.length) delete meal[slotKey]; });
+    if (!Object.keys(meal).length) delete plan.meals[mealKey];
+  });
+
+  return found ? plan : null;
+}
+
+function getNutritionPlan(params) {
+  try {
+    const email = (params.email || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) return createResponse({ status: 'error', message: 'Invalid email' });
+    return createResponse({ status: 'success', plan: loadNutritionPlan(email) });
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NUTRITION DIARY
+//
+// One row per client per day, written by the nutrition page's diary sync.
+// Rules mirrored in js/nutrition-diary.js:
+//   - rows are keyed by Email + Date; re-sending a day replaces its row only
+//     when UpdatedAt is newer (yesterday edited on two phones: the last wins);
+//   - a target is hit within ±10%, protein only needs to reach 90%;
+//   - weeks start on Monday and count only the days already lived.
+// Every save refreshes the client's NutritionWeeks rows for the weeks it
+// touched. That sheet is what the coach reads instead of nightly screenshots.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const NUTRITION_DIARY_HEADERS = [
+  "Email", "Date", "Kcal", "Protein", "Carbs", "Fat",
+  "TargetKcal", "TargetProtein", "TargetCarbs", "TargetFat",
+  "MealsLogged", "MealsPlanned", "Selections", "UpdatedAt", "ReceivedAt"
+];
+const NUTRITION_WEEK_HEADERS = [
+  "Email", "WeekStart", "DaysLogged", "DaysElapsed",
+  "KcalHit%", "ProteinHit%", "CarbsHit%", "FatHit%", "MealsLogged", "MealsPlanned", "UpdatedAt"
+];
+const DIARY_BATCH_MAX     = 62;
+const DIARY_DAYS_MAX      = 120;
+const DIARY_HIT_TOLERANCE = 0.1;
+const DIARY_MACROS        = ["kcal", "protein", "carbs", "fat"];
+
+function getNutritionDiarySheet() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName("NutritionDiary");
+  if (!sheet) {
+    sheet = ss.insertSheet("NutritionDiary");
+    sheet.getRange(1, 1, 1, NUTRITION_DIARY_HEADERS.length).setValues([NUTRITION_DIARY_HEADERS]);
+    // Plain text, or Sheets turns "2026-10-19" into a Date in its own timezone
+    sheet.getRange("B:B").setNumberFormat("@");
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+function getNutritionWeeksSheet() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName("NutritionWeeks");
+  if (!sheet) {
+    sheet = ss.insertSheet("NutritionWeeks");
+    sheet.getRange(1, 1, 1, NUTRITION_WEEK_HEADERS.length).setValues([NUTRITION_WEEK_HEADERS]);
+    sheet.getRange("B:B").setNumberFormat("@");
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+// A coach may have retyped a date by hand: read Date cells back as day keys
+function _dayCell(v) {
+  if (v instanceof Date) return Utilities.formatDate(v, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  return (v || "").toString().slice(0, 10);
+}
+
+function _shiftDayKey(key, days) {
+  const p = key.split('-');
+  return new Date(Date.UTC(+p[0], +p[1] - 1, +p[2]) + days * 86400000).toISOString().slice(0, 10);
+}
+
+function _weekStartKey(key) {
+  const p = key.split('-');
+  const dow = (new Date(Date.UTC(+p[0], +p[1] - 1, +p[2])).getUTCDay() + 6) % 7;
+  return _shiftDayKey(key, -dow);
+}
+
+function _diaryTotals(selections) {
+  const totals = { kcal: 0, protein: 0, carbs: 0, fat: 0, meals: 0 };
+  Object.keys(selections || {}).forEach(function (meal) {
+    const slots = selections[meal] || {};
+    let logged = false;
+    Object.keys(slots).forEach(function (slot) {
+      const c = slots[slot];
+      if (!c) return;
+      if (c.id) logged = true;
+      if (c.macros) DIARY_MACROS.forEach(function (k) { totals[k] += Number(c.macros[k]) || 0; });
+    });
+    if (logged) totals.meals++;
+  });
+  return totals;
+}
+
+function _diaryRow(email, d, now) {
+  const t = _diaryTotals(d.selections);
+  const g = d.targets || {};
+  const r = (v) => Math.round((Number(v) || 0) * 10) / 10;
+  return [
+    email, d.date,
+    r(t.kcal), r(t.protein), r(t.carbs), r(t.fat),
+    r(g.kcal), r(g.protein), r(g.carbs), r(g.fat),
+    t.meals, parseInt(d.mealsPlanned) || 0,
+    JSON.stringify(d.selections || {}),
+    d.updatedAt || now, now
+  ];
+}
+
+function _diaryFromRow(row) {
+  let selections = {};
+  try { selections = JSON.parse(row[12] || "{}"); } catch (e) { selections = {}; }
+  return {
+    date:         _dayCell(row[1]),
+    selections:   selections,
+    targets:      { kcal: Number(row[6]) || 0, protein: Number(row[7]) || 0, carbs: Number(row[8]) || 0, fat: Number(row[9]) || 0 },
+    mealsPlanned: parseInt(row[11]) || 0,
+    updatedAt:    _isoCell(row[13])
+  };
+}
+
+// Mirrors weeklyAdherence() in js/nutrition-diary.js, from the sheet rows
+function _weekSummaryRow(email, start, rowsByDate, today, now) {
+  const elapsed = Math.max(0, Math.min(7, Math.round((Date.parse(today) - Date.parse(start)) / 86400000) + 1));
+  const days = [];
+  for (let i = 0; i < elapsed; i++) days.push(rowsByDate[_shiftDayKey(start, i)] || null);
+  const logged = days.filter(function (row) { return row && (parseInt(row[10]) || 0) > 0; });
+
+  const rate = function (col, target) {
+    const judged = logged.filter(function (row) { return (Number(row[target]) || 0) > 0; });
+    if (!judged.length) return "";
+    const hits = judged.filter(function (row) {
+      const t = Number(row[target]), v = Number(row[col]) || 0;
+      return col === 3 ? v >= t * (1 - DIARY_HIT_TOLERANCE) : Math.abs(v - t) <= t * DIARY_HIT_TOLERANCE;
+    });
+    return Math.round(hits.length / judged.length * 100);
+  };
+
+  const firstPlanned = days.filter(function (row) { return row && parseInt(row[11]); })[0];
+  const fallback = firstPlanned ? parseInt(firstPlanned[11]) : 0;
+  return [
+    email, start, logged.length, elapsed,
+    rate(2, 6), rate(3, 7), rate(4, 8), rate(5, 9),
+    logged.reduce(function (s, row) { return s + (parseInt(row[10]) || 0); }, 0),
+    days.reduce(function (s, row) { return s + ((row && parseInt(row[11])) || fallback); }, 0),
+    now
+  ];
+}
+
+function _refreshNutritionWeeks(email, weekStarts, now) {
+  const data = getNutritionDiarySheet().getDataRange().getValues();
+  const rowsByDate = {};
+  for (let i = 1; i < data.length; i++) {
+    if ((data[i][0] || "").toString().trim().toLowerCase() === email) rowsByDate[_dayCell(data[i][1])] = data[i];
+  }
+  const today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+
+  const sheet = getNutritionWeeksSheet();
+  const weeks = sheet.getDataRange().getValues();
+  const rowByWeek = {};
+  for (let i = 1; i < weeks.length; i++) {
+    if ((weeks[i][0] || "").toString().trim().toLowerCase() === email) rowByWeek[_dayCell(weeks[i][1])] = i;
+  }
+  const appended = [];
+  weekStarts.forEach(function (start) {
+    const row = _weekSummaryRow(email, start, rowsByDate, today, now);
+    const i = rowByWeek[start];
+    if (i !== undefined) sheet.getRange(i + 1, 1, 1, NUTRITION_WEEK_HEADERS.length).setValues([row]);
+    else appended.push(row);
+  });
+  if (appended.length) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, appended.length, NUTRITION_WEEK_HEADERS.length).setValues(appended);
+  }
+}
+
+/**
+ * Save diary days for the caller.
+ * @param {object} params - days: JSON array of { date, selections, targets, mealsPlanned, updatedAt }
+ * @return {object} { saved: [date], stale: [date] } — stale = the sheet already had a newer copy
+ */
+function saveNutritionDiary(params) {
+  try {
+    const email = (params.email || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) return createResponse({ status: 'error', message: 'Invalid email' });
+
+    let days = params.days || [];
+    if (typeof days === 'string') days = JSON.parse(days);
+    if (!Array.isArray(days))             return createResponse({ status: 'error', message: 'days must be an array' });
+    if (days.length > DIARY_BATCH_MAX)    return createResponse({ status: 'error', message: 'Too many days in one call' });
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = getNutritionDiarySheet();
+      const data  = sheet.getDataRange().getValues();
+      const rowByDate = {};
+      for (let i = 1; i < data.length; i++) {
+        if ((data[i][0] || "").toString().trim().toLowerCase() === email) rowByDate[_dayCell(data[i][1])] = i;
+      }
+
+      const now = new Date().toISOString();
+      const saved = [], stale = [], appended = [], weeks = {};
+      days.forEach(function (d) {
+        if (!d || !/^\d{4}-\d{2}-\d{2}$/.test(d.date || "")) return;
+        const i = rowByDate[d.date];
+        if (i !== undefined) {
+          if (i < 0 || _isoCell(data[i][13]) >= (d.updatedAt || "")) { stale.push(d.date); return; }
+          sheet.getRange(i + 1, 1, 1, NUTRITION_DIARY_HEADERS.length).setValues([_diaryRow(email, d, now)]);
+        } else {
+          appended.push(_diaryRow(email, d, now));
+          rowByDate[d.date] = -1; // a duplicate inside the same batch is stale
+        }
+        saved.push(d.date);
+        weeks[_weekStartKey(d.date)] = true;
+      });
+      if (appended.length) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, appended.length, NUTRITION_DIARY_HEADERS.length).setValues(appended);
+      }
+      if (saved.length) _refreshNutritionWeeks(email, Object.keys(weeks), now);
+      return createResponse({ status: 'success', saved: saved, stale: stale });
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
+/**
+ * The caller's recent diary days, oldest first.
+ * @param {object} params - days: how far back from today (default 60, max 120)
+ * @return {object} { days: [{ date, selections, targets, mealsPlanned, updatedAt }] }
+ */
+function getNutritionDiary(params) {
+  try {
+    const email = (params.email || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) return createResponse({ status: 'error', message: 'Invalid email' });
+
+    const back   = Math.min(Math.max(parseInt(params.days) || 60, 1), DIARY_DAYS_MAX);
+    const today  = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    // One day of slack: the client's today may be ahead of the script's
+    const oldest = _shiftDayKey(today, -back);
+
+    const data = getNutritionDiarySheet().getDataRange().getValues();
+    const days = [];
+    for (let i = 1; i < data.length; i++) {
+      if ((data[i][0] || "").toString().trim().toLowerCase() !== email) continue;
+      const day = _diaryFromRow(data[i]);
+      if (day.date >= oldest) days.push(day);
+    }
+    days.sort(function (a, b) { return a.date < b.date ? -1 : (a.date > b.date ? 1 : 0); });
+    return createResponse({ status: 'success', days: days });
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PRODUCTS (packaged foods, by barcode)
+//
+// The coaches' product table: one row per EAN/UPC code, macros per 100 g as
+// printed on the label. The nutrition page asks getProduct when a scanned
+// code is not in its IndexedDB cache yet (js/product-lookup.js). Serving is
+// optional: grams of one portion ("1 vasetto") with its label.
+// Sheets drops the leading zeros of a code typed as a number, so codes are
+// compared without them.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PRODUCT_HEADERS = [
+  "Barcode", "Name", "Brand", "Kcal", "Protein", "Carbs", "Fat", "ServingGrams", "ServingLabel"
+];
+
+function getProductsSheet() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName("Products");
+  if (!sheet) {
+    sheet = ss.insertSheet("Products");
+    sheet.getRange(1, 1, 1, PRODUCT_HEADERS.length).setValues([PRODUCT_HEADERS]);
+    sheet.getRange("A:A").setNumberFormat("@");
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+// "036000291452", 36000291452 and "0036000291452" are the same product
+function _barcodeKey(value) {
+  return String(value || "").replace(/\D/g, "").replace(/^0+/, "");
+}
+
+/**
+ * One packaged product by barcode.
+ * @param {object} params - barcode: EAN-13, EAN-8 or UPC-A digits
+ * @return {object} { product: { barcode, name, brand, per100g, serving } | null }
+ */
+function getProduct(params) {
+  try {
+    const email = (params.email || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) return createResponse({ status: 'error', message: 'Invalid email' });
+
+    let code = String(params.barcode || "").replace(/\D/g, "");
+    if (code.length === 12) code = "0" + code;
+    if (code.length !== 13 && code.length !== 8) return createResponse({ status: 'error', message: 'Invalid barcode' });
+
+    const key  = _barcodeKey(code);
+    const data = getProductsSheet().getDataRange().getValues();
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (!_barcodeKey(row[0]) || _barcodeKey(row[0]) !== key) continue;
+      const n       = (v) => Math.round((parseFloat(String(v).replace(',', '.')) || 0) * 10) / 10;
+      const serving = n(row[7]);
+      return createResponse({ status: 'success', product: {
+        barcode: code,
+        name:    (row[1] || "").toString().trim(),
+        brand:   (row[2] || "").toString().trim(),
+        // An empty Kcal cell stays empty: the client rejects the row instead of logging 0 kcal
+        per100g: { kcal: String(row[3]).trim() === "" ? null : n(row[3]), protein: n(row[4]), carbs: n(row[5]), fat: n(row[6]) },
+        serving: serving > 0 ? { grams: serving, label: (row[8] || "").toString().trim() } : null
+      } });
+    }
+    return createResponse({ status: 'success', product: null });
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // POST / USER MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1444,6 +2103,12 @@ const USER_ACTIONS = {
   'getLastWorkout': getLastWorkout,
   'saveLastWorkout': saveLastWorkout,
   'getAllProgress': getAllUserProgress,
+  'saveSessions': saveSessions,
+  'getSessions': getSessions,
+  'getNutritionPlan': getNutritionPlan,
+  'saveNutritionDiary': saveNutritionDiary,
+  'getNutritionDiary': getNutritionDiary,
+  'getProduct': getProduct,
   'ensureUserInSheet': ensureUserInSheet,
   'addTrialUser': addTrialUser,
   'getQuestionnaireStatus': getQuestionnaireStatus,
@@ -2107,46 +2772,20 @@ function createResponse(data) {
 
 /**
  * Normalize tipoDiPeso: Google Sheets stores "60%" as 0.6 (number).
- * Converts to "60% ExerciseName" so frontend can calculate weight from user maxes.
+ * Converts to "60%" so the frontend can calculate weight from user maxes.
+ * Which max a bare percentage refers to is decided client-side from the
+ * exercise name (js/lift-aliases.js): only the client knows the user's
+ * custom lifts, and one alias table means one meaning for "squat".
  */
 function normalizeTipoDiPeso(raw, exerciseName) {
   if (raw === null || raw === undefined || raw === "") return "";
   
   // Number between 0 and 1 → percentage from Sheets (0.6 = 60%)
   if (typeof raw === 'number' && raw > 0 && raw <= 1) {
-    var pct = Math.round(raw * 100);
-    var maxName = _exerciseToMaxName(exerciseName);
-    return maxName ? (pct + "% " + maxName) : (pct + "%");
+    return Math.round(raw * 100) + "%";
   }
   
-  var str = raw.toString().trim();
-  
-  // Already has "XX% SomeName" → return as is
-  if (str.match(/^\d+(?:\.\d+)?\s*%\s*.+$/)) return str;
-  
-  // Just "XX%" without name → add exercise name
-  var pctOnly = str.match(/^(\d+(?:\.\d+)?)\s*%$/);
-  if (pctOnly) {
-    var maxName = _exerciseToMaxName(exerciseName);
-    return maxName ? (pctOnly[1] + "% " + maxName) : str;
-  }
-  
-  return str;
-}
-
-function _exerciseToMaxName(name) {
-  if (!name) return null;
-  var n = name.toString().toLowerCase().trim();
-  // Dumbbell/kettlebell variants must not resolve against a barbell max
-  if (/\b(dumbbell|manubri|manubrio|kettlebell|kb)\b/.test(n)) return null;
-  if (n.includes('bench press') || n === 'bench press') return 'Bench Press';
-  if (n.includes('back squat') || n === 'back squat') return 'Back Squat';
-  if (n.includes('front squat') || n === 'front squat') return 'Front Squat';
-  if (n.includes('sumo deadlift') || n.includes('stacco sumo')) return 'Sumo Deadlift';
-  if (n.includes('deadlift') || n === 'deadlift') return 'Deadlift';
-  if (n.includes('strict press') || n === 'strict press' || n.includes('military press') || n.includes('overhead press')) return 'Strict Press';
-  if (n.includes('push press') || n === 'push press') return 'Push Press';
-  return null;
+  return raw.toString().trim();
 }
 
 /**
@@ -2183,6 +2822,15 @@ function normalizeReps(raw) {
   return raw.toString().trim();
 }
 
+/**
+ * Normalize the optional Type / Mode cells: "Rest" → "rest", empty → "".
+ * An empty cell leaves the choice to the name rules of js/workout-sequence.js.
+ */
+function normalizeSequenceCell(raw) {
+  if (raw === null || raw === undefined) return "";
+  return raw.toString().trim().toLowerCase();
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // ADMIN / DEBUG
 // ═══════════════════════════════════════════════════════════════════════════
@@ -108,6 +108,46 @@ check('saveWeights writes to token owner, not target',
   seen && seen.data.email === 'owner@real.com',
   seen ? `handler saw email=${seen.data.email}` : 'handler never ran');
 
+cacheStore.clear(); seen = null;
+post({ action: 'saveSessions', token: 'good-token', email: 'victim@someone-else.com', sessions: '[]' });
+check('saveSessions writes to token owner, not target',
+  seen && seen.handler === 'saveSessions' && seen.data.email === 'owner@real.com',
+  seen ? `handler saw email=${seen.data.email}` : 'handler never ran');
+
+cacheStore.clear(); seen = null;
+post({ action: 'getNutritionPlan', token: 'good-token', email: 'victim@someone-else.com' });
+check('getNutritionPlan reads the token owner\'s plan, not target',
+  seen && seen.handler === 'getNutritionPlan' && seen.data.email === 'owner@real.com',
+  seen ? `handler saw email=${seen.data.email}` : 'handler never ran');
+
+cacheStore.clear(); seen = null;
+r = post({ action: 'getProduct', barcode: '8001234567897' });
+check('getProduct without token -> unauthorized', r.code === 'unauthorized' && seen === null, JSON.stringify(r));
+
+cacheStore.clear(); seen = null;
+r = post({ action: 'getSessions', email: 'victim@someone-else.com' });
+check('getSessions without token -> unauthorized', r.code === 'unauthorized' && seen === null, JSON.stringify(r));
+
+cacheStore.clear(); seen = null;
+post({ action: 'saveNutritionDiary', token: 'good-token', email: 'victim@someone-else.com', days: '[]' });
+check('saveNutritionDiary writes to token owner, not target',
+  seen && seen.handler === 'saveNutritionDiary' && seen.data.email === 'owner@real.com',
+  seen ? `handler saw email=${seen.data.email}` : 'handler never ran');
+
+cacheStore.clear(); seen = null;
+post({ action: 'getNutritionDiary', token: 'good-token', email: 'victim@someone-else.com', days: 30 });
+check('getNutritionDiary reads the token owner\'s diary, not target',
+  seen && seen.handler === 'getNutritionDiary' && seen.data.email === 'owner@real.com',
+  seen ? `handler saw email=${seen.data.email}` : 'handler never ran');
+
+cacheStore.clear(); seen = null;
+r = post({ action: 'saveNutritionDiary', email: 'victim@someone-else.com', days: '[]' });
+check('saveNutritionDiary without token -> unauthorized', r.code === 'unauthorized' && seen === null, JSON.stringify(r));
+
+cacheStore.clear(); seen = null;
+r = post({ action: 'getNutritionDiary', email: 'victim@someone-else.com' });
+check('getNutritionDiary without token -> unauthorized', r.code === 'unauthorized' && seen === null, JSON.stringify(r));
+
 console.log('\nAuth rejection paths');
 cacheStore.clear(); seen = null;
 r = post({ action: 'getUserData', email: 'victim@someone-else.com' });
@@ -207,6 +247,29 @@ console.log('\nPer-user response cache must never cache a miss');
   check('an oversized response is NOT cached', store.size === 0);
 }
 
+console.log('\nsaveSessions — a duplicate id inside one batch');
+{
+  // Regression: the second copy read data[-1] and threw, so the client kept
+  // re-sending the same failing batch on every sync.
+  const rows = [['Email', 'SessionId']];
+  const sheet = {
+    getDataRange: () => ({ getValues: () => rows.map((r) => r.slice()) }),
+    getLastRow: () => rows.length,
+    getRange: (row, _col, n) => ({ setValues: (values) => { for (let k = 0; k < n; k++) rows[row - 1 + k] = values[k]; } })
+  };
+  sandbox.SpreadsheetApp = { getActiveSpreadsheet: () => ({ getSheetByName: () => sheet }) };
+  sandbox.LockService = { getScriptLock: () => ({ waitLock: () => {}, releaseLock: () => {} }) };
+  const saveSessions = vm.runInContext('saveSessions', context);
+  const s = { id: 'w1', completedAt: '2026-10-01T10:00:00.000Z', updatedAt: '2026-10-01T10:00:00.000Z' };
+
+  r = parse(saveSessions({ email: 'owner@real.com', sessions: [s, { ...s, updatedAt: '2026-10-01T11:00:00.000Z' }] }));
+  check('the batch is saved, not rejected', r.status === 'success', JSON.stringify(r));
+  check('the first copy is saved, the second is stale',
+    JSON.stringify(r.saved) === '["w1"]' && JSON.stringify(r.stale) === '["w1"]', JSON.stringify(r));
+  check('one row per session', rows.length === 2, `rows=${rows.length}`);
+  sandbox.SpreadsheetApp = { getActiveSpreadsheet: () => { throw new Error('handler should not run in these tests'); } };
+}
+
 console.log('\nToken cache');
 cacheStore.clear(); seen = null;
 let calls = 0;
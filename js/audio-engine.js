@@ -0,0 +1,1139 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - AUDIO ENGINE (cue playback shared by both players)
+//
+// One serial speak queue, one fallback chain (instructor clip → cloud TTS →
+// synth voice), one clip cache, for the strength player (js/workout.js) and
+// the run player (pages/endurance.html). Each page builds its player with
+// createCuePlayer(): the clip bank, the sound mode and the volume are the
+// page's; unlocking, the iOS audio session, timeouts and tracing are shared,
+// so a fix here lands in both players.
+//
+// Browser only: DOM, Web Audio, Cache Storage, Web Speech. Everything that
+// touches the page (the #tts-audio element, gesture listeners) is set up once
+// at import, whichever player imports it first.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Same bucket sw.js serves from, and it survives version bumps (unversioned by design).
+const CLIP_CACHE_NAME = 'viltrum-audio-v1';
+
+// Hard ceilings so a stalled clip can never block the cue queue.
+// Fixed clips (ElevenLabs phrases, Beppe countdowns) are a few seconds at most.
+export const CLIP_TIMEOUT_MS = 8000;
+// Arbitrary-length TTS (exercise instructions) needs more headroom before we give up.
+const AUDIO_PLAY_TIMEOUT_MS = 20000;
+
+const TTS_SERVER_URL = 'https://google-tts-server.onrender.com/speak';
+const TTS_TIMEOUT_MS = 9000;
+
+/* -------------------- SFX --------------------
+   These used to point at .ogg files on actions.google.com. WebKit cannot decode Ogg —
+   canPlayType('audio/ogg') returns "" and the real file fails with MediaError code 4 —
+   so bip mode was silent on Safari and iOS while working in Chrome.
+
+   Now local 16-bit PCM WAV files. Deliberately NOT data: URIs: Safari refuses data:
+   URIs on media elements (verified — identical bytes decode as a file and fail as a
+   data URI in WebKit), which is also why the old base64 unlock clip never worked.
+   Same-origin and precached by the service worker, so a beep costs no round trip. */
+const SFX_BEEP = '../audio/beep.wav';
+const SFX_TRANSITION = '../audio/transition.wav';
+const SFX_SILENCE = '../audio/silence.wav';   // used to unlock elements inside a gesture
+
+/* -------------------- Audio timing trace (on-device) --------------------
+   iOS gives us no console, so cue latency has to be measured in the page itself.
+   Always records to a ring buffer (cheap); renders an overlay only when the URL
+   carries ?audiotrace=1. AudioTrace.dump() works from anywhere. */
+export const AudioTrace = (() => {
+  const MAX = 400;
+  const rows = [];
+  const t0 = performance.now();
+  let panel = null, body = null;
+  const on = (() => {
+    try { return new URLSearchParams(location.search).has("audiotrace"); }
+    catch { return false; }
+  })();
+
+  function log(event, key, detail) {
+    const row = { t: Math.round(performance.now() - t0), event, key: key || "", detail: detail || "" };
+    rows.push(row);
+    if (rows.length > MAX) rows.shift();
+    if (on) render(row);
+    return row;
+  }
+  // Returns a stopwatch so callers can report how long a step actually took.
+  function start(event, key) {
+    const at = performance.now();
+    log(event + ":start", key);
+    return (endEvent, detail) => {
+      const ms = Math.round(performance.now() - at);
+      log(endEvent, key, (detail ? detail + " " : "") + ms + "ms");
+      return ms;
+    };
+  }
+  function render(row) {
+    if (!panel) build();
+    const line = document.createElement("div");
+    const slow = /(\d+)ms/.test(row.detail) && parseInt(RegExp.$1, 10) > 400;
+    line.style.cssText = "border-bottom:1px solid #1e1e1e;padding:2px 0;color:" +
+      (/fail|timeout|error|miss/i.test(row.event) ? "#f87171" : slow ? "#fbbf24" : "#9ca3af");
+    line.textContent = (row.t / 1000).toFixed(2) + "s  " + row.event + "  " + row.key + "  " + row.detail;
+    body.appendChild(line);
+    body.scrollTop = body.scrollHeight;
+  }
+  function build() {
+    panel = document.createElement("div");
+    panel.style.cssText = "position:fixed;left:0;right:0;bottom:0;height:38vh;z-index:99999;" +
+      "background:rgba(0,0,0,.93);border-top:2px solid #ffcc00;font:11px ui-monospace,Menlo,monospace;" +
+      "display:flex;flex-direction:column;";
+    const bar = document.createElement("div");
+    bar.style.cssText = "display:flex;gap:6px;padding:5px;border-bottom:1px solid #333;flex:0 0 auto;";
+    const mk = (label, fn) => {
+      const b = document.createElement("button");
+      b.textContent = label;
+      b.style.cssText = "flex:1;background:#ffcc00;color:#000;border:0;border-radius:5px;padding:7px;font-weight:700;font-size:11px;";
+      b.addEventListener("click", fn);
+      return b;
+    };
+    bar.appendChild(mk("Copy", () => {
+      const ta = document.createElement("textarea");
+      ta.value = dump(); ta.style.cssText = "position:fixed;opacity:0";
+      document.body.appendChild(ta); ta.select(); ta.setSelectionRange(0, 999999);
+      try { document.execCommand("copy"); } catch {}
+      try { navigator.clipboard?.writeText(ta.value); } catch {}
+      document.body.removeChild(ta);
+    }));
+    bar.appendChild(mk("Clear", () => { rows.length = 0; body.innerHTML = ""; }));
+    bar.appendChild(mk("Hide", () => panel.remove()));
+    body = document.createElement("div");
+    body.style.cssText = "flex:1 1 auto;overflow-y:auto;padding:5px;";
+    panel.appendChild(bar); panel.appendChild(body);
+    (document.body || document.documentElement).appendChild(panel);
+  }
+  function dump() {
+    return "viltrum audio trace | " + navigator.userAgent + "\n" +
+      rows.map(r => (r.t / 1000).toFixed(2) + "s\t" + r.event + "\t" + r.key + "\t" + r.detail).join("\n");
+  }
+  if (on && document.readyState !== "loading") build();
+  else if (on) document.addEventListener("DOMContentLoaded", build);
+
+  return { log, start, dump, get enabled() { return on; } };
+})();
+window.AudioTrace = AudioTrace; // reachable from Safari Web Inspector too
+
+/* Cache Storage and IndexedDB are evictable under storage pressure — on Android
+   aggressively so, which is one way "it worked yesterday, silent today" happens.
+   persist() asks the browser to exempt this origin. Fire-and-forget; a denial just
+   means default eviction rules, no worse than before. */
+try {
+  if (navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().then(granted =>
+      AudioTrace.log("storage:persist", "", granted ? "granted" : "denied"));
+  }
+} catch (e) {}
+
+/* -------------------- iOS audio session -------------------- */
+// iOS routes web audio through the "ambient" session by default, which the physical
+// ring/silent switch mutes. Safari 16.4+ lets a page pick its session type.
+// No-op elsewhere. Claimed only right before a real sound, never at load (v10.10),
+// so opening a player doesn't touch the music of other apps.
+export function claimAudioSession() {
+  // v10.11 DECISIONE FINALE DEL PROPRIETARIO: "la musica non si deve MAI
+  // stoppare, punto." → sessione AMBIENT, sempre: i cue si MESCOLANO alla
+  // musica di altre app, che non viene mai toccata (parita' Android).
+  // Trade-off noto e accettato: con la levetta su silenzioso i cue ambient
+  // sono muti (limite iOS). playback/transient BANDITI (fermano la musica /
+  // muti del tutto — mappato su device).
+  try {
+    if ("audioSession" in navigator && navigator.audioSession.type !== "ambient") {
+      navigator.audioSession.type = "ambient";
+    }
+  } catch (e) {
+    console.warn("audioSession unavailable:", e);
+  }
+}
+
+/* -------------------- The voice element --------------------
+   One <audio id="tts-audio"> per page for clips and cloud TTS. The page may ship
+   it in its markup; otherwise it is created here. v10.1 iOS: always the SAME
+   element — one created at cue time was never unlocked by a gesture and iOS
+   rejected its play(). */
+function voiceElement() {
+  let el = document.getElementById("tts-audio");
+  if (!el) {
+    el = new Audio();
+    el.id = "tts-audio";
+    el.preload = "auto";
+    document.body.appendChild(el);
+  }
+  el.playsInline = true;
+  el.setAttribute("playsinline", "");
+  el.setAttribute("webkit-playsinline", "");
+  return el;
+}
+const ttsAudio = voiceElement();
+
+let activeAudioEl = null;           // currently-playing clip <audio> element
+
+/* -------------------- Clip cache --------------------
+   Cue latency, not playback, is what made the timing feel broken: every clip was
+   fetched at the moment it was needed. Pull the session's clips into the same
+   Cache Storage bucket sw.js serves from, before the workout starts, so cue time
+   costs a cache hit instead of a network round trip. */
+async function warmClipCache(clips) {
+  if (!("caches" in window)) return;
+  const seen = new Set();
+  const list = clips.filter(c => c && c.url && !seen.has(c.url) && seen.add(c.url));
+  if (!list.length) return;
+
+  const endAll = AudioTrace.start("warm", list.length + " clips");
+  try {
+    const cache = await caches.open(CLIP_CACHE_NAME);
+    let added = 0, already = 0, cursor = 0;
+    const missingClips = [];
+    const CONCURRENCY = 6;
+
+    const attempt = async ({ url }) => {
+      if (await cache.match(url)) { already++; return true; }
+      // add() per file: addAll() is all-or-nothing, so one clip missing from the
+      // repo would discard the entire batch.
+      await cache.add(url);
+      added++;
+      return true;
+    };
+    const failed = [];
+    const worker = async () => {
+      while (cursor < list.length) {
+        const clip = list[cursor++];
+        try { await attempt(clip); }
+        catch (e) { failed.push(clip); }
+        // clips arrive in playback order, so this marks when the EARLY ones are safe
+        if (cursor === Math.min(12, list.length)) AudioTrace.log("warm:first12", "", "ready");
+      }
+    };
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+    // One retry pass, serial: a first-pass failure on flaky cellular is usually
+    // transient. What still fails twice is genuinely absent from the repo.
+    for (const clip of failed) {
+      try { await attempt(clip); }
+      catch (e) { missingClips.push(clip.key); }
+    }
+    endAll("warm:done", `+${added} new, ${already} cached, ${missingClips.length} absent,`);
+    for (const k of missingClips) AudioTrace.log("warm:NOFILE", k);
+    if (missingClips.length) {
+      console.warn(`⚠️ ${missingClips.length} clip(s) mapped but not in the repo:`, missingClips);
+      window.__audioAudit = Object.assign(window.__audioAudit || {}, { missingClips });
+    }
+  } catch (e) {
+    endAll("warm:fail", String(e && e.message || e));
+  }
+}
+
+/* One bytes-getter shared by the buffer engine and the element path: Cache Storage
+   hit, else one bounded fetch that repairs the cache (raw.githubusercontent.com
+   sends ACAO:*, so a window-context CORS fetch is legal — verified). Returns a
+   Response or null. */
+async function getClipResponse(url, key) {
+  if (!("caches" in window)) return null;
+  const cache = await caches.open(CLIP_CACHE_NAME);
+  let res = await cache.match(url);
+  if (res) {
+    AudioTrace.log("cache:hit", key);
+    return res;
+  }
+  AudioTrace.log("cache:MISS", key);
+  // Bounded: this await sits in front of the cue — an unbounded fetch here would
+  // recreate the very stall the watchdogs exist to kill.
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), 5000);
+  res = await fetch(url, { signal: ctrl.signal });
+  clearTimeout(t);
+  if (!res.ok) return null;
+  // clone BEFORE consuming: a body can only be read once
+  try { await cache.put(url, res.clone()); AudioTrace.log("cache:repaired", key); } catch (e) {}
+  return res;
+}
+
+/* Resolve a clip to a LOCAL source before playing. Cache hit → blob URL: playback
+   starts from memory, cannot stall mid-clip on the network, and doesn't depend on the
+   service worker being active. Every path degrades to the plain URL. */
+async function getClipSrc(url, key) {
+  try {
+    const res = await getClipResponse(url, key);
+    if (!res) return { src: url, blob: false };
+    return { src: URL.createObjectURL(await res.blob()), blob: true };
+  } catch (e) {
+    // offline / abort / storage error — the <audio> element itself is the last resort
+    return { src: url, blob: false };
+  }
+}
+
+/* -------------------- Buffer playback engine --------------------
+   How cue audio is actually done in latency-sensitive web apps (games, metronomes):
+   decode the clip ONCE into an AudioBuffer and play it through the Web Audio API's
+   precise-timing path. No media element per cue means none of the element failure
+   modes this file spent a week hardening against — no canplaythrough, no play()
+   rejection, no pause-event races, no mid-play network stalls; `onended` on a buffer
+   source is reliable. The element path below stays as the fallback for engines or
+   moments (context not yet unlocked) where the graph can't run.
+
+   NOTE this is NOT the createMediaElementSource mistake removed earlier: these
+   buffers come from bytes we fetched ourselves with CORS (ACAO:* verified), so
+   there is no cross-origin taint, and the context is resumed inside real gestures. */
+const AudioEngine = {
+  ctx: null,
+  buffers: new Map(),        // clip url → AudioBuffer (LRU, insertion-ordered Map)
+  BUFFER_MAX: 24,            // ~200KB decoded each → ~5MB ceiling, far below GIF budgets
+  active: new Set(),         // playing sources, for stopAll()
+
+  _context() {
+    if (this.ctx) return this.ctx;
+    const AC = window.AudioContext || window.webkitAudioContext;
+    if (!AC) return null;
+    try { this.ctx = new AC(); } catch (e) { return null; }
+    return this.ctx;
+  },
+
+  // Call ONLY from inside a user gesture: resume + a one-sample kick.
+  unlock() {
+    const ctx = this._context();
+    if (!ctx) return;
+    try {
+      if (ctx.state === "suspended") ctx.resume().catch(() => {});
+      const src = ctx.createBufferSource();
+      src.buffer = ctx.createBuffer(1, 1, 22050);
+      src.connect(ctx.destination);
+      src.start(0);
+      // v10.10: sblocco ottenuto — sospendi subito, il ctx si riaccende
+      // per ogni cue e si rispegne dopo (niente focus audio tenuto a vuoto).
+      this._scheduleIdleSuspend();
+    } catch (e) {}
+  },
+
+  usable() {
+    return !!(this.ctx && this.ctx.state === "running");
+  },
+
+  async _buffer(url, key) {
+    if (this.buffers.has(url)) {
+      const b = this.buffers.get(url);      // refresh recency
+      this.buffers.delete(url);
+      this.buffers.set(url, b);
+      return b;
+    }
+    const res = await getClipResponse(url, key);
+    if (!res) return null;
+    const bytes = await res.arrayBuffer();
+    const buf = await this.ctx.decodeAudioData(bytes);
+    this.buffers.set(url, buf);
+    while (this.buffers.size > this.BUFFER_MAX) {
+      this.buffers.delete(this.buffers.keys().next().value);
+    }
+    return buf;
+  },
+
+  // v10.10: il ctx resta ACCESO solo mentre un cue suona. Un AudioContext
+  // running (anche muto) con sessione playback tiene il focus audio iOS e
+  // ferma la musica delle altre app — era questo a uccidere Spotify all'avvio
+  // e a ogni rientro, non i cue.
+  _idleTimer: null,
+  _scheduleIdleSuspend() {
+    clearTimeout(this._idleTimer);
+    this._idleTimer = setTimeout(() => {
+      try {
+        if (this.ctx && this.ctx.state === "running" && this.active.size === 0) {
+          this.ctx.suspend().catch(() => {});
+        }
+      } catch (e) {}
+    }, 1500);
+  },
+
+  /* Resolves true (played or deliberately stopped), false (failed), or the string
+     "unavailable" (context not running / decode impossible) — the caller then uses
+     the element path. Bounded everywhere; this must never park the speak chain. */
+  async play(url, key, requestedAt, volume) {
+    const ctx = this._context();
+    if (!ctx) return "unavailable";
+    clearTimeout(this._idleTimer);
+    // claim della sessione SOLO ora, a ridosso del suono vero
+    claimAudioSession();
+    if (ctx.state === "suspended") {
+      try { await Promise.race([ctx.resume(), new Promise(r => setTimeout(r, 800))]); } catch (e) {}
+    }
+    if (!this.usable()) return "unavailable";
+    let buf;
+    try {
+      buf = await Promise.race([
+        this._buffer(url, key),
+        new Promise(r => setTimeout(() => r(null), 4000))
+      ]);
+    } catch (e) { buf = null; }   // decode error (corrupt bytes) → element path
+    if (!buf) return "unavailable";
+    if (!this.usable()) return "unavailable";  // context died while decoding
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const src = this.ctx.createBufferSource();
+      const gain = this.ctx.createGain();
+      gain.gain.value = volume;
+      src.buffer = buf;
+      src.connect(gain);
+      gain.connect(this.ctx.destination);
+      const finish = (ok) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(watchdog);
+        this.active.delete(src);
+        if (this.active.size === 0) this._scheduleIdleSuspend(); // v10.10: rilascia il focus
+        resolve(ok);
+      };
+      // onended fires on natural end AND on stop() — both are success semantics
+      // (a stop is a deliberate flush; re-speaking a cancelled cue is the old bug).
+      src.onended = () => finish(true);
+      const watchdog = setTimeout(() => finish(true), buf.duration * 1000 + 2000);
+      this.active.add(src);
+      AudioTrace.log("cue:buffer", key,
+        Math.round(performance.now() - requestedAt) + "ms to start, " + buf.duration.toFixed(1) + "s");
+      try { src.start(0); } catch (e) { finish(false); }
+    });
+  },
+
+  stopAll() {
+    for (const src of [...this.active]) {
+      try { src.stop(); } catch (e) {}
+    }
+    this.active.clear();
+    this._scheduleIdleSuspend(); // v10.10
+  }
+};
+
+/**
+ * Play one pre-recorded clip: buffer engine first, the voice element as fallback
+ * @param {string} url - clip URL (the cache key)
+ * @param {string} key - clip name, for the trace
+ * @param {number} volume - 0..1
+ * @returns {Promise<boolean>} true if played (or deliberately stopped)
+ */
+async function playClipUrl(url, key, volume) {
+  const audioRequestedAt = performance.now();
+  const endCue = AudioTrace.start("cue", key);
+  try {
+    AudioEngine.unlock();
+
+    // Preferred path: decoded-buffer playback (see AudioEngine). Only "unavailable"
+    // falls through to the media-element machinery below.
+    const viaEngine = await AudioEngine.play(url, key, audioRequestedAt, volume);
+    if (viaEngine !== "unavailable") {
+      endCue(viaEngine ? "cue:done" : "cue:FAIL", viaEngine ? "buffer" : "buffer start failed");
+      return viaEngine;
+    }
+
+    const { src, blob: isBlobSrc } = await getClipSrc(url, key);
+
+    // Plain element, NO crossOrigin: the GitHub clips send no Access-Control-Allow-Origin,
+    // so crossOrigin="anonymous" fails the load outright.
+    claimAudioSession(); // v10.10: claim solo a ridosso del suono
+    const audio = ttsAudio;
+    try { audio.pause(); } catch (e) {}
+    audio.onplaying = audio.onpause = audio.onerror = audio.onended = null;
+    audio.preload = "auto";
+    audio.volume = volume;   // no-op on iOS (volume is read-only there)
+
+    activeAudioEl = audio; // track for stop()/flush()
+    return new Promise((resolve) => {
+      // iOS NEVER fires canplaythrough on a detached element: it ignores `preload`
+      // and refuses to buffer until play() is called. Gating play() on that event
+      // meant this promise never settled and the whole speak queue hung.
+      // Call play() straight away and let the decoder fetch on demand.
+      let settled = false;
+      let audible = false;   // set once real playback started — changes what failure means
+      let watchdog = null;
+
+      const silence = () => {
+        // Detach handlers FIRST: pause() fires onpause, and removeAttribute-load
+        // fires onerror; both would re-enter done().
+        audio.onended = audio.onerror = audio.onplaying = audio.onpause = null;
+        try { audio.pause(); audio.removeAttribute("src"); audio.load(); } catch (e) {}
+        if (isBlobSrc) { try { URL.revokeObjectURL(src); } catch (e) {} }
+      };
+      const done = (ok, why) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(watchdog);
+        // On ANY non-success the element must be stopped before the caller falls
+        // back to TTS/synth. Not doing this was the Android double-voice bug: the
+        // watchdog resolved false at 8s, the synth spoke the phrase, and the mp3 —
+        // still loading in this orphaned element — then played on top of it.
+        silence();
+        if (activeAudioEl === audio) activeAudioEl = null;
+        endCue(ok ? "cue:done" : "cue:FAIL", why || "");
+        resolve(ok);
+      };
+      const arm = (ms, onFire) => { clearTimeout(watchdog); watchdog = setTimeout(onFire, ms); };
+
+      // Load/start watchdog. Only pre-audible failure may fall back to another voice.
+      arm(CLIP_TIMEOUT_MS, () => {
+        console.warn(`⚠️ ElevenLabs audio timed out: ${key}`);
+        done(false, "timeout before audible");
+      });
+
+      audio.onplaying = () => {
+        audible = true;
+        AudioTrace.log("cue:audible", key,
+          Math.round(performance.now() - audioRequestedAt) + "ms to first sound");
+        // Playback is running: the ONLY remaining job is to resolve when it ends.
+        // Re-arm to clip length + margin, and if `ended` never arrives (backgrounded
+        // tab, throttled events) resolve TRUE — the cue was heard; reporting failure
+        // here made the caller speak the same phrase again through the synth.
+        const dur = isFinite(audio.duration) && audio.duration > 0 ? audio.duration : 10;
+        arm(dur * 1000 + 3000, () => done(true, "ended event missed"));
+      };
+      // External pause (flush on an exercise transition, or an OS audio
+      // interruption). Deliberate cancellation, so resolve TRUE: falling back would
+      // speak a cue that was just cancelled, and leaving it pending parked the whole
+      // speak chain behind an 8s watchdog — the Android "says nothing" bug.
+      // Fires on external stops — including a flush that lands while the clip is
+      // still loading at currentTime 0 — AND on natural completion, where the spec
+      // fires `pause` just before `ended`. Both resolve TRUE; `audio.ended` tells
+      // them apart for the trace.
+      audio.onpause = () => done(true, audio.ended ? "" : "stopped externally");
+      audio.onended = () => done(true);
+      // Some WebKit builds refuse blob: URLs on media elements even though the fetch
+      // and Cache Storage side worked (observed in the Windows WebKit port; Safari on
+      // iOS doesn't need the blob path anyway — the service worker serves the plain
+      // URL cache-first). One in-place retry with the network URL, same element, same
+      // watchdog discipline. Falling to synth here would waste a clip we already have.
+      // A failed blob attempt reports twice — onerror AND the play() promise
+      // rejection. The attempt counter keeps the second, stale report from killing
+      // the retry the first one started.
+      let attempt = 0;
+      const startPlayback = (theSrc, label) => {
+        attempt++;
+        const thisAttempt = attempt;
+        audio.src = theSrc;
+        audio.load();
+        audio.play().catch((e) => {
+          if (settled || audible || attempt !== thisAttempt) return;
+          console.warn(`⚠️ ElevenLabs play() rejected for ${key}:`, e);
+          if (retryPlain()) return;
+          done(false, label + " play() rejected: " + (e && e.name || e));
+        });
+      };
+      const retryPlain = () => {
+        if (settled || !isBlobSrc || attempt !== 1) return false;
+        AudioTrace.log("cue:blob-retry", key, "blob src refused, using URL");
+        arm(CLIP_TIMEOUT_MS, () => done(false, "timeout after blob retry"));
+        try { startPlayback(url, "retry"); return true; }
+        catch (e) { return false; }
+      };
+      // Resolve false rather than reject: callers fall back on false, and a
+      // rejection escaped the try/catch above, killing the caller.
+      audio.onerror = (e) => {
+        console.warn(`⚠️ ElevenLabs audio failed for ${key}:`, e);
+        // Mid-playback decode/network death: the listener already heard the phrase
+        // start — repeating it in another voice is worse than the truncation.
+        if (audible) return done(true, "died mid-play");
+        if (retryPlain()) return;
+        done(false, "load error " + (audio.error ? "code " + audio.error.code : ""));
+      };
+      startPlayback(src, "");
+    });
+  } catch (err) {
+    console.warn(`⚠️ ElevenLabs audio failed for ${key}:`, err);
+    endCue("cue:FAIL", String(err && err.message || err));
+    return false;
+  }
+}
+
+/* -------------------- Cloud TTS -------------------- */
+async function playAudioUrl(url) {
+  const el = ttsAudio;
+  const isBlob = typeof url === "string" && url.startsWith("blob:");
+  const src = isBlob ? url : url + (url.includes("?") ? "&" : "?") + "t=" + Date.now();
+
+  claimAudioSession(); // v10.10: claim a ridosso del suono
+  el.pause();
+  el.src = src;
+  el.currentTime = 0;
+  el.load();
+
+  // NO Web Audio graph here. This used to route #tts-audio through
+  // createMediaElementSource() + a 5.0 gain node. On iOS that was fatal, twice over:
+  //   1. The AudioContext was built at module load, outside any user gesture, so iOS
+  //      kept it suspended; a suspended graph emits silence while the element still
+  //      reports itself as playing.
+  //   2. createMediaElementSource() on a cross-origin element with no CORS header
+  //      taints the graph to zeros, and the GitHub clips send no ACAO.
+  // Worse, the rewiring is irreversible: once an element is attached to a graph it
+  // never reaches the speaker directly again for the life of the page.
+  // Device evidence: plain playback is audible on iOS, graph playback is silent.
+
+  await new Promise((resolve, reject) => {
+    let done = false;
+    let audible = false;
+    const cleanup = () => {
+      clearTimeout(watchdog);
+      el.onended = el.onerror = el.onpause = el.onplaying = null;
+      if (isBlob) { try { URL.revokeObjectURL(url); } catch {} }
+    };
+    // Ceiling on every await in the cue path: speak() serialises utterances onto one
+    // promise chain, so a single clip that never ends silences the whole workout.
+    // On expiry the element must also be STOPPED — resolving alone left it playing,
+    // free to land on top of the next cue (the Android double-voice class of bug).
+    const watchdog = setTimeout(() => {
+      if (done) return; done = true;
+      cleanup();
+      try { el.pause(); } catch (e) {}
+      resolve();
+    }, AUDIO_PLAY_TIMEOUT_MS);
+    el.onplaying = () => { audible = true; };
+    // External pause (flush / stop on a transition): deliberate cancellation.
+    // Without this handler the promise parked here for the full watchdog while
+    // every queued cue waited behind it — cues then fired seconds late or were
+    // flushed as stale, heard as "sometimes it says nothing".
+    el.onpause = () => { if (done) return; done = true; cleanup(); resolve(); };
+    el.onended = () => { if (done) return; done = true; cleanup(); resolve(); };
+    el.onerror = (e) => {
+      if (done) return; done = true; cleanup();
+      // Mid-play death: the phrase was already heard starting — a synth repeat is
+      // worse than the truncation.
+      if (audible) return resolve();
+      reject(e);
+    };
+    const p = el.play();
+    if (p && typeof p.then === "function") {
+      p.catch((e) => { if (done) return; done = true; cleanup(); reject(e); });
+    }
+  });
+}
+
+/* The Google TTS box currently answers every /speak with HTTP 500. Without a breaker
+   each fallback pays a full network round trip before reaching the synth voice, which
+   is exactly the wrong moment to add latency: the cue is already late. Trip after two
+   consecutive failures, retry once a minute in case the server comes back. */
+const CLOUD_TTS_TRIP_AFTER = 2;
+const CLOUD_TTS_RETRY_MS = 60000;
+let cloudTtsFailures = 0;
+let cloudTtsTrippedAt = 0;
+
+function cloudTtsAvailable() {
+  if (cloudTtsFailures < CLOUD_TTS_TRIP_AFTER) return true;
+  if (Date.now() - cloudTtsTrippedAt > CLOUD_TTS_RETRY_MS) {
+    cloudTtsFailures = 0;   // probation: let one request through to test the water
+    return true;
+  }
+  return false;
+}
+function noteCloudTtsResult(ok) {
+  if (ok) { cloudTtsFailures = 0; return; }
+  cloudTtsFailures++;
+  if (cloudTtsFailures === CLOUD_TTS_TRIP_AFTER) {
+    cloudTtsTrippedAt = Date.now();
+    AudioTrace.log("cloud:tripped", "", "skipping cloud TTS for " + (CLOUD_TTS_RETRY_MS / 1000) + "s");
+    console.warn("⚠️ Cloud TTS tripped — falling straight to synth");
+  }
+}
+
+async function speakCloud(text, lang = "it-IT") {
+  AudioEngine.unlock();
+
+  // Check offline cache first. Raced: an IndexedDB read that never settles would
+  // wedge the speak chain exactly like the old canplaythrough bug did.
+  if (typeof OfflinePreloader !== 'undefined') {
+    const cacheKey = `tts_${lang}_${text}`;
+    const cachedUrl = await Promise.race([
+      OfflinePreloader.getCachedAudio(cacheKey).catch(() => null),
+      new Promise(r => setTimeout(() => r(null), 1500))
+    ]);
+
+    if (cachedUrl) {
+      await playAudioUrl(cachedUrl);
+      return;
+    }
+  }
+
+  // Cache miss and the server is known-bad: skip straight to synth rather than
+  // spending a round trip to fail.
+  if (!cloudTtsAvailable()) {
+    AudioTrace.log("cloud:skipped", text.slice(0, 24), "breaker open");
+    throw new Error("Cloud TTS breaker open");
+  }
+
+  const voice = lang === "it-IT" ? "it-IT-Wavenet-C" : "en-US-Wavenet-D";
+  const endFetch = AudioTrace.start("cloud", text.slice(0, 24));
+
+  // Hard timeout: a server that accepts the connection and then never answers is
+  // worse than one that 500s, because a bare fetch() waits forever and the whole
+  // cue queue is serialised behind this await.
+  const ctrl = new AbortController();
+  const killFetch = setTimeout(() => ctrl.abort(), TTS_TIMEOUT_MS);
+  let res;
+  try {
+    res = await fetch(TTS_SERVER_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text, lang, voice }),
+      signal: ctrl.signal,
+    });
+    clearTimeout(killFetch);
+  } catch (netErr) {
+    clearTimeout(killFetch);
+    noteCloudTtsResult(false);
+    endFetch("cloud:FAIL", "network " + (netErr && netErr.message || ""));
+    throw netErr;
+  }
+
+  if (!res.ok) {
+    noteCloudTtsResult(false);
+    endFetch("cloud:FAIL", "HTTP " + res.status);
+    throw new Error(`TTS Server Error ${res.status}`);
+  }
+
+  const blob = await res.blob();
+  if (blob.size === 0) {
+    noteCloudTtsResult(false);
+    endFetch("cloud:FAIL", "empty body");
+    throw new Error("Audio vuoto - server returned empty audio");
+  }
+
+  noteCloudTtsResult(true);
+  endFetch("cloud:ok", blob.size + "b");
+  await playAudioUrl(URL.createObjectURL(blob));
+}
+
+/**
+ * Wake the TTS server (free tier, it sleeps) while the user is still on the
+ * setup screen. Fire-and-forget.
+ */
+export function warmUpTtsServer() {
+  fetch(TTS_SERVER_URL.replace(/\/speak$/, ""))
+    .then(() => console.log("✅ TTS server attivo"))
+    .catch(() => console.warn("⚠️ Server TTS non raggiungibile"));
+}
+
+/* -------------------- Synth voice (Web Speech) -------------------- */
+function getPreferredVoice() {
+  if (typeof speechSynthesis === "undefined") return null;
+  const list = (speechSynthesis.getVoices && speechSynthesis.getVoices()) || [];
+  // prefer Google voices first
+  const googleIt = list.find(v => /google/i.test(v.name||"") && /^it(-|_)/i.test(v.lang||""));
+  if (googleIt) return googleIt;
+  const googleEn = list.find(v => /google/i.test(v.name||"") && /^en(-|_)/i.test(v.lang||""));
+  if (googleEn) return googleEn;
+  // then any Italian / English
+  const anyIt = list.find(v => /^it(-|_)/i.test(v.lang||""));
+  if (anyIt) return anyIt;
+  const anyEn = list.find(v => /^en(-|_)/i.test(v.lang||""));
+  if (anyEn) return anyEn;
+  // fallback: first Google, else first voice
+  const anyGoogle = list.find(v => /google/i.test(v.name||""));
+  return anyGoogle || list[0] || null;
+}
+
+/**
+ * Wait until voices are actually available.
+ * Android often never fires onvoiceschanged; we poll with a timeout fallback.
+ */
+function waitForVoices(timeoutMs = 1500) {
+  return new Promise(resolve => {
+    let settled = false;
+    const finish = () => { if (!settled) { settled = true; resolve(); } };
+
+    // Engines without speechSynthesis threw a ReferenceError straight out of this
+    // Promise executor — an unhandled rejection, and speak() chains every utterance
+    // onto one promise, so it could take the whole cue queue with it.
+    if (typeof speechSynthesis === "undefined") return finish();
+
+    try {
+      if ((speechSynthesis.getVoices() || []).length) return finish();
+
+      const prev = speechSynthesis.onvoiceschanged;
+      speechSynthesis.onvoiceschanged = () => { speechSynthesis.onvoiceschanged = prev || null; finish(); };
+
+      const start = Date.now();
+      const poll = setInterval(() => {
+        let vs = [];
+        try { vs = speechSynthesis.getVoices() || []; } catch { /* keep polling */ }
+        if (vs.length || Date.now() - start >= timeoutMs) { clearInterval(poll); finish(); }
+      }, 100);
+      setTimeout(() => { clearInterval(poll); finish(); }, timeoutMs + 200);
+    } catch (e) {
+      finish();
+    }
+  });
+}
+// Trigger the voices load early; guarded: a bare reference threw on engines
+// without the API.
+waitForVoices(1500).catch(() => {});
+
+/* ---------- Android Synth Primer (user-gesture + resume) ---------- */
+let synthPrimed = false;
+
+function primeSynth() {
+  if (synthPrimed || !('speechSynthesis' in window)) return;
+  try {
+    // v10.1 iOS: il kick DEVE partire nel gesto — aspettare le voci faceva
+    // uscire dall'attivazione utente e iOS scartava l'utterance.
+    try { speechSynthesis.resume(); } catch {}
+    const u = new SpeechSynthesisUtterance(" "); // silent kick
+    u.volume = 0;
+    u.rate = 1;
+    u.pitch = 1;
+    const watchdog = setTimeout(() => { synthPrimed = true; }, 250);
+    u.onstart = () => { clearTimeout(watchdog); synthPrimed = true; };
+    u.onerror = () => { clearTimeout(watchdog); synthPrimed = true; };
+    speechSynthesis.speak(u);
+  } catch {
+    synthPrimed = true;
+  }
+}
+
+// Prime on the first real user gesture
+document.addEventListener('touchstart', primeSynth, { once: true, passive: true });
+document.addEventListener('click',      primeSynth, { once: true });
+
+async function speakSynth(text, lang, volume) {
+  // Every metallic-sounding cue passes through here. Logged so the trace names the
+  // exact phrase that had no clip, which is what to feed the clip generator.
+  AudioTrace.log("synth:FALLBACK", text.slice(0, 40));
+  if (typeof speechSynthesis === "undefined") throw new Error("speechSynthesis unavailable");
+
+  // Make sure voices exist (Android may not fire onvoiceschanged)
+  await waitForVoices(1500);
+
+  // Cancel pending + resume engine (Android often paused)
+  try { speechSynthesis.cancel(); } catch {}
+  try { speechSynthesis.resume(); } catch {}
+
+  const voice = getPreferredVoice();
+  const utter = new SpeechSynthesisUtterance(text);
+  if (voice) utter.voice = voice;
+  utter.lang   = (voice && voice.lang) || (lang || "it-IT");
+  utter.rate   = 1.0;
+  utter.pitch  = 1.0;
+  utter.volume = volume;
+
+  // Tiny delay helps some Android builds
+  await new Promise(r => setTimeout(r, 60));
+
+  return new Promise((resolve, reject) => {
+    let done = false;
+    let watchdog;
+    const clear = () => { try { clearTimeout(watchdog); } catch {} };
+    const finish = (ok, err) => { if (done) return; done = true; clear(); ok ? resolve() : reject(err||new Error("speak failed")); };
+
+    // On expiry, CANCEL before resolving. Resolving alone left the utterance queued in
+    // the engine; Android's synth regularly stalls and then flushes its queue seconds
+    // later, so the "abandoned" cue spoke on top of whatever was playing by then —
+    // heard as the same phrase in clip voice and synth voice.
+    const watch = (ms) => {
+      clear();
+      watchdog = setTimeout(() => {
+        try { speechSynthesis.cancel(); } catch {}
+        finish(true);
+      }, ms);
+    };
+
+    watch(3000); // some Androids never fire events at all
+
+    // onstart used to CLEAR the watchdog outright. If onend then never arrived — which
+    // iOS does whenever the synth is interrupted (screen lock, incoming call, another
+    // cue) — this promise never settled, and speak() chains every utterance onto a
+    // single promise, so one stuck cue silenced the entire rest of the workout.
+    // Re-arm instead, scaled to how long the text plausibly takes to read.
+    utter.onstart = () => watch(Math.min(30000, 4000 + text.length * 120));
+    utter.onend   = () => finish(true);
+    utter.onerror = (e)  => {
+      if (e && e.error === "interrupted") return finish(true);
+      finish(false, e);
+    };
+
+    try {
+      // resume again right before talking
+      try { speechSynthesis.resume(); } catch {}
+      speechSynthesis.speak(utter);
+      // v10.1 iOS: resume periodico durante l'utterance — iOS pausa la sintesi
+      // sul backgrounding; l'intervallo si spegne quando non parla piu'.
+      const keepAlive = setInterval(() => {
+        try {
+          if (speechSynthesis.speaking) speechSynthesis.resume();
+          else clearInterval(keepAlive);
+        } catch (e) { clearInterval(keepAlive); }
+      }, 4000);
+    } catch (err) {
+      finish(false, err);
+    }
+  });
+}
+
+/**
+ * @param {string} text
+ * @returns {'it-IT'|'en-US'}
+ */
+export function detectLang(text) {
+  const italianIndicators = /[àèéìòù]|mancano|secondi|esercizio|istruz|riposo|pausa/i;
+  if (italianIndicators.test(text)) return "it-IT";
+  return "en-US";
+}
+
+/* -------------------- Beep / transition -------------------- */
+function installSfxSources() {
+  const beep = document.getElementById("beep-sound");
+  const trans = document.getElementById("transition-sound");
+  if (beep && !beep.src) { beep.src = SFX_BEEP; beep.load(); }
+  if (trans && !trans.src) { trans.src = SFX_TRANSITION; trans.load(); }
+}
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", installSfxSources);
+} else {
+  installSfxSources();
+}
+
+function playSfx(id) {
+  const el = document.getElementById(id);
+  if (!el || !el.src) return;
+  // v10.1 iOS: suona il SINGLETON sbloccato dal gesto — un clone new Audio()
+  // non era mai stato sbloccato e su iOS restava muto. Rewind: a second sound
+  // inside one clip's length was silently dropped because the element was
+  // still at the end of the previous play.
+  try { el.pause(); el.currentTime = 0; } catch {}
+  el.muted = false;
+  // play() rejects when autoplay is blocked; unhandled it surfaces as an uncaught
+  // rejection in Safari.
+  el.play().catch(() => {});
+}
+
+/* -------------------- iOS audio unlock -------------------- */
+let audioUnlocked = false;
+const unlockExtras = new Set();     // page elements to unlock too (e.g. the Beppe player)
+
+/**
+ * Unlock every audio path. Call from inside a user gesture: the listeners below
+ * already do on every tap, and the Start buttons call it again with force.
+ * @param {boolean} [force] - redo it even if it already succeeded
+ */
+export function unlockAudio(force = false) {
+  if (audioUnlocked && !force) return;
+
+  // v10.10: NIENTE claim qui — la claim avviene solo a ridosso di un suono
+  // vero (AudioEngine.play / element path), cosi' aprire il player non tocca
+  // la musica di altre app. Il kick del gesto serve solo per il permesso.
+  AudioEngine.unlock();
+
+  try {
+    // A real, silent 50ms WAV: data: URIs and undecodable base64 stubs never
+    // unlocked anything. v10.9 DEVICE-VERIFIED: un elemento NON MUTATO in
+    // play() — anche 50ms di silenzio — fa fermare a iOS la musica delle altre
+    // app. Lo sblocco muted ottiene comunque il permesso per la sessione.
+    for (const el of [ttsAudio, ...unlockExtras]) {
+      el.muted = true;
+      el.src = SFX_SILENCE;
+      el.play().then(() => { el.pause(); el.muted = false; }).catch(() => { el.muted = false; });
+    }
+
+    // v10.1 iOS: l'unlock e' PER-ELEMENTO. Un play()+pause() dentro il gesto
+    // sblocca anche beep e transition, che altrimenti su iOS restano muti
+    // quando partono da un timer.
+    for (const id of ["beep-sound", "transition-sound"]) {
+      const el = document.getElementById(id);
+      if (!el) continue;
+      el.volume = 1.0;
+      el.muted = true; // v10.9: sblocco muted, niente focus rubato a Spotify
+      el.play().then(() => { el.pause(); el.currentTime = 0; el.muted = false; }).catch(() => { el.muted = false; });
+    }
+
+    audioUnlocked = true;
+  } catch (error) {
+    console.error("❌ Audio unlock error:", error);
+  }
+}
+
+// v10.1: NON once — dopo un'interruzione OS (chiamata, Siri) l'unlock degli
+// elementi va rifatto; il guard interno lo rende gratis quando non serve.
+document.addEventListener("touchstart", () => unlockAudio(), { passive: true });
+document.addEventListener("click", () => unlockAudio());
+
+// v10.10: NIENTE resume dell'AudioContext su ogni gesto/foreground — riattivava
+// il ctx (e con lui il focus audio iOS) fermando Spotify a ogni tap e a ogni
+// rientro. Il resume avviene SOLO dentro AudioEngine.play, a ridosso del cue.
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) {
+    // iOS puo' revocare l'unlock degli elementi durante un'interruzione;
+    // ri-armiamo cosi' il primo gesto al ritorno rifa' l'unlock completo.
+    audioUnlocked = false;
+  } else {
+    try { if ('speechSynthesis' in window) speechSynthesis.resume(); } catch (e) {}
+  }
+});
+
+/* -------------------- Wake lock (keep the screen on) -------------------- */
+let wakeLock = null;
+let iosWakeLockVideo = null;
+
+/**
+ * Keep the screen on during a workout. Released by the OS when the page is
+ * hidden: call again when it comes back.
+ */
+export async function requestWakeLock() {
+  try {
+    if ('wakeLock' in navigator) {
+      wakeLock = await navigator.wakeLock.request('screen');
+    } else {
+      // iOS Safari before 16.4 has no Wake Lock API: a looping video keeps it awake
+      enableIOSScreenWakeLock();
+    }
+  } catch (err) {
+    console.error('❌ Failed to activate wake lock:', err);
+    enableIOSScreenWakeLock();
+  }
+}
+
+/**
+ * Let the screen turn off normally again
+ */
+export async function releaseWakeLock() {
+  if (wakeLock !== null) {
+    try {
+      await wakeLock.release();
+    } catch (err) {
+      console.error('❌ Failed to release wake lock:', err);
+    }
+    wakeLock = null;
+  }
+  disableIOSScreenWakeLock();
+}
+
+function enableIOSScreenWakeLock() {
+  if (!iosWakeLockVideo) {
+    iosWakeLockVideo = document.createElement('video');
+    iosWakeLockVideo.setAttribute('muted', '');
+    iosWakeLockVideo.setAttribute('playsinline', '');
+    iosWakeLockVideo.setAttribute('loop', '');
+    iosWakeLockVideo.style.cssText = 'position:fixed;opacity:0;width:1px;height:1px;pointer-events:none;';
+    // v10.1: WebKit rifiuta i data: URI sui media element (vedi SFX) — serve
+    // un file vero, precached dal SW.
+    iosWakeLockVideo.src = '../audio/wake.mp4';
+    document.body.appendChild(iosWakeLockVideo);
+  }
+  iosWakeLockVideo.play().catch(() => {});
+}
+
+function disableIOSScreenWakeLock() {
+  if (iosWakeLockVideo) {
+    iosWakeLockVideo.pause();
+    iosWakeLockVideo.currentTime = 0;
+  }
+}
+
+/* -------------------- The player -------------------- */
+
+/**
+ * A cue player for one page. Clips, modes and volume are the page's.
+ * @param {Object} options
+ * @param {function(string): string|null} options.clipUrl - clip key → URL, null if the bank lacks it
+ * @param {function(string): string|null} [options.resolveClip] - spoken text → clip key ("eleven" mode)
+ * @param {function(): string} options.getMode - 'eleven' | 'voice' | 'synth' | 'bip' | 'none'
+ * @param {function(): number} [options.getVolume] - 0..1
+ * @param {HTMLMediaElement[]} [options.unlockElements] - page elements to unlock with the rest
+ * @returns {{speak: function(string, string=): Promise, clip: function(string): Promise<boolean>,
+ *   clips: function(string[]): Promise<boolean>, flush: function(): void, stop: function(): void,
+ *   warm: function(string[]): Promise, beep: function(): void, transition: function(): void,
+ *   unlock: function(boolean=): void}}
+ */
+export function createCuePlayer({ clipUrl, resolveClip = () => null, getMode, getVolume = () => 1, unlockElements = [] }) {
+  unlockElements.forEach(el => unlockExtras.add(el));
+
+  // ── Serial audio queue: only one utterance plays at a time (prevents overlap,
+  //    e.g. "fai X ripetizioni" colliding with "mancano X secondi") ──
+  let chain = Promise.resolve();    // tail of the serial queue
+  let generation = 0;               // bump to invalidate utterances still queued
+
+  // Stale items (queued before a flush) are skipped; the chain continues even if
+  // a prior item rejected.
+  function enqueue(task) {
+    const gen = generation;
+    const run = () => (gen === generation ? task() : Promise.resolve(false));
+    chain = chain.then(run, run);
+    return chain;
+  }
+
+  async function playClipNow(key) {
+    const url = key ? clipUrl(key) : null;
+    if (!url) return false;
+    return playClipUrl(url, key, getVolume());
+  }
+
+  /* Router with automatic fallback: clip → cloud TTS → synth */
+  async function speakNow(text, lang) {
+    const mode = getMode();
+
+    // "eleven" mode: pre-recorded clip first, then Cloud TTS, then synth
+    if (mode === "eleven") {
+      const key = resolveClip((text || "").toLowerCase().trim());
+      if (key) {
+        try {
+          if (await playClipNow(key)) return;
+        } catch (err) {
+          console.warn(`⚠️ ElevenLabs failed for "${text}", trying fallback...`);
+        }
+      }
+    }
+
+    // "voice" mode: Cloud TTS only, then synth fallback (no clips)
+    if (mode === "eleven" || mode === "voice") {
+      try {
+        return await speakCloud(text, lang);
+      } catch (err) {
+        console.warn("⚠️ Cloud TTS failed, falling back to synth...");
+        try {
+          return await speakSynth(text, lang, getVolume());
+        } catch (synthErr) {
+          console.error("❌ All audio methods failed for:", text);
+        }
+      }
+    }
+
+    if (mode === "synth") return speakSynth(text, lang, getVolume());
+    // other modes (bip, none): no-op
+  }
+
+  // Drop every queued/active utterance (on pause and transitions, so stale cues
+  // don't play late on top of the next exercise or phase).
+  function flush() {
+    generation++;
+    chain = Promise.resolve();
+    if (activeAudioEl) {
+      try { activeAudioEl.pause(); activeAudioEl.currentTime = 0; } catch (e) {}
+      activeAudioEl = null;
+    }
+    // Buffer-engine cues too: stop() fires onended, which resolves their promise as a
+    // deliberate cancellation — same contract as the element path's pause handler.
+    try { AudioEngine.stopAll(); } catch (e) {}
+  }
+
+  return {
+    /* Say a phrase, queued. Resolves when it has been said (or dropped). */
+    speak: (text, lang = "it-IT") => enqueue(() => speakNow(text, lang)),
+    /* One clip by key, queued, whatever the mode. Resolves false if it could not
+       play, so the caller can speak() the phrase instead. */
+    clip: (key) => enqueue(() => playClipNow(key)),
+    /* Several clips back to back, queued together so nothing lands in between. */
+    clips: (keys) => Promise.all(keys.filter(Boolean).map(key => enqueue(() => playClipNow(key))))
+      .then(results => results.every(Boolean)),
+    flush,
+    /* flush() plus the voice element, the synth and the beeps. */
+    stop() {
+      try { ttsAudio.pause(); ttsAudio.currentTime = 0; } catch (e) {}
+      try { speechSynthesis.cancel(); } catch (e) {}
+      for (const id of ["beep-sound", "transition-sound"]) {
+        const el = document.getElementById(id);
+        if (el) { try { el.pause(); el.currentTime = 0; } catch (e) {} }
+      }
+      flush();
+    },
+    /* Pull clips into the cache ahead of time; keys in playback order. Fire-and-forget. */
+    warm: (keys) => warmClipCache(keys.map(key => ({ key, url: key ? clipUrl(key) : null }))),
+    beep: () => playSfx("beep-sound"),
+    transition: () => playSfx("transition-sound"),
+    unlock: unlockAudio,
+  };
+}
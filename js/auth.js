@@ -209,7 +209,7 @@ async function startLoginPreload(email) {
 async function preloadFoodDatabase() {
     try {
         // Check if already cached in sessionStorage
-        const cached = sessionStorage.getItem('viltrum_food_database');
+        const cached = sessionStorage.getItem('viltrum_food_database_v2');
         if (cached) {
             console.log('✅ Food database already cached');
             return;
@@ -224,7 +224,7 @@ async function preloadFoodDatabase() {
         const response = await fetch(base + 'food-database.json');
         if (response.ok) {
             const data = await response.json();
-            sessionStorage.setItem('viltrum_food_database', JSON.stringify(data));
+            sessionStorage.setItem('viltrum_food_database_v2', JSON.stringify(data));
             console.log('✅ Food database preloaded');
         } else {
             console.warn('⚠️ Food database HTTP ' + response.status);
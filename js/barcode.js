@@ -0,0 +1,205 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - BARCODE (EAN/UPC codes of packaged foods)
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// Every code is kept as EAN-13 (UPC-A gets its leading 0, UPC-E is expanded)
+// or EAN-8, with the check digit verified. Browsers without BarcodeDetector
+// read a few rows of the camera frame with decodeScanline: one row of
+// luminance, bars dark. It reads EAN-13 / UPC-A and EAN-8, either way round.
+// A product is { barcode, name, brand, per100g, serving: { grams, label } };
+// productToFood turns it into a food-search entry, so quantities and macros
+// go through quantityToGrams and NutritionEngine.calculateMacros like any food.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Widths of the 4 elements of each digit, first element light (L / right side)
+const L_CODES = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112'];
+// G codes are the L codes mirrored
+const G_CODES = L_CODES.map(c => c.split('').reverse().join(''));
+// Parity of the 6 left digits of an EAN-13 gives away its first digit
+const FIRST_DIGIT = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+const MAX_DIGIT_ERROR = 1.6; // in modules, over the 4 elements of a digit
+
+/**
+ * @param {string} digits - the code without its check digit
+ * @returns {number} GS1 check digit
+ */
+export function checkDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    sum += Number(digits[digits.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+// UPC-E keeps the zeros of a UPC-A out: put them back
+function expandUpcE(code) {
+  const [ns, d1, d2, d3, d4, d5, d6, check] = code;
+  let body;
+  if (d6 <= '2') body = d1 + d2 + d6 + '0000' + d3 + d4 + d5;
+  else if (d6 === '3') body = d1 + d2 + d3 + '00000' + d4 + d5;
+  else if (d6 === '4') body = d1 + d2 + d3 + d4 + '00000' + d5;
+  else body = d1 + d2 + d3 + d4 + d5 + '0000' + d6;
+  return ns + body + check;
+}
+
+/**
+ * One spelling per product, whatever read it
+ * @param {string|number} raw - as typed or scanned
+ * @param {string} [format] - BarcodeDetector format; 'upc_e' is expanded
+ * @returns {string|null} EAN-13 or EAN-8 with a valid check digit
+ */
+export function normalizeBarcode(raw, format) {
+  let code = String(raw ?? '').replace(/\D/g, '');
+  if (format === 'upc_e' && (code.length === 8 || code.length === 7)) {
+    code = expandUpcE(code.padStart(8, '0'));
+  }
+  if (code.length === 12) code = '0' + code; // UPC-A
+  if (code.length !== 13 && code.length !== 8) return null;
+  return checkDigit(code.slice(0, -1)) === Number(code.at(-1)) ? code : null;
+}
+
+// --- fallback decoder ---
+
+// [{ dark, width }] from a row of luminance; null when there is no contrast
+function toRuns(row) {
+  let min = 255, max = 0;
+  for (const v of row) { if (v < min) min = v; if (v > max) max = v; }
+  if (max - min < 40) return null;
+  const threshold = (min + max) / 2;
+
+  const runs = [];
+  for (const v of row) {
+    const dark = v < threshold;
+    const last = runs[runs.length - 1];
+    if (last && last.dark === dark) last.width++;
+    else runs.push({ dark, width: 1 });
+  }
+  return runs;
+}
+
+// The 4 runs of one digit against a code table: { digit, error } or null
+function matchDigit(runs, table) {
+  const total = runs.reduce((s, r) => s + r.width, 0);
+  let best = null;
+  table.forEach((code, digit) => {
+    let error = 0;
+    for (let k = 0; k < 4; k++) error += Math.abs((runs[k].width * 7) / total - Number(code[k]));
+    if (!best || error < best.error) best = { digit, error };
+  });
+  return best && best.error <= MAX_DIGIT_ERROR ? best : null;
+}
+
+// Guard bars are one module each
+function isGuard(runs, module) {
+  return runs.every(r => r.width >= module * 0.4 && r.width <= module * 2);
+}
+
+// Try a symbol of `digitsPerSide` digits per half starting at runs[i] (a bar)
+function decodeAt(runs, i, digitsPerSide) {
+  const count = 3 + digitsPerSide * 4 + 5 + digitsPerSide * 4 + 3;
+  if (i + count > runs.length) return null;
+  const modules = 3 + digitsPerSide * 7 + 5 + digitsPerSide * 7 + 3;
+  const symbol = runs.slice(i, i + count);
+  const module = symbol.reduce((s, r) => s + r.width, 0) / modules;
+
+  // Quiet zone: light before the start guard
+  if (i > 0 && runs[i - 1].width < module * 3) return null;
+  const middle = 3 + digitsPerSide * 4;
+  if (!isGuard(symbol.slice(0, 3), module) || !isGuard(symbol.slice(middle, middle + 5), module) ||
+      !isGuard(symbol.slice(-3), module)) return null;
+
+  let left = '', parity = '';
+  for (let d = 0; d < digitsPerSide; d++) {
+    const digitRuns = symbol.slice(3 + d * 4, 7 + d * 4);
+    const l = matchDigit(digitRuns, L_CODES);
+    const g = digitsPerSide === 6 ? matchDigit(digitRuns, G_CODES) : null;
+    if (!l && !g) return null;
+    const useG = g && (!l || g.error < l.error);
+    left += useG ? g.digit : l.digit;
+    parity += useG ? 'G' : 'L';
+  }
+  let right = '';
+  for (let d = 0; d < digitsPerSide; d++) {
+    const start = middle + 5 + d * 4;
+    const r = matchDigit(symbol.slice(start, start + 4), L_CODES);
+    if (!r) return null;
+    right += r.digit;
+  }
+
+  if (digitsPerSide === 4) return parity === 'LLLL' ? left + right : null;
+  const first = FIRST_DIGIT.indexOf(parity);
+  return first < 0 ? null : first + left + right;
+}
+
+function decodeRuns(runs) {
+  for (let i = 0; i < runs.length; i++) {
+    if (!runs[i].dark) continue;
+    for (const perSide of [6, 4]) {
+      const code = normalizeBarcode(decodeAt(runs, i, perSide));
+      if (code) return code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read an EAN-13 / UPC-A / EAN-8 across one row of pixels
+ * @param {ArrayLike<number>} row - luminance 0..255, left to right
+ * @returns {string|null} a normalized barcode
+ */
+export function decodeScanline(row) {
+  const runs = toRuns(row);
+  if (!runs) return null;
+  return decodeRuns(runs) || decodeRuns(runs.slice().reverse());
+}
+
+// --- products ---
+
+/**
+ * A product as any source returns it, checked and with numbers as numbers
+ * @param {Object} raw
+ * @returns {Object|null} null without a barcode, a name or kcal per 100 g
+ */
+export function normalizeProduct(raw) {
+  const barcode = normalizeBarcode(raw?.barcode);
+  const name = String(raw?.name ?? '').trim();
+  const num = (v) => {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(String(v).replace(',', '.'));
+    return Number.isFinite(n) && n >= 0 ? Math.round(n * 10) / 10 : null;
+  };
+  const per100g = {
+    kcal: num(raw?.per100g?.kcal),
+    protein: num(raw?.per100g?.protein) ?? 0,
+    carbs: num(raw?.per100g?.carbs) ?? 0,
+    fat: num(raw?.per100g?.fat) ?? 0,
+  };
+  if (!barcode || !name || per100g.kcal === null) return null;
+
+  const grams = num(raw?.serving?.grams);
+  return {
+    barcode,
+    name,
+    brand: String(raw?.brand ?? '').trim(),
+    per100g,
+    serving: grams > 0 ? { grams, label: String(raw.serving.label ?? '').trim() || `porzione (${grams} g)` } : null,
+  };
+}
+
+/**
+ * @param {Object} product - output of normalizeProduct
+ * @returns {Object} an entry shaped like buildFoodIndex's
+ */
+export function productToFood(product) {
+  const units = [{ key: 'g', label: 'g', grams: 1 }];
+  if (product.serving) units.push({ key: 'porzione', label: product.serving.label, grams: product.serving.grams });
+  return {
+    id: `ean_${product.barcode}`,
+    name: product.brand ? `${product.name} (${product.brand})` : product.name,
+    category: 'confezionati',
+    barcode: product.barcode,
+    per100g: product.per100g,
+    units,
+  };
+}
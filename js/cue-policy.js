@@ -0,0 +1,196 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - CUE POLICY (what the endurance page says, and when)
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// A policy is DEFAULT_CUE_POLICY with layers on top, later layers win:
+//   user (profile) -> run workout (CueProfile column of RunWorkouts)
+// A layer is { preset?, ...any policy field }. The coach writes it as text:
+//   "agonista; km=1; silenzio=0-10, 40-45; margine=5; correzioni=no"
+// Silence windows mute warnings, zone cues and status; phase starts still
+// play: they are the workout itself, not commentary on it.
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const DEFAULT_CUE_POLICY = Object.freeze({
+  zoneCues: true,               // "vai più forte" / "vai più piano"
+  paceMarginSec: 8,             // sec/km outside the band before it counts
+  hrMarginBpm: 3,               // bpm outside the band before it counts
+  graceSec: 15,                 // quiet window after a phase change
+  sustainSec: 10,               // must be off target this long
+  cooldownSec: 25,              // min gap between zone cues
+  distanceWarningsM: Object.freeze([500, 200, 100]), // "mancano N metri"
+  timeWarningsSec: Object.freeze([30, 10]),          // "mancano N secondi"
+  previewM: 200,                // with this warning, also say the next zone
+  previewSec: 10,
+  countdown: true,              // 5-4-3-2-1 at the end of timed phases
+  shortWarningM: 50,            // short distance phases: one beep here instead
+  statusEveryKm: 0,             // 0 = off
+  statusEveryMin: 0,
+  silence: Object.freeze([]),   // [{ fromMin, toMin }] of run time: no commentary
+});
+
+export const CUE_PRESETS = Object.freeze({
+  principiante: Object.freeze({
+    paceMarginSec: 15, hrMarginBpm: 5, graceSec: 30, sustainSec: 20, cooldownSec: 60,
+    distanceWarningsM: [200], timeWarningsSec: [30],
+  }),
+  standard: Object.freeze({}),
+  agonista: Object.freeze({
+    paceMarginSec: 5, hrMarginBpm: 2, sustainSec: 8, cooldownSec: 20, statusEveryKm: 1,
+  }),
+  essenziale: Object.freeze({
+    zoneCues: false, distanceWarningsM: [], timeWarningsSec: [],
+  }),
+});
+
+const COUNTDOWN_SEC = 5;
+
+// Coach-facing keys of the text form -> policy field and value parser
+const YES = /^(s[iì]|yes|on|1)$/i;
+const NO = /^(no|off|0)$/i;
+const num = (v) => {
+  const n = Number(String(v).replace(',', '.'));
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+};
+const bool = (v) => (YES.test(v) ? true : NO.test(v) ? false : undefined);
+const list = (v) => {
+  if (NO.test(v)) return [];
+  const out = String(v).split(/[,\s]+/).filter(Boolean).map(num);
+  return out.length && out.every(n => n !== undefined && n > 0) ? out : undefined;
+};
+const windows = (v) => {
+  if (NO.test(v)) return [];
+  const out = [];
+  for (const part of String(v).split(',')) {
+    const m = part.trim().match(/^(\d+(?:[.,]\d+)?)\s*-\s*(\d+(?:[.,]\d+)?)$/);
+    if (!m) return undefined;
+    const [fromMin, toMin] = [num(m[1]), num(m[2])];
+    if (!(toMin > fromMin)) return undefined;
+    out.push({ fromMin, toMin });
+  }
+  return out;
+};
+
+const SPEC_KEYS = {
+  km: ['statusEveryKm', num],
+  min: ['statusEveryMin', num],
+  silenzio: ['silence', windows],
+  margine: ['paceMarginSec', num],
+  'margine-fc': ['hrMarginBpm', num],
+  correzioni: ['zoneCues', bool],
+  metri: ['distanceWarningsM', list],
+  secondi: ['timeWarningsSec', list],
+  conto: ['countdown', bool],
+  attesa: ['graceSec', num],
+  pausa: ['cooldownSec', num],
+};
+
+/**
+ * Parse the text form (CueProfile column)
+ * @param {string} spec - "agonista; km=1; silenzio=0-10"
+ * @returns {Object} a layer for resolveCuePolicy; {} when empty. Unknown or
+ *   malformed parts are dropped, so a typo never silences a run
+ */
+export function parseCueSpec(spec) {
+  const layer = {};
+  for (const raw of String(spec ?? '').split(';')) {
+    const part = raw.trim();
+    if (!part) continue;
+    const eq = part.indexOf('=');
+    if (eq < 0) {
+      const preset = part.toLowerCase();
+      if (CUE_PRESETS[preset]) layer.preset = preset;
+      continue;
+    }
+    const entry = SPEC_KEYS[part.slice(0, eq).trim().toLowerCase()];
+    if (!entry) continue;
+    const value = entry[1](part.slice(eq + 1).trim());
+    if (value !== undefined) layer[entry[0]] = value;
+  }
+  return layer;
+}
+
+/**
+ * Default, then each layer's preset and fields, in order
+ * @param {...(Object|null)} layers
+ * @returns {Object} a full policy
+ */
+export function resolveCuePolicy(...layers) {
+  const policy = { ...DEFAULT_CUE_POLICY };
+  for (const layer of layers) {
+    if (!layer || typeof layer !== 'object') continue;
+    const { preset, ...fields } = layer;
+    if (preset && CUE_PRESETS[preset]) Object.assign(policy, CUE_PRESETS[preset]);
+    for (const [key, value] of Object.entries(fields)) {
+      if (key in DEFAULT_CUE_POLICY && value !== undefined && value !== null) policy[key] = value;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Is this moment of the run in a silence window?
+ * @param {Object} policy
+ * @param {number} elapsedMs - run time (pauses excluded)
+ * @returns {boolean}
+ */
+export function isSilenced(policy, elapsedMs) {
+  const min = elapsedMs / 60000;
+  return (policy.silence || []).some(w => min >= w.fromMin && min < w.toMin);
+}
+
+/**
+ * Warnings of a phase, smallest first. Timers and GPS are throttled (screen
+ * off), so a warning fires when its threshold has been crossed, not exactly on it.
+ * Thresholds at or past the phase length are dropped: "mancano 1000 metri"
+ * would fire as an 800 m rep starts.
+ * @param {Object} policy
+ * @param {'time'|'distance'} kind
+ * @param {boolean} short - short phases only get the countdown / one beep
+ * @param {number} [total] - length of the phase, sec or metres like the thresholds
+ * @returns {Array<{at: number, type: 'warning'|'preview'|'countdown'|'beep'}>}
+ */
+export function phaseWarnings(policy, kind, short, total = Infinity) {
+  const out = [];
+  if (kind === 'time') {
+    if (policy.countdown) out.push({ at: COUNTDOWN_SEC, type: 'countdown' });
+    if (!short) {
+      for (const at of policy.timeWarningsSec) out.push({ at, type: at === policy.previewSec ? 'preview' : 'warning' });
+    }
+  } else if (short) {
+    if (policy.shortWarningM > 0) out.push({ at: policy.shortWarningM, type: 'beep' });
+  } else {
+    for (const at of policy.distanceWarningsM) out.push({ at, type: at === policy.previewM ? 'preview' : 'warning' });
+  }
+  return out.filter(w => !(w.at >= total)).sort((a, b) => a.at - b.at);
+}
+
+/**
+ * The warning whose threshold `remaining` has just crossed
+ * @param {number} remaining - sec or metres left in the phase
+ * @param {Array<{at: number}>} warnings - output of phaseWarnings
+ * @returns {Object|null} the smallest threshold at or above `remaining`
+ */
+export function crossedWarning(remaining, warnings) {
+  if (!(remaining > 0)) return null;
+  return warnings.find(w => remaining <= w.at) || null;
+}
+
+/**
+ * Periodic status ("km 3, passo 5:12") due now?
+ * @param {Object} policy
+ * @param {{distanceM: number, movingMs: number}} counters
+ * @param {{km: number, min: number}} marks - counts already announced
+ * @returns {{type: 'km'|'min', count: number, at: number}|null}
+ *   count goes back into marks[type]; at = km or minutes run so far
+ */
+export function dueStatus(policy, counters, marks) {
+  if (policy.statusEveryKm > 0) {
+    const count = Math.floor(counters.distanceM / (policy.statusEveryKm * 1000));
+    if (count > marks.km) return { type: 'km', count, at: count * policy.statusEveryKm };
+  }
+  if (policy.statusEveryMin > 0) {
+    const count = Math.floor(counters.movingMs / (policy.statusEveryMin * 60000));
+    if (count > marks.min) return { type: 'min', count, at: count * policy.statusEveryMin };
+  }
+  return null;
+}
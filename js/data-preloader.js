@@ -12,6 +12,8 @@ const CACHE_KEY_USER = 'viltrum_user_info_v2';
 const CACHE_KEY_WORKOUTS = 'viltrum_workout_data_v2';
 const CACHE_MAX_AGE_USER = 24 * 60 * 60 * 1000;     // 24 hours — plan assignments rarely change
 const CACHE_MAX_AGE_WORKOUTS = 24 * 60 * 60 * 1000;  // 24 hours — workout definitions rarely change
+const CACHE_KEY_NUTRITION = 'viltrum_nutrition_plan_v1';
+const CACHE_MAX_AGE_NUTRITION = 6 * 60 * 60 * 1000;  // 6 hours — the coach revises plans at check-ins
 
 const DataPreloader = {
   _cache: {
@@ -20,6 +22,7 @@ const DataPreloader = {
     workouts: null,
     runWorkouts: null,
     userProgress: null,
+    nutritionPlan: null,   // coach-authored plan (NutritionPlans sheet), loaded on demand
     isLoaded: false,       // user info ready (dashboard can render)
     isLoading: false,
     workoutsReady: false,  // workout details ready (training can start)
@@ -365,12 +368,46 @@ const DataPreloader = {
     this._cache.workoutsReady = true;
   },
   
+  // ═══════════════════════════════════════════════════════════════════════════
+  // NUTRITION PLAN
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * The client's structured nutrition plan, as the coach wrote it.
+   * Only the nutrition page needs it, so it is not part of loadAll.
+   * Offline or on a server error a stale cache is still better than nothing.
+   * @param {string} email - cache key only; the server answers for the token owner
+   * @returns {Promise<Object|null>} null when the coach has not written one
+   */
+  async loadNutritionPlan(email) {
+    const userEmail = (email || '').toLowerCase();
+    const cached = this._loadCache(CACHE_KEY_NUTRITION, CACHE_MAX_AGE_NUTRITION, userEmail);
+    if (cached && !cached._isStale) {
+      this._cache.nutritionPlan = cached.plan || null;
+      return this._cache.nutritionPlan;
+    }
+
+    try {
+      const data = await apiPost('getNutritionPlan');
+      if (data.status !== 'success') throw new Error(data.message || 'Server error');
+      this._cache.nutritionPlan = data.plan || null;
+      this._saveCache(CACHE_KEY_NUTRITION, { plan: this._cache.nutritionPlan }, userEmail);
+    } catch (err) {
+      if (err instanceof AuthError) throw err;
+      console.warn('⚠️ getNutritionPlan failed:', err.message);
+      this._cache.nutritionPlan = cached?.plan || null;
+    }
+    return this._cache.nutritionPlan;
+  },
+
+  getNutritionPlan() { return this._cache.nutritionPlan; },
+
   // ═══════════════════════════════════════════════════════════════════════════
   // FOOD DATABASE
   // ═══════════════════════════════════════════════════════════════════════════
   
   async _preloadFoodDatabase() {
-    if (sessionStorage.getItem('viltrum_food_database')) return;
+    if (sessionStorage.getItem('viltrum_food_database_v2')) return;
     try {
       // Resolve the path rather than probing './' and eating a 404 on every page
       // under /pages/. The file lives at the site root.
@@ -378,7 +415,7 @@ const DataPreloader = {
       const response = await fetch(base + 'food-database.json');
       if (response.ok) {
         const data = await response.json();
-        sessionStorage.setItem('viltrum_food_database', JSON.stringify(data));
+        sessionStorage.setItem('viltrum_food_database_v2', JSON.stringify(data));
         console.log('✅ Food database preloaded');
         window.dispatchEvent(new CustomEvent('foodDatabaseReady'));
       }
@@ -613,11 +650,12 @@ const DataPreloader = {
   clearCache() {
     this._cache = {
       userData: null, plans: null, workouts: null, runWorkouts: null,
-      userProgress: null, isLoaded: false, isLoading: false,
+      userProgress: null, nutritionPlan: null, isLoaded: false, isLoading: false,
       workoutsReady: false, _workoutsLoading: false, fromCache: false
     };
     localStorage.removeItem(CACHE_KEY_USER);
     localStorage.removeItem(CACHE_KEY_WORKOUTS);
+    localStorage.removeItem(CACHE_KEY_NUTRITION);
     localStorage.removeItem('viltrum_user_cache');
     sessionStorage.removeItem('viltrum_session_data');
     sessionStorage.removeItem('viltrum_user_email');
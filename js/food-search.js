@@ -0,0 +1,152 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - FOOD SEARCH (every food of food-database.json, any unit)
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// The index flattens the five equivalents groups and the `foods` list into
+// one list of { id, name, category, per100g, units }. A food reaches the
+// conversion tables by key: `piece` -> pieceToGrams, `volume` ->
+// volumeToGrams, `cooked` -> rawToCooked. per100g is for the weight the food
+// is weighed at in the plan: raw for pasta and meat, cooked when isCooked.
+// Macros for a quantity come from NutritionEngine.calculateMacros(per100g, g).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SPOON_LABELS = {
+  cucchiaino_raso: 'cucchiaino raso',
+  cucchiaio_raso: 'cucchiaio raso',
+  cucchiaio_colmo: 'cucchiaio colmo',
+  bicchiere_200ml: 'bicchiere (200 ml)',
+};
+
+// Words that say nothing about the food: "petto di pollo" = "petto pollo"
+const STOP_WORDS = new Set(['di', 'del', 'della', 'dei', 'delle', 'd', 'al', 'alla', 'allo', 'e', 'con', 'in', 'la', 'il']);
+
+/**
+ * Lower case, no accents, words split on anything that is not a letter/digit
+ * @param {string} text
+ * @returns {string} "Caffè d'orzo" -> "caffe d orzo"
+ */
+export function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function foodUnits(food, conversions) {
+  const units = [{ key: 'g', label: 'g', grams: 1 }];
+
+  const piece = conversions?.pieceToGrams?.[food.piece];
+  if (piece?.unitWeight > 0) {
+    units.push({ key: 'pezzi', label: `pz (${piece.description.replace(/^1\s+/, '')})`, grams: piece.unitWeight });
+  }
+
+  if (food.volume) {
+    for (const [spoon, table] of Object.entries(conversions?.volumeToGrams || {})) {
+      if (table[food.volume] > 0) units.push({ key: spoon, label: SPOON_LABELS[spoon] || spoon.replace(/_/g, ' '), grams: table[food.volume] });
+    }
+  }
+
+  // Weighed the other way round from the plan: cooked pasta, raw legumes
+  const cooked = conversions?.rawToCooked?.[food.cooked];
+  if (cooked && cooked.multiplier !== 1) {
+    units.push(food.isCooked
+      ? { key: 'crudo', label: 'g crudi', grams: cooked.multiplier }
+      : { key: 'cotto', label: 'g cotti', grams: cooked.reverse });
+  }
+  return units;
+}
+
+/**
+ * One searchable list out of the database
+ * @param {Object} db - food-database.json
+ * @returns {Array<Object>} foods, equivalents first; a repeated id keeps the first
+ */
+export function buildFoodIndex(db) {
+  const out = [];
+  const seen = new Set();
+  const add = (food, category) => {
+    if (!food?.id || !food.per100g || seen.has(food.id)) return;
+    seen.add(food.id);
+    const entry = {
+      ...food,
+      category,
+      units: foodUnits(food, db?.conversions),
+      _words: normalizeText([food.name, food.id, ...(food.aliases || []), category].join(' ')).split(' '),
+    };
+    out.push(entry);
+  };
+
+  for (const [group, data] of Object.entries(db?.equivalents || {})) {
+    for (const food of data.alternatives || []) add(food, group.split('_')[0]);
+  }
+  for (const food of db?.foods || []) add(food, food.category || 'altro');
+  return out;
+}
+
+// Levenshtein, enough for one word against another
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// How well one query word matches the best word of a food; 0 = not at all
+function wordScore(q, words) {
+  let best = 0;
+  const typos = q.length >= 7 ? 2 : q.length >= 4 ? 1 : 0;
+  for (const w of words) {
+    if (w === q) return 4;
+    if (w.startsWith(q)) best = Math.max(best, 3);
+    else if (w.includes(q)) best = Math.max(best, 2);
+    else if (typos && (editDistance(q, w) <= typos || editDistance(q, w.slice(0, q.length)) <= typos)) best = Math.max(best, 1);
+  }
+  return best;
+}
+
+/**
+ * Every query word must match a word of the food, exactly, as a prefix, inside
+ * a word or with a typo or two (longer words allow more)
+ * @param {Array<Object>} index - output of buildFoodIndex
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {Array<Object>} best first
+ */
+export function searchFoods(index, query, limit = 20) {
+  const terms = normalizeText(query).split(' ').filter(t => t && !STOP_WORDS.has(t));
+  if (!terms.length) return [];
+
+  const hits = [];
+  for (const food of index || []) {
+    let score = 0;
+    for (const t of terms) {
+      const s = wordScore(t, food._words);
+      if (!s) { score = 0; break; }
+      score += s;
+    }
+    if (score) hits.push({ food, score });
+  }
+  return hits
+    .sort((a, b) => b.score - a.score || a.food.name.length - b.food.name.length || a.food.name.localeCompare(b.food.name))
+    .slice(0, limit)
+    .map(h => h.food);
+}
+
+/**
+ * @param {Object} food - an index entry
+ * @param {number|string} qty - "1,5" is accepted
+ * @param {string} unitKey - one of food.units
+ * @returns {number|null} grams, at the weight per100g refers to
+ */
+export function quantityToGrams(food, qty, unitKey) {
+  const unit = food?.units?.find(u => u.key === unitKey);
+  const n = Number(String(qty ?? '').replace(',', '.'));
+  if (!unit || !(n > 0)) return null;
+  return Math.round(n * unit.grams);
+}
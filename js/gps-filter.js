@@ -0,0 +1,269 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - GPS PACE FILTER
+// Pure logic. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// Turns raw geolocation fixes into distance, live pace and a moving/stopped
+// state a runner can trust. Per fix:
+//   1. drop fixes that are too vague (accuracy) or out of order (time)
+//   2. constant-velocity Kalman filter per axis in local metres, measurement
+//      noise = the fix's own accuracy, so a 30 m fix barely moves the estimate;
+//      the Doppler speed some devices report (coords.speed) is fused too, and
+//      is what makes a sudden stop show up in a second or two
+//   3. gate outliers on the innovation (a 40 m jump at a traffic light is
+//      rejected; several in a row means we really moved: re-seed there)
+//   4. stationary detection with hysteresis on the filtered speed: no
+//      distance and no pace while standing, so drift never reads as running
+//   5. auto-pause once stopped for autoPauseMs, lifted on moving again
+// Pace is reported only while moving and after a short warm-up.
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const DEFAULT_GPS_FILTER_OPTIONS = Object.freeze({
+  maxAccuracyM: 35,        // fixes vaguer than this are ignored
+  accelNoise: 0.2,         // process noise, (m/s²)²: how quickly pace may change
+  dopplerSdMps: 0.4,       // trust in coords.speed, when the device has it
+  gateChi2: 13.8,          // 2-dof chi-square at 99.9%: beyond this it's an outlier
+  maxConsecutiveRejects: 4, // then trust the new position and re-seed
+  maxSpeedMps: 8,          // ~2:05 /km; anything faster is not a runner
+  startSpeedMps: 1,        // moving again above this (~16:40 /km)...
+  startFixes: 3,           // ...for this many fixes in a row
+  stopSpeedMps: 0.5,       // stopped below this
+  minStepM: 5,             // distance accrues in steps of at least this (zigzag)
+  warmupMs: 5000,          // no pace during the first seconds of a (re)start
+  autoPauseMs: 6000,       // stopped this long = auto-pause
+  maxGapMs: 30000,         // longer silence: re-seed instead of predicting across it
+});
+
+const M_PER_DEG = 6371000 * Math.PI / 180;
+
+/**
+ * A stateful filter for one run
+ * @param {Object} [overrides] - Fields of DEFAULT_GPS_FILTER_OPTIONS
+ * @returns {{push: function(Object): Object, reset: function(): void, state: function(): Object}}
+ *   push({lat, lon, accuracy, t}) → {accepted, reason, lat, lon, stepM, distanceM,
+ *   speedMps, paceSec, moving, autoPaused, movingMs}
+ */
+export function createGpsFilter(overrides = {}) {
+  const opt = { ...DEFAULT_GPS_FILTER_OPTIONS, ...overrides };
+  let s;
+
+  function reset() {
+    s = {
+      origin: null,     // {lat, lon, cosLat} of the local metre grid
+      x: null, y: null, // per-axis Kalman state { p, v, P: [p00, p01, p10, p11] }
+      lastT: null,
+      rejects: 0,
+      anchor: null,     // {e, n} where distance last accrued (or where we stopped)
+      fast: 0,          // consecutive fixes above startSpeedMps
+      moving: false,
+      movingSince: null,
+      stoppedSince: null,
+      autoPaused: false,
+      distanceM: 0,
+      movingMs: 0,
+    };
+  }
+  reset();
+
+  const toLocal = (lat, lon) => ({
+    e: (lon - s.origin.lon) * M_PER_DEG * s.origin.cosLat,
+    n: (lat - s.origin.lat) * M_PER_DEG,
+  });
+  const toLatLon = (e, n) => ({
+    lat: s.origin.lat + n / M_PER_DEG,
+    lon: s.origin.lon + e / (M_PER_DEG * s.origin.cosLat),
+  });
+
+  function seed(lat, lon, accuracy, t) {
+    if (!s.origin) s.origin = { lat, lon, cosLat: Math.cos(lat * Math.PI / 180) };
+    const { e, n } = toLocal(lat, lon);
+    const r = accuracy * accuracy;
+    s.x = { p: e, v: 0, P: [r, 0, 0, 4] };
+    s.y = { p: n, v: 0, P: [r, 0, 0, 4] };
+    s.lastT = t;
+    s.rejects = 0;
+    s.fast = 0;
+    s.anchor = { e, n };
+  }
+
+  function predict(k, dt) {
+    const q = opt.accelNoise;
+    const [a, b, c, d] = k.P;
+    const p00 = a + dt * (b + c) + dt * dt * d + q * dt ** 4 / 4;
+    const p01 = b + dt * d + q * dt ** 3 / 2;
+    const p10 = c + dt * d + q * dt ** 3 / 2;
+    const p11 = d + q * dt * dt;
+    return { p: k.p + k.v * dt, v: k.v, P: [p00, p01, p10, p11] };
+  }
+
+  function update(k, z, r) {
+    const [a, b, c, d] = k.P;
+    const S = a + r;
+    const k0 = a / S;
+    const k1 = c / S;
+    const y = z - k.p;
+    return { p: k.p + k0 * y, v: k.v + k1 * y, P: [(1 - k0) * a, (1 - k0) * b, c - k1 * a, d - k1 * b] };
+  }
+
+  // Velocity measurement on one axis
+  function updateVelocity(k, z, r) {
+    const [a, b, c, d] = k.P;
+    const S = d + r;
+    const k0 = b / S;
+    const k1 = d / S;
+    const y = z - k.v;
+    return { p: k.p + k0 * y, v: k.v + k1 * y, P: [a - k0 * c, b - k0 * d, (1 - k1) * c, (1 - k1) * d] };
+  }
+
+  function output(accepted, reason, stepM = 0) {
+    const speed = s.x ? Math.hypot(s.x.v, s.y.v) : 0;
+    const pos = s.x ? toLatLon(s.x.p, s.y.p) : { lat: null, lon: null };
+    const warm = s.moving && s.movingSince !== null && s.lastT - s.movingSince >= opt.warmupMs;
+    return {
+      accepted,
+      reason,
+      lat: pos.lat,
+      lon: pos.lon,
+      stepM,
+      distanceM: s.distanceM,
+      speedMps: speed,
+      paceSec: warm && speed > 0 ? Math.round(1000 / speed) : null,
+      moving: s.moving,
+      autoPaused: s.autoPaused,
+      movingMs: s.movingMs,
+    };
+  }
+
+  function push(fix) {
+    const lat = Number(fix && fix.lat);
+    const lon = Number(fix && fix.lon);
+    const t = Number(fix && fix.t);
+    const accuracy = Number(fix && fix.accuracy) > 0 ? Number(fix.accuracy) : opt.maxAccuracyM;
+    const doppler = fix && fix.speed !== null && fix.speed !== undefined && Number(fix.speed) >= 0 ? Number(fix.speed) : null;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || !Number.isFinite(t)) return output(false, 'invalid');
+    if (accuracy > opt.maxAccuracyM) return output(false, 'accuracy');
+
+    if (!s.x) {
+      seed(lat, lon, accuracy, t);
+      s.stoppedSince = t;
+      return output(true, null);
+    }
+
+    const dt = (t - s.lastT) / 1000;
+    if (dt <= 0) return output(false, 'time');
+    if (dt * 1000 > opt.maxGapMs) {
+      seed(lat, lon, accuracy, t);
+      s.moving = false;
+      s.movingSince = null;
+      s.stoppedSince = t;
+      return output(true, 'gap');
+    }
+
+    const px = predict(s.x, dt);
+    const py = predict(s.y, dt);
+    const { e, n } = toLocal(lat, lon);
+    const r = accuracy * accuracy;
+    const ix = e - px.p;
+    const iy = n - py.p;
+    const chi2 = (ix * ix) / (px.P[0] + r) + (iy * iy) / (py.P[0] + r);
+    const jumpMps = Math.hypot(ix, iy) / dt;
+
+    if (chi2 > opt.gateChi2 && jumpMps > opt.stopSpeedMps) {
+      s.rejects++;
+      if (s.rejects < opt.maxConsecutiveRejects) return output(false, 'outlier');
+      // Consistently somewhere else: it's us that moved (tunnel, cold start)
+      seed(lat, lon, accuracy, t);
+      s.moving = false;
+      s.movingSince = null;
+      s.stoppedSince = t;
+      return output(true, 'reseed');
+    }
+    s.rejects = 0;
+
+    s.x = update(px, e, r);
+    s.y = update(py, n, r);
+    // Speed only, no heading: keep the filter's direction, correct the magnitude.
+    // Still no direction to speak of (just started): wait for the positions.
+    const v0 = Math.hypot(s.x.v, s.y.v);
+    if (doppler !== null && (doppler < opt.stopSpeedMps || v0 >= opt.stopSpeedMps)) {
+      const f = doppler < opt.stopSpeedMps ? 0 : doppler / v0;
+      const rv = opt.dopplerSdMps ** 2;
+      s.x = updateVelocity(s.x, s.x.v * f, rv);
+      s.y = updateVelocity(s.y, s.y.v * f, rv);
+    }
+
+    // A runner can't exceed maxSpeedMps: clamp the velocity, not the position
+    const speed = Math.hypot(s.x.v, s.y.v);
+    if (speed > opt.maxSpeedMps) {
+      const f = opt.maxSpeedMps / speed;
+      s.x.v *= f;
+      s.y.v *= f;
+    }
+
+    const v = Math.min(speed, opt.maxSpeedMps);
+    // Moving = fast enough, and faster than the filter's own velocity uncertainty
+    // (right after a (re)seed the estimate is still mostly noise)
+    const sure = v * v > 4 * (s.x.P[3] + s.y.P[3]);
+    s.fast = v >= opt.startSpeedMps && sure ? s.fast + 1 : 0;
+    if (!s.moving && s.fast >= opt.startFixes) {
+      // Distance since the stop accrues below: credit the time it took, at today's speed
+      const sinceStopM = Math.hypot(s.x.p - s.anchor.e, s.y.p - s.anchor.n);
+      s.movingMs += Math.min(t - s.stoppedSince, (sinceStopM / v) * 1000);
+      s.moving = true;
+      s.movingSince = t;
+      s.stoppedSince = null;
+      s.autoPaused = false;
+    } else if (s.moving && v < opt.stopSpeedMps) {
+      s.moving = false;
+      s.movingSince = null;
+      s.stoppedSince = t;
+      s.anchor = { e: s.x.p, n: s.y.p };
+    }
+    if (!s.moving && s.stoppedSince !== null && t - s.stoppedSince >= opt.autoPauseMs) s.autoPaused = true;
+
+    let stepM = 0;
+    if (s.moving) {
+      const d = Math.hypot(s.x.p - s.anchor.e, s.y.p - s.anchor.n);
+      if (d >= opt.minStepM) {
+        stepM = d;
+        s.distanceM += d;
+        s.anchor = { e: s.x.p, n: s.y.p };
+      }
+      s.movingMs += dt * 1000;
+    }
+    s.lastT = t;
+    return output(true, null, stepM);
+  }
+
+  return {
+    push,
+    reset,
+    state: () => ({ distanceM: s.distanceM, movingMs: s.movingMs, moving: s.moving, autoPaused: s.autoPaused }),
+  };
+}
+
+/**
+ * Average pace over moving time (stops at lights don't count)
+ * @param {number} distanceM
+ * @param {number} movingMs
+ * @returns {number|null} sec/km, null under 100 m
+ */
+export function averagePaceSec(distanceM, movingMs) {
+  if (!(distanceM >= 100) || !(movingMs > 0)) return null;
+  return Math.round((movingMs / 1000) / (distanceM / 1000));
+}
+
+/**
+ * Filter options for the runner's auto-pause settings
+ * @param {{speedKmh?: number, delaySec?: number}} [settings] - stopped below speedKmh for delaySec
+ * @returns {{stopSpeedMps: number, startSpeedMps: number, autoPauseMs: number}}
+ *   moving again needs a clear margin above the threshold, or a slow walk would flap
+ */
+export function autoPauseOptions({ speedKmh, delaySec } = {}) {
+  const stop = Number(speedKmh) > 0 ? Number(speedKmh) / 3.6 : DEFAULT_GPS_FILTER_OPTIONS.stopSpeedMps;
+  const delay = Number(delaySec) > 0 ? Number(delaySec) * 1000 : DEFAULT_GPS_FILTER_OPTIONS.autoPauseMs;
+  return {
+    stopSpeedMps: stop,
+    startSpeedMps: Math.max(DEFAULT_GPS_FILTER_OPTIONS.startSpeedMps, stop * 1.3),
+    autoPauseMs: delay,
+  };
+}
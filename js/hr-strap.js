@@ -0,0 +1,79 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - HEART RATE STRAP (Web Bluetooth)
+//
+// Connects to any chest strap / armband exposing the standard Heart Rate
+// Service (0x180D) and streams its readings. Decoding lives in hr-zones.js.
+//
+// Web Bluetooth: Chrome on Android and desktop. Not on iOS Safari — callers
+// check isHeartRateStrapSupported() and hide the button.
+// requestDevice() must run inside a user gesture (tap), never on page load.
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { parseHeartRateMeasurement } from './hr-zones.js';
+
+// Straps drop the link when the runner's arm covers the phone: try to come back
+const RECONNECT_ATTEMPTS = 3;
+const RECONNECT_DELAY_MS = 2000;
+
+/**
+ * @returns {boolean}
+ */
+export function isHeartRateStrapSupported() {
+  return typeof navigator !== 'undefined' && !!navigator.bluetooth;
+}
+
+/**
+ * Pick a strap (browser chooser) and start streaming.
+ * @param {Object} handlers
+ * @param {function({bpm: number, contact: boolean|null, rrMs: number[]}): void} handlers.onReading
+ * @param {function('reconnecting'|'connected'|'lost'): void} [handlers.onStatus]
+ * @returns {Promise<{name: string, disconnect: function(): void}>}
+ *   rejects when the runner closes the chooser (NotFoundError) or the strap refuses
+ */
+export async function connectHeartRateStrap({ onReading, onStatus = () => {} }) {
+  const device = await navigator.bluetooth.requestDevice({
+    filters: [{ services: ['heart_rate'] }]
+  });
+  let closing = false;
+
+  const onValue = (event) => {
+    const reading = parseHeartRateMeasurement(event.target.value);
+    if (reading && reading.bpm > 0 && reading.contact !== false) onReading(reading);
+  };
+
+  async function subscribe() {
+    const server = await device.gatt.connect();
+    const service = await server.getPrimaryService('heart_rate');
+    const characteristic = await service.getCharacteristic('heart_rate_measurement');
+    characteristic.addEventListener('characteristicvaluechanged', onValue);
+    await characteristic.startNotifications();
+  }
+
+  device.addEventListener('gattserverdisconnected', async () => {
+    if (closing) return;
+    onStatus('reconnecting');
+    for (let i = 0; i < RECONNECT_ATTEMPTS; i++) {
+      await new Promise(r => setTimeout(r, RECONNECT_DELAY_MS));
+      if (closing) return;
+      try {
+        await subscribe();
+        onStatus('connected');
+        return;
+      } catch (e) {
+        console.warn('[HR strap] Reconnect failed:', e);
+      }
+    }
+    onStatus('lost');
+  });
+
+  await subscribe();
+  onStatus('connected');
+
+  return {
+    name: device.name || 'Fascia cardio',
+    disconnect() {
+      closing = true;
+      try { device.gatt.disconnect(); } catch (e) {}
+    }
+  };
+}
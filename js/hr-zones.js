@@ -0,0 +1,104 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - HEART RATE ZONES (Joe Friel running HR zones)
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// Anchor: Lactate Threshold Heart Rate (LTHR) in bpm.
+// Friel running HR zones (% of LTHR) with 5a/5b/5c merged into Z5, snapped
+// contiguous so every heart rate classifies into exactly one zone:
+//   Z1 below 85%   Z2 85-89%   Z3 90-94%   Z4 95-99%   Z5 from 100%
+// Same zone numbers as pace-zones.js: a phase's `zone` works with either anchor.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Low edge of each zone, as a fraction of LTHR. Z1 has no low bound; Z5 no high bound.
+const ZONE_LOW_EDGE = {
+  1: 0,
+  2: 0.85,
+  3: 0.90,
+  4: 0.95,
+  5: 1.00,
+};
+
+// Plausible LTHR for a runner; outside this it's a typo
+export const LTHR_MIN_BPM = 100;
+export const LTHR_MAX_BPM = 220;
+
+/**
+ * Compute the 5 contiguous HR bands from a threshold heart rate.
+ * @param {number} lthr - LTHR in bpm
+ * @returns {Array<{zone:number,minBpm:number,maxBpm:number}>|null}
+ *          minBpm inclusive, maxBpm exclusive (= next zone's minBpm).
+ *          null when lthr is not a positive finite number.
+ */
+export function hrZoneBands(lthr) {
+  const t = Number(lthr);
+  if (!Number.isFinite(t) || t <= 0) return null;
+
+  const edge = (z) => Math.round(ZONE_LOW_EDGE[z] * t);
+
+  return [
+    { zone: 1, minBpm: 0, maxBpm: edge(2) },
+    { zone: 2, minBpm: edge(2), maxBpm: edge(3) },
+    { zone: 3, minBpm: edge(3), maxBpm: edge(4) },
+    { zone: 4, minBpm: edge(4), maxBpm: edge(5) },
+    { zone: 5, minBpm: edge(5), maxBpm: Infinity },
+  ];
+}
+
+/**
+ * Which zone a heart rate falls in. On a boundary the higher zone wins
+ * (exactly LTHR -> Z5), like pace-zones.js.
+ * @param {number} bpm
+ * @param {Array|null} bands - output of hrZoneBands
+ * @returns {number|null} zone 1..5, or null on bad input
+ */
+export function classifyHr(bpm, bands) {
+  if (!Array.isArray(bands) || bpm === null || bpm === undefined) return null;
+  const b = Number(bpm);
+  if (!Number.isFinite(b) || b <= 0) return null;
+  for (let zone = 5; zone >= 1; zone--) {
+    const band = bands.find((x) => x.zone === zone);
+    if (band && b >= band.minBpm) return zone;
+  }
+  return 1;
+}
+
+/**
+ * @param {string|number} value - "168" or 168
+ * @returns {number|null} bpm, or null if not a plausible LTHR
+ */
+export function parseLthr(value) {
+  const s = String(value ?? '').trim();
+  if (!/^\d{2,3}$/.test(s)) return null;
+  const n = parseInt(s, 10);
+  return n >= LTHR_MIN_BPM && n <= LTHR_MAX_BPM ? n : null;
+}
+
+/**
+ * Decode a Heart Rate Measurement (Bluetooth GATT characteristic 0x2A37, the
+ * standard Heart Rate Service every chest strap speaks).
+ *   byte 0 flags: bit 0 = 16-bit value, bits 1-2 = contact supported/detected,
+ *                 bit 3 = energy expended present, bit 4 = RR intervals present
+ * @param {DataView} view
+ * @returns {{bpm: number, contact: boolean|null, rrMs: number[]}|null}
+ *   contact null when the strap doesn't report it; null on a malformed packet
+ */
+export function parseHeartRateMeasurement(view) {
+  if (!view || view.byteLength < 2) return null;
+  const flags = view.getUint8(0);
+  const wide = (flags & 0x01) !== 0;
+  if (wide && view.byteLength < 3) return null;
+  let offset = 1;
+  const bpm = wide ? view.getUint16(offset, true) : view.getUint8(offset);
+  offset += wide ? 2 : 1;
+
+  const contact = (flags & 0x04) !== 0 ? (flags & 0x02) !== 0 : null;
+  if (flags & 0x08) offset += 2; // energy expended, kJ
+
+  const rrMs = [];
+  if (flags & 0x10) {
+    for (; offset + 1 < view.byteLength; offset += 2) {
+      rrMs.push(Math.round((view.getUint16(offset, true) / 1024) * 1000));
+    }
+  }
+  return { bpm, contact, rrMs };
+}
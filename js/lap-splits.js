@@ -0,0 +1,69 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - LAP SPLITS (per km / manual laps)
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// Splits on the filtered, moving-only counters of gps-filter.js, so a stop at
+// a crossing adds neither distance nor time to the km it happens in.
+// A sample is { t, distanceM, movingMs }: cumulative since the start of the run.
+//   - kmSplits: one split every `every` metres, plus the partial one at the end
+//   - lapSplits: between the presses of the lap button
+// Every split is { n, distanceM, movingSec, paceSec } (paceSec sec/km).
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Under this a split has no meaningful pace
+const MIN_PACE_DISTANCE_M = 50;
+
+function split(n, distanceM, movingMs) {
+  const movingSec = Math.round(movingMs / 1000);
+  return {
+    n,
+    distanceM: Math.round(distanceM),
+    movingSec,
+    paceSec: distanceM >= MIN_PACE_DISTANCE_M && movingMs > 0 ? Math.round((movingMs / 1000) / (distanceM / 1000)) : null,
+  };
+}
+
+/**
+ * Splits every `every` metres (default 1 km)
+ * @param {Array<{distanceM: number, movingMs: number}>} samples - in time order
+ * @param {{every?: number}} [options]
+ * @returns {Array<{n: number, distanceM: number, movingSec: number, paceSec: number|null, partial: boolean}>}
+ *   The last split is partial (shorter than `every`) when the run didn't end on a boundary
+ */
+export function kmSplits(samples, { every = 1000 } = {}) {
+  const out = [];
+  let from = { distanceM: 0, movingMs: 0 };
+  let prev = from;
+  for (const s of samples || []) {
+    // A sample may cross more than one boundary (after a GPS gap): interpolate each
+    while (s.distanceM >= (out.length + 1) * every && s.distanceM > prev.distanceM) {
+      const at = (out.length + 1) * every;
+      const f = (at - prev.distanceM) / (s.distanceM - prev.distanceM);
+      const movingMs = prev.movingMs + f * (s.movingMs - prev.movingMs);
+      out.push({ ...split(out.length + 1, at - from.distanceM, movingMs - from.movingMs), partial: false });
+      from = { distanceM: at, movingMs };
+    }
+    prev = s;
+  }
+  const restM = prev.distanceM - from.distanceM;
+  if (restM >= 1) out.push({ ...split(out.length + 1, restM, prev.movingMs - from.movingMs), partial: true });
+  return out;
+}
+
+/**
+ * Splits between lap-button presses
+ * @param {Array<{distanceM: number, movingMs: number}>} marks - the counters at each press
+ * @param {{distanceM: number, movingMs: number}} [end] - the counters at the end; opens the last lap
+ * @returns {Array<{n: number, distanceM: number, movingSec: number, paceSec: number|null}>}
+ */
+export function lapSplits(marks, end) {
+  const bounds = [{ distanceM: 0, movingMs: 0 }, ...(marks || [])];
+  if (end && (end.distanceM > bounds[bounds.length - 1].distanceM || end.movingMs > bounds[bounds.length - 1].movingMs)) {
+    bounds.push(end);
+  }
+  const out = [];
+  for (let i = 1; i < bounds.length; i++) {
+    out.push(split(i, bounds[i].distanceM - bounds[i - 1].distanceM, bounds[i].movingMs - bounds[i - 1].movingMs));
+  }
+  return out;
+}
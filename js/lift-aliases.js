@@ -0,0 +1,166 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - LIFT ALIASES
+// Pure lookup. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// The one table that says which max a name refers to: "70% BackSquat" in a
+// sheet's tipoDiPeso, the exercise name of a logged set, or an exercise whose
+// sheet load is a bare "75%". The seven built-in lifts plus the custom lifts
+// a user adds in "I Miei Massimali" (profile-manager.js stores them).
+//
+// Names are compared lowercased, with hyphens/underscores as spaces and
+// single spaces; each alias also matches with its spaces removed, so
+// "BackSquat" and "back squat" are the same lift.
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const BUILTIN_LIFTS = [
+  { id: 'front_squat', label: 'Front Squat', aliases: ['front squat'] },
+  { id: 'back_squat', label: 'Back Squat', aliases: ['back squat', 'squat'] },
+  { id: 'deadlift', label: 'Deadlift', aliases: ['deadlift', 'stacco'] },
+  { id: 'sumo_deadlift', label: 'Sumo Deadlift', aliases: ['sumo deadlift', 'sumo', 'stacco sumo'] },
+  { id: 'bench_press', label: 'Panca Piana', aliases: ['bench press', 'bench', 'panca', 'panca piana'] },
+  { id: 'strict_press', label: 'Strict Press', aliases: ['strict press', 'military press', 'overhead press', 'ohp', 'lento avanti'] },
+  { id: 'push_press', label: 'Push Press', aliases: ['push press'] }
+];
+
+export const CUSTOM_LIFT_PREFIX = 'custom_';
+export const MAX_CUSTOM_LIFTS = 20;
+
+// A percentage of a barbell max says nothing about a dumbbell or kettlebell
+const NON_BARBELL = /\b(dumbbell|dumbbells|manubri|manubrio|kettlebell|kb)\b/;
+
+/**
+ * Canonical form of a lift name: "Back-Squat " -> "back squat"
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeLiftName(name) {
+  return (name ?? '').toString().toLowerCase().replace(/[-_]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+const compact = (key) => key.replace(/ /g, '');
+
+/**
+ * Every lift, built-ins first
+ * @param {Array} [customLifts] - [{ id, label, aliases }]
+ * @returns {Array<{id: string, label: string, aliases: string[], custom: boolean}>}
+ */
+export function allLifts(customLifts = []) {
+  return [
+    ...BUILTIN_LIFTS.map(l => ({ ...l, custom: false })),
+    ...(Array.isArray(customLifts) ? customLifts : [])
+      .filter(l => l && l.id && l.label && !BUILTIN_LIFTS.some(b => b.id === l.id))
+      .map(l => ({ id: l.id, label: l.label, aliases: Array.isArray(l.aliases) ? l.aliases : [], custom: true }))
+  ];
+}
+
+/**
+ * Alias -> lift id, label and aliases included. The first lift to claim a
+ * name keeps it, so a custom lift can never redefine "squat".
+ * @param {Array} [customLifts]
+ * @returns {Map<string, string>}
+ */
+export function buildAliasTable(customLifts = []) {
+  const table = new Map();
+  allLifts(customLifts).forEach(lift => {
+    [lift.label, ...lift.aliases].map(normalizeLiftName).filter(Boolean).forEach(key => {
+      if (!table.has(key)) table.set(key, lift.id);
+      if (!table.has(compact(key))) table.set(compact(key), lift.id);
+    });
+  });
+  return table;
+}
+
+/**
+ * Lift id for an explicit reference: "BackSquat", "panca piana", "OHP",
+ * "Hip Thrust". Exact alias matches only.
+ * @param {string} reference
+ * @param {Array} [customLifts]
+ * @returns {string|null}
+ */
+export function resolveLiftId(reference, customLifts = []) {
+  const key = normalizeLiftName(reference);
+  if (!key) return null;
+  const table = buildAliasTable(customLifts);
+  return table.get(key) || table.get(compact(key)) || null;
+}
+
+/**
+ * Lift id an exercise name trains, for a sheet load that is only "75%".
+ * An exact alias wins; otherwise the longest alias found as whole words in
+ * the name ("Pause Front Squat" -> front_squat, not back_squat). Dumbbell
+ * and kettlebell variants never resolve.
+ * @param {string} name - Exercise name
+ * @param {Array} [customLifts]
+ * @returns {string|null}
+ */
+export function liftIdForExercise(name, customLifts = []) {
+  const key = normalizeLiftName(name);
+  if (!key || NON_BARBELL.test(key)) return null;
+  const table = buildAliasTable(customLifts);
+  const exact = table.get(key) || table.get(compact(key));
+  if (exact) return exact;
+
+  const padded = ` ${key} `;
+  let best = null;
+  table.forEach((id, alias) => {
+    if (padded.includes(` ${alias} `) && (!best || alias.length > best.alias.length)) best = { alias, id };
+  });
+  return best ? best.id : null;
+}
+
+/**
+ * Lift id a logged set counts towards. A percentage load ("75% Panca")
+ * names it outright; otherwise the exercise name must be an exact alias,
+ * so "Squat Jump" never moves the back squat max.
+ * @param {{name?: string, tipoDiPeso?: string}} set
+ * @param {Array} [customLifts]
+ * @returns {string|null}
+ */
+export function liftIdForSet(set, customLifts = []) {
+  const pct = (set && set.tipoDiPeso || '').toString().match(/^\s*\d+(?:[.,]\d+)?\s*%\s*(.+)$/);
+  if (pct) return resolveLiftId(pct[1], customLifts);
+  return resolveLiftId(set && set.name, customLifts);
+}
+
+/**
+ * Label of a lift id ("back_squat" -> "Back Squat"), the id itself if unknown
+ * @param {string} id
+ * @param {Array} [customLifts]
+ * @returns {string}
+ */
+export function liftLabel(id, customLifts = []) {
+  return allLifts(customLifts).find(l => l.id === id)?.label || id;
+}
+
+/**
+ * Validate and build a custom lift from what the user typed
+ * @param {string} label - e.g. "Hip Thrust"
+ * @param {string|string[]} aliases - e.g. "ht, hip thrust bilanciere"
+ * @param {Array} [customLifts] - The lifts already defined
+ * @returns {{lift?: {id: string, label: string, aliases: string[]}, error?: string}}
+ */
+export function createCustomLift(label, aliases, customLifts = []) {
+  const cleanLabel = (label ?? '').toString().replace(/\s+/g, ' ').trim();
+  const key = normalizeLiftName(cleanLabel);
+  if (!key) return { error: 'Inserisci il nome dell\'esercizio' };
+  if (cleanLabel.length > 40) return { error: 'Nome troppo lungo (max 40 caratteri)' };
+  if ((customLifts || []).length >= MAX_CUSTOM_LIFTS) {
+    return { error: `Puoi aggiungere al massimo ${MAX_CUSTOM_LIFTS} esercizi` };
+  }
+
+  const list = (Array.isArray(aliases) ? aliases : (aliases ?? '').toString().split(','))
+    .map(normalizeLiftName)
+    .filter((a, i, all) => a && a !== key && all.indexOf(a) === i);
+
+  const table = buildAliasTable(customLifts);
+  for (const name of [key, ...list]) {
+    const owner = table.get(name) || table.get(compact(name));
+    if (owner) return { error: `"${name}" indica già ${liftLabel(owner, customLifts)}` };
+  }
+
+  const id = CUSTOM_LIFT_PREFIX + compact(key.replace(/[^a-z0-9 ]/g, '').trim()).slice(0, 32);
+  if (id === CUSTOM_LIFT_PREFIX) return { error: 'Usa lettere o numeri nel nome' };
+  if ((customLifts || []).some(l => l.id === id)) return { error: `${cleanLabel} esiste già` };
+
+  return { lift: { id, label: cleanLabel, aliases: list } };
+}
@@ -0,0 +1,176 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - MACRO BALANCE (how big the rest of the day can be)
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// After each selection, what is left of the day is spread over the meals not
+// logged yet. The day is the plan's own portions (the sum of the slot
+// targets), not its TOTALE row: a total that is rounded or leaves room for
+// extras would otherwise resize every portion before the first bite.
+// Each slot is driven by one macro (proteine -> protein, carboidrati -> carbs,
+// grassi -> fat; other slots by their largest share of kcal; verdure stay as
+// planned) and gets one scale for its portions:
+//   scale[m] = (left[m] - m coming from slots driven by other macros) / m planned
+// The cross terms depend on the other scales, so a few passes settle them.
+// Meals already started keep their open slots as planned: you are eating them.
+// Scales stay within the portion bounds (minQty / maxQty of an option, else
+// ½x-1½x). A change inside the food's tolerance (its equivalents group in
+// food-database.json) is noise and is not proposed.
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const MIN_SCALE = 0.5;
+export const MAX_SCALE = 1.5;
+export const DEFAULT_TOLERANCE = 0.1;
+
+const MACROS = ['protein', 'carbs', 'fat'];
+const KCAL_PER_G = { protein: 4, carbs: 4, fat: 9 };
+const SLOT_MACRO = { proteine: 'protein', carboidrati: 'carbs', grassi: 'fat', verdure: null };
+const PASSES = 6;
+
+/**
+ * The macro a slot's portions are sized on
+ * @param {string} slotKey
+ * @param {Object} slot - { targetMacros, options }
+ * @returns {'protein'|'carbs'|'fat'|null} null = not rescaled
+ */
+export function slotDriver(slotKey, slot) {
+  if (slotKey in SLOT_MACRO) return SLOT_MACRO[slotKey];
+  const t = slotTarget(slot);
+  if (!t) return null;
+  let best = null;
+  for (const m of MACROS) {
+    if ((t[m] || 0) * KCAL_PER_G[m] > (best ? t[best] * KCAL_PER_G[best] : 0)) best = m;
+  }
+  return best;
+}
+
+// targetMacros, else the first option (the plan's reference portion)
+function slotTarget(slot) {
+  return slot?.targetMacros || slot?.options?.[0]?.macros || null;
+}
+
+function isLogged(mealSelections) {
+  return Object.values(mealSelections || {}).some(c => c?.id);
+}
+
+/**
+ * A quantity people can weigh or count
+ * @param {number} qty
+ * @param {string} unit
+ * @returns {number} grams / ml: to 1 under 30, else to 5; pieces: to ½, at least ½
+ */
+export function roundPortion(qty, unit) {
+  if (unit === 'g' || unit === 'ml') return qty < 30 ? Math.round(qty) : Math.round(qty / 5) * 5;
+  return Math.max(0.5, Math.round(qty * 2) / 2);
+}
+
+function scaleMacros(macros, factor) {
+  const out = {};
+  for (const [k, v] of Object.entries(macros || {})) {
+    out[k] = k === 'kcal' ? Math.round(v * factor) : Math.round(v * factor * 10) / 10;
+  }
+  return out;
+}
+
+// Portion bounds of one option as a scale: minQty / maxQty from the plan, else the defaults
+function optionBounds(option, minScale, maxScale) {
+  const lo = option.minQty > 0 ? option.minQty / option.qty : minScale;
+  const hi = option.maxQty > 0 ? option.maxQty / option.qty : maxScale;
+  return [Math.min(lo, 1), Math.max(hi, 1)];
+}
+
+/**
+ * How far each food may drift before a new portion is worth proposing
+ * @param {Object} db - food-database.json
+ * @returns {Object} { foodId: tolerance } from the equivalents groups
+ */
+export function foodTolerances(db) {
+  const out = {};
+  for (const group of Object.values(db?.equivalents || {})) {
+    if (!(group.tolerance > 0)) continue;
+    for (const food of group.alternatives || []) out[food.id] ??= group.tolerance;
+  }
+  return out;
+}
+
+/**
+ * Propose portions for the meals not logged yet
+ * @param {Object} plan - { meals: { meal: { slot: { targetMacros, tolerance?, options } } } }
+ * @param {Object} selections - { meal: { slot: choice with macros } }
+ * @param {{minScale?: number, maxScale?: number, tolerance?: number, tolerances?: Object}} [opts]
+ *   tolerances = output of foodTolerances; an option's own `tolerance` wins
+ * @returns {{left: Object, scales: Object, adjusted: boolean, meals: Object}}
+ *   left = { macro: grams } the open meals can still take;
+ *   scales = { macro: factor } for their portions;
+ *   meals = { meal: { slot: { scale, targetMacros, options: { id: { qty, macros } } } } }
+ *   with only the slots whose portions change
+ */
+export function balanceDay(plan, selections, opts = {}) {
+  const minScale = opts.minScale ?? MIN_SCALE;
+  const maxScale = opts.maxScale ?? MAX_SCALE;
+
+  // Open slots bring their planned portion; a choice brings what it differs
+  // from the plan by. Started meals and verdure stay as planned: nothing moves.
+  const left = { protein: 0, carbs: 0, fat: 0 };
+  const open = [];
+  for (const [mealKey, meal] of Object.entries(plan?.meals || {})) {
+    const chosen = selections?.[mealKey] || {};
+    const started = isLogged(chosen);
+    for (const [slotKey, slot] of Object.entries(meal)) {
+      const target = slotTarget(slot);
+      const pick = chosen[slotKey];
+      const driver = slotDriver(slotKey, slot);
+      if (pick?.id) {
+        for (const m of MACROS) left[m] -= (Number(pick.macros?.[m]) || 0) - (Number(target?.[m]) || 0);
+      } else if (!started && driver) {
+        for (const m of MACROS) left[m] += Number(target?.[m]) || 0;
+        open.push({ mealKey, slotKey, slot, driver, target });
+      }
+    }
+  }
+  // Choices outside the plan's slots
+  for (const [mealKey, chosen] of Object.entries(selections || {})) {
+    for (const [slotKey, pick] of Object.entries(chosen || {})) {
+      if (pick?.id && !plan?.meals?.[mealKey]?.[slotKey]) {
+        for (const m of MACROS) left[m] -= Number(pick.macros?.[m]) || 0;
+      }
+    }
+  }
+
+  const scales = { protein: 1, carbs: 1, fat: 1 };
+  for (let pass = 0; pass < PASSES; pass++) {
+    for (const m of MACROS) {
+      let own = 0, others = 0;
+      for (const s of open) {
+        const v = Number(s.target?.[m]) || 0;
+        if (s.driver === m) own += v;
+        else others += v * scales[s.driver];
+      }
+      if (own > 0) scales[m] = Math.min(maxScale, Math.max(minScale, Math.max(0, left[m] - others) / own));
+    }
+  }
+
+  const meals = {};
+  for (const s of open) {
+    const scale = scales[s.driver];
+    const options = {};
+    for (const option of s.slot.options || []) {
+      if (!(option.qty > 0)) continue; // "libera"
+      const tolerance = option.tolerance ?? opts.tolerances?.[option.id] ?? opts.tolerance ?? DEFAULT_TOLERANCE;
+      if (Math.abs(scale - 1) <= tolerance) continue;
+      const [lo, hi] = optionBounds(option, minScale, maxScale);
+      const qty = roundPortion(option.qty * Math.min(hi, Math.max(lo, scale)), option.unit);
+      if (qty === option.qty) continue;
+      options[option.id] = { qty, macros: scaleMacros(option.macros, qty / option.qty) };
+    }
+    if (!Object.keys(options).length) continue;
+
+    (meals[s.mealKey] ||= {})[s.slotKey] = {
+      scale: Math.round(scale * 100) / 100,
+      targetMacros: s.slot.targetMacros ? scaleMacros(s.slot.targetMacros, scale) : null,
+      options,
+    };
+  }
+
+  for (const m of MACROS) left[m] = Math.round(left[m] * 10) / 10;
+  return { left, scales, adjusted: Object.keys(meals).length > 0, meals };
+}
@@ -3,10 +3,24 @@
 // Adaptive macro tracking - adjusts remaining meals
 // based on what you've already eaten
 // V8: Uses DataPreloader instead of SessionCache
+// Plan: the coach's (NutritionPlans sheet), else a built-in default
+// Diary: one page per day, kept on the device and synced to NutritionDiary
+// Balance: portions of the meals still open follow what is left of the day
+// Barcode: packaged foods from the coaches' Products sheet, cached for offline
 // ============================================
 
 // Import DataPreloader
 import DataPreloader from './data-preloader.js';
+import { apiPost } from './api.js';
+import {
+  MEAL_KEYS, DIARY_EDIT_DAYS, DIARY_KEEP_DAYS,
+  emptySelections, dayKey, shiftDay, daysBetween, weekStart,
+  weeklyAdherence, mergeDiary, pruneDiary
+} from './nutrition-diary.js';
+import { buildFoodIndex, searchFoods, quantityToGrams } from './food-search.js';
+import { balanceDay, foodTolerances } from './macro-balance.js';
+import { normalizeBarcode, decodeScanline, productToFood } from './barcode.js';
+import { createProductLookup, backendSource } from './product-lookup.js';
 
 // AUTH CHECK
 if (!localStorage.getItem('loggedUser')) {
@@ -16,7 +30,12 @@ if (!localStorage.getItem('loggedUser')) {
 const userEmail = localStorage.getItem('loggedUser');
 let userData = null;
 let nutritionPlan = null;
+let isCoachPlan = false; // false = the built-in default plan
 let currentMeal = 'colazione';
+let diary = {};
+let currentDay = dayKey();
+let planTargets = null; // today's targets, from the plan
+let balance = null; // portions proposed for the meals still open (balanceDay)
 let selections = {
   colazione: {},
   spuntino1: {},
@@ -75,35 +94,32 @@ function checkNutritionExpiration(scadenza) {
 
 async function loadNutritionPlan(pdfUrl, isReadOnly) {
   try {
-    const savedPlan = localStorage.getItem(`nutrition_plan_${userEmail}`);
-    
-    if (savedPlan) {
-      nutritionPlan = JSON.parse(savedPlan);
-    } else {
-      nutritionPlan = getDefaultPlan();
-      localStorage.setItem(`nutrition_plan_${userEmail}`, JSON.stringify(nutritionPlan));
-    }
+    // The plan the coach wrote in the NutritionPlans sheet comes first
+    const coachPlan = await DataPreloader.loadNutritionPlan(userEmail);
+    isCoachPlan = !!coachPlan?.meals && Object.keys(coachPlan.meals).length > 0;
 
-    // Load today's selections (reset each day)
-    const today = new Date().toDateString();
-    const savedDate = localStorage.getItem(`nutrition_date_${userEmail}`);
-    
-    if (savedDate === today) {
-      const savedSelections = localStorage.getItem(`nutrition_selections_${userEmail}`);
-      if (savedSelections) {
-        selections = JSON.parse(savedSelections);
-      }
+    if (isCoachPlan) {
+      nutritionPlan = coachPlan;
     } else {
-      // New day - reset selections
-      localStorage.setItem(`nutrition_date_${userEmail}`, today);
-      selections = { colazione: {}, spuntino1: {}, pranzo: {}, spuntino2: {}, cena: {} };
-      localStorage.setItem(`nutrition_selections_${userEmail}`, JSON.stringify(selections));
+      const savedPlan = localStorage.getItem(`nutrition_plan_${userEmail}`);
+      if (savedPlan) {
+        nutritionPlan = JSON.parse(savedPlan);
+      } else {
+        nutritionPlan = getDefaultPlan();
+        localStorage.setItem(`nutrition_plan_${userEmail}`, JSON.stringify(nutritionPlan));
+      }
     }
 
     // Calculate daily targets from plan
     calculateDailyTargets();
+    planTargets = { ...dailyTargets };
+
+    // Past days stay in the diary; today opens on its own page
+    diary = loadDiary();
+    openDay(dayKey());
 
     renderApp(isReadOnly, pdfUrl);
+    syncDiary();
 
   } catch (error) {
     console.error('Error loading nutrition plan:', error);
@@ -346,12 +362,22 @@ function getMealStatus(mealKey) {
   };
 }
 
+// Tolerances of the equivalents groups; defaults until the database is loaded
+let tolerances = null;
+function getFoodTolerances() {
+  if (tolerances) return tolerances;
+  if (typeof nutritionEngine === 'undefined' || !nutritionEngine.initialized) return {};
+  tolerances = foodTolerances(nutritionEngine.foodDatabase);
+  return tolerances;
+}
+
 // ============================================
 // RENDERING
 // ============================================
 
 function renderApp(isReadOnly, pdfUrl) {
   const container = document.getElementById('app-container');
+  balance = balanceDay(nutritionPlan, selections, { tolerances: getFoodTolerances() });
   
   let html = '';
   
@@ -370,8 +396,21 @@ function renderApp(isReadOnly, pdfUrl) {
     `;
   }
   
+  // No structured plan from the coach yet: say the options are generic
+  if (!isCoachPlan) {
+    html += `
+      <div class="pdf-viewer-banner">
+        <div class="pdf-info">
+          <span class="pdf-icon">ℹ️</span>
+          <span>Piano standard: il tuo nutrizionista non ha ancora inserito il tuo piano personalizzato</span>
+        </div>
+      </div>
+    `;
+  }
+  
   // Daily Progress Summary
   html += renderDailyProgress();
+  html += renderWeeklyAdherence();
   
   // Meal Navigation
   html += renderMealNav();
@@ -412,10 +451,17 @@ function renderDailyProgress() {
   const carbsPercent = Math.min(100, (consumed.carbs / dailyTargets.carbs) * 100);
   const fatPercent = Math.min(100, (consumed.fat / dailyTargets.fat) * 100);
   
+  const today = dayKey();
+  const canGoBack = daysBetween(currentDay, today) < DIARY_EDIT_DAYS;
+  
   return `
     <div class="daily-progress">
       <div class="progress-header">
-        <h2>📊 Oggi</h2>
+        <div class="day-nav">
+          <button class="btn-day" onclick="changeDay(-1)" ${canGoBack ? '' : 'disabled'}>‹</button>
+          <h2>📊 ${dayLabel(currentDay)}</h2>
+          <button class="btn-day" onclick="changeDay(1)" ${currentDay === today ? 'disabled' : ''}>›</button>
+        </div>
         <button class="btn-reset" onclick="resetDay()">🔄 Reset Giornata</button>
       </div>
       
@@ -468,6 +514,34 @@ function renderDailyProgress() {
   `;
 }
 
+function renderWeeklyAdherence() {
+  const week = weeklyAdherence(diary, weekStart(currentDay), dayKey());
+  const pct = (rate) => rate === null ? '—' : `${Math.round(rate * 100)}%`;
+  
+  return `
+    <div class="weekly-adherence">
+      <div class="weekly-header">
+        <h3>📅 Settimana</h3>
+        <span class="weekly-count">${week.daysLogged}/${week.daysElapsed} giorni · ${week.mealsLogged}/${week.mealsPlanned} pasti</span>
+      </div>
+      <div class="weekly-hits">
+        <span class="weekly-hit">🔥 ${pct(week.hitRate.kcal)}</span>
+        <span class="weekly-hit">💪 ${pct(week.hitRate.protein)}</span>
+        <span class="weekly-hit">🍞 ${pct(week.hitRate.carbs)}</span>
+        <span class="weekly-hit">🥑 ${pct(week.hitRate.fat)}</span>
+      </div>
+      <span class="weekly-note">Giorni in target: ±10%, proteine almeno il 90%</span>
+    </div>
+  `;
+}
+
+function dayLabel(key) {
+  const today = dayKey();
+  if (key === today) return 'Oggi';
+  if (key === shiftDay(today, -1)) return 'Ieri';
+  return new Date(`${key}T12:00:00`).toLocaleDateString('it-IT', { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
 function renderMealNav() {
   const mealNames = {
     colazione: '🌅 Colazione',
@@ -511,13 +585,19 @@ function renderMealContainer(mealKey, isReadOnly) {
     cena: 'CENA'
   };
   
+  const mealBalance = balance?.meals?.[mealKey] || {};
+  const rebalanced = Object.keys(mealBalance).length > 0;
+  const badge = `<span class="rebalanced-badge" title="Porzioni adattate a quello che hai già mangiato oggi">⚖️ ricalcolato</span>`;
+  
   let html = `<div id="meal-${mealKey}" class="meal-container">`;
-  html += `<h2>${mealNames[mealKey]}</h2>`;
+  html += `<h2>${mealNames[mealKey]} ${rebalanced ? badge : ''}</h2>`;
   
   // Render each nutrient slot
   Object.keys(meal).forEach(slotKey => {
     const slot = meal[slotKey];
     const currentSelection = mealSelections[slotKey];
+    const adjusted = mealBalance[slotKey];
+    const target = adjusted?.targetMacros || slot.targetMacros;
     
     const slotNames = {
       proteine: '💪 PROTEINE',
@@ -531,7 +611,7 @@ function renderMealContainer(mealKey, isReadOnly) {
         <div class="slot-header">
           <div>
             <h3>${slotNames[slotKey] || slotKey.toUpperCase()}</h3>
-            ${slot.targetMacros ? `<span class="slot-target">Target: ${slot.targetMacros.kcal}kcal | ${slot.targetMacros.protein}P | ${slot.targetMacros.carbs}C | ${slot.targetMacros.fat}G</span>` : ''}
+            ${target ? `<span class="slot-target">Target: ${target.kcal}kcal | ${target.protein}P | ${target.carbs}C | ${target.fat}G ${adjusted ? badge : ''}</span>` : ''}
           </div>
           <button class="btn-find-alt" onclick="findAlternative('${mealKey}', '${slotKey}')">🔍 Cerca alternativa</button>
         </div>
@@ -541,13 +621,23 @@ function renderMealContainer(mealKey, isReadOnly) {
     
     slot.options.forEach(option => {
       const isSelected = currentSelection?.id === option.id;
-      const macroInfo = option.macros ? `${option.macros.kcal}kcal | ${option.macros.protein}P` : '';
+      const proposed = adjusted?.options?.[option.id];
+      const macros = proposed?.macros || option.macros;
+      const macroInfo = macros ? `${macros.kcal}kcal | ${macros.protein}P` : '';
+      const quantity = option.qty === null ? 'Libera'
+        : proposed ? `${proposed.qty} ${option.unit} <span class="planned-qty">${option.qty}</span>`
+        : `${option.qty} ${option.unit}`;
+      // The coach's hint ("~15 mandorle") describes the planned portion: a
+      // rescaled one keeps only what scales with it, the cooked weight
+      const help = !proposed ? option.visualHelp
+        : option.cookedEquivalent && option.qty ? `~${Math.round(option.cookedEquivalent * proposed.qty / option.qty)} g cotti`
+        : '';
       
       html += `
-        <div class="food-option ${isSelected ? 'selected' : ''}" onclick="selectFood('${mealKey}', '${slotKey}', '${option.id}')">
+        <div class="food-option ${isSelected ? 'selected' : ''} ${proposed ? 'rebalanced' : ''}" onclick="selectFood('${mealKey}', '${slotKey}', '${option.id}')">
           <div class="food-name">${option.name}</div>
-          <div class="food-quantity">${option.qty !== null ? option.qty + ' ' + option.unit : 'Libera'}</div>
-          ${option.visualHelp ? `<span class="visual-help">📏 ${option.visualHelp}</span>` : ''}
+          <div class="food-quantity">${quantity}</div>
+          ${help ? `<span class="visual-help">📏 ${help}</span>` : ''}
           ${macroInfo ? `<span class="macro-info">${macroInfo}</span>` : ''}
           ${option.rawWeight ? `<span class="raw-badge">CRUDO</span>` : ''}
         </div>
@@ -558,7 +648,7 @@ function renderMealContainer(mealKey, isReadOnly) {
         </div>
         ${currentSelection?.id ? `
           <div class="selection-summary">
-            ✅ Selezionato: <strong>${currentSelection.name}</strong> 
+            ✅ Selezionato: <strong>${currentSelection.name}</strong>${currentSelection.plannedQty ? ` ${currentSelection.qty} ${currentSelection.unit}` : ''}
             ${currentSelection.macros ? `(${currentSelection.macros.kcal}kcal, ${currentSelection.macros.protein}g P)` : ''}
             <button class="btn-clear-slot" onclick="clearSlot('${mealKey}', '${slotKey}')">✕</button>
           </div>
@@ -604,6 +694,8 @@ function selectFood(mealKey, slotKey, foodId) {
   
   const food = slot.options.find(o => o.id === foodId);
   if (!food) return;
+  // The portion on screen: rebalanced when the day asked for it
+  const proposed = balance?.meals?.[mealKey]?.[slotKey]?.options?.[foodId];
   
   // Toggle selection
   if (selections[mealKey]?.[slotKey]?.id === foodId) {
@@ -615,9 +707,10 @@ function selectFood(mealKey, slotKey, foodId) {
     selections[mealKey][slotKey] = {
       id: food.id,
       name: food.name,
-      qty: food.qty,
+      qty: proposed?.qty ?? food.qty,
       unit: food.unit,
-      macros: food.macros || null
+      macros: proposed?.macros || food.macros || null,
+      ...(proposed ? { plannedQty: food.qty } : {})
     };
   }
   
@@ -639,7 +732,8 @@ function clearSlot(mealKey, slotKey) {
 }
 
 function resetDay() {
-  if (confirm('Vuoi resettare tutte le selezioni di oggi?')) {
+  const which = currentDay === dayKey() ? 'di oggi' : 'di questa giornata';
+  if (confirm(`Vuoi resettare tutte le selezioni ${which}?`)) {
     selections = { colazione: {}, spuntino1: {}, pranzo: {}, spuntino2: {}, cena: {} };
     saveSelections();
     const isExpired = checkNutritionExpiration(userData?.nutritionScadenza);
@@ -648,8 +742,147 @@ function resetDay() {
 }
 
 function saveSelections() {
-  localStorage.setItem(`nutrition_selections_${userEmail}`, JSON.stringify(selections));
-  localStorage.setItem(`nutrition_date_${userEmail}`, new Date().toDateString());
+  const previous = diary[currentDay];
+  diary[currentDay] = {
+    date: currentDay,
+    selections,
+    targets: { ...dailyTargets },
+    mealsPlanned: MEAL_KEYS.filter(m => nutritionPlan?.meals?.[m]).length,
+    updatedAt: new Date().toISOString(),
+    syncedAt: previous?.syncedAt || null
+  };
+  saveDiary();
+  scheduleDiarySync();
+}
+
+function changeDay(delta) {
+  const today = dayKey();
+  const key = shiftDay(currentDay, delta);
+  if (key > today || daysBetween(key, today) > DIARY_EDIT_DAYS) return;
+  
+  openDay(key);
+  const isExpired = checkNutritionExpiration(userData?.nutritionScadenza);
+  renderApp(isExpired, userData?.nutritionPdfUrl);
+}
+
+// ============================================
+// DIARY (local + cloud sync)
+// ============================================
+
+const DIARY_SYNC_BATCH = 31;
+const DIARY_SYNC_DELAY_MS = 3000; // one call per burst of taps, not per tap
+
+let diarySyncTimer = null;
+let diarySyncing = false;
+let diaryPulledOn = null; // day the cloud copy was last read: once per load or new day
+
+function loadDiary() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(`nutrition_diary_${userEmail}`) || '{}');
+  } catch (e) {
+    saved = {};
+  }
+  
+  // Before the diary only the current day was kept: bring it in once
+  const legacyDate = localStorage.getItem(`nutrition_date_${userEmail}`);
+  const legacySelections = localStorage.getItem(`nutrition_selections_${userEmail}`);
+  if (legacyDate && legacySelections) {
+    const key = dayKey(new Date(legacyDate));
+    try {
+      if (!isNaN(new Date(legacyDate)) && !saved[key]) {
+        saved[key] = {
+          date: key,
+          selections: JSON.parse(legacySelections),
+          targets: { ...planTargets },
+          mealsPlanned: MEAL_KEYS.filter(m => nutritionPlan?.meals?.[m]).length,
+          updatedAt: new Date().toISOString(),
+          syncedAt: null
+        };
+      }
+    } catch (e) {
+      console.warn('⚠️ Could not import the old day selections:', e);
+    }
+    localStorage.removeItem(`nutrition_date_${userEmail}`);
+    localStorage.removeItem(`nutrition_selections_${userEmail}`);
+  }
+  
+  return pruneDiary(saved, dayKey());
+}
+
+function saveDiary() {
+  try {
+    localStorage.setItem(`nutrition_diary_${userEmail}`, JSON.stringify(diary));
+  } catch (e) {
+    console.warn('⚠️ Could not save the nutrition diary:', e);
+  }
+}
+
+// Today always follows the plan; past days keep the targets they had
+function openDay(key) {
+  const entry = diary[key];
+  currentDay = key;
+  selections = { ...emptySelections(), ...JSON.parse(JSON.stringify(entry?.selections || {})) };
+  dailyTargets = key === dayKey() || !entry?.targets ? { ...planTargets } : { ...entry.targets };
+}
+
+function scheduleDiarySync() {
+  clearTimeout(diarySyncTimer);
+  diarySyncTimer = setTimeout(syncDiary, DIARY_SYNC_DELAY_MS);
+}
+
+/**
+ * Push the days the cloud has not seen yet; on the first sync of the page
+ * (or of a new day) also merge the cloud copy back (another phone may have
+ * logged yesterday). Failures leave days pending.
+ */
+async function syncDiary() {
+  if (!nutritionPlan) return; // the page is still loading
+  if (diarySyncing) {
+    scheduleDiarySync();
+    return;
+  }
+  diarySyncing = true;
+  
+  try {
+    const pending = Object.values(diary).filter(d => d.updatedAt && d.syncedAt !== d.updatedAt);
+    for (let i = 0; i < pending.length; i += DIARY_SYNC_BATCH) {
+      const batch = pending.slice(i, i + DIARY_SYNC_BATCH).map(({ syncedAt, ...day }) => day);
+      const result = await apiPost('saveNutritionDiary', { days: JSON.stringify(batch) });
+      if (result.status !== 'success') {
+        console.warn('⚠️ Nutrition diary sync failed:', result.message || 'Unknown error');
+        break;
+      }
+      // Accepted = written now, or the sheet already holds a newer copy.
+      // A day edited again while the call was in flight stays pending.
+      const accepted = new Set([...(result.saved || []), ...(result.stale || [])]);
+      batch.forEach(day => {
+        if (accepted.has(day.date) && diary[day.date]?.updatedAt === day.updatedAt) {
+          diary[day.date].syncedAt = day.updatedAt;
+        }
+      });
+      saveDiary();
+    }
+    
+    if (diaryPulledOn === dayKey()) return;
+    const result = await apiPost('getNutritionDiary', { days: DIARY_KEEP_DAYS });
+    if (result.status === 'success') {
+      diaryPulledOn = dayKey();
+      const before = diary[currentDay]?.updatedAt;
+      diary = pruneDiary(mergeDiary(diary, result.days), dayKey());
+      saveDiary();
+      if (diary[currentDay]?.updatedAt !== before) {
+        openDay(currentDay);
+        const isExpired = checkNutritionExpiration(userData?.nutritionScadenza);
+        renderApp(isExpired, userData?.nutritionPdfUrl);
+        switchMeal(currentMeal);
+      }
+    }
+  } catch (error) {
+    console.warn('⚠️ Nutrition diary sync failed:', error.message);
+  } finally {
+    diarySyncing = false;
+  }
 }
 
 // ============================================
@@ -681,14 +914,19 @@ function openPdfViewer(pdfUrl) {
 }
 
 // ============================================
-// ALTERNATIVES FINDER
+// FOOD SEARCH
+// Any food of food-database.json, in grams, pieces, spoons or cooked weight
 // ============================================
 
-function findAlternative(meal, slotType) {
-  const searchName = prompt(`Che alimento stai cercando per ${slotType.toUpperCase()}?\n\nEsempi: "skyr", "pane kamut", "tofu"`);
-  
-  if (!searchName || searchName.trim() === '') return;
+let foodIndex = null;
+let foodSearch = null; // { meal, slot, food, grams, macros }
+
+function getFoodIndex() {
+  if (!foodIndex) foodIndex = buildFoodIndex(nutritionEngine.foodDatabase);
+  return foodIndex;
+}
 
+function findAlternative(meal, slotType) {
   // Wait for nutrition engine
   if (typeof nutritionEngine === 'undefined' || !nutritionEngine.initialized) {
     showModal(`
@@ -699,70 +937,132 @@ function findAlternative(meal, slotType) {
     return;
   }
 
-  const categoryMap = {
-    'proteine': meal === 'colazione' || meal === 'spuntino1' || meal === 'spuntino2' ? 'proteine_colazione' : 'proteine_principali',
-    'carboidrati': meal === 'colazione' ? 'carboidrati_colazione' : 'carboidrati_principali',
-    'grassi': 'grassi_colazione'
-  };
+  stopScanner();
+  foodSearch = { meal, slot: slotType, food: null, grams: null, macros: null };
+  showModal(`
+    <h3>🔍 Cerca alimento</h3>
+    <p>Per ${slotType.toUpperCase()}: cerca tra tutti gli alimenti, anche fuori dal piano.</p>
+    <input id="food-search-input" class="food-search-input" type="search" autocomplete="off"
+           placeholder="Es. skyr, riso basmati, mandorle" oninput="searchFood(this.value)">
+    <button class="btn btn-scan" onclick="scanBarcode()">📷 Scansiona codice a barre</button>
+    <div id="food-search-results" class="food-search-results"></div>
+    <button class="btn btn-close-modal" onclick="closeModal()">Annulla</button>
+  `);
+  document.getElementById('food-search-input')?.focus();
+}
 
-  const category = categoryMap[slotType];
-  const equivalent = nutritionEngine.findEquivalent(category, searchName);
+function searchFood(query) {
+  const box = document.getElementById('food-search-results');
+  if (!box) return;
+  if (!query.trim()) {
+    box.innerHTML = '';
+    return;
+  }
 
-  if (!equivalent) {
-    showModal(`
-      <h3>❌ Non Trovato</h3>
-      <p>Non ho trovato "<strong>${searchName}</strong>" nel database.</p>
-      <p style="color: #B0B0B0; margin-top: 15px;">💡 Prova con nomi più generici o alimenti simili.</p>
-      <button class="btn btn-close-modal" onclick="closeModal()">OK</button>
-    `);
+  const results = searchFoods(getFoodIndex(), query);
+  if (results.length === 0) {
+    box.innerHTML = `<p class="food-search-empty">Nessun alimento trovato. 💡 Prova con un nome più generico.</p>`;
     return;
   }
 
-  const matchColor = equivalent.accuracy >= 85 ? '#C1FF72' : equivalent.accuracy >= 70 ? '#FFD700' : '#FF9800';
+  box.innerHTML = results.map(food => `
+    <button class="food-result" onclick="pickSearchedFood('${food.id}')">
+      <span class="food-result-name">${food.name}</span>
+      <span class="food-result-macros">100g: ${food.per100g.kcal}kcal | ${food.per100g.protein}P | ${food.per100g.carbs}C | ${food.per100g.fat}G</span>
+    </button>
+  `).join('');
+}
+
+function pickSearchedFood(foodId) {
+  const food = getFoodIndex().find(f => f.id === foodId);
+  if (food) showFoodQuantity(food);
+}
+
+// Quantity + unit for a food of the database or a scanned product
+function showFoodQuantity(food) {
+  if (!foodSearch) return;
+  foodSearch.food = food;
+
+  const warnings = nutritionEngine.checkWarnings(food.id, food.name);
+  // Packaged foods come by the serving: one yogurt, one bar
+  const serving = food.units.find(u => u.key === 'porzione');
 
   showModal(`
-    <h3>✅ Trovato: ${equivalent.name}</h3>
+    <h3>${food.name}</h3>
+    <p>Per 100g${food.isCooked ? ' (cotto)' : food.rawWeight ? ' (crudo)' : ''}: ${food.per100g.kcal}kcal | ${food.per100g.protein}P | ${food.per100g.carbs}C | ${food.per100g.fat}G</p>
+    ${food.note ? `<p style="color: #87CEEB;">💡 ${food.note}</p>` : ''}
+    ${warnings.map(w => `<p style="color: #FFA500;">${w.message}</p>`).join('')}
     
-    <div style="text-align: center; margin: 15px 0; color: ${matchColor}; font-size: 18px;">
-      Match: ${equivalent.accuracy}%
+    <div class="food-qty-row">
+      <input id="food-qty" class="food-qty-input" type="text" inputmode="decimal"
+             value="${serving ? 1 : food.suggestedQty || 100}" oninput="updateSearchedFood()">
+      <select id="food-unit" class="food-unit-select" onchange="updateSearchedFood()">
+        ${food.units.map(u => `<option value="${u.key}" ${u === serving ? 'selected' : ''}>${u.label}</option>`).join('')}
+      </select>
     </div>
+    <div id="food-live-macros" class="food-live-macros"></div>
     
-    <div style="background: rgba(255,255,255,0.05); border-radius: 10px; padding: 15px; margin: 15px 0;">
-      <h4 style="color: #FFD700;">Quantità suggerita: ${equivalent.suggestedQty}g</h4>
-      
-      <div style="margin-top: 15px; font-size: 14px; color: #B0B0B0;">
-        <div>Calorie: ${equivalent.macros.kcal}</div>
-        <div>Proteine: ${equivalent.macros.protein}g</div>
-        <div>Carbs: ${equivalent.macros.carbs}g</div>
-        <div>Grassi: ${equivalent.macros.fat}g</div>
-      </div>
-      
-      ${equivalent.adjustments ? `<p style="color: #FFA500; margin-top: 15px;">⚠️ ${equivalent.adjustments}</p>` : ''}
-      ${equivalent.note ? `<p style="color: #87CEEB; margin-top: 10px;">💡 ${equivalent.note}</p>` : ''}
-    </div>
-    
-    <button class="btn" onclick="useAlternative('${meal}', '${slotType}', ${JSON.stringify(equivalent).replace(/"/g, '&quot;')})" style="width: 100%;">
-      Usa questa alternativa
+    <button id="food-use-btn" class="btn" onclick="useSearchedFood()" style="width: 100%;">
+      Usa questo alimento
     </button>
-    <button class="btn btn-close-modal" onclick="closeModal()" style="width: 100%; margin-top: 10px;">
-      Annulla
+    <button class="btn btn-close-modal" onclick="findAlternative('${foodSearch.meal}', '${foodSearch.slot}')" style="width: 100%; margin-top: 10px;">
+      ← Cerca ancora
     </button>
   `);
+  updateSearchedFood();
 }
 
-function useAlternative(meal, slotType, equivalent) {
+function updateSearchedFood() {
+  const box = document.getElementById('food-live-macros');
+  const useBtn = document.getElementById('food-use-btn');
+  if (!box || !foodSearch?.food) return;
+
+  const unitKey = document.getElementById('food-unit').value;
+  const grams = quantityToGrams(foodSearch.food, document.getElementById('food-qty').value, unitKey);
+  foodSearch.grams = grams;
+  useBtn.disabled = grams === null;
+  if (grams === null) {
+    foodSearch.macros = null;
+    box.innerHTML = `<span class="food-live-hint">Inserisci una quantità</span>`;
+    return;
+  }
+
+  const macros = nutritionEngine.calculateMacros(foodSearch.food.per100g, grams);
+  foodSearch.macros = macros;
+  const target = balance?.meals?.[foodSearch.meal]?.[foodSearch.slot]?.targetMacros
+    || nutritionPlan?.meals?.[foodSearch.meal]?.[foodSearch.slot]?.targetMacros;
+  const accuracy = target ? nutritionEngine.calculateMacroAccuracy(target, macros) : null;
+  const matchColor = accuracy >= 85 ? '#C1FF72' : accuracy >= 70 ? '#FFD700' : '#FF9800';
+
+  box.innerHTML = `
+    ${unitKey !== 'g' ? `<div class="food-live-grams">= ${grams}g${foodSearch.food.isCooked ? ' cotti' : foodSearch.food.rawWeight ? ' crudi' : ''}</div>` : ''}
+    <div class="food-live-values">🔥 ${macros.kcal} kcal · 💪 ${macros.protein}g · 🍞 ${macros.carbs}g · 🥑 ${macros.fat}g</div>
+    ${target ? `
+      <div class="food-live-target">
+        Target slot: ${target.kcal}kcal | ${target.protein}P | ${target.carbs}C | ${target.fat}G
+        <span style="color: ${matchColor};">· Match ${accuracy}%</span>
+      </div>
+    ` : ''}
+  `;
+}
+
+function useSearchedFood() {
+  if (!foodSearch?.food || !foodSearch.grams) return;
+  const { meal, slot, food, grams, macros } = foodSearch;
+
   if (!selections[meal]) selections[meal] = {};
-  
-  selections[meal][slotType] = {
-    id: equivalent.id,
-    name: equivalent.name,
-    qty: equivalent.suggestedQty,
+  selections[meal][slot] = {
+    id: food.id,
+    name: food.name,
+    qty: grams,
     unit: 'g',
     inPlan: false,
     isAlternative: true,
-    macros: equivalent.macros
+    ...(food.barcode ? { barcode: food.barcode } : {}),
+    macros
   };
 
+  foodSearch = null;
   closeModal();
   saveSelections();
   
@@ -771,6 +1071,186 @@ function useAlternative(meal, slotType, equivalent) {
   switchMeal(meal);
 }
 
+// ============================================
+// BARCODE SCANNER
+// Camera -> BarcodeDetector, or decodeScanline on a few rows of the frame;
+// the code is looked up in the IndexedDB cache, then the Products sheet
+// ============================================
+
+const BARCODE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+const SCAN_INTERVAL_MS = 250;
+const SCAN_WIDTH = 800; // px of the frame the fallback decoder reads
+const SCAN_ROWS = [0.5, 0.42, 0.58, 0.34, 0.66];
+
+let productLookup = null;
+let scanner = null; // { stream, video, detector, canvas, last, timer, busy }
+let scanToken = 0;  // bumped by stopScanner: a scan still starting up sees it and gives up
+
+function getProductLookup() {
+  if (!productLookup) {
+    const cache = typeof OfflinePreloader === 'undefined' ? null : {
+      get: (code) => OfflinePreloader.getProduct(code),
+      put: (product) => OfflinePreloader.saveProduct(product)
+    };
+    productLookup = createProductLookup({ sources: [backendSource(apiPost)], cache });
+  }
+  return productLookup;
+}
+
+async function scanBarcode() {
+  if (!foodSearch) return;
+  stopScanner();
+  const token = scanToken;
+  showModal(`
+    <h3>📷 Scansiona codice a barre</h3>
+    <p>Inquadra il codice a barre della confezione, in orizzontale.</p>
+    <div class="barcode-viewport">
+      <video id="barcode-video" class="barcode-video" playsinline muted></video>
+      <div class="barcode-aim"></div>
+    </div>
+    <p id="barcode-status" class="barcode-status"></p>
+    <div class="barcode-manual-row">
+      <input id="barcode-manual" class="food-qty-input" type="text" inputmode="numeric"
+             placeholder="Oppure scrivi il codice (EAN)" onkeydown="if (event.key === 'Enter') lookupBarcode(this.value)">
+      <button class="btn" onclick="lookupBarcode(document.getElementById('barcode-manual').value)">Cerca</button>
+    </div>
+    <button class="btn btn-close-modal" onclick="findAlternative('${foodSearch.meal}', '${foodSearch.slot}')">← Cerca per nome</button>
+  `);
+
+  const status = document.getElementById('barcode-status');
+  if (!navigator.mediaDevices?.getUserMedia) {
+    status.textContent = 'Fotocamera non disponibile: scrivi il codice sotto il codice a barre.';
+    return;
+  }
+  let stream = null;
+  // The modal closed (or moved on) during the permission prompt or the start-up
+  const abandoned = () => token !== scanToken;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+    const video = document.getElementById('barcode-video');
+    if (abandoned() || !video) {
+      stream.getTracks().forEach(t => t.stop());
+      return;
+    }
+    video.srcObject = stream;
+    await video.play();
+    const detector = abandoned() ? null : await createBarcodeDetector();
+    if (abandoned()) {
+      stream.getTracks().forEach(t => t.stop());
+      return;
+    }
+    scanner = { stream, video, detector, canvas: null, last: null, busy: false };
+    scanner.timer = setInterval(scanFrame, SCAN_INTERVAL_MS);
+  } catch (error) {
+    stream?.getTracks().forEach(t => t.stop());
+    if (abandoned()) return;
+    console.warn('⚠️ Camera unavailable:', error.message);
+    status.textContent = 'Non riesco ad aprire la fotocamera: scrivi il codice sotto il codice a barre.';
+  }
+}
+
+async function createBarcodeDetector() {
+  if (!('BarcodeDetector' in window)) return null;
+  try {
+    const supported = await BarcodeDetector.getSupportedFormats();
+    const formats = BARCODE_FORMATS.filter(f => supported.includes(f));
+    return formats.length ? new BarcodeDetector({ formats }) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function scanFrame() {
+  if (!scanner || scanner.busy || scanner.video.readyState < 2) return;
+  scanner.busy = true;
+  try {
+    const code = scanner.detector ? await detectWithApi() : detectWithScanlines();
+    if (code) lookupBarcode(code);
+  } catch (error) {
+    console.warn('⚠️ Barcode scan failed:', error.message);
+  } finally {
+    if (scanner) scanner.busy = false;
+  }
+}
+
+async function detectWithApi() {
+  const found = await scanner.detector.detect(scanner.video);
+  for (const barcode of found) {
+    const code = normalizeBarcode(barcode.rawValue, barcode.format);
+    if (code) return code;
+  }
+  return null;
+}
+
+// No BarcodeDetector (Safari, Firefox): read a few rows across the middle of
+// the frame. One row can misread, so a code counts when two frames agree.
+function detectWithScanlines() {
+  const { video } = scanner;
+  const width = Math.min(video.videoWidth, SCAN_WIDTH);
+  const height = Math.round(video.videoHeight * width / video.videoWidth);
+  const canvas = scanner.canvas || (scanner.canvas = document.createElement('canvas'));
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, width, height);
+
+  for (const at of SCAN_ROWS) {
+    const { data } = ctx.getImageData(0, Math.round(height * at), width, 1);
+    const row = new Array(width);
+    for (let x = 0; x < width; x++) {
+      row[x] = data[x * 4] * 0.299 + data[x * 4 + 1] * 0.587 + data[x * 4 + 2] * 0.114;
+    }
+    const code = decodeScanline(row);
+    if (!code) continue;
+    if (code === scanner.last) return code;
+    scanner.last = code;
+    return null;
+  }
+  return null;
+}
+
+function stopScanner() {
+  scanToken++;
+  if (!scanner) return;
+  clearInterval(scanner.timer);
+  scanner.stream.getTracks().forEach(t => t.stop());
+  scanner = null;
+}
+
+async function lookupBarcode(raw) {
+  const code = normalizeBarcode(raw);
+  if (!code) {
+    const status = document.getElementById('barcode-status');
+    if (status) status.textContent = 'Codice non valido: controlla le cifre (8 o 13, oppure 12 per UPC).';
+    return;
+  }
+  stopScanner();
+  const session = foodSearch;
+  if (!session) return;
+  const { meal, slot } = session;
+
+  showModal(`
+    <h3>🔎 ${code}</h3>
+    <p>Cerco il prodotto...</p>
+  `);
+  const hit = await getProductLookup().lookup(code);
+  // Closed or moved on while waiting
+  const modal = document.getElementById('nutrition-modal');
+  if (foodSearch !== session || modal.style.display === 'none') return;
+
+  if (!hit) {
+    showModal(`
+      <h3>Prodotto non trovato</h3>
+      <p>Il codice ${code} non è ancora nella tabella prodotti.
+        ${navigator.onLine ? 'Chiedi al tuo coach di aggiungerlo; intanto cerca un alimento simile.' : 'Sei offline: riprova quando torni in rete.'}</p>
+      <button class="btn" onclick="scanBarcode()" style="width: 100%;">📷 Scansiona di nuovo</button>
+      <button class="btn btn-close-modal" onclick="findAlternative('${meal}', '${slot}')">← Cerca per nome</button>
+    `);
+    return;
+  }
+  showFoodQuantity(productToFood(hit.product));
+}
+
 // ============================================
 // UI HELPERS
 // ============================================
@@ -802,6 +1282,7 @@ function showModal(content) {
 }
 
 function closeModal() {
+  stopScanner();
   document.getElementById('nutrition-modal').style.display = 'none';
 }
 
@@ -817,13 +1298,20 @@ window.switchMeal = switchMeal;
 window.selectFood = selectFood;
 window.clearSlot = clearSlot;
 window.resetDay = resetDay;
+window.changeDay = changeDay;
 window.openPdfViewer = openPdfViewer;
 window.findAlternative = findAlternative;
-window.useAlternative = useAlternative;
+window.searchFood = searchFood;
+window.pickSearchedFood = pickSearchedFood;
+window.updateSearchedFood = updateSearchedFood;
+window.useSearchedFood = useSearchedFood;
+window.scanBarcode = scanBarcode;
+window.lookupBarcode = lookupBarcode;
 window.closeModal = closeModal;
 
 // ============================================
 // INIT
 // ============================================
 
-loadNutritionData();
\ No newline at end of file
+loadNutritionData();
+window.addEventListener('online', () => syncDiary());
\ No newline at end of file
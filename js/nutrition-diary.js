@@ -0,0 +1,179 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - NUTRITION DIARY (days, totals, weekly adherence)
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// The diary is { 'YYYY-MM-DD': day }, one entry per day the user touched:
+//   { date, selections: { meal: { slot: { id, name, qty, unit, macros } } },
+//     targets: { kcal, protein, carbs, fat }, mealsPlanned, updatedAt, syncedAt }
+// `targets` is a snapshot of the plan on that day, so a new plan from the
+// coach does not rewrite last week's adherence.
+// Weeks start on Monday. The NutritionDiary section of Codice.js mirrors the
+// totals, hit and week rules: change them in both places.
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const DIARY_KEEP_DAYS = 60;  // on the device; the sheet keeps everything
+export const DIARY_EDIT_DAYS = 7;   // how far back the user can still edit
+export const HIT_TOLERANCE = 0.1;   // ±10% of the target counts as hit
+
+export const MEAL_KEYS = Object.freeze(['colazione', 'spuntino1', 'pranzo', 'spuntino2', 'cena']);
+const MACROS = ['kcal', 'protein', 'carbs', 'fat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @returns {Object} a day with nothing selected */
+export function emptySelections() {
+  return Object.fromEntries(MEAL_KEYS.map(m => [m, {}]));
+}
+
+/**
+ * @param {Date} [date] - read in local time: "today" is the user's today
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function dayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Day keys are calendar dates: do the arithmetic in UTC so DST never moves them
+function keyToUtc(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function utcToKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} key - 'YYYY-MM-DD'
+ * @param {number} days - may be negative
+ * @returns {string}
+ */
+export function shiftDay(key, days) {
+  return utcToKey(keyToUtc(key) + days * DAY_MS);
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} days from a to b
+ */
+export function daysBetween(a, b) {
+  return Math.round((keyToUtc(b) - keyToUtc(a)) / DAY_MS);
+}
+
+/**
+ * @param {string} key
+ * @returns {string} the Monday of that week
+ */
+export function weekStart(key) {
+  const dow = (new Date(keyToUtc(key)).getUTCDay() + 6) % 7; // Monday = 0
+  return shiftDay(key, -dow);
+}
+
+/**
+ * What the day's selections add up to
+ * @param {Object} selections
+ * @returns {{kcal: number, protein: number, carbs: number, fat: number}}
+ */
+export function dayTotals(selections) {
+  const totals = { kcal: 0, protein: 0, carbs: 0, fat: 0 };
+  for (const meal of Object.values(selections || {})) {
+    for (const choice of Object.values(meal || {})) {
+      if (!choice?.macros) continue;
+      for (const k of MACROS) totals[k] += Number(choice.macros[k]) || 0;
+    }
+  }
+  return totals;
+}
+
+/**
+ * @param {Object} selections
+ * @returns {number} meals with at least one slot filled
+ */
+export function mealsLogged(selections) {
+  return Object.values(selections || {}).filter(meal => Object.values(meal || {}).some(c => c?.id)).length;
+}
+
+/**
+ * Which targets the day hit. Protein is a floor: more is never a miss.
+ * @param {Object} totals - output of dayTotals
+ * @param {Object|null} targets
+ * @param {number} [tolerance]
+ * @returns {Object} { macro: boolean } for each macro with a target > 0
+ */
+export function dayHits(totals, targets, tolerance = HIT_TOLERANCE) {
+  const hits = {};
+  for (const k of MACROS) {
+    const target = Number(targets?.[k]) || 0;
+    if (target <= 0) continue;
+    hits[k] = k === 'protein'
+      ? totals[k] >= target * (1 - tolerance)
+      : Math.abs(totals[k] - target) <= target * tolerance;
+  }
+  return hits;
+}
+
+/**
+ * Adherence of one week, counting only the days already lived
+ * @param {Object} diary
+ * @param {string} start - a Monday (weekStart)
+ * @param {string} today
+ * @param {number} [tolerance]
+ * @returns {{start: string, daysElapsed: number, daysLogged: number,
+ *   hitRate: Object, mealsLogged: number, mealsPlanned: number}}
+ *   hitRate is { macro: 0..1 } over the logged days, null when none was logged.
+ *   A day without an entry still counts its planned meals, taken from the
+ *   first entry of the week.
+ */
+export function weeklyAdherence(diary, start, today, tolerance = HIT_TOLERANCE) {
+  const daysElapsed = Math.max(0, Math.min(7, daysBetween(start, today) + 1));
+  const days = Array.from({ length: daysElapsed }, (_, i) => diary?.[shiftDay(start, i)] || null);
+  const logged = days.filter(d => d && mealsLogged(d.selections) > 0);
+
+  const hitRate = {};
+  for (const k of MACROS) {
+    const judged = logged.map(d => dayHits(dayTotals(d.selections), d.targets, tolerance)[k]).filter(h => h !== undefined);
+    hitRate[k] = judged.length ? judged.filter(Boolean).length / judged.length : null;
+  }
+
+  const fallback = days.find(d => d?.mealsPlanned)?.mealsPlanned || 0;
+  return {
+    start,
+    daysElapsed,
+    daysLogged: logged.length,
+    hitRate,
+    mealsLogged: logged.reduce((s, d) => s + mealsLogged(d.selections), 0),
+    mealsPlanned: days.reduce((s, d) => s + (d?.mealsPlanned || fallback), 0),
+  };
+}
+
+/**
+ * Merge days from the cloud: per date, the newer updatedAt wins
+ * @param {Object} local - the diary
+ * @param {Array} remote - days returned by getNutritionDiary
+ * @returns {Object} a new diary
+ */
+export function mergeDiary(local, remote) {
+  const out = { ...(local || {}) };
+  for (const day of remote || []) {
+    if (!day?.date) continue;
+    const mine = out[day.date];
+    if (!mine || (day.updatedAt || '') > (mine.updatedAt || '')) {
+      out[day.date] = { ...day, syncedAt: day.updatedAt || null };
+    }
+  }
+  return out;
+}
+
+/**
+ * Forget days older than the window. Days the cloud has not seen yet stay.
+ * @param {Object} diary
+ * @param {string} today
+ * @param {number} [keepDays]
+ * @returns {Object} a new diary
+ */
+export function pruneDiary(diary, today, keepDays = DIARY_KEEP_DAYS) {
+  const oldest = shiftDay(today, -(keepDays - 1));
+  return Object.fromEntries(Object.entries(diary || {})
+    .filter(([date, d]) => date >= oldest || d.syncedAt !== d.updatedAt));
+}
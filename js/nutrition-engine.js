@@ -3,6 +3,8 @@
 // Conversioni, equivalenze e validazioni
 // ============================================
 
+const FOOD_DATABASE_CACHE_KEY = 'viltrum_food_database_v2';
+
 class NutritionEngine {
   constructor() {
     this.foodDatabase = null;
@@ -11,8 +13,9 @@ class NutritionEngine {
 
   async init() {
     try {
-      // V8: First try to use preloaded database from sessionStorage
-      const cached = sessionStorage.getItem('viltrum_food_database');
+      // V8: First try to use preloaded database from sessionStorage.
+      // The key is versioned: a tab opened before `foods` existed holds a copy without it.
+      const cached = sessionStorage.getItem(FOOD_DATABASE_CACHE_KEY);
       if (cached) {
         this.foodDatabase = JSON.parse(cached);
         this.initialized = true;
@@ -28,7 +31,7 @@ class NutritionEngine {
       
       // Cache for future use
       try {
-        sessionStorage.setItem('viltrum_food_database', JSON.stringify(this.foodDatabase));
+        sessionStorage.setItem(FOOD_DATABASE_CACHE_KEY, JSON.stringify(this.foodDatabase));
       } catch (e) {
         // sessionStorage might be full, ignore
       }
@@ -88,18 +91,6 @@ class NutritionEngine {
     return { cookedGrams, rawGrams, multiplier: conversion.reverse, formula: `${cookedGrams}g cotto × ${conversion.reverse} = ~${rawGrams}g crudo` };
   }
 
-  findEquivalent(category, searchName) {
-    if (!this.foodDatabase?.equivalents) return null;
-    const group = this.foodDatabase.equivalents[category];
-    if (!group) return null;
-    const searchLower = searchName.toLowerCase();
-    const found = group.alternatives.find(alt => alt.name.toLowerCase().includes(searchLower) || alt.id.toLowerCase().includes(searchLower));
-    if (!found) return null;
-    const foodMacros = this.calculateMacros(found.per100g, found.suggestedQty);
-    const accuracy = this.calculateMacroAccuracy(group.baseProfile, foodMacros);
-    return { ...found, accuracy, macros: foodMacros, targetMacros: group.baseProfile, matchQuality: accuracy >= 85 ? 'ottimo' : accuracy >= 70 ? 'buono' : 'accettabile' };
-  }
-
   calculateMacros(per100g, quantity) {
     const factor = quantity / 100;
     return { kcal: Math.round(per100g.kcal * factor), protein: Math.round(per100g.protein * factor * 10) / 10, carbs: Math.round(per100g.carbs * factor * 10) / 10, fat: Math.round(per100g.fat * factor * 10) / 10 };
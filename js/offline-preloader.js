@@ -11,7 +11,7 @@
 
 const OfflinePreloader = {
   DB_NAME: 'ViltrumOfflineDB',
-  DB_VERSION: 3, // Incrementato per V7 - aggiunge PLANS_DATA store
+  DB_VERSION: 5, // V7: PLANS_DATA store; v4: RUN_TRACKS (tracce GPS delle corse); v5: PRODUCTS (codici a barre)
   db: null,
   isPreloading: false,
 
@@ -22,7 +22,9 @@ const OfflinePreloader = {
     IMAGES: 'images',
     AUDIO: 'audio',
     NUTRITION: 'nutrition',
-    PROGRESS: 'userProgress'
+    PROGRESS: 'userProgress',
+    RUN_TRACKS: 'runTracks',
+    PRODUCTS: 'products'
   },
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -49,7 +51,9 @@ const OfflinePreloader = {
             const keyPath = storeName === 'images' ? 'url' : 
                            storeName === 'audio' ? 'key' :
                            storeName === 'nutrition' ? 'email' :
-                           storeName === 'userProgress' ? 'id' : 'key';
+                           storeName === 'userProgress' ? 'id' :
+                           storeName === 'runTracks' ? 'id' :
+                           storeName === 'products' ? 'barcode' : 'key';
             db.createObjectStore(storeName, { keyPath });
           }
         });
@@ -81,6 +85,16 @@ const OfflinePreloader = {
     });
   },
 
+  async deleteFromDB(storeName, key) {
+    if (!this.db) await this.initDB();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const request = transaction.objectStore(storeName).delete(key);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  },
+
   async getAllFromDB(storeName) {
     if (!this.db) await this.initDB();
     return new Promise((resolve, reject) => {
@@ -777,6 +791,55 @@ const OfflinePreloader = {
     return null;
   },
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RUN TRACKS (GPS recorded in endurance.html, exported as GPX/TCX)
+  // User data, not cache: clearCache() leaves these alone.
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  RUN_TRACKS_LIMIT: 30,
+
+  async saveRunTrack(track) {
+    await this.putInDB(this.STORES.RUN_TRACKS, track);
+    // Keep the newest RUN_TRACKS_LIMIT: a 1 h run at 1 fix/s is ~300 KB
+    const all = await this.getAllFromDB(this.STORES.RUN_TRACKS);
+    const stale = all.sort((a, b) => b.startedAt - a.startedAt).slice(this.RUN_TRACKS_LIMIT);
+    for (const old of stale) await this.deleteFromDB(this.STORES.RUN_TRACKS, old.id);
+  },
+
+  async getRunTrack(id) {
+    try {
+      return (await this.getFromDB(this.STORES.RUN_TRACKS, id)) || null;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  async getRunTracks() {
+    try {
+      const all = await this.getAllFromDB(this.STORES.RUN_TRACKS);
+      return all.sort((a, b) => b.startedAt - a.startedAt);
+    } catch (e) {
+      return [];
+    }
+  },
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PACKAGED PRODUCTS (barcodes scanned in nutrition.html, js/product-lookup.js)
+  // Cache: a product the coach has not changed can always be fetched again.
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async getProduct(barcode) {
+    try {
+      return (await this.getFromDB(this.STORES.PRODUCTS, barcode)) || null;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  async saveProduct(product) {
+    await this.putInDB(this.STORES.PRODUCTS, product);
+  },
+
   // ═══════════════════════════════════════════════════════════════════════════
   // RESUME (runs on EVERY page, not just the dashboard)
   // ═══════════════════════════════════════════════════════════════════════════
@@ -822,6 +885,7 @@ const OfflinePreloader = {
       if (!this.db) await this.initDB();
       
       for (const storeName of Object.values(this.STORES)) {
+        if (storeName === this.STORES.RUN_TRACKS) continue;
         const transaction = this.db.transaction([storeName], 'readwrite');
         await transaction.objectStore(storeName).clear();
       }
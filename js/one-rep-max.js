@@ -0,0 +1,100 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - ESTIMATED 1RM (e1RM)
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// Estimates a one-rep max from a logged set (load x reps) and compares the
+// best recent estimate with the stored max (profile-manager.js), so the app
+// can suggest an update before percentage loads drift too light.
+// Both formulas agree at low reps and diverge past ~10, so sets above
+// MAX_REPS_FOR_E1RM are ignored rather than trusted.
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const MAX_REPS_FOR_E1RM = 10;
+
+export const E1RM_FORMULAS = {
+  epley: { label: 'Epley', estimate: (kg, reps) => kg * (1 + reps / 30) },
+  brzycki: { label: 'Brzycki', estimate: (kg, reps) => (kg * 36) / (37 - reps) },
+};
+
+export const DEFAULT_E1RM_FORMULA = 'epley';
+
+// Suggest an update when the estimate beats the stored max by this much
+export const DEFAULT_E1RM_THRESHOLD_PCT = 2.5;
+
+// Only estimates this recent count towards a suggestion
+export const E1RM_WINDOW_DAYS = 56;
+
+// Down to the nearest 0.5 kg: a suggestion should never round a max up
+const floorHalf = (x) => Math.floor(x * 2) / 2;
+
+/**
+ * Estimated one-rep max for a set
+ * @param {number} kg - Load lifted
+ * @param {number} reps - Reps completed (1..MAX_REPS_FOR_E1RM)
+ * @param {string} [formula] - Key of E1RM_FORMULAS
+ * @returns {number|null} kg, floored to 0.5; null when the set can't be used
+ */
+export function estimateOneRepMax(kg, reps, formula = DEFAULT_E1RM_FORMULA) {
+  const load = Number(kg);
+  const n = Number(reps);
+  if (!Number.isFinite(load) || load <= 0) return null;
+  if (!Number.isInteger(n) || n < 1 || n > MAX_REPS_FOR_E1RM) return null;
+  if (n === 1) return floorHalf(load);
+  const f = E1RM_FORMULAS[formula] || E1RM_FORMULAS[DEFAULT_E1RM_FORMULA];
+  return floorHalf(f.estimate(load, n));
+}
+
+/**
+ * Best e1RM per session for every tracked lift, oldest first
+ * @param {Array} history - Workout history entries (with `sets`)
+ * @param {function(Object): (string|null)} liftOf - Maps a logged set to a max id
+ * @param {{formula?: string}} [options]
+ * @returns {Object<string, Array<{date: string, e1rm: number, kg: number, reps: number}>>}
+ */
+export function e1rmTrend(history, liftOf, { formula = DEFAULT_E1RM_FORMULA } = {}) {
+  const trend = {};
+  (history || []).forEach(entry => {
+    const date = entry && (entry.completedAt || entry.startedAt);
+    if (!date) return;
+    const best = {};
+    (entry.sets || []).forEach(set => {
+      const lift = liftOf(set);
+      const e1rm = lift ? estimateOneRepMax(set.kg, set.reps, formula) : null;
+      if (e1rm === null) return;
+      if (!best[lift] || e1rm > best[lift].e1rm) {
+        best[lift] = { date, e1rm, kg: Number(set.kg), reps: Number(set.reps) };
+      }
+    });
+    Object.entries(best).forEach(([lift, point]) => (trend[lift] || (trend[lift] = [])).push(point));
+  });
+  Object.values(trend).forEach(points => points.sort((a, b) => a.date.localeCompare(b.date)));
+  return trend;
+}
+
+/**
+ * Lifts whose best recent e1RM beats the stored max by the threshold
+ * (or that have no stored max at all)
+ * @param {Object} trend - Output of e1rmTrend
+ * @param {Object} maxes - Stored maxes { back_squat: 100, ... }
+ * @param {{thresholdPct?: number, windowDays?: number, now?: Date}} [options]
+ * @returns {Array<{liftId: string, current: number|null, suggested: number, from: Object}>}
+ *   biggest relative gain first
+ */
+export function maxUpdateSuggestions(trend, maxes, {
+  thresholdPct = DEFAULT_E1RM_THRESHOLD_PCT,
+  windowDays = E1RM_WINDOW_DAYS,
+  now = new Date(),
+} = {}) {
+  const since = now.getTime() - windowDays * 24 * 60 * 60 * 1000;
+  const out = [];
+  Object.entries(trend || {}).forEach(([liftId, points]) => {
+    const recent = points.filter(p => new Date(p.date).getTime() >= since);
+    if (!recent.length) return;
+    const best = recent.reduce((a, b) => (b.e1rm > a.e1rm ? b : a));
+    const current = Number(maxes && maxes[liftId]) > 0 ? Number(maxes[liftId]) : null;
+    if (current !== null && best.e1rm < current * (1 + thresholdPct / 100)) return;
+    out.push({ liftId, current, suggested: best.e1rm, from: best });
+  });
+  const gain = (s) => (s.current ? s.suggested / s.current : Infinity);
+  return out.sort((a, b) => gain(b) - gain(a));
+}
@@ -85,3 +85,63 @@ export function parsePace(str) {
   if (seconds >= 60) return null;
   return parseInt(m[1], 10) * 60 + seconds;
 }
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TREADMILL (km/h)
+// Treadmills show speed, not pace. Speeds are snapped to 0.1 km/h, the step
+// of every treadmill console.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const round1 = (x) => Math.round(x * 10) / 10;
+
+/**
+ * @param {number} sec - seconds per km
+ * @returns {number|null} km/h, 0.1 precision
+ */
+export function paceToKmh(sec) {
+  const s = Number(sec);
+  if (!Number.isFinite(s) || s <= 0) return null;
+  return round1(3600 / s);
+}
+
+/**
+ * @param {number} kmh
+ * @returns {number|null} seconds per km
+ */
+export function kmhToPace(kmh) {
+  const v = Number(kmh);
+  if (!Number.isFinite(v) || v <= 0) return null;
+  return Math.round(3600 / v);
+}
+
+/**
+ * A zone's pace band as treadmill speeds.
+ * @param {Array|null} bands - output of paceZoneBands
+ * @param {number} zone
+ * @returns {{zone:number, minKmh:number|null, maxKmh:number|null}|null}
+ *          minKmh = slowest edge (null for Z1), maxKmh = fastest edge (null for Z5)
+ */
+export function treadmillSpeeds(bands, zone) {
+  const band = Array.isArray(bands) ? bands.find((b) => b.zone === zone) : null;
+  if (!band) return null;
+  return {
+    zone,
+    minKmh: Number.isFinite(band.maxSec) ? paceToKmh(band.maxSec) : null,
+    maxKmh: band.minSec > 0 ? paceToKmh(band.minSec) : null,
+  };
+}
+
+/**
+ * What a runner types for the treadmill: a speed ("10.5", "10,5") or a pace ("5:40").
+ * @param {string} str
+ * @returns {number|null} km/h, 0.1 precision; null when malformed or not a running speed
+ */
+export function parseTreadmillInput(str) {
+  if (typeof str !== 'string') return null;
+  const s = str.trim();
+  const pace = parsePace(s);
+  const kmh = pace !== null
+    ? paceToKmh(pace)
+    : /^\d{1,2}([.,]\d{1,2})?$/.test(s) ? round1(parseFloat(s.replace(',', '.'))) : null;
+  return kmh !== null && kmh >= 1 && kmh <= 30 ? kmh : null;
+}
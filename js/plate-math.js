@@ -0,0 +1,105 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - PLATE MATH
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// Turns a target barbell load ("75% Back Squat" = 61.5 kg) into what can
+// actually be built: the bar plus the same plates on each side, using only
+// the plates the athlete owns. Inventory counts are plates in total, so
+// 3 x 10 kg means one per side (the odd one stays on the rack).
+// Weights are worked in 0.25 kg units so 1.25 and 0.5 kg plates are exact.
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const BAR_OPTIONS_KG = [20, 15, 10];
+export const DEFAULT_BAR_KG = 20;
+
+// A commercial gym: enough of everything for any realistic lift
+export const DEFAULT_PLATE_INVENTORY = { 25: 8, 20: 4, 15: 4, 10: 4, 5: 4, 2.5: 4, 1.25: 4 };
+
+const UNIT = 4; // 0.25 kg
+const toUnits = (kg) => Math.round(kg * UNIT);
+const toKg = (units) => units / UNIT;
+
+/**
+ * Plates available for ONE side, heaviest first
+ * @param {Object<string, number>} inventory - { plateKg: totalCount }
+ * @returns {number[]} plate weights in kg, repeated per plate
+ */
+export function platesPerSide(inventory = DEFAULT_PLATE_INVENTORY) {
+  const out = [];
+  Object.entries(inventory || {}).forEach(([kg, count]) => {
+    const w = Number(kg);
+    const n = Math.floor((Number(count) || 0) / 2);
+    if (!(w > 0) || toUnits(w) < 1) return;
+    for (let i = 0; i < n; i++) out.push(w);
+  });
+  return out.sort((a, b) => b - a);
+}
+
+/**
+ * Closest loadable weight to a target, and the plates per side to build it
+ * @param {number} targetKg - Total load wanted (bar included)
+ * @param {{barKg?: number, plates?: Object<string, number>}} [options]
+ * @returns {{targetKg: number, totalKg: number, barKg: number, perSide: number[], deltaKg: number, exact: boolean}|null}
+ *   null when the target is not a positive number, or is lighter than the
+ *   bar (the bare bar would already be too heavy). Ties round down: a
+ *   percentage load should never end up heavier than prescribed.
+ */
+export function loadBarbell(targetKg, { barKg = DEFAULT_BAR_KG, plates = DEFAULT_PLATE_INVENTORY } = {}) {
+  const target = Number(targetKg);
+  if (!Number.isFinite(target) || target <= 0) return null;
+  const bar = Number(barKg) > 0 ? Number(barKg) : DEFAULT_BAR_KG;
+  if (target < bar) return null;
+
+  const pool = platesPerSide(plates);
+  const maxUnits = pool.reduce((sum, w) => sum + toUnits(w), 0);
+
+  // Bounded subset sums per side: rows[i][s] = fewest of the first i plates
+  // adding up to s units (Infinity when unreachable)
+  const rows = [new Array(maxUnits + 1).fill(Infinity)];
+  rows[0][0] = 0;
+  pool.forEach((w, i) => {
+    const u = toUnits(w);
+    const prev = rows[i];
+    rows.push(prev.map((n, s) => (s >= u ? Math.min(n, prev[s - u] + 1) : n)));
+  });
+  const fewest = rows[pool.length];
+
+  const wanted = ((target - bar) / 2) * UNIT; // not rounded: ties stay ties
+  let best = 0;
+  for (let s = 0; s <= maxUnits; s++) {
+    if (fewest[s] === Infinity) continue;
+    const d = Math.abs(s - wanted);
+    const bestD = Math.abs(best - wanted);
+    if (d < bestD || (d === bestD && s < best)) best = s;
+  }
+
+  // Walk back: plate i is on the bar when it changed the count for this sum
+  const perSide = [];
+  let s = best;
+  for (let i = pool.length; i > 0 && s > 0; i--) {
+    if (rows[i][s] !== rows[i - 1][s]) {
+      perSide.push(pool[i - 1]);
+      s -= toUnits(pool[i - 1]);
+    }
+  }
+  perSide.sort((a, b) => b - a);
+
+  const totalKg = bar + 2 * toKg(best);
+  return {
+    targetKg: target,
+    totalKg,
+    barKg: bar,
+    perSide,
+    deltaKg: Math.round((totalKg - target) * 100) / 100,
+    exact: Math.abs(totalKg - target) < 1e-9
+  };
+}
+
+/**
+ * "20 + 10 + 1.25" per side, or '' for an empty bar
+ * @param {{perSide: number[]}|null} load - Output of loadBarbell
+ * @returns {string}
+ */
+export function formatPlates(load) {
+  return load && load.perSide.length ? load.perSide.join(' + ') : '';
+}
@@ -0,0 +1,104 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - PRODUCT LOOKUP (barcode -> packaged product)
+//
+// A scanned code goes through a chain of sources, first hit wins:
+//   cache (IndexedDB on the page) -> the sources the page passes in
+// The nutrition page passes the coaches' Products sheet (backendSource);
+// tests pass a fixture file (tableSource). A source is { name, lookup(code) }
+// resolving to a raw product or null; a source that throws (offline, server
+// down) is skipped, not fatal. Found products go back into the cache, so a
+// product scanned once keeps working offline.
+//
+// No DOM: the cache and the fetchers are handed in. Products are checked with
+// normalizeProduct (js/barcode.js) whatever source they come from.
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { normalizeBarcode, normalizeProduct } from './barcode.js';
+
+// After this, a cached product is checked again with the sources (the coach
+// may have fixed its macros); offline the old copy is still used.
+export const PRODUCT_CACHE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * A source over products already in memory: a fixture, a shipped table
+ * @param {Array<Object>} products
+ * @param {string} [name]
+ * @returns {{name: string, lookup: function(string): Promise<Object|null>}}
+ */
+export function tableSource(products, name = 'table') {
+  const byCode = new Map();
+  for (const p of products || []) {
+    const code = normalizeBarcode(p?.barcode);
+    if (code && !byCode.has(code)) byCode.set(code, p);
+  }
+  return { name, lookup: async (code) => byCode.get(code) || null };
+}
+
+/**
+ * The Products sheet, through the getProduct action
+ * @param {function(string, Object): Promise<Object>} post - apiPost of js/api.js
+ * @returns {{name: string, lookup: function(string): Promise<Object|null>}}
+ */
+export function backendSource(post) {
+  return {
+    name: 'coach',
+    lookup: async (code) => {
+      const data = await post('getProduct', { barcode: code });
+      if (data.status !== 'success') throw new Error(data.message || 'Server error');
+      return data.product || null;
+    },
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {Array<Object>} options.sources - tried in order
+ * @param {{get: function(string): Promise<Object|null>, put: function(Object): Promise}} [options.cache]
+ * @param {number} [options.maxAge] - ms a cached product is trusted without asking
+ * @param {function(): number} [options.now]
+ * @returns {{lookup: function(string, string=): Promise<{product: Object, source: string}|null>}}
+ *   lookup(raw, format) resolves to null for an invalid code or a product no
+ *   source knows
+ */
+export function createProductLookup({ sources, cache = null, maxAge = PRODUCT_CACHE_MAX_AGE, now = Date.now }) {
+  async function fromCache(code) {
+    try {
+      return (await cache?.get(code)) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function lookup(raw, format) {
+    const code = normalizeBarcode(raw, format);
+    if (!code) return null;
+
+    const cached = await fromCache(code);
+    const cachedProduct = normalizeProduct(cached);
+    if (cachedProduct && now() - (cached.cachedAt || 0) < maxAge) {
+      return { product: cachedProduct, source: 'cache' };
+    }
+
+    for (const source of sources || []) {
+      let product;
+      try {
+        product = normalizeProduct(await source.lookup(code));
+      } catch (e) {
+        console.warn(`⚠️ product lookup (${source.name}) failed:`, e.message);
+        continue;
+      }
+      if (!product || product.barcode !== code) continue;
+      try {
+        await cache?.put({ ...product, source: source.name, cachedAt: now() });
+      } catch (e) {
+        console.warn('⚠️ product cache write failed:', e.message);
+      }
+      return { product, source: source.name };
+    }
+
+    // Nobody answered: an old copy beats nothing
+    return cachedProduct ? { product: cachedProduct, source: 'cache' } : null;
+  }
+
+  return { lookup };
+}
@@ -4,6 +4,10 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 import { SUPABASE_URL, SUPABASE_ANON_KEY } from './config.js';
+import { BUILTIN_LIFTS, allLifts, resolveLiftId, liftIdForSet, liftIdForExercise, liftLabel, createCustomLift } from './lift-aliases.js';
+import { loadBarbell, BAR_OPTIONS_KG, DEFAULT_BAR_KG, DEFAULT_PLATE_INVENTORY } from './plate-math.js';
+import { e1rmTrend, maxUpdateSuggestions, E1RM_FORMULAS, DEFAULT_E1RM_FORMULA, DEFAULT_E1RM_THRESHOLD_PCT } from './one-rep-max.js';
+import { DEFAULT_CUE_POLICY, CUE_PRESETS } from './cue-policy.js';
 
 // Initialize Supabase client
 let supabase = null;
@@ -261,16 +265,45 @@ export function getSubscriptionMessage(subscription) {
 
 const MAXES_CACHE_KEY = 'viltrum_user_maxes';
 
-// Available maxes definitions
-export const AVAILABLE_MAXES = [
-  { id: 'front_squat', label: 'Front Squat', unit: 'kg' },
-  { id: 'back_squat', label: 'Back Squat', unit: 'kg' },
-  { id: 'deadlift', label: 'Deadlift', unit: 'kg' },
-  { id: 'sumo_deadlift', label: 'Sumo Deadlift', unit: 'kg' },
-  { id: 'bench_press', label: 'Panca Piana', unit: 'kg' },
-  { id: 'strict_press', label: 'Strict Press', unit: 'kg' },
-  { id: 'push_press', label: 'Push Press', unit: 'kg' }
-];
+// Built-in maxes; custom lifts (below) are listed after them by getAllLifts()
+export const AVAILABLE_MAXES = BUILTIN_LIFTS.map(l => ({ id: l.id, label: l.label, unit: 'kg' }));
+
+/**
+ * Max id for a reference like "BackSquat", "panca piana", "OHP", "Hip Thrust"
+ * @param {string} reference
+ * @returns {string|null} e.g. 'back_squat'
+ */
+export function maxIdForReference(reference) {
+  return resolveLiftId(reference, getCustomLiftsCached());
+}
+
+/**
+ * Which tracked max a logged set trains (see lift-aliases.js liftIdForSet)
+ * @param {{name?: string, tipoDiPeso?: string}} set
+ * @returns {string|null}
+ */
+export function maxIdForSet(set) {
+  return liftIdForSet(set, getCustomLiftsCached());
+}
+
+/**
+ * Which tracked max an exercise name refers to, for a bare "75%" load
+ * @param {string} name - Exercise name
+ * @returns {{id: string, label: string}|null}
+ */
+export function maxForExerciseName(name) {
+  const customLifts = getCustomLiftsCached();
+  const id = liftIdForExercise(name, customLifts);
+  return id ? { id, label: liftLabel(id, customLifts) } : null;
+}
+
+/**
+ * Built-in and custom lifts, in display order
+ * @returns {Array<{id: string, label: string, unit: string, custom: boolean, aliases: string[]}>}
+ */
+export function getAllLifts() {
+  return allLifts(getCustomLiftsCached()).map(l => ({ ...l, unit: 'kg' }));
+}
 
 /**
  * Get user maxes from cache or Supabase
@@ -304,11 +337,13 @@ export async function getUserMaxes() {
 }
 
 /**
- * Save user maxes to Supabase + localStorage
+ * Save user maxes to Supabase + localStorage.
+ * Every value that changes is appended to the maxes history (audit trail).
  * @param {Object} maxes - { front_squat: 100, back_squat: 120, ... }
+ * @param {{source?: 'manual'|'e1rm', reason?: string}} [change] - Why the maxes changed
  * @returns {Promise<Object>} Result
  */
-export async function saveUserMaxes(maxes) {
+export async function saveUserMaxes(maxes, change = {}) {
   try {
     console.log('[Profile Manager] Saving maxes:', maxes);
 
@@ -321,6 +356,10 @@ export async function saveUserMaxes(maxes) {
       }
     }
 
+    let previous = {};
+    try { previous = JSON.parse(localStorage.getItem(MAXES_CACHE_KEY) || '{}'); } catch (e) {}
+    const history = appendMaxesHistory(previous, cleanMaxes, change);
+
     // Save to localStorage immediately
     localStorage.setItem(MAXES_CACHE_KEY, JSON.stringify(cleanMaxes));
     console.log('[Profile Manager] Maxes saved to localStorage');
@@ -329,7 +368,7 @@ export async function saveUserMaxes(maxes) {
     if (supabase) {
       try {
         const { error } = await supabase.auth.updateUser({
-          data: { maxes: cleanMaxes }
+          data: { maxes: cleanMaxes, maxesHistory: history.slice(0, MAXES_HISTORY_SYNCED) }
         });
 
         if (error) {
@@ -352,6 +391,213 @@ export async function saveUserMaxes(maxes) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// MAXES HISTORY (audit trail) + e1RM SUGGESTIONS
+// One entry per changed lift: when, from, to, and why (typed in by hand, or
+// accepted from an estimated 1RM). Newest first. The most recent entries ride
+// along in user_metadata so the trail follows the user across devices.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MAXES_HISTORY_KEY = 'viltrum_maxes_history';
+const MAXES_HISTORY_LIMIT = 100;
+const MAXES_HISTORY_SYNCED = 30;
+
+function appendMaxesHistory(previous, next, change) {
+  const history = getMaxesHistoryLocal();
+  const at = new Date().toISOString();
+  const ids = new Set([...Object.keys(previous || {}), ...Object.keys(next)]);
+  const entries = [...ids]
+    .filter(id => (previous[id] || null) !== (next[id] || null))
+    .map(id => ({
+      at,
+      liftId: id,
+      from: previous[id] || null,
+      to: next[id] || null,
+      source: change.source || 'manual',
+      reason: change.reason || ''
+    }));
+  const updated = [...entries, ...history].slice(0, MAXES_HISTORY_LIMIT);
+  try {
+    localStorage.setItem(MAXES_HISTORY_KEY, JSON.stringify(updated));
+  } catch (error) {
+    console.error('[Profile Manager] Error saving maxes history:', error);
+  }
+  return updated;
+}
+
+function getMaxesHistoryLocal() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(MAXES_HISTORY_KEY) || '[]');
+    return Array.isArray(raw) ? raw : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * When and why each max changed, newest first
+ * @returns {Promise<Array<{at: string, liftId: string, from: number|null, to: number|null, source: string, reason: string}>>}
+ */
+export async function getMaxesHistory() {
+  const local = getMaxesHistoryLocal();
+  if (local.length || !supabase) return local;
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    const remote = user?.user_metadata?.maxesHistory;
+    if (Array.isArray(remote) && remote.length) {
+      localStorage.setItem(MAXES_HISTORY_KEY, JSON.stringify(remote));
+      return remote;
+    }
+  } catch (error) {
+    console.error('[Profile Manager] Error getting maxes history:', error);
+  }
+  return local;
+}
+
+/**
+ * e1RM preferences: which formula, and how far above the stored max an
+ * estimate must be before the app suggests an update
+ * @returns {{formula: string, thresholdPct: number}}
+ */
+export function getE1rmSettings() {
+  const settings = getUserSettings();
+  return {
+    formula: settings.e1rmFormula || DEFAULT_E1RM_FORMULA,
+    thresholdPct: Number.isFinite(settings.e1rmThresholdPct) ? settings.e1rmThresholdPct : DEFAULT_E1RM_THRESHOLD_PCT
+  };
+}
+
+/**
+ * @param {string} formula - Key of E1RM_FORMULAS ('epley' | 'brzycki')
+ */
+export function setE1rmFormula(formula) {
+  updateUserSettings({ e1rmFormula: formula });
+}
+
+/**
+ * @param {number} pct - Margin over the stored max, in percent (e.g. 2.5)
+ */
+export function setE1rmThresholdPct(pct) {
+  if (Number.isFinite(pct) && pct >= 0) updateUserSettings({ e1rmThresholdPct: pct });
+}
+
+/**
+ * e1RM trend of the tracked lifts over a history
+ * @param {Array} history - Workout history entries
+ * @returns {Object<string, Array>} keyed by max id (see one-rep-max.js e1rmTrend)
+ */
+export function getE1rmTrend(history) {
+  return e1rmTrend(history, maxIdForSet, { formula: getE1rmSettings().formula });
+}
+
+/**
+ * Maxes worth updating, from the sets logged in a history
+ * @param {Array} history - Workout history entries
+ * @returns {Array<{liftId: string, label: string, current: number|null, suggested: number, from: Object}>}
+ */
+export function getMaxSuggestions(history) {
+  let maxes = {};
+  try { maxes = JSON.parse(localStorage.getItem(MAXES_CACHE_KEY) || '{}'); } catch (e) {}
+  const { thresholdPct } = getE1rmSettings();
+  return maxUpdateSuggestions(getE1rmTrend(history), maxes, { thresholdPct })
+    .map(s => ({ ...s, label: liftLabel(s.liftId, getCustomLiftsCached()) }));
+}
+
+/**
+ * Accept a suggestion: store the new max and record why it changed
+ * @param {{liftId: string, suggested: number, from: {kg: number, reps: number, date: string}}} suggestion
+ * @returns {Promise<Object>} Result of saveUserMaxes
+ */
+export async function acceptMaxSuggestion(suggestion) {
+  const maxes = await getUserMaxes();
+  const formula = E1RM_FORMULAS[getE1rmSettings().formula] || E1RM_FORMULAS[DEFAULT_E1RM_FORMULA];
+  const day = new Date(suggestion.from.date).toLocaleDateString('it-IT');
+  return saveUserMaxes({ ...maxes, [suggestion.liftId]: suggestion.suggested }, {
+    source: 'e1rm',
+    reason: `${suggestion.from.reps} × ${suggestion.from.kg} kg il ${day} (${formula.label})`
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CUSTOM LIFTS (Hip Thrust, Pendlay Row, Clean...)
+// Saved in Supabase user_metadata.customLifts + localStorage cache. Their
+// maxes live with the built-in ones in viltrum_user_maxes, keyed by id.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const CUSTOM_LIFTS_CACHE_KEY = 'viltrum_custom_lifts';
+
+// Sync read for the resolvers: a workout must not wait on the network
+function getCustomLiftsCached() {
+  try {
+    const lifts = JSON.parse(localStorage.getItem(CUSTOM_LIFTS_CACHE_KEY) || '[]');
+    return Array.isArray(lifts) ? lifts : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Get custom lifts, refreshed from Supabase when signed in
+ * (another device may have added some)
+ * @returns {Promise<Array<{id: string, label: string, aliases: string[]}>>}
+ */
+export async function getCustomLifts() {
+  try {
+    if (supabase) {
+      const { data: { user } } = await supabase.auth.getUser();
+      const lifts = user?.user_metadata?.customLifts;
+      if (Array.isArray(lifts)) {
+        localStorage.setItem(CUSTOM_LIFTS_CACHE_KEY, JSON.stringify(lifts));
+        return lifts;
+      }
+    }
+  } catch (error) {
+    console.error('[Profile Manager] Error getting custom lifts:', error);
+  }
+  return getCustomLiftsCached();
+}
+
+async function saveCustomLifts(lifts) {
+  localStorage.setItem(CUSTOM_LIFTS_CACHE_KEY, JSON.stringify(lifts));
+
+  if (supabase) {
+    try {
+      const { error } = await supabase.auth.updateUser({ data: { customLifts: lifts } });
+      if (error) {
+        console.error('[Profile Manager] Supabase error saving custom lifts:', error);
+        return { success: true, warning: 'Salvato localmente, sync cloud fallito' };
+      }
+    } catch (supabaseError) {
+      console.error('[Profile Manager] Supabase save failed:', supabaseError);
+      return { success: true, warning: 'Salvato localmente' };
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Add a custom lift
+ * @param {string} label - e.g. "Hip Thrust"
+ * @param {string} aliases - Comma-separated other names used in the sheets
+ * @returns {Promise<Object>} Result, with `lift` on success
+ */
+export async function addCustomLift(label, aliases) {
+  const lifts = getCustomLiftsCached();
+  const { lift, error } = createCustomLift(label, aliases, lifts);
+  if (error) return { success: false, error };
+  const result = await saveCustomLifts([...lifts, lift]);
+  return { ...result, lift };
+}
+
+/**
+ * Remove a custom lift. Its stored max is kept, so adding it back restores it.
+ * @param {string} id
+ * @returns {Promise<Object>} Result
+ */
+export async function removeCustomLift(id) {
+  return saveCustomLifts(getCustomLiftsCached().filter(l => l.id !== id));
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // THRESHOLD PACE (Friel running pace zones anchor)
 // ═══════════════════════════════════════════════════════════════════════════
@@ -427,11 +673,173 @@ export async function saveThresholdPace(seconds) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// THRESHOLD HEART RATE (Friel running HR zones anchor)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const THRESHOLD_HR_CACHE_KEY = 'viltrum_threshold_hr';
+
+/**
+ * Get user lactate threshold heart rate (LTHR) from cache or Supabase.
+ * @returns {Promise<number|null>} bpm, or null if unset
+ */
+export async function getThresholdHr() {
+  try {
+    const cached = localStorage.getItem(THRESHOLD_HR_CACHE_KEY);
+    if (cached !== null) {
+      const n = parseInt(cached, 10);
+      if (Number.isFinite(n) && n > 0) return n;
+      // corrupted cache -> fall through to Supabase
+    }
+
+    if (supabase) {
+      const { data: { user } } = await supabase.auth.getUser();
+      const bpm = user?.user_metadata?.thresholdHr;
+      if (Number.isFinite(bpm) && bpm > 0) {
+        localStorage.setItem(THRESHOLD_HR_CACHE_KEY, String(bpm));
+        console.log('[Profile Manager] Threshold HR loaded from Supabase');
+        return bpm;
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error('[Profile Manager] Error getting threshold HR:', error);
+    return null;
+  }
+}
+
+/**
+ * Save user LTHR to localStorage + Supabase.
+ * @param {number} bpm
+ * @returns {Promise<{success:boolean, warning?:string, error?:string}>}
+ */
+export async function saveThresholdHr(bpm) {
+  try {
+    const value = parseInt(bpm, 10);
+    if (!Number.isFinite(value) || value <= 0) {
+      return { success: false, error: 'Valore non valido' };
+    }
+
+    localStorage.setItem(THRESHOLD_HR_CACHE_KEY, String(value));
+    console.log('[Profile Manager] Threshold HR saved to localStorage:', value);
+
+    if (supabase) {
+      try {
+        const { error } = await supabase.auth.updateUser({
+          data: { thresholdHr: value },
+        });
+        if (error) {
+          console.error('[Profile Manager] Supabase error saving threshold HR:', error);
+          return { success: true, warning: 'Salvato localmente, sync cloud fallito' };
+        }
+        console.log('[Profile Manager] Threshold HR synced to Supabase');
+        return { success: true };
+      } catch (supabaseError) {
+        console.error('[Profile Manager] Supabase save failed:', supabaseError);
+        return { success: true, warning: 'Salvato localmente' };
+      }
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('[Profile Manager] Error saving threshold HR:', error);
+    return { success: false, error: 'Errore durante il salvataggio' };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RUN CUE POLICY (user layer of js/cue-policy.js; the run workout can override)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const CUE_POLICY_CACHE_KEY = 'viltrum_cue_policy';
+
+// Only a preset and the policy's own fields: the layer ends up in user_metadata
+function cleanCueLayer(layer) {
+  const out = {};
+  if (!layer || typeof layer !== 'object') return out;
+  if (CUE_PRESETS[layer.preset]) out.preset = layer.preset;
+  for (const [key, value] of Object.entries(layer)) {
+    if (key in DEFAULT_CUE_POLICY && value !== undefined && value !== null) out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Get the user's cue layer from cache or Supabase.
+ * @returns {Promise<Object>} { preset?, ...policy fields }; {} if unset
+ */
+export async function getCuePolicy() {
+  try {
+    const cached = localStorage.getItem(CUE_POLICY_CACHE_KEY);
+    if (cached !== null) {
+      try {
+        return cleanCueLayer(JSON.parse(cached));
+      } catch (e) {
+        // corrupted cache -> fall through to Supabase
+      }
+    }
+
+    if (supabase) {
+      const { data: { user } } = await supabase.auth.getUser();
+      const layer = user?.user_metadata?.cuePolicy;
+      if (layer && typeof layer === 'object') {
+        const clean = cleanCueLayer(layer);
+        localStorage.setItem(CUE_POLICY_CACHE_KEY, JSON.stringify(clean));
+        console.log('[Profile Manager] Cue policy loaded from Supabase');
+        return clean;
+      }
+    }
+
+    return {};
+  } catch (error) {
+    console.error('[Profile Manager] Error getting cue policy:', error);
+    return {};
+  }
+}
+
+/**
+ * Save the user's cue layer to localStorage + Supabase.
+ * @param {Object} layer - { preset?, statusEveryKm?, statusEveryMin?, silence?, zoneCues?, ... }
+ * @returns {Promise<{success:boolean, warning?:string, error?:string}>}
+ */
+export async function saveCuePolicy(layer) {
+  try {
+    const value = cleanCueLayer(layer);
+    localStorage.setItem(CUE_POLICY_CACHE_KEY, JSON.stringify(value));
+    console.log('[Profile Manager] Cue policy saved to localStorage:', value);
+
+    if (supabase) {
+      try {
+        const { error } = await supabase.auth.updateUser({
+          data: { cuePolicy: value },
+        });
+        if (error) {
+          console.error('[Profile Manager] Supabase error saving cue policy:', error);
+          return { success: true, warning: 'Salvato localmente, sync cloud fallito' };
+        }
+        console.log('[Profile Manager] Cue policy synced to Supabase');
+        return { success: true };
+      } catch (supabaseError) {
+        console.error('[Profile Manager] Supabase save failed:', supabaseError);
+        return { success: true, warning: 'Salvato localmente' };
+      }
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('[Profile Manager] Error saving cue policy:', error);
+    return { success: false, error: 'Errore durante il salvataggio' };
+  }
+}
+
 /**
  * Calculate weight from percentage of a max
  * Used during workouts when tipoDiPeso is like "70% BackSquat"
  * @param {string} tipoDiPeso - e.g. "70% BackSquat", "80% Panca"
- * @returns {Object|null} { kg: 63, percentage: 70, maxName: 'Back Squat', maxValue: 90 } or null
+ * @returns {Object|null} { kg: 62.5, targetKg: 63, load, percentage: 70, maxName: 'Back Squat', maxValue: 90 } or null
+ *   kg is what the user's bar and plates can actually build (load = plate-math loadBarbell),
+ *   or targetKg as is when it is lighter than the bar (load null)
  */
 export function calculateWeightFromMax(tipoDiPeso) {
   if (!tipoDiPeso || typeof tipoDiPeso !== 'string') return null;
@@ -441,37 +849,8 @@ export function calculateWeightFromMax(tipoDiPeso) {
   if (!match) return null;
 
   const percentage = parseFloat(match[1]);
-  const maxRef = match[2].trim().toLowerCase();
-
-  // Map common references to max IDs
-  const maxMapping = {
-    'frontsquat': 'front_squat',
-    'front squat': 'front_squat',
-    'backsquat': 'back_squat',
-    'back squat': 'back_squat',
-    'squat': 'back_squat',
-    'deadlift': 'deadlift',
-    'stacco': 'deadlift',
-    'sumo': 'sumo_deadlift',
-    'sumo deadlift': 'sumo_deadlift',
-    'sumodeadlift': 'sumo_deadlift',
-    'stacco sumo': 'sumo_deadlift',
-    'panca': 'bench_press',
-    'bench': 'bench_press',
-    'bench press': 'bench_press',
-    'benchpress': 'bench_press',
-    'panca piana': 'bench_press',
-    'strict press': 'strict_press',
-    'strictpress': 'strict_press',
-    'military press': 'strict_press',
-    'overhead press': 'strict_press',
-    'ohp': 'strict_press',
-    'push press': 'push_press',
-    'pushpress': 'push_press',
-    'push-press': 'push_press'
-  };
-
-  const maxId = maxMapping[maxRef];
+  const maxRef = match[2].trim();
+  const maxId = maxIdForReference(maxRef);
   if (!maxId) return null;
 
   // Get cached maxes
@@ -483,12 +862,15 @@ export function calculateWeightFromMax(tipoDiPeso) {
     const maxValue = maxes[maxId];
     if (!maxValue || maxValue <= 0) return null;
 
-    const calculatedKg = Math.round((percentage / 100) * maxValue * 2) / 2; // Round to nearest 0.5
+    const targetKg = Math.round((percentage / 100) * maxValue * 2) / 2; // Round to nearest 0.5
+    const load = loadableWeight(targetKg);
 
-    const maxLabel = AVAILABLE_MAXES.find(m => m.id === maxId)?.label || maxRef;
+    const maxLabel = liftLabel(maxId, getCustomLiftsCached());
 
     return {
-      kg: calculatedKg,
+      kg: load ? load.totalKg : targetKg,
+      targetKg,
+      load,
       percentage,
       maxName: maxLabel,
       maxValue
@@ -529,10 +911,54 @@ function getDefaultSettings() {
     extraTime: 0, // Extra seconds to add to exercises
     soundMode: 'eleven', // eleven, voice, synth, bip, none
     notifications: true,
-    darkMode: true
+    darkMode: true,
+    barKg: DEFAULT_BAR_KG,
+    plates: null // null = DEFAULT_PLATE_INVENTORY (fully stocked gym)
+  };
+}
+
+/**
+ * Bar and plate inventory for the plate calculator. Settings saved before
+ * these existed fall back to a 20 kg bar and a fully stocked gym.
+ * @returns {{barKg: number, plates: Object<string, number>}}
+ */
+export function getBarbellSettings() {
+  const settings = getUserSettings();
+  const barKg = Number(settings.barKg);
+  return {
+    barKg: BAR_OPTIONS_KG.includes(barKg) ? barKg : DEFAULT_BAR_KG,
+    plates: settings.plates && typeof settings.plates === 'object' ? settings.plates : { ...DEFAULT_PLATE_INVENTORY }
   };
 }
 
+/**
+ * Save bar weight and plate inventory
+ * @param {{barKg?: number, plates?: Object<string, number>|null}} barbell - plates: { plateKg: totalCount }, null resets
+ * @returns {Object} Updated settings
+ */
+export function setBarbellSettings({ barKg, plates } = {}) {
+  const update = {};
+  if (BAR_OPTIONS_KG.includes(Number(barKg))) update.barKg = Number(barKg);
+  if (plates === null) update.plates = null;
+  else if (plates && typeof plates === 'object') {
+    update.plates = {};
+    Object.entries(plates).forEach(([kg, count]) => {
+      const n = parseInt(count, 10);
+      if (Number(kg) > 0 && n > 0) update.plates[kg] = n;
+    });
+  }
+  return updateUserSettings(update);
+}
+
+/**
+ * Closest weight the user's bar and plates can build
+ * @param {number} targetKg
+ * @returns {Object|null} plate-math loadBarbell result, null below the bar
+ */
+export function loadableWeight(targetKg) {
+  return loadBarbell(targetKg, getBarbellSettings());
+}
+
 /**
  * Update user settings
  * @param {Object} newSettings - New settings to merge
@@ -0,0 +1,121 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - RUN ESTIMATE (how long / how far a run workout is)
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// Phases come as the sheet has them ({ value, unit: km|m|min|sec, zone }),
+// loops already expanded (DataPreloader.getRunWorkoutExpanded). A timed phase
+// gets its distance, a distance phase its time, from a typical pace for its
+// zone in the runner's bands (pace-zones.js). Without bands only what the plan
+// states is known: the other half stays null.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Where in its band a runner usually sits. Z1 and Z5 are open-ended: a step
+// past the edge. Z2-Z4: the middle.
+const Z1_SLOWER = 1.08;
+const Z5_FASTER = 0.95;
+
+// Walking recoveries ("cammino") go at walking pace whatever the zone
+export const WALK_PACE_SEC = 600;
+const WALK_PATTERN = /cammin/i;
+
+/**
+ * Typical pace for a zone
+ * @param {number} zone - 1..5
+ * @param {Array|null} bands - output of paceZoneBands
+ * @returns {number|null} sec/km
+ */
+export function zonePaceSec(zone, bands) {
+  const band = Array.isArray(bands) ? bands.find(b => b.zone === Number(zone)) : null;
+  if (!band) return null;
+  if (band.maxSec === Infinity) return Math.round(band.minSec * Z1_SLOWER);
+  if (band.minSec === 0) return Math.round(band.maxSec * Z5_FASTER);
+  return Math.round((band.minSec + band.maxSec) / 2);
+}
+
+// "0,5" from the sheet is half a km
+function phaseValue(phase) {
+  const n = Number(String(phase.value ?? '').replace(',', '.'));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Time and distance of one phase
+ * @param {{value: number|string, unit: string, zone: number, description?: string}} phase
+ * @param {Array|null} bands
+ * @returns {{timeSec: number|null, distanceM: number|null, estimated: 'time'|'distance'|null}}
+ *   `estimated` names the half that comes from the pace; null when neither does
+ */
+export function estimatePhase(phase, bands) {
+  const value = phaseValue(phase);
+  const paceSec = WALK_PATTERN.test(phase.description || '') ? WALK_PACE_SEC : zonePaceSec(phase.zone, bands);
+
+  if (value !== null && (phase.unit === 'min' || phase.unit === 'sec')) {
+    const timeSec = Math.round(phase.unit === 'min' ? value * 60 : value);
+    return {
+      timeSec,
+      distanceM: paceSec === null ? null : Math.round((timeSec / paceSec) * 1000),
+      estimated: paceSec === null ? null : 'distance',
+    };
+  }
+  if (value !== null && (phase.unit === 'km' || phase.unit === 'm')) {
+    const distanceM = Math.round(phase.unit === 'km' ? value * 1000 : value);
+    return {
+      timeSec: paceSec === null ? null : Math.round((distanceM / 1000) * paceSec),
+      distanceM,
+      estimated: paceSec === null ? null : 'time',
+    };
+  }
+  return { timeSec: null, distanceM: null, estimated: null };
+}
+
+/**
+ * Time and distance of a whole workout
+ * @param {Array} phases - expanded phases
+ * @param {Array|null} bands
+ * @returns {{phases: Array, totalSec: number|null, totalM: number|null, estimated: boolean}}
+ *   totals are null unless every phase has that half; `estimated` when any
+ *   part of the totals came from a pace
+ */
+export function estimateRun(phases, bands) {
+  const list = (phases || []).map(p => estimatePhase(p, bands));
+  const sum = (key) => (list.length && list.every(p => p[key] !== null) ? list.reduce((s, p) => s + p[key], 0) : null);
+  return {
+    phases: list,
+    totalSec: sum('timeSec'),
+    totalM: sum('distanceM'),
+    estimated: list.some(p => p.estimated !== null),
+  };
+}
+
+/**
+ * @param {number|null} sec
+ * @returns {string} "45 min", "1 h 05 min", "" for null
+ */
+export function formatRunDuration(sec) {
+  if (sec === null || !Number.isFinite(sec)) return '';
+  const min = Math.round(sec / 60);
+  if (min < 60) return `${min} min`;
+  return `${Math.floor(min / 60)} h ${String(min % 60).padStart(2, '0')} min`;
+}
+
+/**
+ * @param {number|null} meters
+ * @returns {string} "8.4 km", "600 m", "" for null
+ */
+export function formatRunDistance(meters) {
+  if (meters === null || !Number.isFinite(meters)) return '';
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * One line for lists: "~52 min · 9.0 km", a "~" on each half that is estimated
+ * @param {{phases: Array, totalSec: number|null, totalM: number|null}} est - output of estimateRun
+ * @returns {string} "" when neither total is known
+ */
+export function formatRunEstimate(est) {
+  const approx = (kind) => (est.phases.some(p => p.estimated === kind) ? '~' : '');
+  return [
+    est.totalSec !== null ? approx('time') + formatRunDuration(est.totalSec) : '',
+    est.totalM !== null ? approx('distance') + formatRunDistance(est.totalM) : '',
+  ].filter(Boolean).join(' · ');
+}
@@ -0,0 +1,99 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - RUN SPLITS (per-phase report)
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// For every phase of a recorded run (laps of a run-track.js track): distance,
+// duration, average pace and the share of time spent inside the phase's
+// target zone, plus time-in-zone totals for the whole run.
+// Time in zone is classified on the same smoothed pace the runner saw live
+// (trailing ~18 s window), not fix-to-fix, which swings a zone per second.
+// Gaps longer than MAX_GAP_MS (pause, lost signal) are not attributed.
+// A lap carrying its own distanceM (treadmill runs: integrated from the belt
+// speed, corrected by the runner) uses it instead of the GPS distance.
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { cumulativeDistances, splitLaps } from './run-track.js';
+import { classifyPace } from './pace-zones.js';
+
+export const PACE_WINDOW_MS = 18000;
+export const PACE_MIN_MS = 8000;
+export const MAX_GAP_MS = 10000;
+
+// Under this a phase has no meaningful average pace
+const MIN_PACE_DISTANCE_M = 20;
+
+/**
+ * Smoothed pace at every fix over a trailing window
+ * @param {Array<{t: number}>} points
+ * @param {number[]} cumulative - cumulativeDistances(points)
+ * @param {{windowMs?: number, minMs?: number}} [options]
+ * @returns {Array<number|null>} sec/km, null while the window is too short or still
+ */
+export function windowPaces(points, cumulative, { windowMs = PACE_WINDOW_MS, minMs = PACE_MIN_MS } = {}) {
+  const out = [];
+  let from = 0;
+  (points || []).forEach((p, i) => {
+    while (from < i && p.t - points[from].t > windowMs) from++;
+    const dt = p.t - points[from].t;
+    const dm = cumulative[i] - cumulative[from];
+    out.push(dt >= minMs && dm > 0 ? Math.round((dt / 1000) / (dm / 1000)) : null);
+  });
+  return out;
+}
+
+const emptyZones = () => ({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+
+/**
+ * Per-phase split report
+ * @param {Object} track - run-track.js track; laps may carry the target `zone`
+ * @param {Array|null} bands - paceZoneBands(threshold); null = no zones
+ * @returns {{phases: Array<{phaseIndex: number, name: string, zone: number|null, distanceM: number,
+ *   durationSec: number, avgPaceSec: number|null, inTargetPct: number|null, zoneSec: Object}>,
+ *   zoneTotals: Object<number, number>|null, classifiedSec: number}}
+ *   zoneSec / zoneTotals in seconds; inTargetPct over the classified time of the phase
+ */
+export function splitReport(track, bands) {
+  const laps = splitLaps(track);
+  const points = (track && track.points) || [];
+  const cumulative = cumulativeDistances(points);
+  const paces = windowPaces(points, cumulative);
+
+  const zoneMs = laps.map(() => emptyZones());
+  if (bands) {
+    let lap = 0;
+    for (let i = 1; i < points.length; i++) {
+      const dt = points[i].t - points[i - 1].t;
+      if (dt <= 0 || dt > MAX_GAP_MS || paces[i] === null) continue;
+      while (lap + 1 < laps.length && points[i].t >= laps[lap + 1].startT) lap++;
+      if (points[i].t < laps[lap].startT) continue;
+      const zone = classifyPace(paces[i], bands);
+      if (zone) zoneMs[lap][zone] += dt;
+    }
+  }
+
+  const toSec = (zones) => Object.fromEntries(Object.entries(zones).map(([z, ms]) => [z, Math.round(ms / 1000)]));
+  const phases = laps.map((l, i) => {
+    const zone = Number(l.lap.zone) || null;
+    const classified = Object.values(zoneMs[i]).reduce((a, b) => a + b, 0);
+    const distanceM = Number.isFinite(l.lap.distanceM) ? l.lap.distanceM : l.distanceM;
+    return {
+      phaseIndex: l.lap.phaseIndex ?? i,
+      name: l.lap.name || `Fase ${i + 1}`,
+      zone,
+      distanceM: Math.round(distanceM),
+      durationSec: l.durationSec,
+      avgPaceSec: distanceM >= MIN_PACE_DISTANCE_M ? Math.round(l.durationSec / (distanceM / 1000)) : null,
+      inTargetPct: bands && zone && classified ? Math.round((zoneMs[i][zone] / classified) * 100) : null,
+      zoneSec: toSec(zoneMs[i])
+    };
+  });
+
+  const totals = emptyZones();
+  zoneMs.forEach(z => Object.keys(totals).forEach(k => { totals[k] += z[k]; }));
+  const zoneTotals = bands ? toSec(totals) : null;
+  return {
+    phases,
+    zoneTotals,
+    classifiedSec: zoneTotals ? Object.values(zoneTotals).reduce((a, b) => a + b, 0) : 0
+  };
+}
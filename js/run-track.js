@@ -0,0 +1,184 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - RUN TRACK (GPX / TCX)
+// Pure functions. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// A track is what endurance.html records during a run:
+//   { id, name, plan, startedAt, endedAt, distanceM,
+//     points: [{ lat, lon, t, acc, distanceM, movingMs }], t = epoch ms,
+//             distanceM / movingMs = gps-filter.js counters at that fix
+//     laps:   [{ phaseIndex, name, notes, rest, startT }] one per phase entered,
+//     lapMarks, lapSplits, kmSplits: lap button and per-km splits (lap-splits.js) }
+// Laps are the workout phases: a point belongs to the last lap started at or
+// before its time. Points are the fixes gps-filter.js accepted; distances
+// between them count in steps of 1-100 m (smaller is jitter, larger a jump).
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const MIN_STEP_M = 1;
+export const MAX_STEP_M = 100;
+
+/**
+ * Great-circle distance between two fixes
+ * @returns {number} metres
+ */
+export function haversineM(lat1, lon1, lat2, lon2) {
+  const R = 6371000;
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Running distance at every point
+ * @param {Array<{lat: number, lon: number}>} points
+ * @returns {number[]} metres, same length as points
+ */
+export function cumulativeDistances(points) {
+  const out = [];
+  let total = 0;
+  (points || []).forEach((p, i) => {
+    if (i > 0) {
+      const prev = points[i - 1];
+      const d = haversineM(prev.lat, prev.lon, p.lat, p.lon);
+      if (d > MIN_STEP_M && d < MAX_STEP_M) total += d;
+    }
+    out.push(total);
+  });
+  return out;
+}
+
+/**
+ * Split the track into its laps, with the points and totals of each
+ * @param {Object} track
+ * @returns {Array<{lap: Object, points: Array, cumulative: number[], startT: number, endT: number, durationSec: number, distanceM: number}>}
+ */
+export function splitLaps(track) {
+  const points = (track && track.points) || [];
+  const cumulative = cumulativeDistances(points);
+  const laps = (track && track.laps && track.laps.length)
+    ? [...track.laps].sort((a, b) => a.startT - b.startT)
+    : [{ phaseIndex: 0, name: (track && track.name) || 'Corsa', notes: '', rest: false, startT: (track && track.startedAt) || (points[0] ? points[0].t : 0) }];
+  const endedAt = (track && track.endedAt) || (points.length ? points[points.length - 1].t : laps[0].startT);
+
+  return laps.map((lap, i) => {
+    const startT = lap.startT;
+    const endT = i + 1 < laps.length ? laps[i + 1].startT : endedAt;
+    const idx = [];
+    points.forEach((p, j) => {
+      if (p.t >= startT && (p.t < endT || (i === laps.length - 1 && p.t <= endT))) idx.push(j);
+    });
+    // Distance covered inside the lap: from the fix before it (if any) to its last fix
+    const first = idx.length ? idx[0] : -1;
+    const last = idx.length ? idx[idx.length - 1] : -1;
+    const from = first > 0 ? cumulative[first - 1] : 0;
+    const distanceM = last >= 0 ? cumulative[last] - from : 0;
+    return {
+      lap,
+      points: idx.map(j => points[j]),
+      cumulative: idx.map(j => cumulative[j]),
+      startT,
+      endT,
+      durationSec: Math.max(0, Math.round((endT - startT) / 1000)),
+      distanceM: Math.round(distanceM * 10) / 10
+    };
+  });
+}
+
+function xml(s) {
+  return String(s ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+const iso = (t) => new Date(t).toISOString();
+const coord = (x) => Number(x).toFixed(7);
+
+/**
+ * GPX 1.1: one segment per phase, a waypoint where each phase starts
+ * (name + target zone in its description)
+ * @param {Object} track
+ * @returns {string}
+ */
+export function toGPX(track) {
+  const laps = splitLaps(track);
+  const wpts = laps.filter(l => l.points.length).map(l => {
+    const p = l.points[0];
+    return `  <wpt lat="${coord(p.lat)}" lon="${coord(p.lon)}">
+    <time>${iso(p.t)}</time>
+    <name>${xml(l.lap.name)}</name>${l.lap.notes ? `
+    <desc>${xml(l.lap.notes)}</desc>` : ''}
+  </wpt>`;
+  });
+  const segs = laps.filter(l => l.points.length).map(l => `    <trkseg>
+${l.points.map(p => `      <trkpt lat="${coord(p.lat)}" lon="${coord(p.lon)}"><time>${iso(p.t)}</time></trkpt>`).join('\n')}
+    </trkseg>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Viltrum Fitness" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <metadata>
+    <name>${xml(track.name)}</name>
+    <time>${iso(track.startedAt)}</time>
+  </metadata>
+${wpts.join('\n')}${wpts.length ? '\n' : ''}  <trk>
+    <name>${xml(track.name)}</name>${track.plan ? `
+    <desc>${xml(track.plan)}</desc>` : ''}
+    <type>running</type>
+${segs.join('\n')}
+  </trk>
+</gpx>
+`;
+}
+
+/**
+ * TCX (Garmin Training Center v2): laps = phases, target zone in each lap's Notes
+ * @param {Object} track
+ * @returns {string}
+ */
+export function toTCX(track) {
+  const laps = splitLaps(track).map(l => {
+    const trackpoints = l.points.map((p, i) => `            <Trackpoint>
+              <Time>${iso(p.t)}</Time>
+              <Position>
+                <LatitudeDegrees>${coord(p.lat)}</LatitudeDegrees>
+                <LongitudeDegrees>${coord(p.lon)}</LongitudeDegrees>
+              </Position>
+              <DistanceMeters>${l.cumulative[i].toFixed(1)}</DistanceMeters>
+            </Trackpoint>`);
+    return `      <Lap StartTime="${iso(l.startT)}">
+        <TotalTimeSeconds>${l.durationSec}</TotalTimeSeconds>
+        <DistanceMeters>${l.distanceM.toFixed(1)}</DistanceMeters>
+        <Calories>0</Calories>
+        <Intensity>${l.lap.rest ? 'Resting' : 'Active'}</Intensity>
+        <TriggerMethod>Manual</TriggerMethod>${trackpoints.length ? `
+        <Track>
+${trackpoints.join('\n')}
+        </Track>` : ''}
+        <Notes>${xml([l.lap.name, l.lap.notes].filter(Boolean).join(' · '))}</Notes>
+      </Lap>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">
+  <Activities>
+    <Activity Sport="Running">
+      <Id>${iso(track.startedAt)}</Id>
+${laps.join('\n')}
+      <Notes>${xml([track.name, track.plan].filter(Boolean).join(' · '))}</Notes>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>
+`;
+}
+
+/**
+ * "viltrum-2026-10-19-ripetute-1000.gpx"
+ * @param {Object} track
+ * @param {'gpx'|'tcx'} ext
+ * @returns {string}
+ */
+export function trackFileName(track, ext) {
+  const day = iso(track.startedAt).slice(0, 10);
+  const slug = String(track.name || 'corsa').toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'corsa';
+  return `viltrum-${day}-${slug}.${ext}`;
+}
@@ -0,0 +1,115 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - THRESHOLD PACE ESTIMATE (FTPa without knowing it)
+// Pure math. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// Three ways to the threshold pace pace-zones.js is anchored on:
+//   - 30' time trial: average pace of the last 20 minutes (Friel)
+//   - a recent race: Riegel's T2 = T1 * (D2 / D1)^1.06, solved for the
+//     distance of an all-out 30 minutes, then as the time trial
+//   - a recorded test: the last 20 moving minutes of the lap flagged `test`
+//     in a run track (points from gps-filter.js, see run-track.js)
+// Every estimate is seconds per km, rounded, or null when it isn't plausible.
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const TEST_DURATION_SEC = 30 * 60;
+export const TEST_WINDOW_SEC = 20 * 60; // the part of the test that counts
+
+export const RIEGEL_EXPONENT = 1.06;
+
+export const RACE_DISTANCES_M = Object.freeze({
+  '5k': 5000,
+  '10k': 10000,
+  hm: 21097.5,
+});
+
+// Same range the profile accepts for a typed threshold pace
+export const MIN_THRESHOLD_SEC = 120;
+export const MAX_THRESHOLD_SEC = 720;
+
+// Riegel holds from ~3 minutes to ~4 hours; keep to races that predict 30' well
+const MIN_RACE_SEC = 10 * 60;
+const MAX_RACE_SEC = 4 * 3600;
+
+function plausible(sec) {
+  if (!Number.isFinite(sec)) return null;
+  const s = Math.round(sec);
+  return s >= MIN_THRESHOLD_SEC && s <= MAX_THRESHOLD_SEC ? s : null;
+}
+
+/**
+ * Threshold from a 30' time trial
+ * @param {number} last20DistanceM - metres covered in the last 20 minutes
+ * @returns {number|null} sec/km
+ */
+export function thresholdFromTimeTrial(last20DistanceM) {
+  const d = Number(last20DistanceM);
+  if (!Number.isFinite(d) || d <= 0) return null;
+  return plausible(TEST_WINDOW_SEC / (d / 1000));
+}
+
+/**
+ * Threshold from a race result, via the distance Riegel predicts for 30' all out
+ * @param {number} distanceM - race distance (see RACE_DISTANCES_M)
+ * @param {number} timeSec - finish time
+ * @returns {number|null} sec/km
+ */
+export function thresholdFromRace(distanceM, timeSec) {
+  const d = Number(distanceM);
+  const t = Number(timeSec);
+  if (!Number.isFinite(d) || d <= 0 || !Number.isFinite(t) || t < MIN_RACE_SEC || t > MAX_RACE_SEC) return null;
+  const d30 = d * Math.pow(TEST_DURATION_SEC / t, 1 / RIEGEL_EXPONENT);
+  return plausible(TEST_DURATION_SEC / (d30 / 1000));
+}
+
+/**
+ * Parse a finish time: "22:30" (mm:ss) or "1:45:10" (h:mm:ss)
+ * @param {string} str
+ * @returns {number|null} seconds
+ */
+export function parseRaceTime(str) {
+  const m = String(str ?? '').trim().match(/^(?:(\d{1,2}):)?(\d{1,3}):([0-5]\d)$/);
+  if (!m) return null;
+  const [, h, min, sec] = m;
+  if (h !== undefined && Number(min) > 59) return null;
+  const total = Number(h || 0) * 3600 + Number(min) * 60 + Number(sec);
+  return total > 0 ? total : null;
+}
+
+// Counters at a given moving time, interpolated between samples
+function atMovingMs(samples, movingMs) {
+  for (let i = 1; i < samples.length; i++) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    if (b.movingMs >= movingMs) {
+      const f = b.movingMs > a.movingMs ? (movingMs - a.movingMs) / (b.movingMs - a.movingMs) : 1;
+      return a.distanceM + f * (b.distanceM - a.distanceM);
+    }
+  }
+  return samples[samples.length - 1].distanceM;
+}
+
+/**
+ * Threshold from a recorded test: the last 20 moving minutes of the test lap
+ * @param {{points: Array<{t: number, distanceM: number, movingMs: number}>,
+ *          laps: Array<{startT: number, test?: boolean}>, endedAt?: number}} track
+ * @returns {{paceSec: number, distanceM: number, movingSec: number}|null}
+ *   null without a test lap, without GPS points, or under 20 moving minutes
+ */
+export function thresholdFromTrack(track) {
+  const laps = track?.laps || [];
+  const i = laps.findIndex(l => l.test);
+  if (i < 0) return null;
+  const fromT = laps[i].startT;
+  const toT = laps[i + 1]?.startT ?? track.endedAt ?? Infinity;
+  const samples = (track.points || []).filter(p =>
+    p.t >= fromT && p.t <= toT && Number.isFinite(p.distanceM) && Number.isFinite(p.movingMs));
+  if (samples.length < 2) return null;
+
+  const end = samples[samples.length - 1];
+  const startMs = end.movingMs - TEST_WINDOW_SEC * 1000;
+  if (startMs < samples[0].movingMs) return null; // stopped early, or no fix for a while
+
+  const distanceM = end.distanceM - atMovingMs(samples, startMs);
+  const paceSec = thresholdFromTimeTrial(distanceM);
+  return paceSec === null ? null : { paceSec, distanceM: Math.round(distanceM), movingSec: TEST_WINDOW_SEC };
+}
@@ -0,0 +1,205 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - WORKOUT ANALYTICS
+// Pure math over the workout history entries (see workout-history.js).
+// No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// Weeks run Monday to Sunday in local time and are keyed by their Monday as
+// "YYYY-MM-DD". Volume = sum of reps x kg over the sets logged in the player;
+// sessions logged before per-set logging existed contribute time, not volume.
+// ═══════════════════════════════════════════════════════════════════════════
+
+function dayKey(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Monday 00:00 (local) of the week a date falls in
+ * @param {Date|string|number} date
+ * @returns {Date}
+ */
+export function weekStart(date) {
+  const d = startOfDay(date);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+/**
+ * Week key ("YYYY-MM-DD" of its Monday) for a date
+ * @param {Date|string|number} date
+ * @returns {string}
+ */
+export function weekKey(date) {
+  return dayKey(weekStart(date));
+}
+
+function entryDate(entry) {
+  const d = new Date(entry && (entry.completedAt || entry.startedAt));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Load in kg from a logged value: 40, "40", "40 kg", "42,5", "2x16" (-> 16)
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function parseLoadKg(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+  const s = String(value ?? '').replace(',', '.');
+  const pair = s.match(/\d+\s*[x×]\s*(\d+(?:\.\d+)?)/i);
+  const n = parseFloat(pair ? pair[1] : (s.match(/\d+(?:\.\d+)?/) || [])[0]);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Reps x kg over every set of one session that has both
+ * @param {Object} entry - History entry
+ * @returns {number}
+ */
+export function sessionVolume(entry) {
+  return (entry && Array.isArray(entry.sets) ? entry.sets : []).reduce((sum, set) => {
+    const reps = Number(set.reps);
+    const kg = Number(set.kg);
+    return Number.isFinite(reps) && Number.isFinite(kg) && reps > 0 && kg > 0 ? sum + reps * kg : sum;
+  }, 0);
+}
+
+/**
+ * Per-week totals for the last `weeks` weeks, oldest first. Weeks without
+ * sessions are included with zeros so a chart shows the gaps.
+ * @param {Array} history - History entries
+ * @param {{weeks?: number, now?: Date}} [options]
+ * @returns {Array<{week: string, sessions: number, durationSec: number, volumeKg: number, sets: number}>}
+ */
+export function weeklySummary(history, { weeks = 8, now = new Date() } = {}) {
+  const current = weekStart(now);
+  const rows = [];
+  const byKey = {};
+  for (let i = weeks - 1; i >= 0; i--) {
+    const d = new Date(current);
+    d.setDate(d.getDate() - 7 * i);
+    const row = { week: dayKey(d), sessions: 0, durationSec: 0, volumeKg: 0, sets: 0 };
+    rows.push(row);
+    byKey[row.week] = row;
+  }
+  (history || []).forEach(entry => {
+    const d = entryDate(entry);
+    const row = d && byKey[weekKey(d)];
+    if (!row) return;
+    row.sessions++;
+    row.durationSec += Number(entry.duration) || 0;
+    row.volumeKg += sessionVolume(entry);
+    row.sets += Array.isArray(entry.sets) ? entry.sets.length : 0;
+  });
+  rows.forEach(r => { r.volumeKg = Math.round(r.volumeKg); });
+  return rows;
+}
+
+function shiftKey(key, days) {
+  const d = new Date(`${key}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return dayKey(d);
+}
+
+/* Longest and running streak over day keys spaced `span` days apart
+   (1 = days, 7 = week keys). The running period only counts once it has a
+   session: an empty current week/day doesn't break the streak yet. */
+function streaksOver(keys, currentKey, span) {
+  const set = new Set(keys);
+  if (set.size === 0) return { current: 0, best: 0 };
+
+  const sorted = [...set].sort();
+  let best = 1;
+  let run = 1;
+  for (let i = 1; i < sorted.length; i++) {
+    run = shiftKey(sorted[i - 1], span) === sorted[i] ? run + 1 : 1;
+    best = Math.max(best, run);
+  }
+
+  let cursor = set.has(currentKey) ? currentKey : shiftKey(currentKey, -span);
+  let current = 0;
+  while (set.has(cursor)) {
+    current++;
+    cursor = shiftKey(cursor, -span);
+  }
+  return { current, best };
+}
+
+/**
+ * Consecutive weeks with at least one session, and consecutive days
+ * @param {Array} history - History entries
+ * @param {{now?: Date}} [options]
+ * @returns {{currentWeeks: number, bestWeeks: number, currentDays: number, bestDays: number}}
+ */
+export function trainingStreaks(history, { now = new Date() } = {}) {
+  const dates = (history || []).map(entryDate).filter(Boolean);
+  const weeks = streaksOver(dates.map(weekKey), weekKey(now), 7);
+  const days = streaksOver(dates.map(d => dayKey(d)), dayKey(startOfDay(now)), 1);
+  return { currentWeeks: weeks.current, bestWeeks: weeks.best, currentDays: days.current, bestDays: days.best };
+}
+
+/**
+ * How far into an assigned plan the user is
+ * @param {string} planName
+ * @param {{totalWorkouts?: number}|null} plan - DataPreloader.getPlan(planName)
+ * @param {{lastWorkoutIndex?: number}|null} progress - DataPreloader.getPlanProgress(planName)
+ * @param {Array} [history] - History entries, for the sessions of the last 4 weeks
+ * @param {{now?: Date}} [options]
+ * @returns {{planName: string, done: number, total: number, pct: number, last4Weeks: number}}
+ */
+export function planAdherence(planName, plan, progress, history = [], { now = new Date() } = {}) {
+  const total = Math.max(0, parseInt(plan && plan.totalWorkouts) || 0);
+  const lastIndex = progress && Number.isFinite(progress.lastWorkoutIndex) ? progress.lastWorkoutIndex : -1;
+  const done = total ? Math.min(total, Math.max(0, lastIndex + 1)) : Math.max(0, lastIndex + 1);
+  const since = new Date(weekStart(now));
+  since.setDate(since.getDate() - 21);
+  const last4Weeks = (history || []).filter(e => {
+    const d = entryDate(e);
+    return e.plan === planName && d && d >= since;
+  }).length;
+  return { planName, done, total, pct: total ? Math.round((done / total) * 100) : 0, last4Weeks };
+}
+
+/**
+ * Heaviest load per session for every lift, oldest first. Logged sets win;
+ * the per-exercise weights typed on the completion page fill sessions that
+ * have no sets for that lift.
+ * @param {Array} history - History entries
+ * @returns {Object<string, Array<{date: string, kg: number, reps: number|null}>>}
+ *   keyed by exercise name, only lifts with at least one load
+ */
+export function liftTrends(history) {
+  const trends = {};
+  const add = (name, date, kg, reps) => {
+    if (!name || kg === null) return;
+    const points = trends[name] || (trends[name] = []);
+    const same = points.find(p => p.date === date);
+    if (!same) points.push({ date, kg, reps });
+    else if (kg > same.kg) Object.assign(same, { kg, reps });
+  };
+
+  (history || []).forEach(entry => {
+    const d = entryDate(entry);
+    if (!d) return;
+    const date = d.toISOString();
+    const fromSets = new Set();
+    (entry.sets || []).forEach(set => {
+      const kg = parseLoadKg(set.kg);
+      if (kg === null) return;
+      fromSets.add(set.name);
+      add(set.name, date, kg, Number.isFinite(Number(set.reps)) && set.reps !== null ? Number(set.reps) : null);
+    });
+    Object.entries(entry.exerciseWeights || {}).forEach(([key, value]) => {
+      const name = key.split('|')[0].trim();
+      if (!fromSets.has(name)) add(name, date, parseLoadKg(value), null);
+    });
+  });
+
+  Object.values(trends).forEach(points => points.sort((a, b) => a.date.localeCompare(b.date)));
+  return trends;
+}
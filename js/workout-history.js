@@ -16,9 +16,17 @@ const STORAGE_KEYS = {
   FIRST_TIME: 'viltrum_first_time_user',
   WEIGHTS_SYNCED: 'viltrum_weights_last_sync',
   LAST_WORKOUT_INDEX: 'viltrum_last_workout_index',
-  LAST_WORKOUT_SYNCED: 'viltrum_last_workout_sync'
+  LAST_WORKOUT_SYNCED: 'viltrum_last_workout_sync',
+  SESSION_SETS: 'viltrum_session_sets',
+  HISTORY_SYNCED: 'viltrum_history_last_sync'
 };
 
+// Local history cap. The SessionLog sheet keeps everything; older sessions
+// are read back a page at a time (fetchSessionHistoryPage).
+const HISTORY_LIMIT = 100;
+const SESSION_SYNC_BATCH = 20;
+const SESSION_PAGE_SIZE = 50;
+
 // ═══════════════════════════════════════════════════════════════════════════
 // CLOUD SYNC FOR WEIGHTS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -320,28 +328,56 @@ export function getWorkoutHistory() {
   }
 }
 
+/**
+ * Client-generated session id. Created on the device that ran the session, so
+ * two devices can never produce the same row in the SessionLog sheet.
+ * @returns {string}
+ */
+function newSessionId() {
+  const rand = Math.random().toString(36).slice(2, 8);
+  return `${Date.now().toString(36)}-${rand}`;
+}
+
 /**
  * Add workout to history
  * @param {string} workoutName - Name of completed workout
  * @param {number} duration - Duration in seconds
  * @param {Object} exerciseWeights - Object with exercise names as keys and weights as values
+ * @param {Array} sets - Per-set log captured in the player (see logSessionSet)
+ * @param {Array} results - EMOM/AMRAP/Tabata/For Time block results (see logBlockResult)
+ * @param {Object} [details] - Session record fields: plan, startedAt,
+ *   stepsCompleted, stepsSkipped, stepsTotal, notes; runs add distanceM and
+ *   splits (js/run-splits.js splitReport)
  */
-export function addWorkoutToHistory(workoutName, duration, exerciseWeights = {}) {
+export function addWorkoutToHistory(workoutName, duration, exerciseWeights = {}, sets = [], results = [], details = {}) {
   try {
     const history = getWorkoutHistory();
+    const now = new Date().toISOString();
+    const count = (v) => (Number.isFinite(v) && v >= 0 ? v : null);
     const entry = {
-      id: Date.now(),
+      id: newSessionId(),
       workoutName,
+      plan: details.plan || null,
       duration,
-      completedAt: new Date().toISOString(),
-      exerciseWeights
+      startedAt: details.startedAt || new Date(Date.now() - (duration || 0) * 1000).toISOString(),
+      completedAt: now,
+      stepsCompleted: count(details.stepsCompleted),
+      stepsSkipped: count(details.stepsSkipped),
+      stepsTotal: count(details.stepsTotal),
+      exerciseWeights,
+      sets: Array.isArray(sets) ? sets : [],
+      results: Array.isArray(results) ? results : [],
+      notes: (details.notes || '').toString().trim(),
+      ...(details.splits ? { distanceM: count(details.distanceM), splits: details.splits } : {}),
+      updatedAt: now,
+      syncedAt: null
     };
     
     history.unshift(entry); // Add to beginning
     
     // Keep last 100 workouts
-    if (history.length > 100) {
-      history.splice(100);
+    if (history.length > HISTORY_LIMIT) {
+      history.splice(HISTORY_LIMIT);
     }
     
     localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history));
@@ -358,6 +394,21 @@ export function addWorkoutToHistory(workoutName, duration, exerciseWeights = {})
   }
 }
 
+/**
+ * Change a session already in the history; it is pushed again on the next sync
+ * @param {string} id - Session id (addWorkoutToHistory's entry.id)
+ * @param {Object} fields - Fields to overwrite
+ * @returns {Object|null} The updated entry, null if the id is not in the history
+ */
+export function updateWorkoutHistoryEntry(id, fields) {
+  const history = getWorkoutHistory();
+  const i = history.findIndex(e => String(e.id) === String(id));
+  if (i < 0) return null;
+  history[i] = { ...history[i], ...fields, updatedAt: new Date().toISOString() };
+  localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history));
+  return history[i];
+}
+
 /**
  * Get workout statistics
  * @returns {Object} Statistics about workouts
@@ -411,6 +462,361 @@ export function clearWorkoutHistory() {
   localStorage.removeItem(STORAGE_KEYS.HISTORY);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// CLOUD SYNC FOR SESSION HISTORY
+// Every finished session is one row of the SessionLog sheet, so coaches can
+// see who actually trained. Merge rules, same on both sides:
+//   - a session is identified by its client-generated id, so sessions from
+//     two devices are a union, never an overwrite;
+//   - the same id on both sides keeps the copy with the newer updatedAt.
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Merge cloud sessions into the local history (see rules above)
+ * @param {Array} local - Local history entries
+ * @param {Array} remote - Sessions returned by getSessions
+ * @returns {Array} Merged history, newest first, capped at HISTORY_LIMIT
+ */
+function mergeSessionHistory(local, remote) {
+  const byId = new Map(local.map(e => [String(e.id), e]));
+  remote.forEach(r => {
+    if (!r || !r.id) return;
+    const mine = byId.get(String(r.id));
+    if (!mine || (r.updatedAt || '') > (mine.updatedAt || '')) {
+      byId.set(String(r.id), { ...(mine || {}), ...r, syncedAt: r.updatedAt || null });
+    }
+  });
+  return [...byId.values()]
+    .sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''))
+    .slice(0, HISTORY_LIMIT);
+}
+
+/**
+ * Entries saved before sessions were synced have no updatedAt, so nothing
+ * would ever push them. They date from when they were completed.
+ * @returns {Array} The local history, every entry with an updatedAt
+ */
+function backfillUpdatedAt() {
+  const history = getWorkoutHistory();
+  let changed = false;
+  const filled = history.map(e => {
+    if (!e || e.updatedAt || !e.id) return e;
+    const at = e.completedAt ? new Date(e.completedAt) : null;
+    if (!at || isNaN(at.getTime())) return e;
+    changed = true;
+    return { ...e, updatedAt: at.toISOString(), syncedAt: null };
+  });
+  if (changed) localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(filled));
+  return filled;
+}
+
+/**
+ * Push the sessions the cloud has not seen yet, then merge the cloud copy
+ * back, page after page, up to HISTORY_LIMIT sessions. Safe to call at any
+ * time; failures leave entries pending.
+ * @returns {Promise<boolean>} True if every pending session was accepted
+ */
+export async function syncWorkoutHistory() {
+  if (!getCurrentUserEmail()) {
+    console.log('⚠️ Not logged in, history saved locally only');
+    return false;
+  }
+
+  try {
+    const pending = backfillUpdatedAt().filter(e => e.updatedAt && e.syncedAt !== e.updatedAt);
+    let allSaved = true;
+
+    for (let i = 0; i < pending.length; i += SESSION_SYNC_BATCH) {
+      const batch = pending.slice(i, i + SESSION_SYNC_BATCH).map(({ syncedAt, ...session }) => session);
+      const result = await apiPost('saveSessions', { sessions: JSON.stringify(batch) });
+      if (result.status !== 'success') {
+        console.warn('⚠️ Session sync failed:', result.message || 'Unknown error');
+        allSaved = false;
+        break;
+      }
+      // Accepted = written now, or the sheet already holds a newer copy
+      const accepted = new Set([...(result.saved || []), ...(result.stale || [])].map(String));
+      const history = getWorkoutHistory().map(e =>
+        accepted.has(String(e.id)) ? { ...e, syncedAt: e.updatedAt } : e);
+      localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history));
+    }
+
+    const remote = [];
+    let cursor = null;
+    do {
+      const page = await fetchSessionHistoryPage(cursor, SESSION_PAGE_SIZE);
+      if (!page) break;
+      remote.push(...page.sessions);
+      cursor = page.nextCursor;
+    } while (cursor && remote.length < HISTORY_LIMIT);
+    if (remote.length > 0) {
+      localStorage.setItem(STORAGE_KEYS.HISTORY,
+        JSON.stringify(mergeSessionHistory(getWorkoutHistory(), remote)));
+    }
+
+    localStorage.setItem(STORAGE_KEYS.HISTORY_SYNCED, new Date().toISOString());
+    console.log('✅ History synced:', pending.length, 'sessions pushed');
+    return allSaved;
+  } catch (error) {
+    console.error('❌ Failed to sync workout history:', error);
+    return false;
+  }
+}
+
+/**
+ * One page of the caller's sessions from the SessionLog sheet, newest first
+ * @param {string|null} [cursor] - nextCursor of the previous page
+ * @param {number} [limit] - Page size (server caps it at 100)
+ * @returns {Promise<{sessions: Array, nextCursor: string|null}|null>} null on failure
+ */
+export async function fetchSessionHistoryPage(cursor = null, limit = 20) {
+  try {
+    const result = await apiPost('getSessions', cursor ? { cursor, limit } : { limit });
+    if (result.status !== 'success') {
+      console.warn('⚠️ Could not load sessions:', result.message || 'Unknown error');
+      return null;
+    }
+    return { sessions: result.sessions || [], nextCursor: result.nextCursor || null };
+  } catch (error) {
+    console.error('❌ Failed to load sessions from cloud:', error);
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SESSION SET LOG
+// Per-set reps / load / RPE captured live in the player. Written to
+// localStorage on every save, not at the end: iOS kills the PWA mid-session
+// and whatever was only in memory is gone. One slot per working step, keyed
+// by block/round/exercise, so re-logging a set overwrites it.
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Stable key for one working step of the sequence
+ * @param {Object} step - Sequence entry with blockNumber/roundNumber/exerciseNumber
+ * @returns {string|null} e.g. "b2-r3-e1", or null for labels / warm-up steps
+ */
+export function setLogKey(step) {
+  if (!step || !step.blockNumber || !step.roundNumber || !step.exerciseNumber) return null;
+  return `b${step.blockNumber}-r${step.roundNumber}-e${step.exerciseNumber}`;
+}
+
+function readSessionSetLog() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEYS.SESSION_SETS);
+    const log = raw ? JSON.parse(raw) : null;
+    if (!log || typeof log.sets !== 'object') return null;
+    if (!log.results || typeof log.results !== 'object') log.results = {};
+    return log;
+  } catch (error) {
+    console.error('Error loading session set log:', error);
+    return null;
+  }
+}
+
+/**
+ * Start an empty set log for a new session (drops any previous one)
+ * @param {string} workoutName - Display name of the workout
+ * @param {{plan?: string|null, stepsTotal?: number}} [meta] - Plan name and
+ *   number of work steps, for the session record
+ */
+export function startSessionSetLog(workoutName, meta = {}) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.SESSION_SETS, JSON.stringify({
+      workoutName: workoutName || '',
+      plan: meta.plan || null,
+      stepsTotal: Number.isFinite(meta.stepsTotal) ? meta.stepsTotal : null,
+      startedAt: new Date().toISOString(),
+      sets: {},
+      results: {},
+      steps: {}
+    }));
+  } catch (error) {
+    console.error('Error starting session set log:', error);
+  }
+}
+
+/**
+ * Save one set. Called on every "Salva" tap in the player.
+ * @param {Object} step - The sequence entry the set belongs to
+ * @param {{reps: number|null, kg: number|null, rpe: number|null}} values
+ * @returns {Object|null} The stored set, or null if the step is not loggable
+ */
+export function logSessionSet(step, values) {
+  const key = setLogKey(step);
+  if (!key) return null;
+  try {
+    const log = readSessionSetLog() || { workoutName: '', startedAt: new Date().toISOString(), sets: {}, results: {} };
+    const num = (v) => {
+      const n = parseFloat(String(v ?? '').replace(',', '.'));
+      return Number.isFinite(n) && n >= 0 ? n : null;
+    };
+    const set = {
+      key,
+      name: step.name,
+      tipoDiPeso: step.tipoDiPeso || '',
+      targetReps: step.reps || '',
+      blockNumber: step.blockNumber,
+      roundNumber: step.roundNumber,
+      exerciseNumber: step.exerciseNumber,
+      reps: num(values && values.reps),
+      kg: num(values && values.kg),
+      rpe: num(values && values.rpe),
+      loggedAt: new Date().toISOString()
+    };
+    // keep the timings the player recorded on its own (logSetTiming)
+    log.sets[key] = { ...(log.sets[key] || {}), ...set };
+    localStorage.setItem(STORAGE_KEYS.SESSION_SETS, JSON.stringify(log));
+    return log.sets[key];
+  } catch (error) {
+    console.error('Error saving set:', error);
+    return null;
+  }
+}
+
+/**
+ * Record how long a rep-based set took and how much rest followed it.
+ * Merged into the set's slot, so it coexists with reps/kg/RPE.
+ * @param {Object} step - The rep-based sequence entry
+ * @param {{tutSec?: number, restSec?: number}} timing
+ * @returns {Object|null} The stored set
+ */
+export function logSetTiming(step, timing) {
+  const key = setLogKey(step);
+  if (!key) return null;
+  try {
+    const log = readSessionSetLog() || { workoutName: '', startedAt: new Date().toISOString(), sets: {}, results: {} };
+    const prev = log.sets[key] || {
+      key,
+      name: step.name,
+      tipoDiPeso: step.tipoDiPeso || '',
+      targetReps: step.reps || '',
+      blockNumber: step.blockNumber,
+      roundNumber: step.roundNumber,
+      exerciseNumber: step.exerciseNumber,
+      reps: null,
+      kg: null,
+      rpe: null
+    };
+    log.sets[key] = { ...prev, ...timing };
+    localStorage.setItem(STORAGE_KEYS.SESSION_SETS, JSON.stringify(log));
+    return log.sets[key];
+  } catch (error) {
+    console.error('Error saving set timing:', error);
+    return null;
+  }
+}
+
+/**
+ * Logged set for one step of the current session
+ * @param {Object} step - Sequence entry
+ * @returns {Object|null}
+ */
+export function getSessionSet(step) {
+  const key = setLogKey(step);
+  const log = key ? readSessionSetLog() : null;
+  return (log && log.sets[key]) || null;
+}
+
+/**
+ * Save (merge) the result of a timed-format block: rounds for an AMRAP, time
+ * for a For Time, per-minute work for an EMOM. One slot per block.
+ * @param {Object} step - Any sequence entry of the block (needs blockNumber + format)
+ * @param {Object} patch - Fields to merge into the block's result
+ * @returns {Object|null} The stored result
+ */
+export function logBlockResult(step, patch) {
+  if (!step || !step.blockNumber || !step.format) return null;
+  try {
+    const log = readSessionSetLog() || { workoutName: '', startedAt: new Date().toISOString(), sets: {}, results: {} };
+    const key = `b${step.blockNumber}`;
+    const result = {
+      ...(log.results[key] || {}),
+      ...patch,
+      key,
+      blockNumber: step.blockNumber,
+      block: step.block || '',
+      format: step.format,
+      loggedAt: new Date().toISOString()
+    };
+    log.results[key] = result;
+    localStorage.setItem(STORAGE_KEYS.SESSION_SETS, JSON.stringify(log));
+    return result;
+  } catch (error) {
+    console.error('Error saving block result:', error);
+    return null;
+  }
+}
+
+/**
+ * Record whether a work step was done or skipped. Keyed by sequence index;
+ * the last outcome wins, so going back and doing a skipped step counts it.
+ * @param {number} index - Position in the compiled sequence
+ * @param {'done'|'skipped'} outcome
+ */
+export function logStepOutcome(index, outcome) {
+  try {
+    const log = readSessionSetLog();
+    if (!log) return;
+    log.steps = { ...(log.steps || {}), [index]: outcome };
+    localStorage.setItem(STORAGE_KEYS.SESSION_SETS, JSON.stringify(log));
+  } catch (error) {
+    console.error('Error saving step outcome:', error);
+  }
+}
+
+/**
+ * Outcome recorded for a step of the current session
+ * @param {number} index - Position in the compiled sequence
+ * @returns {'done'|'skipped'|null}
+ */
+export function getStepOutcome(index) {
+  const log = readSessionSetLog();
+  return (log && log.steps && log.steps[index]) || null;
+}
+
+/**
+ * Result logged so far for the block a step belongs to
+ * @param {Object} step - Sequence entry
+ * @returns {Object|null}
+ */
+export function getBlockResult(step) {
+  const log = step && step.blockNumber ? readSessionSetLog() : null;
+  return (log && log.results[`b${step.blockNumber}`]) || null;
+}
+
+/**
+ * Every set logged this session, in workout order (block, round, exercise),
+ * plus the timed-format block results in block order and the step counts
+ * @returns {{workoutName: string, plan: string|null, startedAt: string, sets: Array, results: Array,
+ *   stepsCompleted: number, stepsSkipped: number, stepsTotal: number|null}|null}
+ */
+export function getSessionSetLog() {
+  const log = readSessionSetLog();
+  if (!log) return null;
+  const sets = Object.values(log.sets).sort((a, b) =>
+    (a.blockNumber - b.blockNumber) || (a.roundNumber - b.roundNumber) || (a.exerciseNumber - b.exerciseNumber));
+  const results = Object.values(log.results).sort((a, b) => a.blockNumber - b.blockNumber);
+  const outcomes = Object.values(log.steps || {});
+  return {
+    workoutName: log.workoutName,
+    plan: log.plan || null,
+    startedAt: log.startedAt,
+    sets,
+    results,
+    stepsCompleted: outcomes.filter(o => o === 'done').length,
+    stepsSkipped: outcomes.filter(o => o === 'skipped').length,
+    stepsTotal: Number.isFinite(log.stepsTotal) ? log.stepsTotal : null
+  };
+}
+
+/**
+ * Drop the session set log (after it has been stored in history)
+ */
+export function clearSessionSetLog() {
+  localStorage.removeItem(STORAGE_KEYS.SESSION_SETS);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // FAVORITES
 // ═══════════════════════════════════════════════════════════════════════════
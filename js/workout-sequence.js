@@ -0,0 +1,442 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - WORKOUT SEQUENCE COMPILER
+// Pure logic. No DOM, no storage, no async. Unit-tested via `node --test`.
+//
+// Turns the sheet rows of a workout ({name, duration, block, rounds, reps, ...})
+// into the flat step list the player walks through. Two passes:
+//   1. classify every row into an explicit type (work / rest / marker)
+//   2. compile blocks x rounds, inserting labels and inter-block rests by rule
+// Every duration and skip condition lives in DEFAULT_SEQUENCE_RULES and can be
+// overridden per call, so the player and any future editor agree on one
+// sequence without re-implementing the name heuristics.
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Row types after classification. */
+export const ROW_TYPES = Object.freeze({
+  WORK: 'work',
+  REST: 'rest',
+  MARKER: 'marker',
+});
+
+/** How a WORK step ends: on the clock, or when the athlete taps done. */
+export const STEP_MODES = Object.freeze({
+  TIMED: 'timed',
+  REPS: 'reps',
+});
+
+/** Block formats the player runs with their own clock (see parseBlockFormat). */
+export const BLOCK_FORMATS = Object.freeze({
+  EMOM: 'emom',
+  AMRAP: 'amrap',
+  TABATA: 'tabata',
+  FOR_TIME: 'fortime',
+});
+
+/** Kinds of the compiled steps (what the player switches on). */
+export const STEP_KINDS = Object.freeze({
+  LABEL: 'label',
+  WARMUP: 'warmup',
+  WORK: 'work',
+  REST: 'rest',
+});
+
+export const DEFAULT_SEQUENCE_RULES = Object.freeze({
+  // Label steps
+  warmupLabelSec: 5,
+  warmupStepSec: 25,
+  readyAfterWarmupSec: 15,
+  readyNoWarmupSec: 10,
+  goodJobSec: 20,
+  // Rows
+  defaultStepSec: 30,   // row with no Full Dur
+  markerMaxSec: 5,      // rows this short are block headers, not steps
+  // Auto REST between blocks; 0 disables it
+  interBlockRestSec: 120,
+  skipRestWhenBlockHasRest: true,  // the coach already programmed one
+  skipRestBeforeRestBlock: true,   // next block is nothing but rest
+  skipRestForSameExercise: true,   // e.g. BP overview -> BP working sets
+  // Name inference, used only when a row carries no explicit `type`
+  restWords: ['rest', 'riposo', 'pausa'],
+  // "Pausa attiva" / "Active rest" are exercises, not rests
+  activeRestWords: ['attiva', 'attivo', 'active'],
+  markerWords: ['blocco', 'block'],
+  // Rep-based sets: no countdown, the athlete taps "Fatto", then a rest runs.
+  // Always for rows with `mode: 'reps'`; for plain counts ("5", "8+") in
+  // blocks named like these words only when repModeByBlockName is on (the
+  // athlete's setting). Otherwise every set stays on the clock.
+  repModeByBlockName: false,
+  repModeBlockWords: ['forza', 'strength'],
+  repRestSec: 120,
+  // Block formats
+  emomIntervalSec: 60,
+  amrapDefaultSec: 600,
+  tabataWorkSec: 20,
+  tabataRestSec: 10,
+  tabataIntervals: 8,
+  forTimeCapSec: 1200,
+  // Media for the generated steps
+  restImageUrl: '',
+  goodJobImageUrl: '',
+});
+
+const wordRe = (words) => new RegExp(`\\b(${words.join('|')})\\b`, 'i');
+
+/**
+ * Resolve a partial rule set against the defaults.
+ * @param {Object} [overrides]
+ * @returns {Object} full rule set
+ */
+export function resolveRules(overrides = {}) {
+  return { ...DEFAULT_SEQUENCE_RULES, ...(overrides || {}) };
+}
+
+/**
+ * True when a step NAME reads as a rest under the rules ("Riposo", "Rest 60s"),
+ * but not an active rest ("Pausa attiva"). Whole words only, so "Press" or
+ * "Forest walk" are never rests.
+ * @param {string} name
+ * @param {Object} [rules]
+ * @returns {boolean}
+ */
+export function isRestName(name, rules = DEFAULT_SEQUENCE_RULES) {
+  const n = String(name || '');
+  if (!n.trim()) return false;
+  return wordRe(rules.restWords).test(n) && !wordRe(rules.activeRestWords).test(n);
+}
+
+/**
+ * Classify one sheet row. An explicit `type` on the row always wins; name
+ * inference is the fallback for sheets that do not have the column.
+ * @param {Object} row - {name, duration, block, type?}
+ * @param {Object} [rules]
+ * @returns {'work'|'rest'|'marker'}
+ */
+export function classifyRow(row, rules = DEFAULT_SEQUENCE_RULES) {
+  const explicit = String((row && row.type) || '').trim().toLowerCase();
+  if (Object.values(ROW_TYPES).includes(explicit)) return explicit;
+
+  const name = String((row && row.name) || '').trim();
+  const nameLower = name.toLowerCase();
+  const blockLower = String((row && row.block) || '').trim().toLowerCase();
+  if (wordRe(rules.markerWords).test(name) ||
+      (blockLower && nameLower === blockLower) ||
+      ((row && row.duration) || 0) <= rules.markerMaxSec) {
+    return ROW_TYPES.MARKER;
+  }
+  return isRestName(name, rules) ? ROW_TYPES.REST : ROW_TYPES.WORK;
+}
+
+/**
+ * Read a block format out of a label — the block name, or a row's `format`
+ * cell. Minutes are the number after the keyword:
+ *   "EMOM 12"  "E2MOM 10"  "AMRAP 15'"  "Tabata"  "Tabata 6"  "For Time cap 20"
+ * @param {string} label
+ * @param {Object} [rules]
+ * @returns {{format:string, intervalSec?:number, totalSec?:number, intervals?:number, capSec?:number}|null}
+ *          null when the label names no format (a normal block)
+ */
+export function parseBlockFormat(label, rules = DEFAULT_SEQUENCE_RULES) {
+  const s = String(label || '');
+  let m;
+  if ((m = s.match(/\be(\d+)?mom\b\s*(\d+)?/i))) {
+    const intervalSec = m[1] ? parseInt(m[1], 10) * 60 : rules.emomIntervalSec;
+    return { format: BLOCK_FORMATS.EMOM, intervalSec, totalSec: m[2] ? parseInt(m[2], 10) * 60 : null };
+  }
+  if ((m = s.match(/\bamrap\b\s*(\d+)?/i))) {
+    return { format: BLOCK_FORMATS.AMRAP, totalSec: m[1] ? parseInt(m[1], 10) * 60 : rules.amrapDefaultSec };
+  }
+  if ((m = s.match(/\btabata\b\s*(\d+)?/i))) {
+    return { format: BLOCK_FORMATS.TABATA, intervals: m[1] ? parseInt(m[1], 10) : null };
+  }
+  if (/\bfor\s*time\b/i.test(s)) {
+    const cap = s.match(/\bcap\b\s*(\d+)|\bfor\s*time\b\s*(\d+)/i);
+    const min = cap ? parseInt(cap[1] || cap[2], 10) : 0;
+    return { format: BLOCK_FORMATS.FOR_TIME, capSec: min > 0 ? min * 60 : rules.forTimeCapSec };
+  }
+  return null;
+}
+
+/**
+ * True when a classified WORK row should run as a rep-based set.
+ * @param {Object} row - classified row (has `_type`)
+ * @param {Object} [rules]
+ * @returns {boolean}
+ */
+export function isRepBasedRow(row, rules = DEFAULT_SEQUENCE_RULES) {
+  if (!row || row._type !== ROW_TYPES.WORK) return false;
+  const explicit = String(row.mode || '').trim().toLowerCase();
+  if (explicit) return explicit === STEP_MODES.REPS;
+  if (!rules.repModeByBlockName || !rules.repModeBlockWords || rules.repModeBlockWords.length === 0) return false;
+  // Plain count only: "10 - 8 - 6" overviews and "max" stay on the clock
+  return wordRe(rules.repModeBlockWords).test(String(row.block || '')) &&
+    /^\d+\+?$/.test(String(row.reps || '').trim());
+}
+
+function previewOf(rows) {
+  return rows.map(r => ({ name: r.name, reps: r.reps, tipoDiPeso: r.tipoDiPeso, imageUrl: r.imageUrl }));
+}
+
+function uniqueWorkNames(rows) {
+  return [...new Set(rows.filter(r => r._type === ROW_TYPES.WORK).map(r => r.name.toLowerCase().trim()))];
+}
+
+/**
+ * Decide whether an automatic REST goes between two blocks.
+ * @param {Array} current - classified rows of the block just finished
+ * @param {Array} next - classified rows of the following block ([] if none)
+ * @param {Object} [rules]
+ * @returns {boolean}
+ */
+export function needsInterBlockRest(current, next, rules = DEFAULT_SEQUENCE_RULES) {
+  if (!rules.interBlockRestSec || !next || next.length === 0) return false;
+  if (rules.skipRestWhenBlockHasRest && current.some(r => r._type === ROW_TYPES.REST)) return false;
+  if (rules.skipRestBeforeRestBlock && next.every(r => r._type === ROW_TYPES.REST)) return false;
+  if (rules.skipRestForSameExercise) {
+    const cur = uniqueWorkNames(current);
+    const nxt = uniqueWorkNames(next);
+    if (cur.length === 1 && nxt.length === 1 && cur[0] === nxt[0]) return false;
+  }
+  return true;
+}
+
+function rowStep(r, extra) {
+  return {
+    name: r.name,
+    imageUrl: r.imageUrl,
+    reps: r.reps,
+    block: r.block,
+    tipoDiPeso: r.tipoDiPeso,
+    audio: r.audio,
+    audioCambio: r.audioCambio,
+    isWarmup: false,
+    ...extra
+  };
+}
+
+/* The classic block: every row once per round, each with its own duration.
+   A rep-based set is followed by its own rest, unless the coach already put
+   a rest row next or the block ends there (the inter-block rule decides). */
+function compileRoundsBlock(sequence, rows, { blockNumber, totalBlocks, rounds, nextName, nextRows }, rules) {
+  for (let round = 0; round < rounds; round++) {
+    rows.forEach((r, i) => {
+      const isRest = r._type === ROW_TYPES.REST;
+      const repBased = isRepBasedRow(r, rules);
+      // A programmed rest right after a rep set is that set's rest: timed like "Recupero"
+      const afterReps = isRest && sequence.length > 0 && sequence[sequence.length - 1].mode === STEP_MODES.REPS;
+      // A programmed rest in the last round previews the next block
+      let preview = {};
+      if (isRest && round === rounds - 1 && nextName) {
+        const nextWork = nextRows.filter(n => n._type !== ROW_TYPES.REST);
+        if (nextWork.length > 0) preview = { nextBlockPreview: previewOf(nextWork), nextBlockName: nextName };
+      }
+      const numbering = {
+        blockNumber,
+        totalBlocks,
+        roundNumber: round + 1,
+        totalRounds: rounds,
+        exerciseNumber: i + 1,
+        totalExercises: rows.length
+      };
+      sequence.push(rowStep(r, {
+        duration: r.duration || rules.defaultStepSec,
+        kind: isRest ? STEP_KINDS.REST : STEP_KINDS.WORK,
+        ...(isRest ? {} : { mode: repBased ? STEP_MODES.REPS : STEP_MODES.TIMED }),
+        ...(afterReps ? { restAfterReps: true } : {}),
+        ...numbering,
+        ...preview
+      }));
+
+      const following = i < rows.length - 1 ? rows[i + 1] : (round < rounds - 1 ? rows[0] : null);
+      if (repBased && following && following._type !== ROW_TYPES.REST) {
+        sequence.push({
+          ...numbering,
+          name: 'Recupero',
+          duration: rules.repRestSec,
+          imageUrl: '',
+          block: r.block,
+          kind: STEP_KINDS.REST,
+          restAfterReps: true,
+          isWarmup: false
+        });
+      }
+    });
+  }
+}
+
+/* Timed formats. EMOM and Tabata unroll into one step per interval, cycling
+   through the block's rows; AMRAP and For Time are a single step carrying the
+   whole circuit, because the athlete — not the clock — moves through it. */
+function compileFormatBlock(sequence, fmt, rows, { blockName, blockNumber, totalBlocks, rounds }, rules) {
+  const base = { format: fmt.format, blockNumber, totalBlocks };
+  const n = rows.length;
+
+  if (fmt.format === BLOCK_FORMATS.EMOM || fmt.format === BLOCK_FORMATS.TABATA) {
+    const isEmom = fmt.format === BLOCK_FORMATS.EMOM;
+    const intervals = isEmom
+      ? (fmt.totalSec ? Math.max(1, Math.floor(fmt.totalSec / fmt.intervalSec)) : n * rounds)
+      : (fmt.intervals || (rounds > 1 ? rounds : rules.tabataIntervals));
+    const totalRounds = Math.ceil(intervals / n);
+    for (let i = 0; i < intervals; i++) {
+      const r = rows[i % n];
+      const numbering = {
+        ...base,
+        roundNumber: Math.floor(i / n) + 1,
+        totalRounds,
+        exerciseNumber: (i % n) + 1,
+        totalExercises: n,
+        interval: i + 1,
+        totalIntervals: intervals
+      };
+      const isRest = r._type === ROW_TYPES.REST;
+      sequence.push(rowStep(r, {
+        ...numbering,
+        duration: isEmom ? fmt.intervalSec : rules.tabataWorkSec,
+        kind: isRest ? STEP_KINDS.REST : STEP_KINDS.WORK
+      }));
+      if (!isEmom && i < intervals - 1) {
+        sequence.push({
+          ...numbering,
+          name: 'Riposo',
+          duration: rules.tabataRestSec,
+          imageUrl: '',
+          block: r.block,
+          kind: STEP_KINDS.REST,
+          isWarmup: false
+        });
+      }
+    }
+    return;
+  }
+
+  // AMRAP / For Time: one step, the circuit listed on screen
+  const work = rows.filter(r => r._type === ROW_TYPES.WORK);
+  const first = work[0] || rows[0];
+  sequence.push({
+    ...base,
+    name: blockName,
+    duration: fmt.format === BLOCK_FORMATS.AMRAP ? fmt.totalSec : fmt.capSec,
+    imageUrl: first.imageUrl,
+    reps: '',
+    block: first.block,
+    tipoDiPeso: '',
+    kind: STEP_KINDS.WORK,
+    isWarmup: false,
+    roundNumber: 1,
+    totalRounds: 1,
+    exerciseNumber: 1,
+    totalExercises: 1,
+    circuit: previewOf(work),
+    circuitRounds: fmt.format === BLOCK_FORMATS.FOR_TIME ? rounds : null
+  });
+}
+
+/**
+ * Compile a workout into the player's step list.
+ * @param {{exercises: Array}} workout
+ * @param {{includeWarmup?: boolean, rules?: Object}} [options]
+ * @returns {Array<Object>} steps; each has `kind` (see STEP_KINDS), and the
+ *          labels keep `isLabel: true` for the player's older checks.
+ */
+export function compileWorkoutSequence(workout, { includeWarmup = false, rules: overrides } = {}) {
+  const rules = resolveRules(overrides);
+  const sequence = [];
+  if (!workout || !Array.isArray(workout.exercises) || workout.exercises.length === 0) return sequence;
+
+  const rows = workout.exercises
+    .filter(Boolean)
+    .map(ex => ({ ...ex, _type: classifyRow(ex, rules) }));
+
+  // Block order = first appearance in the sheet. Markers and rows without a
+  // block are not steps.
+  const blockGroups = {};
+  rows.forEach(r => {
+    if (!r.block || r._type === ROW_TYPES.MARKER) return;
+    (blockGroups[r.block] = blockGroups[r.block] || []).push(r);
+  });
+  const blockNames = Object.keys(blockGroups);
+  const totalBlocks = blockNames.length;
+
+  const label = (name, duration, extra = {}) =>
+    ({ name, duration, imageUrl: '', isLabel: true, kind: STEP_KINDS.LABEL, ...extra });
+
+  const warmupRows = [];
+  if (includeWarmup) {
+    const seen = new Set();
+    blockNames.forEach(b => blockGroups[b].forEach(r => {
+      if (r._type !== ROW_TYPES.WORK || seen.has(r.name)) return;
+      seen.add(r.name);
+      warmupRows.push(r);
+    }));
+  }
+
+  if (warmupRows.length > 0) {
+    sequence.push(label('Riscaldamento', rules.warmupLabelSec));
+    warmupRows.forEach(r => sequence.push({
+      name: r.name,
+      duration: rules.warmupStepSec,
+      imageUrl: r.imageUrl,
+      reps: r.reps,
+      block: r.block,
+      tipoDiPeso: r.tipoDiPeso,
+      audio: r.audio,
+      audioCambio: r.audioCambio,
+      kind: STEP_KINDS.WARMUP,
+      isWarmup: true,
+      blockNumber: null,
+      totalBlocks: null,
+      roundNumber: null,
+      totalRounds: null,
+      exerciseNumber: null,
+      totalExercises: null
+    }));
+    sequence.push(label('Are you ready?', rules.readyAfterWarmupSec));
+  } else {
+    sequence.push(label('Are you ready?', rules.readyNoWarmupSec));
+  }
+
+  blockNames.forEach((blockName, b) => {
+    const blockRows = blockGroups[blockName];
+    const blockNumber = b + 1;
+    const rounds = blockRows[0].rounds || 1;
+    const nextName = blockNumber < totalBlocks ? blockNames[blockNumber] : null;
+    const nextRows = nextName ? blockGroups[nextName] : [];
+
+    const where = { blockName, blockNumber, totalBlocks, rounds, nextName, nextRows };
+    const fmt = parseBlockFormat(blockRows.find(r => r.format)?.format || blockName, rules);
+    if (fmt) compileFormatBlock(sequence, fmt, blockRows, where, rules);
+    else compileRoundsBlock(sequence, blockRows, where, rules);
+
+    if (needsInterBlockRest(blockRows, nextRows, rules)) {
+      sequence.push(label('REST', rules.interBlockRestSec, {
+        imageUrl: rules.restImageUrl,
+        kind: STEP_KINDS.REST,
+        nextBlockPreview: previewOf(nextRows),
+        nextBlockName: nextName
+      }));
+    }
+  });
+
+  sequence.push(label('Good Job', rules.goodJobSec, { imageUrl: rules.goodJobImageUrl }));
+  return sequence;
+}
+
+/**
+ * Short, stable fingerprint of a compiled sequence: same workout + same rules
+ * give the same string. Used to check that a sequence rebuilt after a crash is
+ * the one the saved step index points into.
+ * @param {Array} sequence - compileWorkoutSequence output
+ * @returns {string} 8 hex chars
+ */
+export function sequenceSignature(sequence) {
+  const text = (sequence || [])
+    .map(s => [s.name, s.duration, s.kind, s.mode || '', s.format || '',
+      s.blockNumber || 0, s.roundNumber || 0, s.exerciseNumber || 0].join('|'))
+    .join('\n');
+  // FNV-1a, 32 bit
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
@@ -15,13 +15,19 @@ import { GOOGLE_SCRIPT_URL } from './config.js';
 import { apiPost } from './api.js';
 
 // Import workout history functions
-import { getExerciseWeight, syncLastWorkoutToCloud, setLastWorkoutIndexLocal } from './workout-history.js';
+import { getExerciseWeight, syncLastWorkoutToCloud, setLastWorkoutIndexLocal, setLogKey, startSessionSetLog, logSessionSet, getSessionSet, getSessionSetLog, clearSessionSetLog, addWorkoutToHistory, logBlockResult, getBlockResult, logSetTiming, logStepOutcome, getStepOutcome } from './workout-history.js';
 
 // V7.1: Import DataPreloader for plan-based workout loading
 import DataPreloader from './data-preloader.js';
 
+// Sequence compiler (pure: step types + rule set)
+import { compileWorkoutSequence, sequenceSignature, isRestName, STEP_KINDS, STEP_MODES, BLOCK_FORMATS } from './workout-sequence.js';
+
 // V8.1: Import maxes calculator for percentage-based weights
-import { calculateWeightFromMax } from './profile-manager.js';
+import { calculateWeightFromMax, maxForExerciseName, maxIdForSet, loadableWeight } from './profile-manager.js';
+import { formatPlates } from './plate-math.js';
+// Cue playback (queue, clip cache, TTS fallback, unlock, wake lock) shared with the run player
+import { createCuePlayer, AudioTrace, detectLang, claimAudioSession, requestWakeLock, releaseWakeLock, warmUpTtsServer, CLIP_TIMEOUT_MS } from './audio-engine.js';
 
 /**
  * Frontend normalization for tipoDiPeso that may come as "0.6" from stale cache.
@@ -52,19 +58,11 @@ function normalizeTipoDiPesoFE(tipoDiPeso, exerciseName) {
   return str;
 }
 
+// Shared alias table (lift-aliases.js): the label resolves back to the same
+// max in calculateWeightFromMax, custom lifts included.
 function _exerciseToMaxNameFE(name) {
-  if (!name) return null;
-  const n = name.toLowerCase().trim();
-  // Dumbbell/kettlebell variants must not resolve against a barbell max
-  if (/\b(dumbbell|manubri|manubrio|kettlebell|kb)\b/.test(n)) return null;
-  if (n.includes('bench press') || n === 'bench press') return 'Bench Press';
-  if (n.includes('back squat') || n === 'back squat') return 'Back Squat';
-  if (n.includes('front squat') || n === 'front squat') return 'Front Squat';
-  if (n.includes('sumo deadlift') || n === 'sumo deadlift' || n.includes('stacco sumo')) return 'Sumo Deadlift';
-  if (n.includes('deadlift') || n === 'deadlift') return 'Deadlift';
-  if (n.includes('strict press') || n === 'strict press' || n.includes('military press') || n.includes('overhead press')) return 'Strict Press';
-  if (n.includes('push press') || n === 'push press') return 'Push Press';
-  return null;
+  const lift = maxForExerciseName(name);
+  return lift ? lift.label : null;
 }
 
 /**
@@ -130,14 +128,6 @@ function resolveMaterialeDisplay(tipoDiPeso, exerciseName) {
 // through two hosts. Measured on wired fibre: 406ms redirected vs 34ms direct.
 const ELEVEN_BASE_URL = 'https://raw.githubusercontent.com/tommyv-spec/viltrum-audio-istruttore/main/elevenlabs_muscle';
 
-// Same bucket sw.js serves from, and it survives version bumps (unversioned by design).
-const ELEVEN_CACHE_NAME = 'viltrum-audio-v1';
-
-// Hard ceilings so a stalled clip can never block the cue queue.
-// Fixed clips (ElevenLabs phrases, Beppe countdowns) are a few seconds at most.
-const ELEVEN_CLIP_TIMEOUT_MS = 8000;
-// Arbitrary-length TTS (exercise instructions) needs more headroom before we give up.
-const AUDIO_PLAY_TIMEOUT_MS = 20000;
 
 // Map of fixed phrases to pre-recorded ElevenLabs audio files
 const ELEVEN_AUDIO_MAP = {
@@ -677,142 +667,6 @@ const ELEVEN_EXERCISE_MAP = {
   'zotman curl': 'zotman-curl',
 };
 
-/* -------------------- Audio timing trace (on-device) --------------------
-   iOS gives us no console, so cue latency has to be measured in the page itself.
-   Always records to a ring buffer (cheap); renders an overlay only when the URL
-   carries ?audiotrace=1. AudioTrace.dump() works from anywhere. */
-const AudioTrace = (() => {
-  const MAX = 400;
-  const rows = [];
-  const t0 = performance.now();
-  let panel = null, body = null;
-  const on = (() => {
-    try { return new URLSearchParams(location.search).has("audiotrace"); }
-    catch { return false; }
-  })();
-
-  function log(event, key, detail) {
-    const row = { t: Math.round(performance.now() - t0), event, key: key || "", detail: detail || "" };
-    rows.push(row);
-    if (rows.length > MAX) rows.shift();
-    if (on) render(row);
-    return row;
-  }
-  // Returns a stopwatch so callers can report how long a step actually took.
-  function start(event, key) {
-    const at = performance.now();
-    log(event + ":start", key);
-    return (endEvent, detail) => {
-      const ms = Math.round(performance.now() - at);
-      log(endEvent, key, (detail ? detail + " " : "") + ms + "ms");
-      return ms;
-    };
-  }
-  function render(row) {
-    if (!panel) build();
-    const line = document.createElement("div");
-    const slow = /(\d+)ms/.test(row.detail) && parseInt(RegExp.$1, 10) > 400;
-    line.style.cssText = "border-bottom:1px solid #1e1e1e;padding:2px 0;color:" +
-      (/fail|timeout|error|miss/i.test(row.event) ? "#f87171" : slow ? "#fbbf24" : "#9ca3af");
-    line.textContent = (row.t / 1000).toFixed(2) + "s  " + row.event + "  " + row.key + "  " + row.detail;
-    body.appendChild(line);
-    body.scrollTop = body.scrollHeight;
-  }
-  function build() {
-    panel = document.createElement("div");
-    panel.style.cssText = "position:fixed;left:0;right:0;bottom:0;height:38vh;z-index:99999;" +
-      "background:rgba(0,0,0,.93);border-top:2px solid #ffcc00;font:11px ui-monospace,Menlo,monospace;" +
-      "display:flex;flex-direction:column;";
-    const bar = document.createElement("div");
-    bar.style.cssText = "display:flex;gap:6px;padding:5px;border-bottom:1px solid #333;flex:0 0 auto;";
-    const mk = (label, fn) => {
-      const b = document.createElement("button");
-      b.textContent = label;
-      b.style.cssText = "flex:1;background:#ffcc00;color:#000;border:0;border-radius:5px;padding:7px;font-weight:700;font-size:11px;";
-      b.addEventListener("click", fn);
-      return b;
-    };
-    bar.appendChild(mk("Copy", () => {
-      const ta = document.createElement("textarea");
-      ta.value = dump(); ta.style.cssText = "position:fixed;opacity:0";
-      document.body.appendChild(ta); ta.select(); ta.setSelectionRange(0, 999999);
-      try { document.execCommand("copy"); } catch {}
-      try { navigator.clipboard?.writeText(ta.value); } catch {}
-      document.body.removeChild(ta);
-    }));
-    bar.appendChild(mk("Clear", () => { rows.length = 0; body.innerHTML = ""; }));
-    bar.appendChild(mk("Hide", () => panel.remove()));
-    body = document.createElement("div");
-    body.style.cssText = "flex:1 1 auto;overflow-y:auto;padding:5px;";
-    panel.appendChild(bar); panel.appendChild(body);
-    (document.body || document.documentElement).appendChild(panel);
-  }
-  function dump() {
-    return "viltrum audio trace | " + navigator.userAgent + "\n" +
-      rows.map(r => (r.t / 1000).toFixed(2) + "s\t" + r.event + "\t" + r.key + "\t" + r.detail).join("\n");
-  }
-  if (on && document.readyState !== "loading") build();
-  else if (on) document.addEventListener("DOMContentLoaded", build);
-
-  return { log, start, dump, get enabled() { return on; } };
-})();
-window.AudioTrace = AudioTrace; // reachable from Safari Web Inspector too
-
-/* -------------------- ElevenLabs clip prewarming --------------------
-   Cue latency, not playback, is what made the timing feel broken: every clip was
-   fetched at the moment it was needed. Pull the whole session's clips into the same
-   Cache Storage bucket sw.js serves from, while the user is still on the setup
-   screen, so cue time costs a cache hit instead of a network round trip. */
-async function warmElevenCache(audioKeys) {
-  if (!("caches" in window)) return;
-  const keys = [...new Set(audioKeys.filter(Boolean))];
-  if (!keys.length) return;
-
-  const endAll = AudioTrace.start("warm", keys.length + " clips");
-  try {
-    const cache = await caches.open(ELEVEN_CACHE_NAME);
-    let added = 0, already = 0, cursor = 0;
-    const missingClips = [];
-    const CONCURRENCY = 6;
-
-    const attempt = async (key) => {
-      const url = `${ELEVEN_BASE_URL}/${key}.mp3`;
-      if (await cache.match(url)) { already++; return true; }
-      // add() per file: addAll() is all-or-nothing, so one clip missing from the
-      // repo would discard the entire batch.
-      await cache.add(url);
-      added++;
-      return true;
-    };
-    const failed = [];
-    const worker = async () => {
-      while (cursor < keys.length) {
-        const key = keys[cursor++];
-        try { await attempt(key); }
-        catch (e) { failed.push(key); }
-        // keys arrive in playback order, so this marks when the EARLY clips are safe
-        if (cursor === Math.min(12, keys.length)) AudioTrace.log("warm:first12", "", "ready");
-      }
-    };
-    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
-
-    // One retry pass, serial: a first-pass failure on flaky cellular is usually
-    // transient. What still fails twice is genuinely absent from the repo.
-    for (const key of failed) {
-      try { await attempt(key); }
-      catch (e) { missingClips.push(key); }
-    }
-    endAll("warm:done", `+${added} new, ${already} cached, ${missingClips.length} absent,`);
-    for (const k of missingClips) AudioTrace.log("warm:NOFILE", k);
-    if (missingClips.length) {
-      console.warn(`⚠️ ${missingClips.length} clip(s) mapped but not in the repo:`, missingClips);
-      window.__audioAudit = Object.assign(window.__audioAudit || {}, { missingClips });
-    }
-  } catch (e) {
-    endAll("warm:fail", String(e && e.message || e));
-  }
-}
-
 /* Single source of truth for the "fai N ripetizioni" announcement. The countdown code
    and the pre-flight audit both call this, so what gets audited is exactly what gets
    spoken. Returns null when there is nothing to announce. */
@@ -862,6 +716,10 @@ function announceCurrentExercise(item) {
     return;
   }
 
+  const intro = formatIntroPhrase(item);
+  if (intro) speak(intro, "it-IT").catch(() => {});
+  if (item.circuit) return; // AMRAP / For Time: the circuit is on screen
+
   // Side suffix comes out of the name (the reps phrase carries the side).
   const strippedName = (item.name || "").replace(/\s*\b(destra|sinistra|dx|sx)\b\s*$/i, "").trim();
   const nameToSay = strippedName || item.name;
@@ -871,7 +729,7 @@ function announceCurrentExercise(item) {
   if (repsPhrase) speak(repsPhrase, "it-IT").catch(() => {});
 }
 
-/* The same lookup _speakNow() performs, in one place. */
+/* The clip lookup of "eleven" mode (the cue player's resolveClip), in one place. */
 function resolveElevenClip(text) {
   const n = (text || "").toLowerCase().trim();
   return ELEVEN_AUDIO_MAP[n] || ELEVEN_EXERCISE_MAP[n] || null;
@@ -886,6 +744,9 @@ function collectSessionPhrases(sequence) {
   const phrases = new Set();
   for (const step of (sequence || [])) {
     if (!step || step.isLabel) continue;
+    const intro = formatIntroPhrase(step);
+    if (intro) phrases.add(intro);
+    if (step.circuit) continue;
     if (step.name) phrases.add(step.name);
     const rp = buildRepsPhrase(step);
     if (rp) phrases.add(rp);
@@ -937,379 +798,10 @@ function warmUpcomingAudio(fromStep, count = 3) {
       const rpClip = rp && resolveElevenClip(rp);
       if (rpClip) keys.push(rpClip);
     }
-    if (keys.length) warmElevenCache(keys); // fire-and-forget; dedupes and skips cached
+    if (keys.length) cues.warm(keys); // fire-and-forget; dedupes and skips cached
   } catch (e) {}
 }
 
-/* Cache Storage and IndexedDB are evictable under storage pressure — on Android
-   aggressively so, which is one way "it worked yesterday, silent today" happens.
-   persist() asks the browser to exempt this origin. Fire-and-forget; a denial just
-   means default eviction rules, no worse than before. */
-try {
-  if (navigator.storage && navigator.storage.persist) {
-    navigator.storage.persist().then(granted =>
-      AudioTrace.log("storage:persist", "", granted ? "granted" : "denied"));
-  }
-} catch (e) {}
-
-/* Resolve a clip to a LOCAL source before playing. Cache hit → blob URL: playback
-   starts from memory, cannot stall mid-clip on the network, and doesn't depend on the
-   service worker being active. Cache miss → one bounded fetch that both serves this
-   cue AND repairs the cache (raw.githubusercontent.com sends ACAO:*, so a window-
-   context CORS fetch is legal — verified). Every path degrades to the plain URL. */
-/* One bytes-getter shared by the buffer engine and the element path: Cache Storage
-   hit, else one bounded fetch that repairs the cache. Returns a Response or null. */
-async function getElevenClipResponse(audioKey) {
-  const url = `${ELEVEN_BASE_URL}/${audioKey}.mp3`;
-  if (!("caches" in window)) return null;
-  const cache = await caches.open(ELEVEN_CACHE_NAME);
-  let res = await cache.match(url);
-  if (res) {
-    AudioTrace.log("cache:hit", audioKey);
-    return res;
-  }
-  AudioTrace.log("cache:MISS", audioKey);
-  // Bounded: this await sits in front of the cue — an unbounded fetch here would
-  // recreate the very stall the watchdogs exist to kill.
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), 5000);
-  res = await fetch(url, { signal: ctrl.signal });
-  clearTimeout(t);
-  if (!res.ok) return null;
-  // clone BEFORE consuming: a body can only be read once
-  try { await cache.put(url, res.clone()); AudioTrace.log("cache:repaired", audioKey); } catch (e) {}
-  return res;
-}
-
-async function getElevenClipSrc(audioKey) {
-  const url = `${ELEVEN_BASE_URL}/${audioKey}.mp3`;
-  try {
-    const res = await getElevenClipResponse(audioKey);
-    if (!res) return { src: url, blob: false, url };
-    return { src: URL.createObjectURL(await res.blob()), blob: true, url };
-  } catch (e) {
-    // offline / abort / storage error — the <audio> element itself is the last resort
-    return { src: url, blob: false, url };
-  }
-}
-
-/* -------------------- Buffer playback engine --------------------
-   How cue audio is actually done in latency-sensitive web apps (games, metronomes):
-   decode the clip ONCE into an AudioBuffer and play it through the Web Audio API's
-   precise-timing path. No media element per cue means none of the element failure
-   modes this file spent a week hardening against — no canplaythrough, no play()
-   rejection, no pause-event races, no mid-play network stalls; `onended` on a buffer
-   source is reliable. The element path below stays as the fallback for engines or
-   moments (context not yet unlocked) where the graph can't run.
-
-   NOTE this is NOT the createMediaElementSource mistake removed earlier: these
-   buffers come from bytes we fetched ourselves with CORS (ACAO:* verified), so
-   there is no cross-origin taint, and the context is resumed inside real gestures. */
-const AudioEngine = {
-  ctx: null,
-  buffers: new Map(),        // audioKey → AudioBuffer (LRU, insertion-ordered Map)
-  BUFFER_MAX: 24,            // ~200KB decoded each → ~5MB ceiling, far below GIF budgets
-  active: new Set(),         // playing sources, for stopAll()
-
-  _context() {
-    if (this.ctx) return this.ctx;
-    const AC = window.AudioContext || window.webkitAudioContext;
-    if (!AC) return null;
-    try { this.ctx = new AC(); } catch (e) { return null; }
-    return this.ctx;
-  },
-
-  // Call ONLY from inside a user gesture: resume + a one-sample kick.
-  unlock() {
-    const ctx = this._context();
-    if (!ctx) return;
-    try {
-      if (ctx.state === "suspended") ctx.resume().catch(() => {});
-      const src = ctx.createBufferSource();
-      src.buffer = ctx.createBuffer(1, 1, 22050);
-      src.connect(ctx.destination);
-      src.start(0);
-      // v10.10: sblocco ottenuto — sospendi subito, il ctx si riaccende
-      // per ogni cue e si rispegne dopo (niente focus audio tenuto a vuoto).
-      this._scheduleIdleSuspend();
-    } catch (e) {}
-  },
-
-  usable() {
-    return !!(this.ctx && this.ctx.state === "running");
-  },
-
-  async _buffer(audioKey) {
-    if (this.buffers.has(audioKey)) {
-      const b = this.buffers.get(audioKey);      // refresh recency
-      this.buffers.delete(audioKey);
-      this.buffers.set(audioKey, b);
-      return b;
-    }
-    const res = await getElevenClipResponse(audioKey);
-    if (!res) return null;
-    const bytes = await res.arrayBuffer();
-    const buf = await this.ctx.decodeAudioData(bytes);
-    this.buffers.set(audioKey, buf);
-    while (this.buffers.size > this.BUFFER_MAX) {
-      this.buffers.delete(this.buffers.keys().next().value);
-    }
-    return buf;
-  },
-
-  /* Resolves true (played or deliberately stopped), false (failed), or the string
-     "unavailable" (context not running / decode impossible) — the caller then uses
-     the element path. Bounded everywhere; this must never park the speak chain. */
-  // v10.10: il ctx resta ACCESO solo mentre un cue suona. Un AudioContext
-  // running (anche muto) con sessione playback tiene il focus audio iOS e
-  // ferma la musica delle altre app — era questo a uccidere Spotify all'avvio
-  // e a ogni rientro, non i cue.
-  _idleTimer: null,
-  _scheduleIdleSuspend() {
-    clearTimeout(this._idleTimer);
-    this._idleTimer = setTimeout(() => {
-      try {
-        if (this.ctx && this.ctx.state === "running" && this.active.size === 0) {
-          this.ctx.suspend().catch(() => {});
-        }
-      } catch (e) {}
-    }, 1500);
-  },
-
-  async play(audioKey, requestedAt) {
-    const ctx = this._context();
-    if (!ctx) return "unavailable";
-    clearTimeout(this._idleTimer);
-    // claim della sessione SOLO ora, a ridosso del suono vero
-    claimTransientAudioSession();
-    if (ctx.state === "suspended") {
-      try { await Promise.race([ctx.resume(), new Promise(r => setTimeout(r, 800))]); } catch (e) {}
-    }
-    if (!this.usable()) return "unavailable";
-    let buf;
-    try {
-      buf = await Promise.race([
-        this._buffer(audioKey),
-        new Promise(r => setTimeout(() => r(null), 4000))
-      ]);
-    } catch (e) { buf = null; }   // decode error (corrupt bytes) → element path
-    if (!buf) return "unavailable";
-    if (!this.usable()) return "unavailable";  // context died while decoding
-
-    return new Promise((resolve) => {
-      let settled = false;
-      const src = this.ctx.createBufferSource();
-      const gain = this.ctx.createGain();
-      gain.gain.value = currentVolume;
-      src.buffer = buf;
-      src.connect(gain);
-      gain.connect(this.ctx.destination);
-      const finish = (ok) => {
-        if (settled) return;
-        settled = true;
-        clearTimeout(watchdog);
-        this.active.delete(src);
-        if (this.active.size === 0) this._scheduleIdleSuspend(); // v10.10: rilascia il focus
-        resolve(ok);
-      };
-      // onended fires on natural end AND on stop() — both are success semantics
-      // (a stop is a deliberate flush; re-speaking a cancelled cue is the old bug).
-      src.onended = () => finish(true);
-      const watchdog = setTimeout(() => finish(true), buf.duration * 1000 + 2000);
-      this.active.add(src);
-      AudioTrace.log("cue:buffer", audioKey,
-        Math.round(performance.now() - requestedAt) + "ms to start, " + buf.duration.toFixed(1) + "s");
-      try { src.start(0); } catch (e) { finish(false); }
-    });
-  },
-
-  stopAll() {
-    for (const src of [...this.active]) {
-      try { src.stop(); } catch (e) {}
-    }
-    this.active.clear();
-    this._scheduleIdleSuspend(); // v10.10
-  }
-};
-
-/**
- * Play ElevenLabs pre-recorded audio (simple method without CORS restrictions)
- * @param {string} audioKey - Key for the audio file (without extension)
- * @returns {Promise<boolean>} - True if played successfully
- */
-async function playElevenAudio(audioKey) {
-  const audioRequestedAt = performance.now();
-  const endCue = AudioTrace.start("cue", audioKey);
-  try {
-    await ensureAudioUnlocked();
-
-    // Preferred path: decoded-buffer playback (see AudioEngine). Only "unavailable"
-    // falls through to the media-element machinery below.
-    const viaEngine = await AudioEngine.play(audioKey, audioRequestedAt);
-    if (viaEngine !== "unavailable") {
-      endCue(viaEngine ? "cue:done" : "cue:FAIL", viaEngine ? "buffer" : "buffer start failed");
-      return viaEngine;
-    }
-
-    const { src, blob: isBlobSrc, url: plainUrl } = await getElevenClipSrc(audioKey);
-
-    // Plain element, NO crossOrigin: the GitHub clips send no Access-Control-Allow-Origin,
-    // so crossOrigin="anonymous" fails the load outright.
-    // v10.1 iOS: riusa il singleton gia' sbloccato dal gesto — un elemento
-    // creato ora non e' MAI stato sbloccato e play() verrebbe rifiutato.
-    claimTransientAudioSession(); // v10.10: claim solo a ridosso del suono
-    const audio = ttsAudio;
-    try { audio.pause(); } catch (e) {}
-    audio.onplaying = audio.onpause = audio.onerror = audio.onended = null;
-    audio.preload = "auto";
-    audio.volume = currentVolume;   // no-op on iOS (volume is read-only there)
-    audio.playsInline = true;
-    audio.setAttribute("playsinline", "");
-    audio.setAttribute("webkit-playsinline", "");
-
-    activeAudioEl = audio; // track for stopAllAudio/flushSpeakQueue
-    return new Promise((resolve) => {
-      // iOS NEVER fires canplaythrough on a detached element: it ignores `preload`
-      // and refuses to buffer until play() is called. Gating play() on that event
-      // meant this promise never settled and the whole speak queue hung.
-      // Call play() straight away and let the decoder fetch on demand.
-      let settled = false;
-      let audible = false;   // set once real playback started — changes what failure means
-      let watchdog = null;
-
-      const silence = () => {
-        // Detach handlers FIRST: pause() fires onpause, and removeAttribute-load
-        // fires onerror; both would re-enter done().
-        audio.onended = audio.onerror = audio.onplaying = audio.onpause = null;
-        try { audio.pause(); audio.removeAttribute("src"); audio.load(); } catch (e) {}
-        if (isBlobSrc) { try { URL.revokeObjectURL(src); } catch (e) {} }
-      };
-      const done = (ok, why) => {
-        if (settled) return;
-        settled = true;
-        clearTimeout(watchdog);
-        // On ANY non-success the element must be stopped before the caller falls
-        // back to TTS/synth. Not doing this was the Android double-voice bug: the
-        // watchdog resolved false at 8s, the synth spoke the phrase, and the mp3 —
-        // still loading in this orphaned element — then played on top of it.
-        silence();
-        if (activeAudioEl === audio) activeAudioEl = null;
-        endCue(ok ? "cue:done" : "cue:FAIL", why || "");
-        resolve(ok);
-      };
-      const arm = (ms, onFire) => { clearTimeout(watchdog); watchdog = setTimeout(onFire, ms); };
-
-      // Load/start watchdog. Only pre-audible failure may fall back to another voice.
-      arm(ELEVEN_CLIP_TIMEOUT_MS, () => {
-        console.warn(`⚠️ ElevenLabs audio timed out: ${audioKey}`);
-        done(false, "timeout before audible");
-      });
-
-      audio.onplaying = () => {
-        audible = true;
-        AudioTrace.log("cue:audible", audioKey,
-          Math.round(performance.now() - audioRequestedAt) + "ms to first sound");
-        // Playback is running: the ONLY remaining job is to resolve when it ends.
-        // Re-arm to clip length + margin, and if `ended` never arrives (backgrounded
-        // tab, throttled events) resolve TRUE — the cue was heard; reporting failure
-        // here made the caller speak the same phrase again through the synth.
-        const dur = isFinite(audio.duration) && audio.duration > 0 ? audio.duration : 10;
-        arm(dur * 1000 + 3000, () => done(true, "ended event missed"));
-      };
-      // External pause (flushSpeakQueue on an exercise transition, or an OS audio
-      // interruption). Deliberate cancellation, so resolve TRUE: falling back would
-      // speak a cue that was just cancelled, and leaving it pending parked the whole
-      // speak chain behind an 8s watchdog — the Android "says nothing" bug.
-      // Fires on external stops (flushSpeakQueue, OS interruptions) — including a
-      // flush that lands while the clip is still loading at currentTime 0 — AND on
-      // natural completion, where the spec fires `pause` just before `ended`. Both
-      // resolve TRUE; `audio.ended` tells them apart for the trace.
-      audio.onpause = () => done(true, audio.ended ? "" : "stopped externally");
-      audio.onended = () => {
-        console.log(`🎙️ ElevenLabs audio played: ${audioKey}`);
-        done(true);
-      };
-      // Some WebKit builds refuse blob: URLs on media elements even though the fetch
-      // and Cache Storage side worked (observed in the Windows WebKit port; Safari on
-      // iOS doesn't need the blob path anyway — the service worker serves the plain
-      // URL cache-first). One in-place retry with the network URL, same element, same
-      // watchdog discipline. Falling to synth here would waste a clip we already have.
-      // A failed blob attempt reports twice — onerror AND the play() promise
-      // rejection. The attempt counter keeps the second, stale report from killing
-      // the retry the first one started.
-      let attempt = 0;
-      const startPlayback = (theSrc, label) => {
-        attempt++;
-        const thisAttempt = attempt;
-        audio.src = theSrc;
-        audio.load();
-        audio.play().catch((e) => {
-          if (settled || audible || attempt !== thisAttempt) return;
-          console.warn(`⚠️ ElevenLabs play() rejected for ${audioKey}:`, e);
-          if (retryPlain()) return;
-          done(false, label + " play() rejected: " + (e && e.name || e));
-        });
-      };
-      const retryPlain = () => {
-        if (settled || !isBlobSrc || attempt !== 1) return false;
-        AudioTrace.log("cue:blob-retry", audioKey, "blob src refused, using URL");
-        arm(ELEVEN_CLIP_TIMEOUT_MS, () => done(false, "timeout after blob retry"));
-        try { startPlayback(plainUrl, "retry"); return true; }
-        catch (e) { return false; }
-      };
-      // Resolve false rather than reject: speakEleven() awaits this and a rejection
-      // escaped the try/catch above, killing the caller.
-      audio.onerror = (e) => {
-        console.warn(`⚠️ ElevenLabs audio failed for ${audioKey}:`, e);
-        // Mid-playback decode/network death: the listener already heard the phrase
-        // start — repeating it in another voice is worse than the truncation.
-        if (audible) return done(true, "died mid-play");
-        if (retryPlain()) return;
-        done(false, "load error " + (audio.error ? "code " + audio.error.code : ""));
-      };
-      startPlayback(src, "");
-    });
-  } catch (err) {
-    console.warn(`⚠️ ElevenLabs audio failed for ${audioKey}:`, err);
-    endCue("cue:FAIL", String(err && err.message || err));
-    return false;
-  }
-}
-
-/**
- * Speak using ElevenLabs HD audio with Cloud TTS fallback
- * @param {string} text - Text to speak
- * @param {string} lang - Language code
- */
-async function speakEleven(text, lang = "it-IT") {
-  const normalizedText = text.toLowerCase().trim();
-  
-  // Check fixed phrases first
-  if (ELEVEN_AUDIO_MAP[normalizedText]) {
-    const played = await playElevenAudio(ELEVEN_AUDIO_MAP[normalizedText]);
-    if (played) return;
-  }
-  
-  // Check exercise names
-  if (ELEVEN_EXERCISE_MAP[normalizedText]) {
-    const played = await playElevenAudio(ELEVEN_EXERCISE_MAP[normalizedText]);
-    if (played) return;
-  }
-  
-  // Fallback to Cloud TTS for dynamic content
-  console.log(`🔄 ElevenLabs fallback to Cloud TTS for: "${text}"`);
-  try {
-    await speakCloud(text, lang);
-  } catch (err) {
-    console.warn(`⚠️ Cloud TTS fallback failed, trying synth...`);
-    try {
-      await speakSynth(text, lang);
-    } catch (synthErr) {
-      console.error(`❌ All audio methods failed for: "${text}"`);
-    }
-  }
-}
-
 /* -------------------- Cached Image Loading -------------------- */
 /* -------------------- Smart GIF Preloader -------------------- */
 // The exercise GIFs are ~282x500 with 60-80 frames → ~35-45 MB EACH once decoded.
@@ -1628,26 +1120,11 @@ let currentTimerTotal = 0; // durata step corrente, per l'anello di progresso de
 let lastSpeakTime = 0;
 let currentSpeakId = 0;
 
-// ── Serial audio queue: only one utterance plays at a time (prevents overlap,
-//    e.g. "fai X ripetizioni" colliding with "mancano X secondi") ──
-let speakChain = Promise.resolve(); // tail of the serial queue
-let activeAudioEl = null;           // currently-playing ElevenLabs <audio> element
-let speakGeneration = 0;            // bump to invalidate utterances still queued
-
 // Drop every queued/active utterance (called on pause and exercise transitions
 // so stale cues don't play late on top of the next exercise).
 function flushSpeakQueue() {
-  speakGeneration++;
-  speakChain = Promise.resolve();
-  if (activeAudioEl) {
-    try { activeAudioEl.pause(); activeAudioEl.currentTime = 0; } catch (e) {}
-    activeAudioEl = null;
-  }
-  // Buffer-engine cues too: stop() fires onended, which resolves their promise as a
-  // deliberate cancellation — same contract as the element path's pause handler.
-  try { AudioEngine.stopAll(); } catch (e) {}
+  cues.flush();
 }
-let wakeLock = null; // Screen wake lock to keep screen on during workout
 let pendingTipTimeout = null; // Only one coach tip at a time
 let tippedBlocks = new Set();       // Track blocks that already received a tip this session
 let firedTips = new Set();        // Each tip fires at most once per workout
@@ -1662,28 +1139,15 @@ let timerFired = new Set(); // Track which seconds already triggered audio (pers
  * Stop all ongoing audio playback. Called on pause to prevent audio pile-up on resume.
  */
 function stopAllAudio() {
-  // Stop Cloud TTS
-  const ttsEl = document.getElementById("tts-audio");
-  if (ttsEl) { try { ttsEl.pause(); ttsEl.currentTime = 0; } catch(e) {} }
-  
-  // Stop browser speech synthesis
-  try { speechSynthesis.cancel(); } catch(e) {}
-  
-  // Stop beep/transition sounds
-  const beep = document.getElementById("beep-sound");
-  const trans = document.getElementById("transition-sound");
-  if (beep) { try { beep.pause(); beep.currentTime = 0; } catch(e) {} }
-  if (trans) { try { trans.pause(); trans.currentTime = 0; } catch(e) {} }
-  
+  // Voice, synth, beep/transition, and the serial speak queue
+  cues.stop();
+
   // Stop beppe player
   try { beppePlayer.pause(); beppePlayer.currentTime = 0; } catch(e) {}
   
   // Cancel pending tip
   clearTimeout(pendingTipTimeout);
   pendingTipTimeout = null;
-
-  // Drop the serial speak queue so nothing fires after the stop
-  flushSpeakQueue();
 }
 let totalUserWorkouts = 0; // Track total number of workouts available to user
 
@@ -1714,93 +1178,6 @@ const AUDIO_CUES = {
   FINAL_WARNING: 5     // Final countdown at 5 seconds
 };
 
-/* Singletons */
-const ttsAudio = new Audio();
-ttsAudio.id = "tts-audio";
-ttsAudio.preload = "auto";
-ttsAudio.playsInline = true;
-ttsAudio.setAttribute("playsinline", "");
-ttsAudio.setAttribute("webkit-playsinline", "");
-document.body.appendChild(ttsAudio);
-
-/* -------------------- Wake Lock (Keep Screen On) -------------------- */
-/**
- * Request screen wake lock to prevent screen from turning off during workout
- */
-async function requestWakeLock() {
-  try {
-    // Check if Wake Lock API is supported
-    if ('wakeLock' in navigator) {
-      wakeLock = await navigator.wakeLock.request('screen');
-      
-      // Listen for wake lock release
-      wakeLock.addEventListener('release', () => {
-      });
-    } else {
-      // Fallback: iOS Safari doesn't support Wake Lock API
-      // But we can use a video element trick
-      enableIOSScreenWakeLock();
-    }
-  } catch (err) {
-    console.error('❌ Failed to activate wake lock:', err);
-    // Try iOS fallback
-    enableIOSScreenWakeLock();
-  }
-}
-
-/**
- * Release the wake lock (allow screen to turn off normally)
- */
-async function releaseWakeLock() {
-  if (wakeLock !== null) {
-    try {
-      await wakeLock.release();
-      wakeLock = null;
-    } catch (err) {
-      console.error('❌ Failed to release wake lock:', err);
-    }
-  }
-  // Also disable iOS fallback
-  disableIOSScreenWakeLock();
-}
-
-/**
- * iOS Safari fallback: Use a tiny looping video to keep screen awake
- */
-let iosWakeLockVideo = null;
-function enableIOSScreenWakeLock() {
-  if (!iosWakeLockVideo) {
-    // Create a 1x1 transparent video that loops
-    iosWakeLockVideo = document.createElement('video');
-    iosWakeLockVideo.setAttribute('muted', '');
-    iosWakeLockVideo.setAttribute('playsinline', '');
-    iosWakeLockVideo.setAttribute('loop', '');
-    iosWakeLockVideo.style.position = 'fixed';
-    iosWakeLockVideo.style.opacity = '0';
-    iosWakeLockVideo.style.width = '1px';
-    iosWakeLockVideo.style.height = '1px';
-    iosWakeLockVideo.style.pointerEvents = 'none';
-    
-    // v10.1: WebKit rifiuta i data: URI sui media element (documentato sopra
-    // per l'audio) — serve un file vero, precached dal SW.
-    iosWakeLockVideo.src = '../audio/wake.mp4';
-    
-    document.body.appendChild(iosWakeLockVideo);
-  }
-  
-  // Start playing the video
-  iosWakeLockVideo.play().catch(err => {
-  });
-  
-}
-
-function disableIOSScreenWakeLock() {
-  if (iosWakeLockVideo) {
-    iosWakeLockVideo.pause();
-    iosWakeLockVideo.currentTime = 0;
-  }
-}
-
 /* -------------------- Viewport Metrics (iOS Safari toolbars) -------------------- */
 const VIEWPORT_VAR_ROOT = document.documentElement;
 
@@ -1940,7 +1317,7 @@ document.addEventListener('DOMContentLoaded', __bindLoginViewportHandlers);
 
 // (Removed: an AudioContext built here at module load. Nothing plays through Web Audio
 // any more, and iOS allows only ~4 live contexts per page — this one was orphaned and
-// never closed. See playAudioUrl() for why the graph went away.)
+// never closed. See playAudioUrl() in audio-engine.js for why the graph went away.)
 
 let nextPreviewShown = false;   // controls the 10s preview (fires once per exercise)
 let countdownAudioEnabled = false; // controls "mancano X secondi" audio
@@ -2005,231 +1382,22 @@ function setSoundMode(value) {
   if (a) a.value = value;
   if (b) b.value = value;
 }
-function getPreferredVoice() {
-  if (typeof speechSynthesis === "undefined") return null;
-  const list = (speechSynthesis.getVoices && speechSynthesis.getVoices()) || [];
-  // prefer Google voices first
-  const googleIt = list.find(v => /google/i.test(v.name||"") && /^it(-|_)/i.test(v.lang||""));
-  if (googleIt) return googleIt;
-  const googleEn = list.find(v => /google/i.test(v.name||"") && /^en(-|_)/i.test(v.lang||""));
-  if (googleEn) return googleEn;
-  // then any Italian / English
-  const anyIt = list.find(v => /^it(-|_)/i.test(v.lang||""));
-  if (anyIt) return anyIt;
-  const anyEn = list.find(v => /^en(-|_)/i.test(v.lang||""));
-  if (anyEn) return anyEn;
-  // fallback: first Google, else first voice
-  const anyGoogle = list.find(v => /google/i.test(v.name||""));
-  return anyGoogle || list[0] || null;
-}
-// (Removed: a second module-load AudioContext plus a setInterval(resume, 1500)
-// "keep alive" hack. iOS ignores resume() outside a user gesture, so the interval
-// woke nothing and just burned a timer every 1.5s for the whole workout.)
-
 /* Pre-recorded (Beppe) player */
 let beppePlayer = new Audio();
 beppePlayer.preload = "auto";
 
-/* Warm-up Render TTS (optional) */
-function warmUpServer() {
-  fetch("https://google-tts-server.onrender.com")
-    .then(() => console.log("✅ TTS server attivo"))
-    .catch(() => console.warn("⚠️ Server TTS non raggiungibile"));
-}
-
-/* -------------------- Synth Voice Lock -------------------- */
-// --- Synth voices lock (Android-safe) ---
-const SYNTH_PREFS = {
-  "it-IT": ["Siri Voice 4","Siri Voice 3","Google italiano","Microsoft Elsa","Microsoft Lucia"],
-  "en-US": ["Siri Voice 3","Siri Voice 2","Google US English","Microsoft Aria","Microsoft Jenny"]
-};
-
-const synthVoicesLocked = {}; // per lingua → voce scelta
-
-function pickVoice(lang) {
-  if (typeof speechSynthesis === "undefined") return null;
-  const all = (speechSynthesis.getVoices && speechSynthesis.getVoices()) || [];
-  const want = (lang || "").toLowerCase();
-
-  // Prefer Google voices on Android if present
-  const googleFirst = all.find(v =>
-    (v.lang || "").toLowerCase().startsWith(want) &&
-    /google/i.test(v.name || "")
-  );
-  if (googleFirst) return googleFirst;
-
-  // Your existing preferences still apply
-  for (const name of (SYNTH_PREFS[lang] || [])) {
-    const v = all.find(v =>
-      (v.lang || "").toLowerCase().startsWith(want) &&
-      (v.name || "").includes(name)
-    );
-    if (v) return v;
-  }
-
-  const same = all.filter(v => (v.lang || "").toLowerCase().startsWith(want));
-  if (same.length) return same[0];
-
-  return all[0] || null;
-}
-
-function lockSynthVoices() {
-  try {
-    synthVoicesLocked["it-IT"] = pickVoice("it-IT");
-    synthVoicesLocked["en-US"] = pickVoice("en-US");
-  } catch {}
-}
-
-/**
- * Wait until voices are actually available.
- * Android often never fires onvoiceschanged; we poll with a timeout fallback.
- */
-function waitForVoices(timeoutMs = 1500) {
-  return new Promise(resolve => {
-    let settled = false;
-    const finish = () => { if (!settled) { settled = true; resolve(); } };
-
-    // Engines without speechSynthesis threw a ReferenceError straight out of this
-    // Promise executor — an unhandled rejection, and speak() chains every utterance
-    // onto one promise, so it could take the whole cue queue with it.
-    if (typeof speechSynthesis === "undefined") return finish();
-
-    try {
-      if ((speechSynthesis.getVoices() || []).length) return finish();
-
-      const prev = speechSynthesis.onvoiceschanged;
-      speechSynthesis.onvoiceschanged = () => { speechSynthesis.onvoiceschanged = prev || null; finish(); };
-
-      const start = Date.now();
-      const poll = setInterval(() => {
-        let vs = [];
-        try { vs = speechSynthesis.getVoices() || []; } catch { /* keep polling */ }
-        if (vs.length || Date.now() - start >= timeoutMs) { clearInterval(poll); finish(); }
-      }, 100);
-      setTimeout(() => { clearInterval(poll); finish(); }, timeoutMs + 200);
-    } catch (e) {
-      finish();
-    }
-  });
-}
-
-/* ---------- Android Synth Primer (user-gesture + resume) ---------- */
-let __synthPrimed = false;
-
-function primeSynth() {
-  if (__synthPrimed || !('speechSynthesis' in window)) return;
-  try {
-    // Make sure voices are actually loaded (poll fallback)
-    const ensureVoices = new Promise((resolve) => {
-      const have = () => (speechSynthesis.getVoices() || []).length > 0;
-      if (have()) return resolve();
-      const start = Date.now();
-      const t = setInterval(() => {
-        if (have() || Date.now() - start > 1500) {
-          clearInterval(t);
-          resolve();
-        }
-      }, 100);
-    });
-
-    // v10.1 iOS: il kick DEVE partire nel gesto — aspettare le voci faceva
-    // uscire dall'attivazione utente e iOS scartava l'utterance.
-    try { speechSynthesis.resume(); } catch {}
-    const u = new SpeechSynthesisUtterance(" "); // silent kick
-    u.volume = 0;
-    u.rate = 1;
-    u.pitch = 1;
-    const watchdog = setTimeout(() => { __synthPrimed = true; }, 250);
-    u.onstart = () => { clearTimeout(watchdog); __synthPrimed = true; };
-    u.onerror = () => { clearTimeout(watchdog); __synthPrimed = true; };
-    speechSynthesis.speak(u);
-    // Le voci si caricano per conto loro (waitForVoices in DOMContentLoaded).
-    ensureVoices.then(() => {});
-  } catch {
-    __synthPrimed = true;
-  }
-}
-
-// Prime on the first real user gesture
-document.addEventListener('touchstart', primeSynth, { once: true, passive: true });
-document.addEventListener('click',      primeSynth, { once: true });
-
-/* -------------------- iOS Audio Unlock -------------------- */
-function unlockAllAudio() {
-  if (window.__audioUnlocked) return;
-
-  // v10.10: NIENTE claim qui — la claim avviene solo a ridosso di un suono
-  // vero (AudioEngine.play / element path), cosi' aprire il workout non tocca
-  // la musica di altre app. Il kick del gesto serve solo per il permesso.
-  AudioEngine.unlock();
-
-  try {
-    // The old unlock played a base64 "data:audio/mp3" string that is an ID3 header with
-    // no audio frames — it fails to decode in Chromium AND WebKit (verified), so these
-    // play() calls always rejected and nothing was ever unlocked. Safari also refuses
-    // data: URIs on media elements outright. A real, silent 50ms WAV file does work.
-    // v10.9 DEVICE-VERIFIED: un elemento NON MUTATO in play() — anche 50ms di
-    // silenzio — fa fermare a iOS la musica delle altre app. Lo sblocco muted
-    // ottiene comunque il permesso di riproduzione per la sessione.
-    for (const el of [ttsAudio, beppePlayer]) {
-      el.muted = true;
-      el.src = SFX_SILENCE;
-      el.play().then(() => { el.pause(); el.muted = false; }).catch(() => { el.muted = false; });
-    }
-
-    // v10.1 iOS: l'unlock e' PER-ELEMENTO. Un play()+pause() dentro il gesto
-    // sblocca anche beep e transition, che prima non venivano mai sbloccati e
-    // su iOS restavano muti quando partivano da un timer.
-    for (const id of ["beep-sound", "transition-sound"]) {
-      const el = document.getElementById(id);
-      if (!el) continue;
-      el.volume = 1.0;
-      el.muted = true; // v10.9: sblocco muted, niente focus rubato a Spotify
-      el.play().then(() => { el.pause(); el.currentTime = 0; el.muted = false; }).catch(() => { el.muted = false; });
-    }
-
-    window.__audioUnlocked = true;
-  } catch (error) {
-    console.error("❌ Audio unlock error:", error);
-  }
-}
-
-// v10.1: NON once — dopo un'interruzione OS (chiamata, Siri) l'unlock degli
-// elementi va rifatto; il guard interno lo rende gratis quando non serve.
-document.addEventListener("touchstart", unlockAllAudio, { passive: true });
-document.addEventListener("click", unlockAllAudio);
-
-// v9 fix (audio 2026-08-11 pt.7): after an OS audio interruption (call, Siri,
-// another app grabbing the session) the buffer engine's AudioContext stays
-// "suspended" — and the once-only unlock above has already been consumed. The
-// voice then only came back when the user happened to tap the ☰ menu (any
-// gesture works, that was just the one they tapped). Resume on EVERY gesture
-// and on returning to the foreground, so speech recovers by itself.
-// v10.10: NIENTE resume su ogni gesto/foreground — riattivava il ctx (e con
-// lui il focus audio iOS) fermando Spotify a ogni tap e a ogni rientro.
-// Il resume ora avviene SOLO dentro AudioEngine.play, a ridosso del cue.
-document.addEventListener("visibilitychange", () => {
-  if (document.hidden) {
-    // iOS puo' revocare l'unlock degli elementi durante un'interruzione;
-    // ri-armiamo cosi' il primo gesto al ritorno rifa' l'unlock completo.
-    window.__audioUnlocked = false;
-  } else {
-    try { if ('speechSynthesis' in window) speechSynthesis.resume(); } catch (e) {}
-  }
+/* Cue player (js/audio-engine.js). The clip bank, the sound mode and the volume
+   are this page's; "eleven" mode looks the phrase up in the two clip maps. */
+const cues = createCuePlayer({
+  clipUrl: (key) => `${ELEVEN_BASE_URL}/${key}.mp3`,
+  resolveClip: resolveElevenClip,
+  getMode: () => document.getElementById("soundMode")?.value
+              || document.getElementById("soundMode-setup")?.value
+              || "none",
+  getVolume: () => currentVolume,
+  unlockElements: [beppePlayer],
 });
 
-/* Safe one-time unlock fallback */
-document.addEventListener("touchend", ensureAudioUnlocked, { once: true });
-document.addEventListener("click", () => {
-  if (!window.__audioUnlocked) {
-    // Was another undecodable base64 stub ("//uQxAAAAAA==" is 8 bytes of nothing).
-    beppePlayer.src = SFX_SILENCE;
-    beppePlayer.play().then(() => {
-      window.__audioUnlocked = true;
-    }).catch(() => console.warn("⚠️ Impossibile sbloccare audio su iOS"));
-  }
-}, { once: true });
-
 /* -------------------- Pre-Recorded (Beppe) + SFX -------------------- */
 const beppeSounds = {
   s60: "https://github.com/tommyv-spec/workout-audio/raw/refs/heads/main/docs/mancano%2060%20secondi.mp3",
@@ -2291,7 +1459,7 @@ async function playBeppeAudioSequence(urls) {
       // gym) hung this loop forever. Every await in the cue path needs a ceiling.
       let done = false;
       const finish = () => { if (done) return; done = true; clearTimeout(watchdog); resolve(); };
-      const watchdog = setTimeout(finish, ELEVEN_CLIP_TIMEOUT_MS);
+      const watchdog = setTimeout(finish, CLIP_TIMEOUT_MS);
       beppePlayer.onended = finish;
       beppePlayer.onerror = finish;
       beppePlayer.play().catch(finish);
@@ -2318,455 +1486,23 @@ function preloadWorkoutAudios() {
   preloadAudio(audioUrls);
 }
 
-/* -------------------- SFX --------------------
-   These used to point at .ogg files on actions.google.com. WebKit cannot decode Ogg —
-   canPlayType('audio/ogg') returns "" and the real file fails with MediaError code 4 —
-   so bip mode was silent on Safari and iOS while working in Chrome.
-
-   Now local 16-bit PCM WAV files. Deliberately NOT data: URIs: Safari refuses data:
-   URIs on media elements (verified — identical bytes decode as a file and fail as a
-   data URI in WebKit), which is also why the old base64 unlock clip never worked.
-   Same-origin and precached by the service worker, so a beep costs no round trip. */
-const SFX_BEEP = "../audio/beep.wav";
-const SFX_TRANSITION = "../audio/transition.wav";
-const SFX_SILENCE = "../audio/silence.wav";   // used to unlock elements inside a gesture
-
-function installSfxSources() {
-  const beep = document.getElementById("beep-sound");
-  const trans = document.getElementById("transition-sound");
-  if (beep && !beep.src) { beep.src = SFX_BEEP; beep.load(); }
-  if (trans && !trans.src) { trans.src = SFX_TRANSITION; trans.load(); }
-}
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", installSfxSources);
-} else {
-  installSfxSources();
-}
-
 function playBeep() {
   // Only care in Beep mode; do nothing otherwise (keeps modes separate)
   const mode = document.getElementById("soundMode")?.value
             || document.getElementById("soundMode-setup")?.value;
   if (mode !== "bip") return;
-
-  const base = document.getElementById("beep-sound");
-  if (!base || !base.src) return;
-
-  // v10.1 iOS: suona il SINGLETON sbloccato dal gesto — il vecchio clone
-  // new Audio() non era mai stato sbloccato e su iOS restava muto.
-  try { base.pause(); base.currentTime = 0; } catch {}
-  base.volume = 1.0;
-  base.muted = false;
-  base.play().catch(() => {});
+  cues.beep();
 }
 
 function playTransition() {
-  const transition = document.getElementById("transition-sound");
-  if (!transition) return;
-  // Rewind: a second transition inside one clip's length was silently dropped because
-  // the element was still at the end of the previous play.
-  try { transition.currentTime = 0; } catch {}
-  // play() rejects when autoplay is blocked; unhandled it surfaces as an uncaught
-  // rejection in Safari.
-  transition.play().catch(() => {});
-}
-
-/* -------------------- Cloud TTS + Synth TTS -------------------- */
-function detectLang(text) {
-  const italianIndicators = /[àèéìòù]|mancano|secondi|esercizio|istruz|riposo|pausa/i;
-  if (italianIndicators.test(text)) return "it-IT";
-  return "en-US";
-}
-
-const GOOGLE_TTS_URL = "https://google-tts-server.onrender.com/speak";
-const TTS_TIMEOUT_MS = 9000;
-const TTS_RETRIES = 2;
-
-// iOS routes web audio through the "ambient" session by default, which the physical
-// ring/silent switch mutes. Users train with the phone on silent, so every cue vanished.
-// Safari 16.4+ lets us claim the playback session instead. Safe no-op elsewhere.
-function claimTransientAudioSession() {
-  // v10.11 DECISIONE FINALE DEL PROPRIETARIO: "la musica non si deve MAI
-  // stoppare, punto." → sessione AMBIENT, sempre: i cue si MESCOLANO alla
-  // musica di altre app, che non viene mai toccata (parita' Android).
-  // Trade-off noto e accettato: con la levetta su silenzioso i cue ambient
-  // sono muti (limite iOS). playback/transient BANDITI (fermano la musica /
-  // muti del tutto — mappato su device).
-  try {
-    if ("audioSession" in navigator && navigator.audioSession.type !== "ambient") {
-      navigator.audioSession.type = "ambient";
-    }
-  } catch (e) {
-    console.warn("audioSession unavailable:", e);
-  }
-}
-// v10.10: nessuna claim a load — solo a ridosso dei suoni veri.
-
-// Nothing plays through Web Audio any more, so this no longer builds an AudioContext.
-// The old version created a throwaway context and awaited resume() with no timeout —
-// on iOS that promise can hang forever outside a gesture, and both playElevenAudio()
-// and speakCloud() await this function.
-async function ensureAudioUnlocked() {
-  // v10.1: NON setta window.__audioUnlocked — quel flag appartiene al vero
-  // unlock dentro un gesto (unlockAllAudio). v10.10: niente claim qui.
-  AudioEngine.unlock();
-}
-
-async function playAudioUrl(url) {
-  let el = document.getElementById("tts-audio");
-  if (!el) {
-    el = new Audio();
-    el.id = "tts-audio";
-    el.preload = "auto";
-    el.playsInline = true;
-    el.setAttribute("playsinline", "");
-    el.setAttribute("webkit-playsinline", "");
-    el.autoplay = false;
-    el.muted = false;
-    el.crossOrigin = "anonymous";
-    document.body.appendChild(el);
-  }
-
-  const isBlob = typeof url === "string" && url.startsWith("blob:");
-  const src = isBlob ? url : url + (url.includes("?") ? "&" : "?") + "t=" + Date.now();
-
-  el.pause();
-  el.src = src;
-  el.currentTime = 0;
-  el.load();
-
-  // NO Web Audio graph here. This used to route #tts-audio through
-  // createMediaElementSource() + a 5.0 gain node. On iOS that was fatal, twice over:
-  //   1. The AudioContext was built at module load, outside any user gesture, so iOS
-  //      kept it suspended; a suspended graph emits silence while the element still
-  //      reports itself as playing.
-  //   2. createMediaElementSource() on a cross-origin element with no CORS header
-  //      taints the graph to zeros, and the GitHub clips send no ACAO.
-  // Worse, the rewiring is irreversible: once an element is attached to a graph it
-  // never reaches the speaker directly again for the life of the page.
-  // Device evidence: plain playback is audible on iOS, graph playback is silent.
-
-  await new Promise((resolve, reject) => {
-    let done = false;
-    let audible = false;
-    const cleanup = () => {
-      clearTimeout(watchdog);
-      el.onended = el.onerror = el.onpause = el.onplaying = null;
-      if (isBlob) { try { URL.revokeObjectURL(url); } catch {} }
-    };
-    // Ceiling on every await in the cue path: speak() serialises utterances onto one
-    // promise chain, so a single clip that never ends silences the whole workout.
-    // On expiry the element must also be STOPPED — resolving alone left it playing,
-    // free to land on top of the next cue (the Android double-voice class of bug).
-    const watchdog = setTimeout(() => {
-      if (done) return; done = true;
-      cleanup();
-      try { el.pause(); } catch (e) {}
-      resolve();
-    }, AUDIO_PLAY_TIMEOUT_MS);
-    el.onplaying = () => { audible = true; };
-    // External pause (flushSpeakQueue / stopAllAudio on a transition): deliberate
-    // cancellation. Without this handler the promise parked here for the full
-    // watchdog while every queued cue waited behind it — cues then fired seconds
-    // late or were flushed as stale, heard as "sometimes it says nothing".
-    el.onpause = () => { if (done) return; done = true; cleanup(); resolve(); };
-    el.onended = () => { if (done) return; done = true; cleanup(); resolve(); };
-    el.onerror = (e) => {
-      if (done) return; done = true; cleanup();
-      // Mid-play death: the phrase was already heard starting — a synth repeat is
-      // worse than the truncation.
-      if (audible) return resolve();
-      reject(e);
-    };
-    const p = el.play();
-    if (p && typeof p.then === "function") {
-      p.catch((e) => { if (done) return; done = true; cleanup(); reject(e); });
-    }
-  });
-}
-
-async function fetchTTS(text, lang) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), TTS_TIMEOUT_MS);
-
-  const res = await fetch(GOOGLE_TTS_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ text, lang }),
-    signal: controller.signal
-  }).catch(e => { throw new Error("Failed to fetch TTS: " + e.message); });
-
-  clearTimeout(timeoutId);
-
-  if (!res.ok) throw new Error(`TTS ${res.status} ${res.statusText}`);
-
-  const blob = await res.blob();
-  return URL.createObjectURL(blob);
-}
-
-async function tryGoogleTTS(text, lang) {
-  let lastErr;
-  for (let attempt = 0; attempt <= TTS_RETRIES; attempt++) {
-    try {
-      const audioUrl = await fetchTTS(text, lang);
-      await playAudioUrl(audioUrl);
-      return;
-    } catch (e) {
-      lastErr = e;
-      await new Promise(r => setTimeout(r, 350 * (attempt + 1)));
-    }
-  }
-  throw lastErr;
-}
-
-/* The Google TTS box currently answers every /speak with HTTP 500. Without a breaker
-   each fallback pays a full network round trip before reaching the synth voice, which
-   is exactly the wrong moment to add latency: the cue is already late. Trip after two
-   consecutive failures, retry once a minute in case the server comes back. */
-const CLOUD_TTS_TRIP_AFTER = 2;
-const CLOUD_TTS_RETRY_MS = 60000;
-let cloudTtsFailures = 0;
-let cloudTtsTrippedAt = 0;
-
-function cloudTtsAvailable() {
-  if (cloudTtsFailures < CLOUD_TTS_TRIP_AFTER) return true;
-  if (Date.now() - cloudTtsTrippedAt > CLOUD_TTS_RETRY_MS) {
-    cloudTtsFailures = 0;   // probation: let one request through to test the water
-    return true;
-  }
-  return false;
-}
-function noteCloudTtsResult(ok) {
-  if (ok) { cloudTtsFailures = 0; return; }
-  cloudTtsFailures++;
-  if (cloudTtsFailures === CLOUD_TTS_TRIP_AFTER) {
-    cloudTtsTrippedAt = Date.now();
-    AudioTrace.log("cloud:tripped", "", "skipping cloud TTS for " + (CLOUD_TTS_RETRY_MS / 1000) + "s");
-    console.warn("⚠️ Cloud TTS tripped — falling straight to synth");
-  }
-}
-
-async function speakCloud(text, lang = "it-IT") {
-  try {
-    await ensureAudioUnlocked();
-    
-    // Check offline cache first. Raced: an IndexedDB read that never settles would
-    // wedge the speak chain exactly like the old canplaythrough bug did.
-    if (typeof OfflinePreloader !== 'undefined') {
-      const cacheKey = `tts_${lang}_${text}`;
-      const cachedUrl = await Promise.race([
-        OfflinePreloader.getCachedAudio(cacheKey).catch(() => null),
-        new Promise(r => setTimeout(() => r(null), 1500))
-      ]);
-
-      if (cachedUrl) {
-        console.log(`✅ Using cached TTS: "${text.substring(0, 30)}..."`);
-        await playAudioUrl(cachedUrl);
-        return;
-      }
-    }
-    
-    // Cache miss and the server is known-bad: skip straight to synth rather than
-    // spending a round trip to fail.
-    if (!cloudTtsAvailable()) {
-      AudioTrace.log("cloud:skipped", text.slice(0, 24), "breaker open");
-      throw new Error("Cloud TTS breaker open");
-    }
-
-    // Optional explicit voice mapping
-    const voice = lang === "it-IT" ? "it-IT-Wavenet-C" : "en-US-Wavenet-D";
-
-    console.log(`🗣️ Attempting Google Cloud TTS: "${text}" (${lang})`);
-    const endFetch = AudioTrace.start("cloud", text.slice(0, 24));
-
-    // Hard timeout: a server that accepts the connection and then never answers is
-    // worse than one that 500s, because a bare fetch() waits forever and the whole
-    // cue queue is serialised behind this await.
-    const ctrl = new AbortController();
-    const killFetch = setTimeout(() => ctrl.abort(), TTS_TIMEOUT_MS);
-    let res;
-    try {
-      res = await fetch("https://google-tts-server.onrender.com/speak", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ text, lang, voice }),
-        signal: ctrl.signal,
-      });
-      clearTimeout(killFetch);
-    } catch (netErr) {
-      clearTimeout(killFetch);
-      noteCloudTtsResult(false);
-      endFetch("cloud:FAIL", "network " + (netErr && netErr.message || ""));
-      throw netErr;
-    }
-
-    if (!res.ok) {
-      const errorText = await res.text().catch(() => "No error details");
-      noteCloudTtsResult(false);
-      endFetch("cloud:FAIL", "HTTP " + res.status);
-      throw new Error(`TTS Server Error ${res.status}: ${errorText}`);
-    }
-
-    const blob = await res.blob();
-    if (blob.size === 0) {
-      noteCloudTtsResult(false);
-      endFetch("cloud:FAIL", "empty body");
-      throw new Error("Audio vuoto - server returned empty audio");
-    }
-
-    noteCloudTtsResult(true);
-    endFetch("cloud:ok", blob.size + "b");
-
-    const audioUrl = URL.createObjectURL(blob);
-    await playAudioUrl(audioUrl);
-
-    console.log(`✅ Google Cloud TTS success`);
-  } catch (err) {
-    console.error("❌ Cloud TTS failed:", err.message || err);
-    console.error("Full error:", err);
-    throw err; // Re-throw so speak() can handle fallback
-  }
-}
-
-async function webSpeechSpeak(text, lang) {
-  // Make sure voices exist (Android may not fire onvoiceschanged)
-  try {
-    const t0 = Date.now();
-    while (((speechSynthesis.getVoices?.()||[]).length === 0) && (Date.now() - t0 < 1500)) {
-      await new Promise(r => setTimeout(r, 100));
-    }
-  } catch {}
-
-  // Cancel pending + resume engine (Android often paused)
-  try { speechSynthesis.cancel(); } catch {}
-  try { speechSynthesis.resume(); } catch {}
-
-  const voice = getPreferredVoice();
-  const utter = new SpeechSynthesisUtterance(text);
-  if (voice) utter.voice = voice;
-  utter.lang   = (voice && voice.lang) || (lang || "it-IT");
-  utter.rate   = 1.0;
-  utter.pitch  = 1.0;
-  utter.volume = currentVolume; // Use global volume setting
-
-  // Tiny delay helps some Android builds
-  await new Promise(r => setTimeout(r, 60));
-
-  return new Promise((resolve, reject) => {
-    let done = false;
-    let watchdog;
-    const clear = () => { try { clearTimeout(watchdog); } catch {} };
-    const finish = (ok, err) => { if (done) return; done = true; clear(); ok ? resolve() : reject(err||new Error("speak failed")); };
-
-    // On expiry, CANCEL before resolving. Resolving alone left the utterance queued in
-    // the engine; Android's synth regularly stalls and then flushes its queue seconds
-    // later, so the "abandoned" cue spoke on top of whatever was playing by then —
-    // heard as the same phrase in clip voice and synth voice.
-    const watch = (ms) => {
-      clear();
-      watchdog = setTimeout(() => {
-        try { speechSynthesis.cancel(); } catch {}
-        finish(true);
-      }, ms);
-    };
-
-    watch(3000); // some Androids never fire events at all
-
-    // onstart used to CLEAR the watchdog outright. If onend then never arrived — which
-    // iOS does whenever the synth is interrupted (screen lock, incoming call, another
-    // cue) — this promise never settled, and speak() chains every utterance onto a
-    // single promise, so one stuck cue silenced the entire rest of the workout.
-    // Re-arm instead, scaled to how long the text plausibly takes to read.
-    utter.onstart = () => watch(Math.min(30000, 4000 + text.length * 120));
-    utter.onend   = () => finish(true);
-    utter.onerror = (e)  => {
-      if (e && e.error === "interrupted") return finish(true);
-      finish(false, e);
-    };
-
-    try {
-      // resume again right before talking
-      try { speechSynthesis.resume(); } catch {}
-      speechSynthesis.speak(utter);
-      // v10.1 iOS: resume periodico durante l'utterance — iOS pausa la sintesi
-      // sul backgrounding; l'intervallo si spegne quando non parla piu'.
-      const keepAlive = setInterval(() => {
-        try {
-          if (speechSynthesis.speaking) speechSynthesis.resume();
-          else clearInterval(keepAlive);
-        } catch (e) { clearInterval(keepAlive); }
-      }, 4000);
-    } catch (err) {
-      finish(false, err);
-    }
-  });
+  cues.transition();
 }
 
-async function speakSynth(text, lang = "it-IT") {
-  // Every metallic-sounding cue passes through here. Logged so the trace names the
-  // exact phrase that had no clip, which is what to feed the clip generator.
-  AudioTrace.log("synth:FALLBACK", text.slice(0, 40));
-  return webSpeechSpeak(text, lang);
-}
-
-/* Public entry: serialize every utterance onto a single queue so two cues
-   never play at once. Stale items (queued before a flush) are skipped. */
+/* -------------------- Speech --------------------
+   Serialised in the engine: two cues never play at once, and a flush drops
+   everything still queued. */
 function speak(text, lang = "it-IT") {
-  const gen = speakGeneration;
-  const run = () => (gen === speakGeneration) ? _speakNow(text, lang) : Promise.resolve();
-  speakChain = speakChain.then(run, run); // continue even if a prior utterance rejected
-  return speakChain;
-}
-
-/* Router: With automatic fallback from voice to synth */
-async function _speakNow(text, lang = "it-IT") {
-  const mode = document.getElementById("soundMode")?.value
-            || document.getElementById("soundMode-setup")?.value
-            || "none";
-  
-  // "eleven" mode: try ElevenLabs pre-recorded audio first, then Cloud TTS, then synth
-  if (mode === "eleven") {
-    const normalizedText = text.toLowerCase().trim();
-    const audioKey = ELEVEN_AUDIO_MAP[normalizedText] || ELEVEN_EXERCISE_MAP[normalizedText];
-    
-    if (audioKey) {
-      try {
-        const played = await playElevenAudio(audioKey);
-        if (played) return;
-      } catch (err) {
-        console.warn(`⚠️ ElevenLabs failed for "${text}", trying fallback...`);
-      }
-    }
-    
-    // Fallback to Cloud TTS
-    try {
-      return await speakCloud(text, lang);
-    } catch (err) {
-      console.warn("⚠️ Cloud TTS failed, falling back to synth...");
-      try {
-        return await speakSynth(text, lang);
-      } catch (synthErr) {
-        console.error("❌ All audio methods failed for:", text);
-      }
-    }
-  }
-  
-  // "voice" mode: Cloud TTS only, then synth fallback (no ElevenLabs)
-  if (mode === "voice") {
-    try {
-      return await speakCloud(text, lang);
-    } catch (err) {
-      console.warn("⚠️ Cloud TTS failed, falling back to synth...");
-      try {
-        return await speakSynth(text, lang);
-      } catch (synthErr) {
-        console.error("❌ All audio methods failed for:", text);
-      }
-    }
-  }
-  
-  if (mode === "synth") return speakSynth(text, lang);
-  // other modes (bip, none): no-op
+  return cues.speak(text, lang);
 }
 
 /* Helper sequences */
@@ -2789,199 +1525,25 @@ async function announceNextExercise(nextExercise) {
 /* -------------------- Workout Sequencing -------------------- */
 let fullWorkoutSequence = [];
 
+/* v12: la logica vive in workout-sequence.js (pura, testata). Qui restano
+   solo i media dei passi generati, che dipendono dal resolver Drive. */
 function buildFullWorkoutSequence(workout, includeWarmup = true) {
-  const sequence = [];
   if (!workout || !Array.isArray(workout.exercises) || workout.exercises.length === 0) {
     console.error("❌ No valid workout data");
-    return sequence;
-  }
-
-  const isBlockMarker = (ex) => {
-    const nameLower = (ex.name || "").toLowerCase();
-    const blockLower = (ex.block || "").toLowerCase();
-    return nameLower.includes("blocco") || nameLower.includes("block") ||
-           nameLower === blockLower || (ex.duration || 0) <= 5;
-  };
-
-  if (includeWarmup) {
-    const uniqueExercises = [];
-    const seenNames = new Set();
-
-    workout.exercises.forEach(ex => {
-      if (ex.block && !seenNames.has(ex.name) && !isBlockMarker(ex)) {
-        seenNames.add(ex.name);
-        uniqueExercises.push(ex);
-      }
-    });
-
-    if (uniqueExercises.length > 0) {
-      sequence.push({
-        name: "Riscaldamento",
-        duration: 5,
-        imageUrl: "",
-        isLabel: true
-      });
-
-      uniqueExercises.forEach(ex => {
-        const warmupDuration = 25; // Always 25 seconds for warm-up exercises
-        sequence.push({
-          name: ex.name,
-          duration: warmupDuration,
-          imageUrl: ex.imageUrl,
-          reps: ex.reps,
-          block: ex.block,
-          tipoDiPeso: ex.tipoDiPeso,
-          audio: ex.audio,
-          audioCambio: ex.audioCambio,
-          isWarmup: true,
-          blockNumber: null,
-          totalBlocks: null,
-          roundNumber: null,
-          totalRounds: null,
-          exerciseNumber: null,
-          totalExercises: null
-        });
-      });
-
-      sequence.push({
-        name: "Are you ready?",
-        duration: 15,
-        imageUrl: "",
-        isLabel: true
-      });
-    }
-  } else {
-    // No warmup — still show a short "Are you ready?" countdown before starting
-    sequence.push({
-      name: "Are you ready?",
-      duration: 10,
-      imageUrl: "",
-      isLabel: true
-    });
-  }
-
-  const blockGroups = {};
-  workout.exercises.forEach(ex => {
-    if (ex.block && !isBlockMarker(ex)) {
-      if (!blockGroups[ex.block]) blockGroups[ex.block] = [];
-      blockGroups[ex.block].push(ex);
+    return [];
+  }
+  // Recupero serie a ripetizioni (impostazioni): "0" = blocchi forza a tempo, come prima.
+  // Le righe con Mode "reps" nel foglio restano a ripetizioni comunque.
+  const repRestPref = parseInt(localStorage.getItem("viltrum-rep-rest-sec") || "0", 10);
+  return compileWorkoutSequence(workout, {
+    includeWarmup,
+    rules: {
+      repRestSec: repRestPref > 0 ? repRestPref : 120,
+      repModeByBlockName: repRestPref > 0,
+      restImageUrl: convertGoogleDriveToDirect("https://lh3.googleusercontent.com/d/1bibXbdrcXdh3vgNHp2Teby3ClS3VqZmb"),
+      goodJobImageUrl: "https://lh3.googleusercontent.com/d/1Vs1-VgiJi8rTbssSj-2ThcyDraRoTE2g"
     }
   });
-
-  const blockNames = Object.keys(blockGroups);
-  const totalBlocks = blockNames.length;
-  let blockNumber = 0;
-
-  blockNames.forEach(blockName => {
-    const exercises = blockGroups[blockName];
-    if (exercises.length === 0) return;
-    blockNumber++;
-    const rounds = exercises[0]?.rounds || 1;
-
-    for (let round = 0; round < rounds; round++) {
-      let exerciseNumber = 0;
-      exercises.forEach(ex => {
-        exerciseNumber++;
-        const exDuration = ex.duration || 30;
-        const exNameLower = (ex.name || '').toLowerCase();
-        const isRestExercise = exNameLower.includes('rest') || exNameLower.includes('riposo') || exNameLower.includes('pausa');
-        
-        // For rest exercises in the LAST round, attach next block preview
-        let restPreviewData = {};
-        if (isRestExercise && round === rounds - 1 && blockNumber < totalBlocks) {
-          const nextBlockName = blockNames[blockNumber];
-          const nextBlockExercises = nextBlockName ? blockGroups[nextBlockName] : [];
-          const realExercises = nextBlockExercises.filter(e => {
-            const n = (e.name || '').toLowerCase();
-            return !n.includes('rest') && !n.includes('riposo') && !n.includes('pausa');
-          });
-          if (realExercises.length > 0) {
-            restPreviewData = {
-              nextBlockPreview: realExercises.map(e => ({
-                name: e.name,
-                reps: e.reps,
-                tipoDiPeso: e.tipoDiPeso,
-                imageUrl: e.imageUrl
-              })),
-              nextBlockName: nextBlockName
-            };
-          }
-        }
-
-        sequence.push({
-          name: ex.name,
-          duration: exDuration,
-          imageUrl: ex.imageUrl,
-          reps: ex.reps,
-          block: ex.block,
-          tipoDiPeso: ex.tipoDiPeso,
-          audio: ex.audio,
-          audioCambio: ex.audioCambio,
-          isWarmup: false,
-          blockNumber: blockNumber,
-          totalBlocks: totalBlocks,
-          roundNumber: round + 1,
-          totalRounds: rounds,
-          exerciseNumber: exerciseNumber,
-          totalExercises: exercises.length,
-          ...restPreviewData
-        });
-      });
-    }
-
-    // --- AUTO REST between blocks ---
-    // Skip if:
-    // 1. Current block contains a rest exercise
-    // 2. Next block IS a dedicated Rest block
-    // 3. Both blocks have the same single exercise (forza: overview → working sets)
-    const blockHasRest = exercises.some(ex => {
-      const n = (ex.name || '').toLowerCase();
-      return n.includes('rest') || n.includes('riposo') || n.includes('pausa');
-    });
-
-    const nextBlockName = blockNumber < totalBlocks ? blockNames[blockNumber] : null;
-    const nextBlockExercises = nextBlockName ? blockGroups[nextBlockName] : [];
-    const nextBlockIsRest = nextBlockExercises.length > 0 && nextBlockExercises.every(ex => {
-      const n = (ex.name || '').toLowerCase();
-      return n.includes('rest') || n.includes('riposo') || n.includes('pausa');
-    });
-
-    // Same single exercise in both blocks → no rest (e.g. BP overview → BP sets)
-    const curRealEx = [...new Set(exercises.filter(e => {
-      const n = (e.name || '').toLowerCase();
-      return !n.includes('rest') && !n.includes('riposo') && !n.includes('pausa');
-    }).map(e => e.name.toLowerCase().trim()))];
-    const nextRealEx = [...new Set(nextBlockExercises.filter(e => {
-      const n = (e.name || '').toLowerCase();
-      return !n.includes('rest') && !n.includes('riposo') && !n.includes('pausa');
-    }).map(e => e.name.toLowerCase().trim()))];
-    const sameExercise = curRealEx.length === 1 && nextRealEx.length === 1 && curRealEx[0] === nextRealEx[0];
-
-    if (blockNumber < totalBlocks && !blockHasRest && !nextBlockIsRest && !sameExercise) {
-      sequence.push({
-        name: "REST",
-        duration: 120,
-        imageUrl: convertGoogleDriveToDirect("https://lh3.googleusercontent.com/d/1bibXbdrcXdh3vgNHp2Teby3ClS3VqZmb"),
-        isLabel: true,
-        nextBlockPreview: nextBlockExercises.map(ex => ({
-          name: ex.name,
-          reps: ex.reps,
-          tipoDiPeso: ex.tipoDiPeso,
-          imageUrl: ex.imageUrl
-        })),
-        nextBlockName: nextBlockName
-      });
-    }
-  });
-
-  sequence.push({
-    name: "Good Job",
-    duration: 20,
-    imageUrl: "https://lh3.googleusercontent.com/d/1Vs1-VgiJi8rTbssSj-2ThcyDraRoTE2g",
-    isLabel: true
-  });
-
-  return sequence;
 }
 
 function updateProgressBar() {
@@ -3050,6 +1612,15 @@ function exitWorkout() {
 
   const settingsPopup = document.getElementById("settings-popup");
   if (settingsPopup) settingsPopup.style.display = "none";
+  // Leaving early does not undo the sets already done: file them in history
+  fileInterruptedSession(Date.now());
+  closeSetLogPopup();
+  const setLogBtn = document.getElementById("set-log-btn");
+  if (setLogBtn) setLogBtn.style.display = "none";
+  const formatActionBtn = document.getElementById("format-action-btn");
+  if (formatActionBtn) formatActionBtn.style.display = "none";
+  repStepStartedAt = null;
+  repRestOpen = null;
 
   document.body.style.overflow = "";
   document.body.style.position = "";
@@ -3078,7 +1649,9 @@ function exitWorkout() {
   if (setupGear) setupGear.style.display = "block";
 }
 
-function startWorkout() {
+/* resume: a crash crumb (see resumeFromCrumb) to jump back into, or null for
+   a fresh start from the start-point selectors. */
+function startWorkout(resume = null) {
   if (!selectedWorkout || !Array.isArray(selectedWorkout.exercises) || selectedWorkout.exercises.length === 0) {
     alert("Nessun workout valido selezionato.");
     return;
@@ -3087,14 +1660,14 @@ function startWorkout() {
   // v10.1 iOS: il tap su Start e' il gesto piu' affidabile che abbiamo —
   // sblocca elementi, engine e audio session QUI, senza dipendere dai
   // listener document-level.
-  try { window.__audioUnlocked = false; unlockAllAudio(); } catch (e) {}
+  try { cues.unlock(true); } catch (e) {}
 
   const warmupEnabled = false; // v9.3: riscaldamento auto rimosso su richiesta (2026-08-18)
   fullWorkoutSequence = buildFullWorkoutSequence(selectedWorkout, warmupEnabled);
   preloadUpcoming(0, 5); // preload first 5 GIFs immediately
   // Deliberately not awaited: warming runs while the user is still reading the setup
   // screen, so the first cue is already local by the time it fires.
-  warmElevenCache(auditSessionAudio(fullWorkoutSequence));
+  cues.warm(auditSessionAudio(fullWorkoutSequence));
   // Whole session's GIF bytes into Cache Storage, playback order. Next session they
   // are all instant; this session, anything past the 4-slot memory LRU decodes from
   // local bytes instead of paying a mid-workout network download.
@@ -3107,6 +1680,14 @@ function startWorkout() {
 
   }
 
+  const resumeAt = resume ? resolveResumeStep(fullWorkoutSequence, resume) : null;
+  if (resume && resumeAt === null) {
+    alert("Il workout e' cambiato dopo l'interruzione: non posso riprendere dallo stesso punto.");
+    return;
+  }
+  // A fresh Start over a crashed session files the old one first
+  if (!resume && pendingCrashCrumb) discardCrashedSession(pendingCrashCrumb);
+
   const setup = document.getElementById("setup-screen");
   const header = document.querySelector("header");
   const startBtn = document.getElementById("start-button-bottom");
@@ -3153,54 +1734,204 @@ function startWorkout() {
     }
   }
 
-  currentStep = startIndex;
   savedTimeLeft = null;
   isWorkoutActive = true; // Mark workout as active
-  workoutStartTime = Date.now(); // Record workout start time
-  playExercise(currentStep, fullWorkoutSequence);
+  if (resumeAt !== null) {
+    // Same clock as before the crash: the downtime is not workout time.
+    // The set log is still on disk and is kept as it is.
+    currentStep = resumeAt;
+    workoutStartTime = Date.now() - Math.max(0, (resume.t || Date.now()) - (resume.startedAt || Date.now()));
+    beginCrumbSession();
+    console.log('▶️ Resuming at step', resumeAt, fullWorkoutSequence[resumeAt]?.name, '| remaining', resume.remaining);
+    playExercise(currentStep, fullWorkoutSequence, Number.isFinite(resume.remaining) ? resume.remaining : null);
+  } else {
+    currentStep = startIndex;
+    workoutStartTime = Date.now(); // Record workout start time
+    startSessionSetLog(currentWorkoutDisplayName(), {
+      plan: window.v7PlanInfo?.planName || null,
+      stepsTotal: fullWorkoutSequence.filter(s => s.kind === STEP_KINDS.WORK).length
+    });
+    beginCrumbSession();
+    playExercise(currentStep, fullWorkoutSequence);
+  }
 
   const setupMode = document.getElementById("soundMode-setup");
   const liveMode = document.getElementById("soundMode");
   if (setupMode && liveMode) liveMode.value = setupMode.value;
 }
 
-/* -------------------- Crash Breadcrumb (diagnostic) -------------------- */
+/* -------------------- Crash Breadcrumb + resume -------------------- */
 // iOS kills the web content process silently: the PWA just reloads back to the
 // setup screen. localStorage survives that, so the last step we wrote is the
 // step we died on. Cleared on any clean exit/completion.
+// Besides the step, the crumb carries what it takes to rebuild the session:
+// which workout, the sequence signature, the clock, and the seconds left on
+// the step (refreshed every displayed second). Logged sets are already on
+// disk (workout-history.js session log) and are simply kept.
 const CRUMB_KEY = 'viltrum_crash_crumb';
+let crumbSession = null;      // per-session part, fixed at Start
+let lastCrumb = null;         // what is on disk, so ticks don't re-read it
+let pendingCrashCrumb = null; // crashed session waiting for Riprendi / Scarta
+
+function currentWorkoutKey() {
+  if (window.v7PlanInfo) return window.v7PlanInfo.workoutName || null;
+  return document.getElementById('workoutSelect')?.value || null;
+}
+
+function beginCrumbSession() {
+  crumbSession = {
+    workoutKey: currentWorkoutKey(),
+    workoutIndex: currentWorkoutIndex,
+    totalUserWorkouts,
+    planInfo: window.v7PlanInfo || null,
+    signature: sequenceSignature(fullWorkoutSequence),
+    startedAt: workoutStartTime
+  };
+}
+
+function writeCrumb(crumb) {
+  lastCrumb = crumb;
+  try { localStorage.setItem(CRUMB_KEY, JSON.stringify(crumb)); } catch {}
+}
 
 function markStep(step, exercise) {
-  try {
-    localStorage.setItem(CRUMB_KEY, JSON.stringify({
-      step,
-      name: exercise?.name || '?',
-      isRest: !!(exercise?.nextBlockPreview?.length),
-      t: Date.now()
-    }));
-  } catch {}
+  writeCrumb({
+    ...(crumbSession || {}),
+    step,
+    key: setLogKey(exercise),
+    name: exercise?.name || '?',
+    isRest: exercise?.kind === STEP_KINDS.REST,
+    remaining: null,
+    t: Date.now()
+  });
+}
+
+/* Seconds left on the step (elapsed, on a stopwatch step), once a second. */
+function touchCrumb(remaining) {
+  if (!lastCrumb || !isWorkoutActive) return;
+  writeCrumb({ ...lastCrumb, remaining, t: Date.now() });
 }
 
 function clearCrumb() {
+  lastCrumb = null;
   try { localStorage.removeItem(CRUMB_KEY); } catch {}
 }
 
+/* Index to resume at: the saved one when the rebuilt sequence is identical,
+   otherwise the same block / round / exercise if it still exists. */
+function resolveResumeStep(sequence, crumb) {
+  if (crumb.signature === sequenceSignature(sequence) && crumb.step >= 0 && crumb.step < sequence.length) {
+    return crumb.step;
+  }
+  if (!crumb.key) return null;
+  const i = sequence.findIndex(s => setLogKey(s) === crumb.key && s.name === crumb.name);
+  return i >= 0 ? i : null;
+}
+
+/* A session that ends before the completion page (crash, or the exit
+   button): the sets it logged are real training, so they go to history
+   as "(interrotto)" instead of being overwritten by the next Start. */
+function fileInterruptedSession(endedMs) {
+  const orphan = getSessionSetLog();
+  if (orphan && (orphan.sets.length || orphan.results.length)) {
+    const startedMs = Date.parse(orphan.startedAt) || endedMs;
+    const duration = Math.max(0, Math.floor((endedMs - startedMs) / 1000));
+    addWorkoutToHistory(`${orphan.workoutName || 'Workout'} (interrotto)`, duration, {}, orphan.sets, orphan.results, {
+      plan: orphan.plan,
+      startedAt: orphan.startedAt,
+      stepsCompleted: orphan.stepsCompleted,
+      stepsSkipped: orphan.stepsSkipped,
+      stepsTotal: orphan.stepsTotal
+    });
+    console.log('📝 Saved', orphan.sets.length, 'sets from the interrupted session');
+  }
+  clearSessionSetLog();
+}
+
+function discardCrashedSession(crumb) {
+  fileInterruptedSession(crumb.t);
+  clearCrumb();
+  pendingCrashCrumb = null;
+  document.getElementById('crash-resume-chip')?.remove();
+}
+
+async function loadWorkoutForResume(crumb) {
+  if (workouts && workouts[crumb.workoutKey]) return workouts[crumb.workoutKey];
+  if (crumb.planInfo) {
+    const email = localStorage.getItem('loggedUser');
+    if (!email) return null;
+    await DataPreloader.loadAll(email);
+    if (!DataPreloader.isWorkoutsReady()) await DataPreloader.waitForWorkouts();
+    return DataPreloader.getMuscleWorkout(crumb.workoutKey) || DataPreloader.getRunWorkout(crumb.workoutKey) || null;
+  }
+  try {
+    const data = JSON.parse(localStorage.getItem('workoutData') || 'null');
+    return (data && data.workouts && data.workouts[crumb.workoutKey]) || null;
+  } catch { return null; }
+}
+
+async function resumeFromCrumb(crumb) {
+  const workout = await loadWorkoutForResume(crumb).catch(() => null);
+  if (!workout) {
+    alert("Workout non trovato: impossibile riprendere la sessione.");
+    return;
+  }
+  selectedWorkout = workout;
+  if (!workouts[crumb.workoutKey]) workouts[crumb.workoutKey] = workout;
+  if (Number.isInteger(crumb.workoutIndex)) currentWorkoutIndex = crumb.workoutIndex;
+  if (Number.isInteger(crumb.totalUserWorkouts)) totalUserWorkouts = crumb.totalUserWorkouts;
+  if (crumb.planInfo) {
+    window.v7PlanInfo = crumb.planInfo;
+    sessionStorage.setItem('currentWorkout', JSON.stringify(crumb.planInfo));
+  } else {
+    const select = document.getElementById('workoutSelect');
+    if (select) select.value = crumb.workoutKey; // completion page title
+  }
+  pendingCrashCrumb = null;
+  document.getElementById('crash-resume-chip')?.remove();
+  startWorkout(crumb);
+}
+
 function showCrumbIfCrashed() {
   let crumb = null;
   try { crumb = JSON.parse(localStorage.getItem(CRUMB_KEY) || 'null'); } catch {}
   if (!crumb) return;
-  clearCrumb();
 
   console.warn('⚠️ Previous session ended abnormally at step', crumb.step, crumb.name, '| rest screen:', crumb.isRest);
 
   const chip = document.createElement('div');
-  chip.textContent = `⚠️ Sessione interrotta: ${crumb.name} (step ${crumb.step})${crumb.isRest ? ' — REST' : ''} · tocca per chiudere`;
+  chip.id = 'crash-resume-chip';
   chip.style.cssText = `
     position:fixed;left:8px;right:8px;bottom:8px;z-index:99998;
     background:#7a1f1f;color:#fff;font-size:12px;font-weight:700;
     padding:10px 12px;border-radius:10px;text-align:center;
   `;
-  chip.addEventListener('click', () => chip.remove());
+  const label = `⚠️ Sessione interrotta: ${crumb.name} (step ${crumb.step})${crumb.isRest ? ' — REST' : ''}`;
+
+  // Crumbs written before resume existed carry no workout: diagnostic only
+  if (!crumb.workoutKey || !crumb.signature) {
+    discardCrashedSession(crumb);
+    chip.textContent = `${label} · tocca per chiudere`;
+    chip.addEventListener('click', () => chip.remove());
+    document.body.appendChild(chip);
+    return;
+  }
+
+  pendingCrashCrumb = crumb;
+  const mins = Math.max(1, Math.round(((crumb.t || 0) - (crumb.startedAt || 0)) / 60000));
+  chip.innerHTML = `
+    <div style="margin-bottom:8px;">${label} · ${mins} min fatti</div>
+    <div style="display:flex;gap:8px;justify-content:center;">
+      <button type="button" data-act="resume" class="ds-btn-primary" style="padding:8px 18px;font-size:14px;">Riprendi</button>
+      <button type="button" data-act="discard" class="ds-btn-ghost" style="color:#fff;border-color:rgba(255,255,255,.4);">Scarta</button>
+    </div>
+  `;
+  chip.querySelector('[data-act="resume"]').addEventListener('click', () => {
+    // the tap is the audio-unlock gesture; loading the workout is async
+    try { cues.unlock(true); } catch (e) {}
+    resumeFromCrumb(crumb);
+  });
+  chip.querySelector('[data-act="discard"]').addEventListener('click', () => discardCrashedSession(crumb));
   document.body.appendChild(chip);
 }
 
@@ -3213,18 +1944,9 @@ if (document.readyState === 'loading') {
 /* v10 (feature approvata da Giuseppe): pesi suggeriti in % del massimale.
    Convenzione foglio: una percentuale "NN%" dentro reps o tipoDiPeso
    (es. peso "Bilanciere 75%"). Il massimale arriva da "I Miei Massimali"
-   (localStorage viltrum_user_maxes, chiavi profile-manager). L'ordine dei
-   pattern conta: i piu' specifici prima (sumo prima di deadlift, ecc.). */
-const MAX_LIFT_PATTERNS = [
-  { key: 'front_squat',   re: /front\s*squat/i },
-  { key: 'sumo_deadlift', re: /sumo/i },
-  { key: 'back_squat',    re: /back\s*squat|squat/i },
-  { key: 'deadlift',      re: /deadlift|stacco/i },
-  { key: 'bench_press',   re: /bench|panca/i },
-  { key: 'push_press',    re: /push\s*press/i },
-  { key: 'strict_press',  re: /strict|military|overhead|lento\s*avanti/i },
-];
-
+   (localStorage viltrum_user_maxes, chiavi profile-manager). Quale massimale:
+   "75% Hip Thrust" lo nomina, altrimenti decide il nome dell'esercizio,
+   con la stessa tabella alias di tutto il resto (lift-aliases.js). */
 function computePercentWeight(exercise) {
   const src = `${(exercise && exercise.reps) || ''} ${(exercise && exercise.tipoDiPeso) || ''}`;
   const m = src.match(/(\d{1,3})\s*%/);
@@ -3233,14 +1955,31 @@ function computePercentWeight(exercise) {
   if (!pct || pct > 200) return null;
   let maxes = {};
   try { maxes = JSON.parse(localStorage.getItem('viltrum_user_maxes') || '{}') || {}; } catch (e) {}
-  const name = (exercise && exercise.name) || '';
-  for (const { key, re } of MAX_LIFT_PATTERNS) {
-    const val = parseFloat(maxes[key]);
-    if (re.test(name) && val > 0) {
-      return { pct, kg: Math.round((pct / 100) * val * 2) / 2 };
-    }
-  }
-  return { pct, kg: null };
+  const key = maxIdForSet({ tipoDiPeso: (exercise && exercise.tipoDiPeso) || '' }) ||
+    (maxForExerciseName((exercise && exercise.name) || '') || {}).id;
+  const val = key ? parseFloat(maxes[key]) : 0;
+  if (!(val > 0)) return { pct, kg: null, load: null };
+  const targetKg = Math.round((pct / 100) * val * 2) / 2;
+  const load = loadableWeight(targetKg); // null below the bar: the kg as prescribed
+  return { pct, kg: load ? load.totalKg : targetKg, load };
+}
+
+/* Dischi per lato per un peso a percentuale, con bilanciere e dischi di
+   profilo (getBarbellSettings): "20 kg + 15 + 5 per lato". */
+function barbellLoadFor(exercise) {
+  if (!exercise || !exercise.tipoDiPeso) return null;
+  const calc = calculateWeightFromMax(normalizeTipoDiPesoFE(exercise.tipoDiPeso, exercise.name));
+  if (calc) return calc.load;
+  const pw = computePercentWeight(exercise);
+  return pw ? pw.load : null;
+}
+
+function plateLoadText(load) {
+  if (!load) return '';
+  const text = load.perSide.length
+    ? `${load.barKg} kg + ${formatPlates(load)} per lato`
+    : `solo bilanciere ${load.barKg} kg`;
+  return load.exact ? text : `${text} (\u2248${load.targetKg} kg)`;
 }
 
 /* Suffisso leggibile: " · ~60kg" (il "75%" e' gia' nel testo del foglio). */
@@ -3256,18 +1995,322 @@ function setStageText(nameHTML, metaHTML) {
   if (m) m.innerHTML = metaHTML || "";
 }
 
+function currentWorkoutDisplayName() {
+  const workoutSelect = document.getElementById('workoutSelect');
+  const selectedOption = workoutSelect ? workoutSelect.options[workoutSelect.selectedIndex] : null;
+  return (selectedOption && selectedOption.textContent) ||
+    (window.v7PlanInfo && (window.v7PlanInfo.workoutName || window.v7PlanInfo.planName)) ||
+    (Number.isInteger(currentWorkoutIndex) && currentWorkoutIndex >= 0
+      ? `Sesh ${currentWorkoutIndex + 1}`
+      : 'Workout');
+}
+
+/* -------------------- Per-set log -------------------- */
+// Reps / kg / RPE for each working step, one tap away in the player. Saved to
+// localStorage on every "Salva" (workout-history.js), so a killed PWA keeps
+// what was logged. The timer never stops for it: logging happens in the gap
+// the athlete already has, usually the rest that follows the set.
+let setLogTarget = null; // sequence entry the open popup writes to
+
+function isLoggableStep(step) {
+  // AMRAP / For Time steps are a whole circuit: their result is the block's
+  return !!(step && step.kind === STEP_KINDS.WORK && !step.circuit && setLogKey(step) &&
+    !(step.name || "").toLowerCase().includes("istruz"));
+}
+
+/* On a working step the set is the current one; on a rest it is the set
+   just finished (the last working step before it). */
+function setLogTargetFor(index, exercises) {
+  const step = exercises[index];
+  if (isLoggableStep(step)) return step;
+  if (!step || step.kind !== STEP_KINDS.REST) return null;
+  for (let i = index - 1; i >= 0; i--) {
+    if (isLoggableStep(exercises[i])) return exercises[i];
+    if (exercises[i] && exercises[i].isLabel) break;
+  }
+  return null;
+}
+
+function updateSetLogButton(index, exercises) {
+  const btn = document.getElementById("set-log-btn");
+  if (!btn) return;
+  const target = setLogTargetFor(index, exercises);
+  btn.style.display = target ? "" : "none";
+  if (!target) return;
+  btn.dataset.step = String(exercises.indexOf(target));
+  const logged = getSessionSet(target);
+  btn.classList.toggle("is-logged", !!logged);
+  btn.textContent = logged
+    ? `\u2713 Serie ${target.roundNumber}/${target.totalRounds}`
+    : `Registra serie ${target.roundNumber}/${target.totalRounds}`;
+}
+
+/* Best guess for the load: what was logged this session for the same
+   exercise, then the %-of-max suggestion, then the last saved weight. */
+function suggestedSetKg(step) {
+  const log = getSessionSetLog();
+  const prev = log ? log.sets.filter(s => s.name === step.name && (s.tipoDiPeso || '') === (step.tipoDiPeso || '') && s.kg !== null).pop() : null;
+  if (prev) return prev.kg;
+  const pw = computePercentWeight(step);
+  if (pw && pw.kg) return pw.kg;
+  const last = parseFloat(String(getExerciseWeight(step.name, step.tipoDiPeso) || '').replace(',', '.'));
+  return Number.isFinite(last) ? last : null;
+}
+
+function openSetLogPopup() {
+  const btn = document.getElementById("set-log-btn");
+  const popup = document.getElementById("set-log-popup");
+  const step = btn ? fullWorkoutSequence[parseInt(btn.dataset.step, 10)] : null;
+  if (!popup || !step) return;
+  setLogTarget = step;
+
+  const logged = getSessionSet(step);
+  const targetReps = parseInt(step.reps, 10);
+  const kg = logged ? logged.kg : suggestedSetKg(step);
+  const title = document.getElementById("set-log-title");
+  if (title) title.textContent = `${step.name} \u00b7 Serie ${step.roundNumber}/${step.totalRounds}`;
+  document.getElementById("set-log-reps").value = logged && logged.reps !== null ? logged.reps : (Number.isFinite(targetReps) ? targetReps : "");
+  document.getElementById("set-log-kg").value = kg !== null && kg !== undefined ? kg : "";
+  document.getElementById("set-log-rpe").value = logged && logged.rpe !== null ? logged.rpe : "";
+  popup.style.display = "flex";
+}
+
+function closeSetLogPopup() {
+  const popup = document.getElementById("set-log-popup");
+  if (popup) popup.style.display = "none";
+  setLogTarget = null;
+}
+
+function saveSetLogPopup() {
+  if (!setLogTarget) return closeSetLogPopup();
+  const rpe = parseFloat(document.getElementById("set-log-rpe").value);
+  const saved = logSessionSet(setLogTarget, {
+    reps: document.getElementById("set-log-reps").value,
+    kg: document.getElementById("set-log-kg").value,
+    rpe: Number.isFinite(rpe) ? Math.min(10, Math.max(1, rpe)) : null
+  });
+  if (saved) console.log('📝 Set logged:', saved.key, saved.name, saved.reps, 'x', saved.kg, 'kg @', saved.rpe);
+  closeSetLogPopup();
+  updateSetLogButton(currentStep, fullWorkoutSequence);
+}
+
+/* -------------------- Rep-based sets (tap when done) -------------------- */
+// Heavy sets don't fit a fixed slot: the step runs a stopwatch (time under
+// tension) until "Fatto", then the compiled "Recupero" step counts down with
+// the usual 30s / 10s cues. The rest actually taken, +20s extensions and
+// early skips included, is measured when the rest step is left.
+let repStepStartedAt = null; // wall clock of second 0 of the running set
+let repRestOpen = null;      // { step, startedAt } of the rest being taken
+
+function startRepStopwatch(elapsedSec, exercise) {
+  clearInterval(interval);
+  const timerEl = document.getElementById("timer");
+  currentTimerEndTime = null; // nothing to extend: +10s / +20s are no-ops
+  repStepStartedAt = Date.now() - Math.max(0, elapsedSec) * 1000;
+  timerEl.textContent = formatClock(elapsedSec);
+  timerEl.style.setProperty('--prog', 1);
+
+  interval = setInterval(() => {
+    const elapsed = Math.floor((Date.now() - repStepStartedAt) / 1000);
+    if (isPaused) {
+      savedTimeLeft = elapsed; // on a stopwatch this is time elapsed
+      clearInterval(interval);
+      stopAllAudio();
+      return;
+    }
+    if (timerEl.textContent !== formatClock(elapsed)) touchCrumb(elapsed);
+    timerEl.textContent = formatClock(elapsed);
+  }, 200);
+}
+
+/* Done vs skipped, for the session record. Only work steps count: skipping a
+   rest or a label is not skipping training. "Next" on a step that was not
+   finished is a skip; finishing it (timer, "Fatto", "Finito") is done. */
+function recordStepOutcome(index, outcome) {
+  if (fullWorkoutSequence[index]?.kind !== STEP_KINDS.WORK) return;
+  if (outcome === 'skipped' && getStepOutcome(index) === 'done') return;
+  logStepOutcome(index, outcome);
+}
+
+function finishRepSet(exercise) {
+  const tutSec = repStepStartedAt !== null ? Math.floor((Date.now() - repStepStartedAt) / 1000) : null;
+  repStepStartedAt = null;
+  if (tutSec !== null) logSetTiming(exercise, { tutSec });
+  recordStepOutcome(currentStep, 'done');
+  document.getElementById("next-exercise-button")?.click();
+}
+
+/* Called on every step change: closes the rest left behind, opens a new one. */
+function trackRepRest(exercise, exercises, index) {
+  if (repRestOpen) {
+    logSetTiming(repRestOpen.step, { restSec: Math.round((Date.now() - repRestOpen.startedAt) / 1000) });
+    repRestOpen = null;
+  }
+  const prev = exercises[index - 1];
+  if (exercise && exercise.restAfterReps && prev && prev.mode === STEP_MODES.REPS) {
+    repRestOpen = { step: prev, startedAt: Date.now() };
+  }
+}
+
+/* -------------------- Block formats (EMOM / AMRAP / Tabata / For Time) -------------------- */
+// The compiler (workout-sequence.js) tags the steps with `format`; here they
+// get their clock face, their one-tap action and their result:
+//   EMOM     "Fatto" when the minute's work is done -> the rest of the minute is rest
+//   AMRAP    "+1 Round" counter, the clock runs down the whole block
+//   Tabata   20/10 steps, nothing to tap: completed intervals are counted
+//   For Time the clock counts UP to the cap; "Fatto" stops it and moves on
+let emomRestPhase = false; // this EMOM minute's work is done, the rest is rest
+
+function formatClock(sec) {
+  const s = Math.max(0, Math.round(sec));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+/* What the timer disc shows for `remaining` seconds left on this step. */
+function formatTimerText(exercise, remaining) {
+  if (exercise && exercise.mode === STEP_MODES.REPS) return formatClock(remaining); // elapsed, here
+  if (exercise && exercise.format === BLOCK_FORMATS.FOR_TIME) return formatClock(parseInt(exercise.duration) - remaining);
+  if (exercise && exercise.format === BLOCK_FORMATS.AMRAP) return formatClock(remaining);
+  return remaining;
+}
+
+/* Spoken once when a format step starts (before name / reps). */
+function formatIntroPhrase(item) {
+  if (!item || !item.format) return null;
+  const minutes = Math.round(parseInt(item.duration) / 60);
+  switch (item.format) {
+    case BLOCK_FORMATS.EMOM:
+      return item.interval === 1 ? `EMOM, ${item.totalIntervals} minuti` : `minuto ${item.interval}`;
+    case BLOCK_FORMATS.TABATA:
+      return item.interval === 1 && item.kind === STEP_KINDS.WORK ? "tabata, via!" : null;
+    case BLOCK_FORMATS.AMRAP:
+      return `AMRAP ${minutes} minuti, via!`;
+    case BLOCK_FORMATS.FOR_TIME:
+      return `for time, tempo massimo ${minutes} minuti, via!`;
+    default:
+      return null;
+  }
+}
+
+function formatMetaHTML(exercise) {
+  const chip = (txt) => `<div style="font-size:13px;font-weight:800;letter-spacing:1px;color:var(--accent);margin-bottom:4px;">${txt}</div>`;
+  if (exercise.circuit) {
+    const rounds = exercise.circuitRounds > 1 ? `${exercise.circuitRounds} ROUND \u00b7 ` : "";
+    const head = exercise.format === BLOCK_FORMATS.AMRAP
+      ? chip(`AMRAP \u00b7 ROUND: ${(getBlockResult(exercise) || {}).rounds || 0}`)
+      : chip(`${rounds}CAP ${formatClock(exercise.duration)}`);
+    const lines = exercise.circuit.map(c => {
+      const eqp = c.tipoDiPeso ? ` \u00b7 ${resolveEquipmentCompact(c.tipoDiPeso, c.name)}` : "";
+      return `<div style="font-size:14px;font-weight:700;color:#ddd;">${c.reps ? c.reps + " " : ""}${c.name}${eqp}</div>`;
+    }).join("");
+    return head + lines;
+  }
+  if (exercise.format === BLOCK_FORMATS.EMOM) {
+    return chip(`EMOM \u00b7 MINUTO ${exercise.interval}/${exercise.totalIntervals}`);
+  }
+  if (exercise.format === BLOCK_FORMATS.TABATA) {
+    const phase = exercise.kind === STEP_KINDS.REST ? "RIPOSO" : "LAVORO";
+    return chip(`TABATA \u00b7 ${phase} ${exercise.interval}/${exercise.totalIntervals}`);
+  }
+  return "";
+}
+
+function updateFormatActionButton(exercise) {
+  const btn = document.getElementById("format-action-btn");
+  if (!btn) return;
+  let label = null;
+  if (exercise && exercise.kind === STEP_KINDS.WORK) {
+    if (exercise.mode === STEP_MODES.REPS) label = "Fatto";
+    else if (exercise.format === BLOCK_FORMATS.AMRAP) label = "+1 Round";
+    else if (exercise.format === BLOCK_FORMATS.FOR_TIME) label = "Fatto \u00b7 Stop";
+    else if (exercise.format === BLOCK_FORMATS.EMOM && !emomRestPhase) label = "Fatto";
+  }
+  btn.style.display = label ? "" : "none";
+  if (label) btn.textContent = label;
+}
+
+function remainingOnStep() {
+  if (isPaused && savedTimeLeft !== null) return savedTimeLeft;
+  return currentTimerEndTime !== null ? Math.max(0, Math.ceil((currentTimerEndTime - Date.now()) / 1000)) : 0;
+}
+
+/* EMOM minute results live under their interval number; null = not finished. */
+function logEmomMinute(exercise, workSec) {
+  const prev = getBlockResult(exercise);
+  const minutes = { ...((prev && prev.minutes) || {}), [exercise.interval]: workSec };
+  logBlockResult(exercise, { minutes, totalMinutes: exercise.totalIntervals });
+}
+
+function onFormatAction() {
+  const exercise = fullWorkoutSequence[currentStep];
+  if (!isWorkoutActive || !exercise) return;
+  if (exercise.mode === STEP_MODES.REPS) return finishRepSet(exercise);
+  if (!exercise.format) return;
+  const elapsed = parseInt(exercise.duration) - remainingOnStep();
+
+  if (exercise.format === BLOCK_FORMATS.AMRAP) {
+    const rounds = ((getBlockResult(exercise) || {}).rounds || 0) + 1;
+    logBlockResult(exercise, { rounds, durationSec: parseInt(exercise.duration) });
+    const m = document.getElementById("exercise-meta");
+    if (m) m.innerHTML = formatMetaHTML(exercise);
+    return;
+  }
+
+  if (exercise.format === BLOCK_FORMATS.FOR_TIME) {
+    logBlockResult(exercise, { timeSec: elapsed, capSec: parseInt(exercise.duration), capped: false });
+    recordStepOutcome(currentStep, 'done');
+    speak("fatto!", "it-IT").catch(() => {});
+    document.getElementById("next-exercise-button")?.click();
+    return;
+  }
+
+  if (exercise.format === BLOCK_FORMATS.EMOM && !emomRestPhase) {
+    emomRestPhase = true;
+    logEmomMinute(exercise, elapsed);
+    const timerEl = document.getElementById("timer");
+    if (timerEl) timerEl.style.color = "var(--ds-rest-text)";
+    setStageText(
+      `<div style="font-size:clamp(24px,6vw,34px);font-weight:800;letter-spacing:.5px;line-height:1.15;color:var(--ds-rest-text);">Recupero</div>`,
+      formatMetaHTML(exercise) + `<div style="font-size:14px;font-weight:700;color:var(--ds-rest-sub);">fino al prossimo minuto</div>`
+    );
+    updateFormatActionButton(exercise);
+  }
+}
+
+/* Timer ran out on a format step: close its result. */
+function finishFormatStep(exercise) {
+  if (!exercise || !exercise.format) return;
+  if (exercise.format === BLOCK_FORMATS.EMOM && exercise.kind === STEP_KINDS.WORK && !emomRestPhase) {
+    logEmomMinute(exercise, null);
+  } else if (exercise.format === BLOCK_FORMATS.TABATA && exercise.kind === STEP_KINDS.WORK) {
+    logBlockResult(exercise, { intervals: exercise.interval, totalIntervals: exercise.totalIntervals });
+  } else if (exercise.format === BLOCK_FORMATS.FOR_TIME) {
+    const d = parseInt(exercise.duration);
+    logBlockResult(exercise, { timeSec: d, capSec: d, capped: true });
+  } else if (exercise.format === BLOCK_FORMATS.AMRAP) {
+    logBlockResult(exercise, { durationSec: parseInt(exercise.duration) });
+  }
+  if (exercise.circuit) speak("tempo!", "it-IT").catch(() => {});
+  const timerEl = document.getElementById("timer");
+  if (timerEl) timerEl.style.color = "";
+}
+
 async function playExercise(index, exercises, resumeTime = null) {
   // reset the 10s preview trigger for this exercise
   nextPreviewShown = false;
   
   // Reset fired-seconds tracker only for NEW exercises, not resume
   if (resumeTime === null) timerFired = new Set();
+  if (resumeTime === null) emomRestPhase = false;
+
+  if (resumeTime === null) trackRepRest(exercises[index], exercises, index);
 
   if (index >= exercises.length) {
     console.log('🎉 Workout Complete! Redirecting to completion page...');
     console.log('Index:', index, 'Exercises length:', exercises.length);
 
     clearCrumb();
+    closeSetLogPopup();
     purgeGifCache();
     releaseImageElement(document.getElementById("exercise-gif"));
 
@@ -3283,14 +2326,7 @@ async function playExercise(index, exercises, resumeTime = null) {
     // options[-1]?.textContent is undefined -> sessionStorage stored the STRING
     // "undefined" and the completion page printed "UNDEFINED" as the title.
     // Fall back to the plan info, then to the session number.
-    const workoutSelect = document.getElementById('workoutSelect');
-    const selectedOption = workoutSelect ? workoutSelect.options[workoutSelect.selectedIndex] : null;
-    const workoutDisplayName =
-      (selectedOption && selectedOption.textContent) ||
-      (window.v7PlanInfo && (window.v7PlanInfo.workoutName || window.v7PlanInfo.planName)) ||
-      (Number.isInteger(currentWorkoutIndex) && currentWorkoutIndex >= 0
-        ? `Sesh ${currentWorkoutIndex + 1}`
-        : 'Workout');
+    const workoutDisplayName = currentWorkoutDisplayName();
     
     // ═══════════════════════════════════════════════════════════════════════
     // SAVE LAST WORKOUT (NEW in v6.3.15)
@@ -3336,7 +2372,7 @@ async function playExercise(index, exercises, resumeTime = null) {
         const n = (e.name || '').toLowerCase().trim();
         if (!n) return false;
         if (n.includes('istruz')) return false;
-        if (n.includes('rest') || n.includes('riposo') || n.includes('pausa')) return false;
+        if (e.kind === STEP_KINDS.REST) return false;
         return true;
       })
       // Keep only what the completion page reads. The raw sequence entries drag
@@ -3403,12 +2439,14 @@ async function playExercise(index, exercises, resumeTime = null) {
   // riposo mostra "+20s Resto ancora"; il flusso resta automatico.
   const restExtendBtn = document.getElementById("rest-extend-btn");
   if (restExtendBtn) {
-    const isRestStep = !!(exercise && (
-      (exercise.nextBlockPreview && exercise.nextBlockPreview.length) ||
-      /\b(rest|riposo|pausa)\b/i.test(exercise.name || "")
-    ));
+    // not in Tabata / EMOM: their rest is part of the protocol
+    const isRestStep = !!(exercise && exercise.kind === STEP_KINDS.REST && !exercise.format);
     restExtendBtn.style.display = isRestStep ? "" : "none";
   }
+  updateSetLogButton(index, exercises);
+  updateFormatActionButton(exercise);
+  const timerColorEl = document.getElementById("timer");
+  if (timerColorEl) timerColorEl.style.color = "";
 
   const hasReps = exercise.reps && !exercise.name.toLowerCase().includes("istruz");
   const hasEquipment = exercise.tipoDiPeso && !exercise.name.toLowerCase().includes("istruz") && !exercise.isLabel;
@@ -3445,6 +2483,8 @@ async function playExercise(index, exercises, resumeTime = null) {
   // Check for last used weight for this exercise
   const lastUsedWeight = getExerciseWeight(exercise.name, exercise.tipoDiPeso);
   const weightDisplay = lastUsedWeight ? `<div style="font-size:13px;font-weight:700;color:#C1FF72;margin-top:3px;">ULTIMO: ${lastUsedWeight}</div>` : '';
+  const plateText = hasEquipment ? plateLoadText(barbellLoadFor(exercise)) : '';
+  const plateDisplay = plateText ? `<div style="font-size:13px;font-weight:600;color:#B0B0B0;margin-top:3px;">\ud83c\udfcb\ufe0f ${plateText}</div>` : '';
 
   const exerciseImg = document.getElementById("exercise-gif");
   const gifViewport = document.getElementById("exercise-gif-viewport");
@@ -3563,9 +2603,12 @@ async function playExercise(index, exercises, resumeTime = null) {
     // ═══════════════════════════════════════════════════════════════
     // NORMAL EXERCISE → show name + image as usual
     // ═══════════════════════════════════════════════════════════════
+    const formatMeta = exercise.format ? formatMetaHTML(exercise) : "";
     setStageText(
       `<div style="font-size:clamp(24px,6vw,34px);font-weight:800;letter-spacing:.5px;line-height:1.15;">${exercise.name}</div>`,
-      `<div style="font-size:16px;font-weight:700;color:#C1FF72;">${infoText}</div>${weightDisplay}`
+      exercise.circuit
+        ? formatMeta
+        : `${formatMeta}<div style="font-size:16px;font-weight:700;color:#C1FF72;">${infoText}</div>${plateDisplay}${weightDisplay}`
     );
 
     // Labels (Riscaldamento, Are you ready?) → hide GIF, show text only
@@ -3597,10 +2640,12 @@ async function playExercise(index, exercises, resumeTime = null) {
   gifEl.classList.remove("gif-glow");
   exerciseNameBar.classList.remove("next-preview-active");
 
-  const duration = resumeTime !== null ? resumeTime : savedTimeLeft ?? parseInt(exercise.duration);
+  // rep-based set: the clock counts up from 0 (or from where the pause left it)
+  const duration = resumeTime !== null ? resumeTime
+    : savedTimeLeft ?? (exercise.mode === STEP_MODES.REPS ? 0 : parseInt(exercise.duration));
   savedTimeLeft = null;
 
-  timerEl.textContent = duration;
+  timerEl.textContent = formatTimerText(exercise, duration);
   updateProgressBar();
 
   const mode = document.getElementById("soundMode").value;
@@ -3656,13 +2701,14 @@ function resumeTimer() {
 
 async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
   clearInterval(interval);
+  if (exercise && exercise.mode === STEP_MODES.REPS) return startRepStopwatch(initialSeconds, exercise);
 
   const timerEl = document.getElementById("timer");
   const gifEl = document.getElementById("exercise-gif");
   const exerciseNameBar = document.getElementById("exercise-name");
 
   // show immediately
-  timerEl.textContent = Math.max(0, Math.ceil(initialSeconds));
+  timerEl.textContent = formatTimerText(exercise, Math.max(0, Math.ceil(initialSeconds)));
   currentTimerTotal = Math.max(1, initialSeconds);
 
   // set an absolute end time to avoid drift & off-by-one
@@ -3697,7 +2743,7 @@ async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
     }
 
     const remaining = getRemaining();
-    timerEl.textContent = remaining;
+    timerEl.textContent = formatTimerText(exercise, remaining);
     // anello di progresso stile reference (consumato dal CSS del disco timer)
     if (remaining > currentTimerTotal) currentTimerTotal = remaining;
     timerEl.style.setProperty('--prog', Math.max(0, Math.min(1, remaining / currentTimerTotal)));
@@ -3709,10 +2755,14 @@ async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
     // milestones & UI cues — run once per displayed second
     if (remaining !== lastSecond) {
       lastSecond = remaining;
+      touchCrumb(remaining);
 
       // v9 announcement contract (audio 2026-08-11): "mancano 60" is gone,
       // "mancano 30" stays as the halfway/remaining-time cue and is always on.
+      // EMOM / Tabata intervals are too short for it: every minute would say it.
+      const shortIntervals = exercise && (exercise.format === BLOCK_FORMATS.EMOM || exercise.format === BLOCK_FORMATS.TABATA);
       once(30, () => {
+        if (shortIntervals) return;
         if (mode === "eleven" || mode === "voice" || mode === "synth") {
           speak("mancano trenta secondi", "it-IT").catch(() => {});
         }
@@ -3720,7 +2770,19 @@ async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
       });
 
       // 10s preview (fire once per exercise)
+      // Long format clocks: one warning with a minute to go
+      if (exercise && exercise.circuit) {
+        once(60, () => {
+          if (mode === "eleven" || mode === "voice" || mode === "synth") {
+            speak("ultimo minuto", "it-IT").catch(() => {});
+          }
+        });
+      }
+
       once(10, async () => {
+        // Format work steps keep their own screen (circuit, EMOM recovery)
+        // instead of the next-exercise preview; their rests still show it.
+        if (exercise && exercise.format && exercise.kind === STEP_KINDS.WORK) return;
         if (!nextPreviewShown) {
           nextPreviewShown = true;
 
@@ -3798,6 +2860,9 @@ async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
       gifEl.classList.remove("gif-glow");
       exerciseNameBar.classList.remove("next-preview-active");
 
+      finishFormatStep(exercise);
+      recordStepOutcome(currentStep, 'done');
+
       currentStep++;
       const upcoming = fullWorkoutSequence[currentStep];
 
@@ -4300,7 +3365,7 @@ function updateWorkoutPreview() {
     // Filter out rest exercises and block markers from preview
     const exercises = allExercises.filter(ex => {
       const n = (ex.name || '').toLowerCase();
-      return !n.includes('rest') && !n.includes('riposo') && !n.includes('pausa') 
+      return !isRestName(ex.name)
         && !(n.includes('block') || n.includes('blocco'))
         && (ex.duration || 0) > 5;
     });
@@ -4394,6 +3459,14 @@ function updateWorkoutPreview() {
             : resolveEquipmentCompact(s.tipoDiPeso, group.name);
           if (lastW) equipDiv.style.color = '#C1FF72';
           details.appendChild(equipDiv);
+          const plates = plateLoadText(barbellLoadFor({ name: group.name, reps: s.reps, tipoDiPeso: s.tipoDiPeso }));
+          if (plates) {
+            const platesDiv = document.createElement("div");
+            platesDiv.className = "exercise-info-item";
+            platesDiv.style.cssText = "font-size:11px;color:#999;";
+            platesDiv.textContent = plates;
+            details.appendChild(platesDiv);
+          }
         }
       } else {
         // Multiple different sets → full-width card with clean layout
@@ -4413,6 +3486,7 @@ function updateWorkoutPreview() {
           const pesoSpan = document.createElement("span");
           pesoSpan.style.cssText = "font-size:clamp(10px,2vw,12px);font-weight:600;color:#999;flex:1;text-align:right;";
           const pesoText = s.tipoDiPeso ? resolveEquipmentCompact(s.tipoDiPeso, group.name) : '';
+          const plates = s.tipoDiPeso ? plateLoadText(barbellLoadFor({ name: group.name, reps: s.reps, tipoDiPeso: s.tipoDiPeso })) : '';
           
           const lastW = s.tipoDiPeso ? getExerciseWeight(group.name, s.tipoDiPeso) : null;
           if (lastW) {
@@ -4420,6 +3494,12 @@ function updateWorkoutPreview() {
           } else {
             pesoSpan.textContent = pesoText;
           }
+          if (plates) {
+            const platesDiv = document.createElement("div");
+            platesDiv.style.cssText = "font-size:10px;font-weight:500;color:#777;";
+            platesDiv.textContent = plates;
+            pesoSpan.appendChild(platesDiv);
+          }
           
           row.appendChild(repsSpan);
           row.appendChild(pesoSpan);
@@ -4684,7 +3764,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     const muted = localStorage.getItem("viltrum-muted") === "true";
     syncSoundModeSelectors(muted ? "none" : "eleven");
     muteToggles.forEach(t => { t.checked = muted; });
-    claimTransientAudioSession();
+    claimAudioSession();
   }
   function applyMuted(muted) {
     localStorage.setItem("viltrum-muted", muted ? "true" : "false");
@@ -4693,14 +3773,19 @@ document.addEventListener("DOMContentLoaded", async () => {
   applyAudioPrefs();
   muteToggles.forEach(t => t.addEventListener("change", e => applyMuted(e.target.checked)));
 
-  warmUpServer();
-  // Guarded: a bare reference here threw at startup on engines without the API.
-  try { speechSynthesis.getVoices(); } catch {}   // trigger voices load
-  waitForVoices(1500).then(lockSynthVoices).catch(()=>{});
+  warmUpTtsServer();
 
   preloadAudio(Object.values(beppeSounds));
   preloadWorkoutAudios();
 
+  // ===== RECUPERO SERIE DI FORZA =====
+  // Read by buildFullWorkoutSequence at Start; "0" (the default) keeps forza blocks on the clock.
+  const repRestSelect = document.getElementById("rep-rest-setup");
+  if (repRestSelect) {
+    repRestSelect.value = localStorage.getItem("viltrum-rep-rest-sec") || "0";
+    repRestSelect.addEventListener("change", e => localStorage.setItem("viltrum-rep-rest-sec", e.target.value));
+  }
+
   // ===== WARMUP TOGGLE =====
   // Warmup toggle - restore saved preference from localStorage
   const savedWarmupPref = localStorage.getItem("warmupEnabled");
@@ -4810,9 +3895,9 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   // ===== WORKOUT START BUTTONS =====
   const topStart = document.getElementById("start-button");
-  if (topStart) topStart.addEventListener("click", startWorkout);
+  if (topStart) topStart.addEventListener("click", () => startWorkout());
   const bottomStart = document.getElementById("start-button-bottom");
-  if (bottomStart) bottomStart.addEventListener("click", startWorkout);
+  if (bottomStart) bottomStart.addEventListener("click", () => startWorkout());
 
   // ===== WORKOUT CONTROL BUTTONS =====
 
@@ -4883,6 +3968,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         clearInterval(interval);
         clearTimeout(pendingAdvanceTimeout);
         pendingAdvanceTimeout = null;
+        recordStepOutcome(currentStep, 'skipped');
         currentStep++;
         savedTimeLeft = null;
         isPaused = false;
@@ -4913,7 +3999,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   const exitBtn = document.getElementById("exit-workout-button");
   if (exitBtn) {
     exitBtn.addEventListener("click", () => {
-      if (confirm("Sei sicuro di voler terminare l'allenamento?")) {
+      if (confirm("Sei sicuro di voler terminare l'allenamento? Le serie già registrate restano nello storico.")) {
         exitWorkout();
       }
     });
@@ -4949,9 +4035,6 @@ document.addEventListener("DOMContentLoaded", async () => {
       if (beepSound) beepSound.volume = volume;
       if (transitionSound) transitionSound.volume = volume;
       
-      // Apply to TTS audio
-      if (ttsAudio) ttsAudio.volume = volume;
-      
       // Apply to beppePlayer
       if (beppePlayer) beppePlayer.volume = volume;
       
@@ -4992,6 +4075,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         console.log("[+10s] Workout not active, ignoring click");
         return; // Silently ignore if workout not active
       }
+      if (fullWorkoutSequence[currentStep]?.mode === STEP_MODES.REPS) return; // stopwatch: nothing to add
       
       if (isPaused) {
         // If paused, add to savedTimeLeft
@@ -5062,6 +4146,24 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   }
 
+  // ===== FORMATI BLOCCO (EMOM / AMRAP / For Time) =====
+  const formatActionBtn = document.getElementById("format-action-btn");
+  if (formatActionBtn) formatActionBtn.addEventListener("click", onFormatAction);
+
+  // ===== REGISTRA SERIE (log per serie) =====
+  const setLogBtn = document.getElementById("set-log-btn");
+  if (setLogBtn) setLogBtn.addEventListener("click", () => { if (isWorkoutActive) openSetLogPopup(); });
+  const setLogSave = document.getElementById("set-log-save");
+  if (setLogSave) setLogSave.addEventListener("click", saveSetLogPopup);
+  const setLogCancel = document.getElementById("set-log-cancel");
+  if (setLogCancel) setLogCancel.addEventListener("click", closeSetLogPopup);
+  const setLogPopup = document.getElementById("set-log-popup");
+  if (setLogPopup) {
+    setLogPopup.addEventListener("click", (e) => {
+      if (e.target.id === "set-log-popup") closeSetLogPopup();
+    });
+  }
+
   // ===== FAB MENU TOGGLE =====
   const fabBtn = document.getElementById("fab-menu-toggle");
   const controlsContainer = document.getElementById("controls-container");
@@ -5144,6 +4246,8 @@ document.addEventListener("DOMContentLoaded", async () => {
   document.addEventListener("keydown", (e) => {
     const exerciseContainer = document.getElementById("exercise-container");
     if (!exerciseContainer || exerciseContainer.style.display === "none") return;
+    // typing in the set-log popup must not skip or pause the step
+    if (e.target && (e.target.tagName === "INPUT" || e.target.tagName === "SELECT")) return;
 
     if (e.key === "ArrowLeft") {
       e.preventDefault();
@@ -34,6 +34,7 @@ const urlsToCache = [
   './pages/nutrition.html',
   './pages/workout-completion.html',
   './pages/profile.html',
+  './pages/analytics.html',
   './pages/questionario.html',
   
   // JavaScript - Core
@@ -59,16 +60,36 @@ const urlsToCache = [
   './js/workout-history.js',
   './js/profile-manager.js',
   './js/pace-zones.js',
+  './js/workout-sequence.js',
+  './js/workout-analytics.js',
+  './js/one-rep-max.js',
+  './js/lift-aliases.js',
+  './js/plate-math.js',
+  './js/run-track.js',
+  './js/run-splits.js',
+  './js/gps-filter.js',
+  './js/lap-splits.js',
+  './js/hr-zones.js',
+  './js/hr-strap.js',
+  './js/threshold-estimate.js',
+  './js/run-estimate.js',
+  './js/cue-policy.js',
+  './js/audio-engine.js',
   './js/questionnaire-banner.js',
   './js/nutrition-app-v2.js',
   './js/nutrition-engine.js',
+  './js/nutrition-diary.js',
+  './js/food-search.js',
+  './js/macro-balance.js',
+  './js/barcode.js',
+  './js/product-lookup.js',
   './js/training-selector.js',
 
   // CSS — versioned URLs must match the HTML links EXACTLY (Cache API is
   // query-sensitive). Bump ?v= here AND in every page on each CSS change.
   './css/design-system.css?v=20260819a',
   './css/main.css?v=20260819b',
-  './css/nutrition.css?v=20260818w4',
+  './css/nutrition.css?v=20260818w8',
   
   // Data
   './food-database.json',
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkDigit,
+  normalizeBarcode,
+  decodeScanline,
+  normalizeProduct,
+  productToFood,
+} from '../js/barcode.js';
+
+// --- a tiny encoder, to draw barcodes for the decoder ---
+
+const L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const R = L.map(c => c.replace(/./g, b => (b === '1' ? '0' : '1')));
+const PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+function modules(code) {
+  const d = code.split('').map(Number);
+  if (code.length === 8) {
+    return '101' + d.slice(0, 4).map(n => L[n]).join('') + '01010' + d.slice(4).map(n => R[n]).join('') + '101';
+  }
+  const parity = PARITY[d[0]];
+  const left = d.slice(1, 7).map((n, i) => (parity[i] === 'L' ? L[n] : G[n])).join('');
+  return '101' + left + '01010' + d.slice(7).map(n => R[n]).join('') + '101';
+}
+
+// A row of pixels: quiet zones, `px` pixels per module, a little noise
+function scanline(code, px = 3, seed = 1) {
+  const bits = '0'.repeat(12) + modules(code) + '0'.repeat(12);
+  const row = [];
+  for (const b of bits) {
+    for (let k = 0; k < px; k++) {
+      seed = (seed * 16807) % 2147483647;
+      row.push((b === '1' ? 40 : 210) + (seed % 30) - 15);
+    }
+  }
+  return row;
+}
+
+// --- codes ---
+
+test('check digits follow GS1', () => {
+  assert.equal(checkDigit('800123456789'), 7);
+  assert.equal(checkDigit('9638507'), 4);
+  assert.equal(checkDigit('03600029145'), 2);
+});
+
+test('codes are kept as EAN-13 or EAN-8', () => {
+  assert.equal(normalizeBarcode('8001234567897'), '8001234567897');
+  assert.equal(normalizeBarcode(' 8 001234 567897 '), '8001234567897');
+  assert.equal(normalizeBarcode('036000291452'), '0036000291452'); // UPC-A
+  assert.equal(normalizeBarcode('96385074'), '96385074');
+  assert.equal(normalizeBarcode('01234565', 'upc_e'), '0012345000065');
+  assert.equal(normalizeBarcode('8001234567890'), null); // wrong check digit
+  assert.equal(normalizeBarcode('12345'), null);
+  assert.equal(normalizeBarcode(null), null);
+});
+
+// --- fallback decoder ---
+
+test('the decoder reads EAN-13 and UPC-A', () => {
+  assert.equal(decodeScanline(scanline('8001234567897')), '8001234567897');
+  assert.equal(decodeScanline(scanline('0036000291452')), '0036000291452');
+  assert.equal(decodeScanline(scanline('5901234123457', 2)), '5901234123457');
+});
+
+test('the decoder reads EAN-8', () => {
+  assert.equal(decodeScanline(scanline('96385074', 4)), '96385074');
+});
+
+test('an upside down barcode reads the same', () => {
+  assert.equal(decodeScanline(scanline('8001234567897').reverse()), '8001234567897');
+});
+
+test('a barcode off the edge of the frame, uneven bars or no contrast: nothing', () => {
+  const row = scanline('8001234567897');
+  assert.equal(decodeScanline(row.slice(0, row.length / 2)), null);
+  assert.equal(decodeScanline(row.map(v => 120 + v / 20)), null);
+  assert.equal(decodeScanline(new Array(300).fill(200)), null);
+});
+
+// --- products ---
+
+const YOGURT = {
+  barcode: '8001234567897',
+  name: ' Yogurt Greco 0% ',
+  brand: 'Fattoria',
+  per100g: { kcal: '57', protein: '10,2', carbs: 3.6, fat: 0 },
+  serving: { grams: 170, label: 'vasetto (170 g)' },
+};
+
+test('products are checked and cleaned', () => {
+  assert.deepEqual(normalizeProduct(YOGURT), {
+    barcode: '8001234567897',
+    name: 'Yogurt Greco 0%',
+    brand: 'Fattoria',
+    per100g: { kcal: 57, protein: 10.2, carbs: 3.6, fat: 0 },
+    serving: { grams: 170, label: 'vasetto (170 g)' },
+  });
+  assert.deepEqual(normalizeProduct({ ...YOGURT, serving: { grams: 125 } }).serving, { grams: 125, label: 'porzione (125 g)' });
+  assert.equal(normalizeProduct({ ...YOGURT, serving: null }).serving, null);
+  assert.equal(normalizeProduct({ ...YOGURT, barcode: '8001234567890' }), null);
+  assert.equal(normalizeProduct({ ...YOGURT, per100g: { protein: 10 } }), null);
+  assert.equal(normalizeProduct({ ...YOGURT, name: '' }), null);
+});
+
+test('a product becomes a food with grams and servings', () => {
+  const food = productToFood(normalizeProduct(YOGURT));
+  assert.equal(food.id, 'ean_8001234567897');
+  assert.equal(food.name, 'Yogurt Greco 0% (Fattoria)');
+  assert.deepEqual(food.units, [
+    { key: 'g', label: 'g', grams: 1 },
+    { key: 'porzione', label: 'vasetto (170 g)', grams: 170 },
+  ]);
+});
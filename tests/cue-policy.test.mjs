@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CUE_POLICY,
+  CUE_PRESETS,
+  parseCueSpec,
+  resolveCuePolicy,
+  isSilenced,
+  phaseWarnings,
+  crossedWarning,
+  dueStatus,
+} from '../js/cue-policy.js';
+
+// --- text form ---
+
+test('parseCueSpec reads a preset and overrides', () => {
+  assert.deepEqual(parseCueSpec('Agonista; km=1; min=5; margine=6; correzioni=no'), {
+    preset: 'agonista', statusEveryKm: 1, statusEveryMin: 5, paceMarginSec: 6, zoneCues: false,
+  });
+});
+
+test('parseCueSpec reads lists and silence windows', () => {
+  assert.deepEqual(parseCueSpec('metri=400, 100; secondi=no; silenzio=0-10, 40-45'), {
+    distanceWarningsM: [400, 100], timeWarningsSec: [], silence: [{ fromMin: 0, toMin: 10 }, { fromMin: 40, toMin: 45 }],
+  });
+  assert.deepEqual(parseCueSpec('km=0,5'), { statusEveryKm: 0.5 });
+});
+
+test('parseCueSpec drops typos instead of guessing', () => {
+  assert.deepEqual(parseCueSpec('agonsta; km=uno; silenzio=10-5; volume=3; metri=200,x'), {});
+  assert.deepEqual(parseCueSpec(''), {});
+  assert.deepEqual(parseCueSpec(null), {});
+});
+
+// --- layers ---
+
+test('no layers is the default policy', () => {
+  assert.deepEqual(resolveCuePolicy(), { ...DEFAULT_CUE_POLICY });
+  assert.deepEqual(resolveCuePolicy(null, {}), { ...DEFAULT_CUE_POLICY });
+});
+
+test('a preset, then the fields of the same layer', () => {
+  const p = resolveCuePolicy({ preset: 'principiante', cooldownSec: 40 });
+  assert.equal(p.paceMarginSec, CUE_PRESETS.principiante.paceMarginSec);
+  assert.equal(p.cooldownSec, 40);
+});
+
+test('the workout layer wins over the user layer', () => {
+  const user = { preset: 'principiante' };
+  const workout = parseCueSpec('agonista');
+  const p = resolveCuePolicy(user, workout);
+  assert.equal(p.paceMarginSec, 5);
+  assert.equal(p.statusEveryKm, 1);
+  // fields the workout doesn't touch keep the user's preset
+  assert.deepEqual(p.distanceWarningsM, [200]);
+  assert.equal(resolveCuePolicy(user, parseCueSpec('km=2')).statusEveryKm, 2);
+});
+
+test('unknown fields are ignored', () => {
+  assert.equal('volume' in resolveCuePolicy({ volume: 3 }), false);
+});
+
+// --- silence ---
+
+test('silence windows are in run minutes, end excluded', () => {
+  const p = resolveCuePolicy({ silence: [{ fromMin: 0, toMin: 10 }] });
+  assert.equal(isSilenced(p, 0), true);
+  assert.equal(isSilenced(p, 9.9 * 60000), true);
+  assert.equal(isSilenced(p, 10 * 60000), false);
+  assert.equal(isSilenced(DEFAULT_CUE_POLICY, 0), false);
+});
+
+// --- phase warnings ---
+
+test('default warnings match the historic 30 / 10 / 5 s and 500 / 200 / 100 m', () => {
+  const time = phaseWarnings(DEFAULT_CUE_POLICY, 'time', false);
+  assert.deepEqual(time, [{ at: 5, type: 'countdown' }, { at: 10, type: 'preview' }, { at: 30, type: 'warning' }]);
+  const dist = phaseWarnings(DEFAULT_CUE_POLICY, 'distance', false);
+  assert.deepEqual(dist.map(w => [w.at, w.type]), [[100, 'warning'], [200, 'preview'], [500, 'warning']]);
+});
+
+test('short phases: countdown or one beep only', () => {
+  assert.deepEqual(phaseWarnings(DEFAULT_CUE_POLICY, 'time', true), [{ at: 5, type: 'countdown' }]);
+  assert.deepEqual(phaseWarnings(DEFAULT_CUE_POLICY, 'distance', true), [{ at: 50, type: 'beep' }]);
+  assert.deepEqual(phaseWarnings(resolveCuePolicy({ countdown: false }), 'time', true), []);
+});
+
+test('warnings at or past the phase length are dropped', () => {
+  const rep = phaseWarnings(resolveCuePolicy({ distanceWarningsM: [1000, 500, 200] }), 'distance', false, 800);
+  assert.deepEqual(rep.map(w => w.at), [200, 500]);
+  assert.equal(crossedWarning(800, rep), null, 'nothing as the rep starts');
+  assert.deepEqual(phaseWarnings(DEFAULT_CUE_POLICY, 'time', false, 30).map(w => w.at), [5, 10]);
+  assert.equal(phaseWarnings(DEFAULT_CUE_POLICY, 'distance', false).length, 3, 'no length, no filter');
+});
+
+test('the crossed warning is the smallest threshold at or above what is left', () => {
+  const w = phaseWarnings(DEFAULT_CUE_POLICY, 'time', false);
+  assert.equal(crossedWarning(45, w), null);
+  assert.equal(crossedWarning(30, w).at, 30);
+  assert.equal(crossedWarning(11, w).at, 30);
+  assert.equal(crossedWarning(8, w).at, 10); // a throttled timer skipped 10
+  assert.equal(crossedWarning(3, w).at, 5);
+  assert.equal(crossedWarning(0, w), null);
+});
+
+// --- periodic status ---
+
+test('status every km and every N minutes', () => {
+  const p = resolveCuePolicy({ statusEveryKm: 1, statusEveryMin: 5 });
+  assert.equal(dueStatus(p, { distanceM: 950, movingMs: 280000 }, { km: 0, min: 0 }), null);
+  assert.deepEqual(dueStatus(p, { distanceM: 1004, movingMs: 290000 }, { km: 0, min: 0 }), { type: 'km', count: 1, at: 1 });
+  assert.deepEqual(dueStatus(p, { distanceM: 1010, movingMs: 300500 }, { km: 1, min: 0 }), { type: 'min', count: 1, at: 5 });
+  assert.equal(dueStatus(p, { distanceM: 1010, movingMs: 300500 }, { km: 1, min: 1 }), null);
+});
+
+test('status off by default; half-km steps count halves', () => {
+  assert.equal(dueStatus(DEFAULT_CUE_POLICY, { distanceM: 5000, movingMs: 1500000 }, { km: 0, min: 0 }), null);
+  const p = resolveCuePolicy({ statusEveryKm: 0.5 });
+  assert.deepEqual(dueStatus(p, { distanceM: 1600, movingMs: 0 }, { km: 2, min: 0 }), { type: 'km', count: 3, at: 1.5 });
+});
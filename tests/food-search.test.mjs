@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  normalizeText,
+  buildFoodIndex,
+  searchFoods,
+  quantityToGrams,
+} from '../js/food-search.js';
+
+const DB = {
+  conversions: {
+    pieceToGrams: { mandorle: { unitWeight: 1.2, description: '1 mandorla sgusciata' } },
+    volumeToGrams: { cucchiaino_raso: { olio: 5 }, cucchiaio_raso: { olio: 10 } },
+    rawToCooked: {
+      pasta: { multiplier: 2.5, reverse: 0.4 },
+      legumi_secchi: { multiplier: 2.4, reverse: 0.42 },
+      patate: { multiplier: 1, reverse: 1 },
+    },
+  },
+  equivalents: {
+    carboidrati_principali: {
+      alternatives: [{ id: 'pasta_normale', name: 'Pasta di Grano Duro', cooked: 'pasta', per100g: { kcal: 353, protein: 12, carbs: 71, fat: 1.5 } }],
+    },
+  },
+  foods: [
+    { id: 'mandorle', name: 'Mandorle', category: 'grassi', piece: 'mandorle', per100g: { kcal: 579, protein: 21, carbs: 22, fat: 50 } },
+    { id: 'olio_evo', name: "Olio Extravergine d'Oliva", category: 'grassi', volume: 'olio', per100g: { kcal: 884, protein: 0, carbs: 0, fat: 100 } },
+    { id: 'ceci_cotti', name: 'Ceci (cotti)', category: 'proteine', cooked: 'legumi_secchi', isCooked: true, aliases: ['legumi'], per100g: { kcal: 164, protein: 8.9, carbs: 27.4, fat: 2.6 } },
+    { id: 'patate', name: 'Patate', category: 'carboidrati', cooked: 'patate', per100g: { kcal: 85, protein: 2.1, carbs: 18, fat: 0.1 } },
+    { id: 'caffe', name: 'Caffè', per100g: { kcal: 2, protein: 0.1, carbs: 0, fat: 0 } },
+    { id: 'pasta_normale', name: 'Doppione', per100g: { kcal: 1, protein: 0, carbs: 0, fat: 0 } },
+  ],
+};
+
+const index = buildFoodIndex(DB);
+const byId = (id) => index.find(f => f.id === id);
+
+// --- index ---
+
+test('text is compared without case, accents or punctuation', () => {
+  assert.equal(normalizeText("Caffè d'Orzo"), 'caffe d orzo');
+  assert.equal(normalizeText(null), '');
+});
+
+test('the index covers equivalents and foods, first id wins', () => {
+  assert.deepEqual(index.map(f => f.id), ['pasta_normale', 'mandorle', 'olio_evo', 'ceci_cotti', 'patate', 'caffe']);
+  assert.equal(byId('pasta_normale').name, 'Pasta di Grano Duro');
+  assert.equal(byId('pasta_normale').category, 'carboidrati');
+  assert.equal(byId('caffe').category, 'altro');
+});
+
+test('units follow the conversion tables', () => {
+  assert.deepEqual(byId('mandorle').units.map(u => u.key), ['g', 'pezzi']);
+  assert.deepEqual(byId('olio_evo').units.map(u => [u.key, u.grams]), [['g', 1], ['cucchiaino_raso', 5], ['cucchiaio_raso', 10]]);
+  assert.deepEqual(byId('pasta_normale').units.at(-1), { key: 'cotto', label: 'g cotti', grams: 0.4 });
+  assert.deepEqual(byId('ceci_cotti').units.at(-1), { key: 'crudo', label: 'g crudi', grams: 2.4 });
+  // crude = cooked: nothing to convert
+  assert.deepEqual(byId('patate').units.map(u => u.key), ['g']);
+});
+
+// --- search ---
+
+test('search: accents, prefixes, aliases, stop words', () => {
+  assert.deepEqual(searchFoods(index, 'caffe').map(f => f.id), ['caffe']);
+  assert.deepEqual(searchFoods(index, 'mand').map(f => f.id), ['mandorle']);
+  assert.deepEqual(searchFoods(index, 'legumi').map(f => f.id), ['ceci_cotti']);
+  assert.deepEqual(searchFoods(index, "olio d'oliva").map(f => f.id), ['olio_evo']);
+  assert.deepEqual(searchFoods(index, 'grassi').map(f => f.id), ['mandorle', 'olio_evo']);
+});
+
+test('search: typos on longer words, every word must match', () => {
+  assert.deepEqual(searchFoods(index, 'mandorel').map(f => f.id), ['mandorle']);
+  // a prefix beats a typo: "pata" is also one letter away from "pasta"
+  assert.deepEqual(searchFoods(index, 'pata').map(f => f.id), ['patate', 'pasta_normale']);
+  assert.deepEqual(searchFoods(index, 'pasta mandorle'), []);
+  assert.deepEqual(searchFoods(index, 'di'), []);
+  assert.deepEqual(searchFoods(index, ''), []);
+});
+
+test('exact words rank above partial ones', () => {
+  const idx = buildFoodIndex({ foods: [
+    { id: 'riso_soffiato', name: 'Riso Soffiato', per100g: { kcal: 1 } },
+    { id: 'risotto', name: 'Risotto', per100g: { kcal: 1 } },
+    { id: 'riso', name: 'Riso', per100g: { kcal: 1 } },
+  ] });
+  assert.deepEqual(searchFoods(idx, 'riso').map(f => f.id), ['riso', 'riso_soffiato', 'risotto']);
+});
+
+// --- quantities ---
+
+test('quantities become grams at the weight per100g refers to', () => {
+  assert.equal(quantityToGrams(byId('mandorle'), 15, 'pezzi'), 18);
+  assert.equal(quantityToGrams(byId('olio_evo'), '1,5', 'cucchiaio_raso'), 15);
+  assert.equal(quantityToGrams(byId('pasta_normale'), 200, 'cotto'), 80);
+  assert.equal(quantityToGrams(byId('ceci_cotti'), 50, 'crudo'), 120);
+  assert.equal(quantityToGrams(byId('mandorle'), 0, 'g'), null);
+  assert.equal(quantityToGrams(byId('mandorle'), 10, 'cucchiaio_raso'), null);
+});
+
+// --- the shipped database ---
+
+test('every food of food-database.json is searchable and well formed', () => {
+  const db = JSON.parse(readFileSync(new URL('../food-database.json', import.meta.url), 'utf8'));
+  const all = buildFoodIndex(db);
+  assert.ok(all.length > 50);
+  for (const f of all) {
+    for (const k of ['kcal', 'protein', 'carbs', 'fat']) assert.equal(typeof f.per100g[k], 'number', `${f.id}.${k}`);
+    if (f.piece) assert.ok(f.units.some(u => u.key === 'pezzi'), `${f.id} piece ${f.piece}`);
+    if (f.volume) assert.ok(f.units.length > 1, `${f.id} volume ${f.volume}`);
+    if (f.cooked) assert.ok(db.conversions.rawToCooked[f.cooked], `${f.id} cooked ${f.cooked}`);
+  }
+  assert.ok(searchFoods(all, 'riso').length >= 3);
+  assert.equal(searchFoods(all, 'pollo')[0].id, 'petto_pollo');
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGpsFilter, averagePaceSec, autoPauseOptions, DEFAULT_GPS_FILTER_OPTIONS } from '../js/gps-filter.js';
+
+const M_PER_DEG = 6371000 * Math.PI / 180;
+const T0 = Date.UTC(2026, 9, 19, 7, 0, 0);
+
+// Deterministic noise (mulberry32 + Box-Muller) so every replay is the same
+function rng(seed) {
+  let a = seed;
+  const uniform = () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return (sd) => sd * Math.sqrt(-2 * Math.log(uniform() || 1e-9)) * Math.cos(2 * Math.PI * uniform());
+}
+
+// Synthetic fix sequence, one fix per second: segments of { secs, paceSec } (paceSec null = standing)
+// running north, with `sd` metres of noise and accuracy `acc`; `speedSd` adds a Doppler speed
+function replay(segments, { seed = 1, sd = 3, acc = 8, speedSd = null } = {}) {
+  const noise = rng(seed);
+  const fixes = [];
+  let north = 0;
+  let t = T0;
+  for (const { secs, paceSec } of segments) {
+    for (let i = 0; i < secs; i++) {
+      if (paceSec) north += 1000 / paceSec;
+      t += 1000;
+      const speed = speedSd === null ? null : Math.max(0, (paceSec ? 1000 / paceSec : 0) + noise(speedSd));
+      fixes.push({ lat: 45 + (north + noise(sd)) / M_PER_DEG, lon: 9 + noise(sd) / (M_PER_DEG * Math.cos(45 * Math.PI / 180)), accuracy: acc, speed, t, trueM: north });
+    }
+  }
+  return fixes;
+}
+
+const feed = (filter, fixes) => fixes.map(f => filter.push(f));
+
+// --- steady running ---
+
+const paceRange = (out) => {
+  const paces = out.slice(60).map(o => o.paceSec);
+  return paces.includes(null) ? null : [Math.min(...paces), Math.max(...paces)];
+};
+
+test('steady 5:00 /km with noise reads 5:00 and the true distance', () => {
+  const out = feed(createGpsFilter(), replay([{ secs: 300, paceSec: 300 }]));
+  const last = out[out.length - 1];
+  assert.ok(Math.abs(last.distanceM - 1000) < 40, `distance ${last.distanceM}`);
+  const [min, max] = paceRange(out);
+  assert.ok(min > 250 && max < 370, `pace ${min}-${max}`);
+  assert.ok(Math.abs(averagePaceSec(last.distanceM, last.movingMs) - 300) < 15);
+});
+
+test('Doppler speed, when the device has it, steadies the pace', () => {
+  const [min, max] = paceRange(feed(createGpsFilter(), replay([{ secs: 300, paceSec: 300 }], { speedSd: 0.15 })));
+  const [minGps, maxGps] = paceRange(feed(createGpsFilter(), replay([{ secs: 300, paceSec: 300 }])));
+  assert.ok(min > 270 && max < 335, `pace ${min}-${max}`);
+  assert.ok(max - min < maxGps - minGps);
+});
+
+test('no pace during the first seconds', () => {
+  const out = feed(createGpsFilter(), replay([{ secs: 10, paceSec: 300 }]));
+  assert.equal(out[1].paceSec, null);
+});
+
+// --- traffic light ---
+
+test('a stop at a traffic light with a GPS spike gives no fast pace and no drift distance', () => {
+  const fixes = replay([{ secs: 120, paceSec: 330 }, { secs: 40, paceSec: null }, { secs: 120, paceSec: 330 }], { seed: 7, sd: 4 });
+  // urban canyon: two fixes 45 m off while standing
+  fixes[135] = { ...fixes[135], lat: fixes[135].lat + 45 / M_PER_DEG };
+  fixes[136] = { ...fixes[136], lat: fixes[136].lat + 48 / M_PER_DEG };
+  const out = feed(createGpsFilter(), fixes);
+
+  assert.deepEqual([out[135].reason, out[136].reason], ['outlier', 'outlier']);
+  const stop = out.slice(130, 160);
+  assert.ok(stop.every(o => o.paceSec === null || o.paceSec > 280), 'no "too fast" pace while standing');
+  assert.ok(stop.every(o => !o.moving));
+  assert.ok(out[158].autoPaused);
+
+  const standingM = out[159].distanceM - out[129].distanceM;
+  assert.ok(standingM < 15, `drift ${standingM} m`);
+  assert.ok(Math.abs(out[out.length - 1].distanceM - fixes[fixes.length - 1].trueM) < 40);
+  // moving time excludes the stop
+  assert.ok(out[out.length - 1].movingMs < 250000);
+});
+
+test('auto-pause lifts as soon as the runner moves again', () => {
+  const out = feed(createGpsFilter(), replay([{ secs: 60, paceSec: 300 }, { secs: 30, paceSec: null }, { secs: 30, paceSec: 300 }]));
+  assert.ok(out[85].autoPaused);
+  assert.ok(!out[119].autoPaused);
+  assert.ok(out[119].moving);
+});
+
+test('auto-pause threshold and delay are configurable', () => {
+  const fixes = replay([{ secs: 60, paceSec: 300 }, { secs: 30, paceSec: 1200 }], { sd: 1 }); // then a 3 km/h shuffle
+  const strict = feed(createGpsFilter(autoPauseOptions({ speedKmh: 4, delaySec: 5 })), fixes);
+  const loose = feed(createGpsFilter(autoPauseOptions({ speedKmh: 2, delaySec: 5 })), fixes);
+  assert.ok(strict[89].autoPaused);
+  assert.ok(!loose[89].autoPaused);
+
+  const opts = autoPauseOptions({ speedKmh: 4, delaySec: 10 });
+  assert.equal(opts.autoPauseMs, 10000);
+  assert.ok(opts.startSpeedMps > opts.stopSpeedMps);
+  assert.deepEqual(autoPauseOptions({}), {
+    stopSpeedMps: DEFAULT_GPS_FILTER_OPTIONS.stopSpeedMps,
+    startSpeedMps: DEFAULT_GPS_FILTER_OPTIONS.startSpeedMps,
+    autoPauseMs: DEFAULT_GPS_FILTER_OPTIONS.autoPauseMs,
+  });
+});
+
+test('standing still with drift never starts moving', () => {
+  const out = feed(createGpsFilter(), replay([{ secs: 120, paceSec: null }], { seed: 3, sd: 5 }));
+  assert.ok(out.every(o => !o.moving && o.paceSec === null));
+  assert.ok(out[out.length - 1].distanceM < 5);
+});
+
+// --- bad fixes ---
+
+test('vague, invalid and out-of-order fixes are rejected', () => {
+  const f = createGpsFilter();
+  assert.equal(f.push({ lat: 45, lon: 9, accuracy: 80, t: T0 }).reason, 'accuracy');
+  assert.equal(f.push({ lat: NaN, lon: 9, accuracy: 5, t: T0 }).reason, 'invalid');
+  assert.ok(f.push({ lat: 45, lon: 9, accuracy: 5, t: T0 + 1000 }).accepted);
+  assert.equal(f.push({ lat: 45, lon: 9, accuracy: 5, t: T0 + 500 }).reason, 'time');
+});
+
+test('a real relocation is accepted after a few consistent fixes', () => {
+  const f = createGpsFilter();
+  feed(f, replay([{ secs: 20, paceSec: null }], { sd: 1 }));
+  const far = [1, 2, 3, 4].map(i => f.push({ lat: 45 + 500 / M_PER_DEG, lon: 9, accuracy: 8, t: T0 + (20 + i) * 1000 }));
+  assert.deepEqual(far.map(o => o.reason), ['outlier', 'outlier', 'outlier', 'reseed']);
+  assert.ok(Math.abs(far[3].lat - (45 + 500 / M_PER_DEG)) < 1e-6);
+  // the jump itself is not distance
+  assert.ok(far[3].distanceM < 5);
+});
+
+test('reset starts a new run', () => {
+  const f = createGpsFilter();
+  feed(f, replay([{ secs: 60, paceSec: 300 }]));
+  f.reset();
+  assert.deepEqual(f.state(), { distanceM: 0, movingMs: 0, moving: false, autoPaused: false });
+});
+
+test('average pace needs some distance', () => {
+  assert.equal(averagePaceSec(50, 20000), null);
+  assert.equal(averagePaceSec(1000, 300000), 300);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  hrZoneBands,
+  classifyHr,
+  parseLthr,
+  parseHeartRateMeasurement,
+} from '../js/hr-zones.js';
+
+// --- hrZoneBands ---
+
+test('null / invalid LTHR yields null bands', () => {
+  assert.equal(hrZoneBands(null), null);
+  assert.equal(hrZoneBands(0), null);
+  assert.equal(hrZoneBands(-5), null);
+  assert.equal(hrZoneBands('x'), null);
+});
+
+test('bands for LTHR 170 match Friel percentages', () => {
+  const b = hrZoneBands(170);
+  assert.equal(b.length, 5);
+  const byZone = Object.fromEntries(b.map((x) => [x.zone, x]));
+  assert.deepEqual([byZone[1].minBpm, byZone[1].maxBpm], [0, 145]);
+  assert.deepEqual([byZone[2].minBpm, byZone[2].maxBpm], [145, 153]);
+  assert.deepEqual([byZone[3].minBpm, byZone[3].maxBpm], [153, 162]);
+  assert.deepEqual([byZone[4].minBpm, byZone[4].maxBpm], [162, 170]);
+  assert.deepEqual([byZone[5].minBpm, byZone[5].maxBpm], [170, Infinity]);
+});
+
+test('bands are contiguous — no gap, no overlap', () => {
+  const b = hrZoneBands(163);
+  for (let i = 1; i < b.length; i++) assert.equal(b[i].minBpm, b[i - 1].maxBpm);
+});
+
+// --- classifyHr ---
+
+test('classifies heart rates, boundary goes to the higher zone', () => {
+  const b = hrZoneBands(170);
+  assert.equal(classifyHr(120, b), 1);
+  assert.equal(classifyHr(145, b), 2);
+  assert.equal(classifyHr(152, b), 2);
+  assert.equal(classifyHr(160, b), 3);
+  assert.equal(classifyHr(169, b), 4);
+  assert.equal(classifyHr(170, b), 5);
+  assert.equal(classifyHr(195, b), 5);
+});
+
+test('classifyHr is null on bad input', () => {
+  const b = hrZoneBands(170);
+  assert.equal(classifyHr(null, b), null);
+  assert.equal(classifyHr(0, b), null);
+  assert.equal(classifyHr('x', b), null);
+  assert.equal(classifyHr(150, null), null);
+});
+
+// --- parseLthr ---
+
+test('parseLthr accepts plausible values only', () => {
+  assert.equal(parseLthr('168'), 168);
+  assert.equal(parseLthr(172), 172);
+  assert.equal(parseLthr(' 150 '), 150);
+  assert.equal(parseLthr('95'), null);
+  assert.equal(parseLthr('250'), null);
+  assert.equal(parseLthr('16a'), null);
+  assert.equal(parseLthr(''), null);
+  assert.equal(parseLthr(null), null);
+});
+
+// --- Heart Rate Measurement (0x2A37) ---
+
+const packet = (...bytes) => new DataView(new Uint8Array(bytes).buffer);
+
+test('8-bit heart rate without extras', () => {
+  assert.deepEqual(parseHeartRateMeasurement(packet(0x00, 142)), { bpm: 142, contact: null, rrMs: [] });
+});
+
+test('16-bit heart rate with contact detected', () => {
+  assert.deepEqual(parseHeartRateMeasurement(packet(0x07, 0x2c, 0x01)), { bpm: 300, contact: true, rrMs: [] });
+  assert.equal(parseHeartRateMeasurement(packet(0x04, 90)).contact, false);
+});
+
+test('energy expended is skipped and RR intervals decoded', () => {
+  // flags: RR + energy; bpm 150; energy 0x0010; RR 410/1024 s and 420/1024 s
+  const p = parseHeartRateMeasurement(packet(0x18, 150, 0x10, 0x00, 0x9a, 0x01, 0xa4, 0x01));
+  assert.equal(p.bpm, 150);
+  assert.deepEqual(p.rrMs, [400, 410]);
+});
+
+test('malformed packets are null', () => {
+  assert.equal(parseHeartRateMeasurement(null), null);
+  assert.equal(parseHeartRateMeasurement(packet(0x00)), null);
+  assert.equal(parseHeartRateMeasurement(packet(0x01, 0x10)), null);
+});
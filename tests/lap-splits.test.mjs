@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { kmSplits, lapSplits } from '../js/lap-splits.js';
+
+// One sample per second at `paceSec` sec/km; `stops` = [fromSec, toSec) standing still
+function samples(secs, paceSec, stops = []) {
+  const out = [];
+  let distanceM = 0;
+  let movingMs = 0;
+  for (let i = 1; i <= secs; i++) {
+    if (!stops.some(([a, b]) => i > a && i <= b)) {
+      distanceM += 1000 / paceSec;
+      movingMs += 1000;
+    }
+    out.push({ t: i * 1000, distanceM, movingMs });
+  }
+  return out;
+}
+
+// --- per km ---
+
+test('one split per km, then the partial one', () => {
+  const splits = kmSplits(samples(1250, 250)); // 5 km at 4:10
+  assert.equal(splits.length, 5);
+  assert.ok(splits.every(s => !s.partial && s.paceSec === 250 && s.distanceM === 1000));
+
+  const more = kmSplits(samples(1375, 250)); // 5.5 km
+  assert.equal(more.length, 6);
+  assert.deepEqual(more[5], { n: 6, distanceM: 500, movingSec: 125, paceSec: 250, partial: true });
+});
+
+test('a stop at a crossing does not slow the km it happens in', () => {
+  const splits = kmSplits(samples(700, 330, [[100, 160]]));
+  assert.equal(splits[0].paceSec, 330);
+  assert.equal(splits[0].movingSec, 330);
+});
+
+test('a sample crossing several km (GPS gap) is interpolated', () => {
+  const splits = kmSplits([{ distanceM: 0, movingMs: 0 }, { distanceM: 2500, movingMs: 750000 }]);
+  assert.deepEqual(splits.map(s => [s.distanceM, s.movingSec, s.partial]), [[1000, 300, false], [1000, 300, false], [500, 150, true]]);
+});
+
+test('shorter splits on request', () => {
+  assert.equal(kmSplits(samples(400, 300), { every: 400 }).length, 4);
+});
+
+test('no samples, no splits', () => {
+  assert.deepEqual(kmSplits([]), []);
+});
+
+// --- manual laps ---
+
+test('laps go from press to press, the open one closes at the end', () => {
+  const run = samples(900, 300, [[400, 430]]);
+  const marks = [run[299], run[599]]; // presses at 300 s and 600 s
+  const laps = lapSplits(marks, run[run.length - 1]);
+  assert.equal(laps.length, 3);
+  assert.deepEqual(laps.map(l => l.n), [1, 2, 3]);
+  assert.equal(laps[0].paceSec, 300);
+  assert.equal(laps[1].movingSec, 270); // the 30 s stop is out
+  assert.equal(laps[1].paceSec, 300);
+  assert.equal(laps[2].movingSec, 300);
+});
+
+test('a press right at the end does not open an empty lap', () => {
+  const run = samples(300, 300);
+  assert.equal(lapSplits([run[299]], run[299]).length, 1);
+  assert.equal(lapSplits([], run[299]).length, 1);
+  assert.equal(lapSplits([{ distanceM: 20, movingMs: 6000 }])[0].paceSec, null);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeLiftName,
+  allLifts,
+  resolveLiftId,
+  liftIdForExercise,
+  liftIdForSet,
+  liftLabel,
+  createCustomLift,
+} from '../js/lift-aliases.js';
+
+const CUSTOM = [
+  { id: 'custom_hipthrust', label: 'Hip Thrust', aliases: ['ht'] },
+  { id: 'custom_pendlayrow', label: 'Pendlay Row', aliases: [] },
+];
+
+// --- normalization ---
+
+test('normalizeLiftName lowercases, folds hyphens and spaces', () => {
+  assert.equal(normalizeLiftName('  Push-Press '), 'push press');
+  assert.equal(normalizeLiftName('Back   Squat'), 'back squat');
+  assert.equal(normalizeLiftName(null), '');
+});
+
+// --- explicit references ---
+
+test('references resolve by label, alias or spaceless form', () => {
+  assert.equal(resolveLiftId('BackSquat'), 'back_squat');
+  assert.equal(resolveLiftId('back squat'), 'back_squat');
+  assert.equal(resolveLiftId('Squat'), 'back_squat');
+  assert.equal(resolveLiftId('OHP'), 'strict_press');
+  assert.equal(resolveLiftId('Panca Piana'), 'bench_press');
+  assert.equal(resolveLiftId('Bench Press'), 'bench_press');
+  assert.equal(resolveLiftId('push-press'), 'push_press');
+  assert.equal(resolveLiftId('Hip Thrust'), null);
+});
+
+test('custom lifts resolve by label and aliases', () => {
+  assert.equal(resolveLiftId('Hip Thrust', CUSTOM), 'custom_hipthrust');
+  assert.equal(resolveLiftId('HipThrust', CUSTOM), 'custom_hipthrust');
+  assert.equal(resolveLiftId('ht', CUSTOM), 'custom_hipthrust');
+});
+
+test('a custom lift cannot take over a built-in name or id', () => {
+  const rogue = [{ id: 'custom_x', label: 'X', aliases: ['squat'] }, { id: 'back_squat', label: 'Mine', aliases: [] }];
+  assert.equal(resolveLiftId('squat', rogue), 'back_squat');
+  assert.equal(allLifts(rogue).filter(l => l.id === 'back_squat').length, 1);
+});
+
+// --- exercise names ---
+
+test('exercise names pick the most specific lift', () => {
+  assert.equal(liftIdForExercise('Front Squat'), 'front_squat');
+  assert.equal(liftIdForExercise('Pause Front Squat'), 'front_squat');
+  assert.equal(liftIdForExercise('Pause Squat'), 'back_squat');
+  assert.equal(liftIdForExercise('Stacco Sumo'), 'sumo_deadlift');
+  assert.equal(liftIdForExercise('Romanian Deadlift'), 'deadlift');
+  assert.equal(liftIdForExercise('Hip Thrust con pausa', CUSTOM), 'custom_hipthrust');
+  assert.equal(liftIdForExercise('Affondi'), null);
+});
+
+test('dumbbell and kettlebell variants never resolve', () => {
+  assert.equal(liftIdForExercise('Bench Press Manubri'), null);
+  assert.equal(liftIdForExercise('KB Front Squat'), null);
+  assert.equal(liftIdForExercise('Dumbbell Bench Press'), null);
+});
+
+test('words only match whole: "Squatting" is not a squat', () => {
+  assert.equal(liftIdForExercise('Squatting Mobility'), null);
+});
+
+// --- logged sets ---
+
+test('a set counts towards the lift its percentage names, else its exact name', () => {
+  assert.equal(liftIdForSet({ name: 'Tempo Squat', tipoDiPeso: '75% Hip Thrust' }, CUSTOM), 'custom_hipthrust');
+  assert.equal(liftIdForSet({ name: 'Back Squat' }), 'back_squat');
+  assert.equal(liftIdForSet({ name: 'Squat Jump' }), null);
+});
+
+test('liftLabel falls back to the id', () => {
+  assert.equal(liftLabel('bench_press'), 'Panca Piana');
+  assert.equal(liftLabel('custom_pendlayrow', CUSTOM), 'Pendlay Row');
+  assert.equal(liftLabel('nope'), 'nope');
+});
+
+// --- custom lift creation ---
+
+test('createCustomLift builds an id and cleans the aliases', () => {
+  const { lift, error } = createCustomLift(' Clean ', 'power clean, Clean, , Power-Clean');
+  assert.equal(error, undefined);
+  assert.deepEqual(lift, { id: 'custom_clean', label: 'Clean', aliases: ['power clean'] });
+});
+
+test('createCustomLift rejects empty names, duplicates and taken aliases', () => {
+  assert.ok(createCustomLift('  ', '').error);
+  assert.ok(createCustomLift('Hip Thrust', '', CUSTOM).error);
+  assert.match(createCustomLift('Pause Squat', 'squat').error, /Back Squat/);
+  assert.match(createCustomLift('Row', 'ht', CUSTOM).error, /Hip Thrust/);
+});
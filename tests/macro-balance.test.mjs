@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  slotDriver,
+  roundPortion,
+  foodTolerances,
+  balanceDay,
+} from '../js/macro-balance.js';
+
+const macros = (kcal, protein, carbs, fat) => ({ kcal, protein, carbs, fat });
+const option = (id, qty, unit, m, extra = {}) => ({ id, name: id, qty, unit, inPlan: true, macros: m, ...extra });
+
+// Lunch and dinner, same portions
+const meal = () => ({
+  proteine: { targetMacros: macros(165, 35, 0, 3), options: [option('pollo', 150, 'g', macros(165, 35, 0, 3)), option('uova', 2, 'pezzi', macros(140, 12, 1, 10))] },
+  carboidrati: { targetMacros: macros(280, 8, 56, 2), options: [option('riso', 80, 'g', macros(280, 6, 62, 1))] },
+  grassi: { targetMacros: macros(90, 0, 0, 10), options: [option('olio', 10, 'g', macros(90, 0, 0, 10))] },
+  verdure: { targetMacros: macros(50, 2, 10, 0), options: [option('verdure_miste', null, 'libera', macros(50, 2, 10, 0))] },
+});
+const PLAN = { meals: { pranzo: meal(), cena: meal() } };
+const choice = (id, qty, m) => ({ id, name: id, qty, unit: 'g', macros: m });
+
+// --- building blocks ---
+
+test('slots are sized on their macro', () => {
+  assert.equal(slotDriver('proteine', {}), 'protein');
+  assert.equal(slotDriver('verdure', { targetMacros: macros(50, 2, 10, 0) }), null);
+  // unknown slot: the largest share of kcal (10 g fat > 15 g carbs)
+  assert.equal(slotDriver('frutta_secca', { targetMacros: macros(150, 3, 15, 10) }), 'fat');
+  assert.equal(slotDriver('altro', { options: [] }), null);
+});
+
+test('portions round to what people can weigh or count', () => {
+  assert.equal(roundPortion(121, 'g'), 120);
+  assert.equal(roundPortion(12.6, 'g'), 13);
+  assert.equal(roundPortion(2.8, 'pezzi'), 3);
+  assert.equal(roundPortion(0.1, 'porzione'), 0.5);
+});
+
+test('tolerances come from the equivalents groups', () => {
+  const db = { equivalents: {
+    proteine_principali: { tolerance: 0.12, alternatives: [{ id: 'pollo' }, { id: 'tonno' }] },
+    carboidrati_principali: { tolerance: 0.1, alternatives: [{ id: 'riso' }, { id: 'pollo' }] },
+    senza: { alternatives: [{ id: 'x' }] },
+  } };
+  assert.deepEqual(foodTolerances(db), { pollo: 0.12, tonno: 0.12, riso: 0.1 });
+});
+
+// --- the day ---
+
+test('nothing eaten: the plan stands', () => {
+  const b = balanceDay(PLAN, {});
+  assert.equal(b.adjusted, false);
+  assert.deepEqual(b.scales, { protein: 1, carbs: 1, fat: 1 });
+  assert.deepEqual(b.left, { protein: 86, carbs: 112, fat: 30 }); // verdure are not counted
+});
+
+test('a big lunch makes dinner smaller', () => {
+  const b = balanceDay(PLAN, { pranzo: {
+    proteine: choice('pollo', 150, macros(165, 35, 0, 3)),
+    carboidrati: choice('riso', 120, macros(420, 9, 93, 1.5)),
+    grassi: choice('olio', 15, macros(135, 0, 0, 15)),
+  } });
+  assert.equal(b.adjusted, true);
+  assert.deepEqual(Object.keys(b.meals), ['cena']);
+  // protein went as planned: x1.09 is inside the tolerance
+  assert.equal(b.meals.cena.proteine, undefined);
+
+  const carbs = b.meals.cena.carboidrati;
+  assert.equal(carbs.scale, 0.5); // 56 - 37 g would need 0.34x
+  assert.equal(carbs.options.riso.qty, 40);
+  assert.deepEqual(carbs.options.riso.macros, { kcal: 140, protein: 3, carbs: 31, fat: 0.5 });
+  assert.deepEqual(carbs.targetMacros, { kcal: 140, protein: 4, carbs: 28, fat: 1 });
+
+  // 5 g of extra oil, and the chicken and rice bring their own fat
+  assert.equal(b.meals.cena.grassi.scale, 0.62);
+  assert.equal(b.meals.cena.grassi.options.olio.qty, 6);
+  assert.equal(b.meals.cena.verdure, undefined); // free vegetables never move
+});
+
+test('a light lunch makes dinner bigger, up to the portion bounds', () => {
+  const b = balanceDay(PLAN, { pranzo: {
+    proteine: choice('pollo', 50, macros(55, 11.7, 0, 1)),
+  } });
+  const protein = b.meals.cena.proteine;
+  assert.equal(protein.scale, 1.5); // 35 + 23.3 g would need 1.67x
+  assert.equal(protein.options.pollo.qty, 225);
+  assert.equal(protein.options.uova.qty, 3);
+});
+
+test('a started meal keeps its open slots: only later meals move', () => {
+  const b = balanceDay(PLAN, { pranzo: {
+    carboidrati: choice('riso', 120, macros(420, 9, 93, 1.5)),
+  } });
+  assert.equal(b.meals.pranzo, undefined);
+  assert.ok(b.meals.cena.carboidrati.options.riso.qty < 80);
+});
+
+test('minQty / maxQty of an option bound its portion', () => {
+  const plan = { meals: { pranzo: meal(), cena: meal() } };
+  plan.meals.cena.carboidrati.options[0].minQty = 70;
+  const b = balanceDay(plan, { pranzo: {
+    carboidrati: choice('riso', 140, macros(490, 10.5, 108.5, 1.8)),
+  } });
+  assert.equal(b.meals.cena.carboidrati.options.riso.qty, 70);
+});
+
+test('small changes inside the food tolerance are not proposed', () => {
+  const lunch = { pranzo: { grassi: choice('olio', 11, macros(99, 0, 0, 11)) } };
+  assert.equal(balanceDay(PLAN, lunch).adjusted, false); // dinner fat x0.9
+  const strict = balanceDay(PLAN, lunch, { tolerances: { olio: 0.05 } });
+  assert.equal(strict.meals.cena.grassi.options.olio.qty, 9);
+});
+
+test('choices outside the plan count against the rest of the day', () => {
+  const b = balanceDay(PLAN, { spuntino2: { extra: choice('gelato', 100, macros(200, 4, 24, 10)) } });
+  assert.equal(b.meals.pranzo.grassi.options.olio.qty, 5);
+  assert.equal(b.meals.cena.grassi.options.olio.qty, 5);
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  emptySelections,
+  dayKey,
+  shiftDay,
+  daysBetween,
+  weekStart,
+  dayTotals,
+  mealsLogged,
+  dayHits,
+  weeklyAdherence,
+  mergeDiary,
+  pruneDiary,
+} from '../js/nutrition-diary.js';
+
+const TARGETS = { kcal: 2000, protein: 150, carbs: 200, fat: 70 };
+const pick = (id, kcal, protein, carbs, fat) => ({ id, name: id, macros: { kcal, protein, carbs, fat } });
+
+// A day that hits every target
+const goodDay = (date) => ({
+  date,
+  selections: {
+    ...emptySelections(),
+    colazione: { proteine: pick('yogurt', 500, 40, 50, 20) },
+    pranzo: { proteine: pick('pollo', 800, 60, 80, 25), carboidrati: pick('riso', 0, 0, 0, 0) },
+    cena: { proteine: pick('salmone', 700, 55, 70, 25) },
+  },
+  targets: TARGETS,
+  mealsPlanned: 5,
+  updatedAt: `${date}T20:00:00.000Z`,
+});
+
+// --- days ---
+
+test('day keys are local calendar dates', () => {
+  assert.equal(dayKey(new Date(2026, 9, 5, 23, 59)), '2026-10-05');
+});
+
+test('day arithmetic crosses months, years and DST', () => {
+  assert.equal(shiftDay('2026-10-31', 1), '2026-11-01');
+  assert.equal(shiftDay('2027-01-01', -1), '2026-12-31');
+  assert.equal(shiftDay('2026-10-24', 2), '2026-10-26'); // clocks go back on the 25th
+  assert.equal(daysBetween('2026-10-19', '2026-10-25'), 6);
+});
+
+test('weeks start on Monday', () => {
+  assert.equal(weekStart('2026-10-19'), '2026-10-19'); // Monday
+  assert.equal(weekStart('2026-10-25'), '2026-10-19'); // Sunday
+  assert.equal(weekStart('2026-11-01'), '2026-10-26');
+});
+
+// --- one day ---
+
+test('totals add up every selection', () => {
+  assert.deepEqual(dayTotals(goodDay('2026-10-19').selections), { kcal: 2000, protein: 155, carbs: 200, fat: 70 });
+  assert.deepEqual(dayTotals(null), { kcal: 0, protein: 0, carbs: 0, fat: 0 });
+});
+
+test('a meal is logged when any of its slots is filled', () => {
+  assert.equal(mealsLogged(goodDay('2026-10-19').selections), 3);
+  assert.equal(mealsLogged(emptySelections()), 0);
+});
+
+test('hits: ±10%, protein is a floor', () => {
+  assert.deepEqual(dayHits({ kcal: 2150, protein: 200, carbs: 170, fat: 79 }, TARGETS), {
+    kcal: true, protein: true, carbs: false, fat: false,
+  });
+  assert.equal(dayHits({ kcal: 0, protein: 130, carbs: 0, fat: 0 }, TARGETS).protein, false);
+  assert.deepEqual(dayHits({ kcal: 2000 }, { kcal: 2000, fat: 0 }), { kcal: true });
+  assert.deepEqual(dayHits({ kcal: 2000 }, null), {});
+});
+
+// --- weeks ---
+
+test('a week counts only the days already lived', () => {
+  const diary = { '2026-10-19': goodDay('2026-10-19'), '2026-10-20': goodDay('2026-10-20') };
+  const w = weeklyAdherence(diary, '2026-10-19', '2026-10-21');
+  assert.equal(w.daysElapsed, 3);
+  assert.equal(w.daysLogged, 2);
+  assert.deepEqual(w.hitRate, { kcal: 1, protein: 1, carbs: 1, fat: 1 });
+  assert.equal(w.mealsLogged, 6);
+  assert.equal(w.mealsPlanned, 15); // the empty Wednesday still had 5 meals planned
+});
+
+test('a missed target lowers the rate over logged days only', () => {
+  const light = goodDay('2026-10-20');
+  delete light.selections.cena.proteine;
+  const diary = { '2026-10-19': goodDay('2026-10-19'), '2026-10-20': light };
+  const w = weeklyAdherence(diary, '2026-10-19', '2026-10-25');
+  assert.equal(w.daysElapsed, 7);
+  assert.equal(w.hitRate.kcal, 0.5);
+  assert.equal(w.hitRate.protein, 0.5);
+});
+
+test('an empty week has no rates', () => {
+  const w = weeklyAdherence({}, '2026-10-19', '2026-10-25');
+  assert.equal(w.daysLogged, 0);
+  assert.deepEqual(w.hitRate, { kcal: null, protein: null, carbs: null, fat: null });
+  assert.equal(w.mealsPlanned, 0);
+  assert.equal(weeklyAdherence({}, '2026-10-26', '2026-10-25').daysElapsed, 0);
+});
+
+// --- sync ---
+
+test('merge: the newer copy of a day wins', () => {
+  const local = { '2026-10-19': { ...goodDay('2026-10-19'), updatedAt: '2026-10-19T21:00:00.000Z', syncedAt: null } };
+  const remote = [
+    { ...goodDay('2026-10-19'), updatedAt: '2026-10-19T20:00:00.000Z' },
+    { ...goodDay('2026-10-18'), updatedAt: '2026-10-18T20:00:00.000Z' },
+  ];
+  const merged = mergeDiary(local, remote);
+  assert.equal(merged['2026-10-19'].updatedAt, '2026-10-19T21:00:00.000Z');
+  assert.equal(merged['2026-10-19'].syncedAt, null);
+  assert.equal(merged['2026-10-18'].syncedAt, '2026-10-18T20:00:00.000Z');
+});
+
+test('prune keeps the window and anything not yet synced', () => {
+  const synced = (date) => ({ ...goodDay(date), syncedAt: goodDay(date).updatedAt });
+  const diary = {
+    '2026-08-01': synced('2026-08-01'),
+    '2026-08-02': goodDay('2026-08-02'), // never synced
+    '2026-10-19': synced('2026-10-19'),
+  };
+  assert.deepEqual(Object.keys(pruneDiary(diary, '2026-10-19', 30)).sort(), ['2026-08-02', '2026-10-19']);
+});
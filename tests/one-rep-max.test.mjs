@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateOneRepMax,
+  e1rmTrend,
+  maxUpdateSuggestions,
+  MAX_REPS_FOR_E1RM,
+} from '../js/one-rep-max.js';
+
+// --- estimateOneRepMax ---
+
+test('a single is its own 1RM with either formula', () => {
+  assert.equal(estimateOneRepMax(140, 1, 'epley'), 140);
+  assert.equal(estimateOneRepMax(140, 1, 'brzycki'), 140);
+});
+
+test('Epley and Brzycki match their published values (floored to 0.5 kg)', () => {
+  // Epley 100 x 5 = 116.67 ; Brzycki 100 x 5 = 112.5
+  assert.equal(estimateOneRepMax(100, 5, 'epley'), 116.5);
+  assert.equal(estimateOneRepMax(100, 5, 'brzycki'), 112.5);
+  // Brzycki 80 x 10 = 106.67
+  assert.equal(estimateOneRepMax(80, 10, 'brzycki'), 106.5);
+});
+
+test('unknown formula falls back to Epley', () => {
+  assert.equal(estimateOneRepMax(100, 5, 'nope'), estimateOneRepMax(100, 5, 'epley'));
+});
+
+test('unusable sets give null', () => {
+  assert.equal(estimateOneRepMax(0, 5), null);
+  assert.equal(estimateOneRepMax(null, 5), null);
+  assert.equal(estimateOneRepMax(100, 0), null);
+  assert.equal(estimateOneRepMax(100, 2.5), null);
+  assert.equal(estimateOneRepMax(100, MAX_REPS_FOR_E1RM + 1), null);
+});
+
+// --- e1rmTrend ---
+
+const liftOf = (set) => ({ 'Back Squat': 'back_squat', 'Panca Piana': 'bench_press' }[set.name] || null);
+
+test('e1rmTrend keeps the best set per session and lift, oldest first', () => {
+  const history = [
+    { completedAt: '2026-10-15T18:00:00.000Z', sets: [
+      { name: 'Back Squat', kg: 100, reps: 5 },
+      { name: 'Back Squat', kg: 110, reps: 3 },   // 121
+      { name: 'Affondi', kg: 20, reps: 10 },      // not tracked
+    ] },
+    { completedAt: '2026-10-08T18:00:00.000Z', sets: [
+      { name: 'Back Squat', kg: 100, reps: 3 },   // 110
+      { name: 'Panca Piana', kg: 70, reps: 12 },  // too many reps
+    ] },
+  ];
+  const t = e1rmTrend(history, liftOf);
+  assert.deepEqual(Object.keys(t), ['back_squat']);
+  assert.deepEqual(t.back_squat.map(p => p.e1rm), [110, 121]);
+  assert.deepEqual([t.back_squat[1].kg, t.back_squat[1].reps], [110, 3]);
+});
+
+// --- maxUpdateSuggestions ---
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+const trend = {
+  back_squat: [
+    { date: '2026-10-15T18:00:00.000Z', e1rm: 121, kg: 110, reps: 3 },
+  ],
+  bench_press: [
+    { date: '2026-10-10T18:00:00.000Z', e1rm: 81, kg: 70, reps: 5 },
+  ],
+  deadlift: [
+    { date: '2026-06-01T18:00:00.000Z', e1rm: 200, kg: 180, reps: 3 }, // too old
+  ],
+};
+
+test('suggests only lifts beating the stored max by the threshold', () => {
+  const s = maxUpdateSuggestions(trend, { back_squat: 110, bench_press: 80, deadlift: 150 }, { now: NOW });
+  assert.deepEqual(s.map(x => [x.liftId, x.current, x.suggested]), [['back_squat', 110, 121]]);
+  assert.equal(s[0].from.reps, 3);
+});
+
+test('a lift with no stored max is always suggested', () => {
+  const s = maxUpdateSuggestions(trend, {}, { now: NOW });
+  assert.deepEqual(s.map(x => x.liftId).sort(), ['back_squat', 'bench_press']);
+  assert.ok(s.every(x => x.current === null));
+});
+
+test('threshold is configurable', () => {
+  const s = maxUpdateSuggestions(trend, { back_squat: 120, bench_press: 80 }, { now: NOW, thresholdPct: 0.5 });
+  // biggest relative gain first: 81/80 beats 121/120
+  assert.deepEqual(s.map(x => x.liftId), ['bench_press', 'back_squat']);
+});
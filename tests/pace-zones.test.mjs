@@ -5,6 +5,10 @@ import {
   classifyPace,
   formatPace,
   parsePace,
+  paceToKmh,
+  kmhToPace,
+  treadmillSpeeds,
+  parseTreadmillInput,
 } from '../js/pace-zones.js';
 
 // --- paceZoneBands ---
@@ -81,3 +85,34 @@ test('parsePace rejects malformed input', () => {
   assert.equal(parsePace('abc'), null);
   assert.equal(parsePace('5:5'), null);
 });
+
+// --- treadmill ---
+
+test('pace and km/h convert both ways', () => {
+  assert.equal(paceToKmh(300), 12);
+  assert.equal(paceToKmh(343), 10.5);
+  assert.equal(kmhToPace(12), 300);
+  assert.equal(kmhToPace(10), 360);
+  assert.equal(paceToKmh(0), null);
+  assert.equal(kmhToPace(-1), null);
+});
+
+test('zone bands become treadmill speeds, open-ended at Z1 and Z5', () => {
+  const b = paceZoneBands(300);
+  assert.deepEqual(treadmillSpeeds(b, 2), { zone: 2, minKmh: 9.3, maxKmh: 10.5 });
+  assert.deepEqual(treadmillSpeeds(b, 1), { zone: 1, minKmh: null, maxKmh: 9.3 });
+  assert.deepEqual(treadmillSpeeds(b, 5), { zone: 5, minKmh: 12, maxKmh: null });
+  assert.equal(treadmillSpeeds(null, 2), null);
+});
+
+test('treadmill input takes a speed or a pace', () => {
+  assert.equal(parseTreadmillInput('10.5'), 10.5);
+  assert.equal(parseTreadmillInput('10,5'), 10.5);
+  assert.equal(parseTreadmillInput('12'), 12);
+  assert.equal(parseTreadmillInput('5:00'), 12);
+  assert.equal(parseTreadmillInput('6:00'), 10);
+  assert.equal(parseTreadmillInput('0.5'), null);
+  assert.equal(parseTreadmillInput('45'), null);
+  assert.equal(parseTreadmillInput('abc'), null);
+  assert.equal(parseTreadmillInput(null), null);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBarbell, platesPerSide, formatPlates } from '../js/plate-math.js';
+
+// --- inventory ---
+
+test('platesPerSide halves the inventory and drops odd plates', () => {
+  assert.deepEqual(platesPerSide({ 10: 3, 5: 2, 2.5: 1 }), [10, 5]);
+  assert.deepEqual(platesPerSide({}), []);
+});
+
+// --- loading ---
+
+test('an exact load uses the fewest plates per side', () => {
+  const load = loadBarbell(100);
+  assert.equal(load.totalKg, 100);
+  assert.equal(load.perSide.length, 2); // 25 + 15 or 20 + 20
+  assert.equal(load.exact, true);
+});
+
+test('a load below the bar is not built on it', () => {
+  // 50% of a 30 kg press: the bare 20 kg bar would be heavier than prescribed
+  assert.equal(loadBarbell(15), null);
+  assert.equal(loadBarbell(12.5, { barKg: 15 }), null);
+  assert.equal(formatPlates(loadBarbell(15)), '');
+});
+
+test('a load equal to the bar is just the bar', () => {
+  const load = loadBarbell(20);
+  assert.equal(load.totalKg, 20);
+  assert.deepEqual(load.perSide, []);
+  assert.equal(load.exact, true);
+});
+
+test('home gym: 61.5 kg rounds to the nearest buildable weight', () => {
+  const plates = { 10: 2, 5: 4, 2.5: 2 };
+  const load = loadBarbell(61.5, { barKg: 20, plates });
+  // per side 20.75 wanted; 20 (10+5+5) or 22.5 (+2.5): 20 is closer
+  assert.equal(load.totalKg, 60);
+  assert.deepEqual(load.perSide, [10, 5, 5]);
+  assert.equal(load.deltaKg, -1.5);
+  assert.equal(load.exact, false);
+});
+
+test('ties round down, never above the prescription', () => {
+  // bar 15 + 2 x 5 = 25, or + 2 x 7.5 = 30: 27.5 sits in between
+  const load = loadBarbell(27.5, { barKg: 15, plates: { 5: 2, 2.5: 2 } });
+  assert.equal(load.totalKg, 25);
+});
+
+test('the bar weight changes the plates', () => {
+  assert.deepEqual(loadBarbell(40, { barKg: 10 }).perSide, [15]);
+  assert.deepEqual(loadBarbell(40, { barKg: 15 }).perSide, [10, 2.5]);
+});
+
+test('a target past the inventory loads everything available', () => {
+  const load = loadBarbell(200, { plates: { 20: 2, 10: 2 } });
+  assert.equal(load.totalKg, 80);
+  assert.deepEqual(load.perSide, [20, 10]);
+});
+
+test('fractional plates are exact', () => {
+  const load = loadBarbell(23.5, { plates: { 1.25: 2, 0.5: 2 } });
+  assert.equal(load.exact, true);
+  assert.equal(formatPlates(load), '1.25 + 0.5');
+});
+
+test('invalid targets give null', () => {
+  assert.equal(loadBarbell(0), null);
+  assert.equal(loadBarbell('abc'), null);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  PRODUCT_CACHE_MAX_AGE,
+  tableSource,
+  backendSource,
+  createProductLookup,
+} from '../js/product-lookup.js';
+import { productToFood } from '../js/barcode.js';
+
+const FIXTURE = JSON.parse(readFileSync(new URL('./fixtures/products.json', import.meta.url), 'utf8'));
+const fixture = () => tableSource(FIXTURE, 'fixture');
+
+// An in-memory stand-in for the IndexedDB store
+function memoryCache(initial = []) {
+  const store = new Map(initial.map(p => [p.barcode, p]));
+  return {
+    store,
+    get: async (code) => store.get(code) || null,
+    put: async (product) => { store.set(product.barcode, product); },
+  };
+}
+
+const failing = { name: 'offline', lookup: async () => { throw new Error('Failed to fetch'); } };
+
+// --- sources ---
+
+test('a fixture file stands in for the product table', async () => {
+  const { lookup } = createProductLookup({ sources: [fixture()] });
+  const hit = await lookup('8001234567897');
+  assert.equal(hit.source, 'fixture');
+  assert.equal(hit.product.name, 'Yogurt Greco 0%');
+  // UPC-A as scanned, EAN-13 as stored
+  assert.equal((await lookup('036000291452')).product.barcode, '0036000291452');
+  assert.equal((await lookup('96385074')).product.serving, null);
+});
+
+test('unknown, invalid or malformed codes find nothing', async () => {
+  const { lookup } = createProductLookup({ sources: [fixture()] });
+  assert.equal(await lookup('4006381333931'), null);
+  assert.equal(await lookup('8001234567890'), null);
+  assert.equal(await lookup('5901234123450'), null); // a fixture row with a bad check digit
+});
+
+test('the backend source asks getProduct', async () => {
+  const calls = [];
+  const post = async (action, body) => {
+    calls.push([action, body]);
+    return { status: 'success', product: FIXTURE[0] };
+  };
+  const { lookup } = createProductLookup({ sources: [backendSource(post)] });
+  assert.equal((await lookup('8001234567897')).source, 'coach');
+  assert.deepEqual(calls, [['getProduct', { barcode: '8001234567897' }]]);
+});
+
+test('a failing source is skipped', async () => {
+  const { lookup } = createProductLookup({ sources: [failing, fixture()] });
+  assert.equal((await lookup('8001234567897')).source, 'fixture');
+});
+
+// --- cache ---
+
+test('found products are cached and then read offline', async () => {
+  const cache = memoryCache();
+  const online = createProductLookup({ sources: [fixture()], cache, now: () => 1000 });
+  await online.lookup('8001234567897');
+  assert.equal(cache.store.get('8001234567897').cachedAt, 1000);
+  assert.equal(cache.store.get('8001234567897').source, 'fixture');
+
+  const offline = createProductLookup({ sources: [failing], cache, now: () => 2000 });
+  const hit = await offline.lookup('8001234567897');
+  assert.equal(hit.source, 'cache');
+  assert.equal(hit.product.per100g.protein, 10.2);
+});
+
+test('an old cached product is refreshed, or used when nobody answers', async () => {
+  const old = { ...FIXTURE[0], barcode: '8001234567897', per100g: { kcal: 60, protein: 9, carbs: 4, fat: 0 }, cachedAt: 0 };
+  const later = () => PRODUCT_CACHE_MAX_AGE + 1;
+
+  const cache = memoryCache([old]);
+  const refreshed = await createProductLookup({ sources: [fixture()], cache, now: later }).lookup('8001234567897');
+  assert.equal(refreshed.product.per100g.protein, 10.2);
+  assert.equal(cache.store.get('8001234567897').cachedAt, later());
+
+  const stale = await createProductLookup({ sources: [failing], cache: memoryCache([old]), now: later }).lookup('8001234567897');
+  assert.equal(stale.source, 'cache');
+  assert.equal(stale.product.per100g.protein, 9);
+});
+
+test('a broken cache does not stop the lookup', async () => {
+  const cache = { get: async () => { throw new Error('blocked'); }, put: async () => { throw new Error('quota'); } };
+  const { lookup } = createProductLookup({ sources: [fixture()], cache });
+  assert.equal((await lookup('8001234567897')).source, 'fixture');
+});
+
+// --- into the macro computation ---
+
+test('a scanned product weighs like any food', async () => {
+  const { lookup } = createProductLookup({ sources: [fixture()] });
+  const food = productToFood((await lookup('036000291452')).product);
+  assert.deepEqual(food.units.map(u => [u.key, u.grams]), [['g', 1], ['porzione', 55]]);
+  assert.deepEqual(food.per100g, { kcal: 360, protein: 33, carbs: 30, fat: 11 });
+});
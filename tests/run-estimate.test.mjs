@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  zonePaceSec,
+  estimatePhase,
+  estimateRun,
+  formatRunDuration,
+  formatRunDistance,
+  formatRunEstimate,
+  WALK_PACE_SEC,
+} from '../js/run-estimate.js';
+import { paceZoneBands } from '../js/pace-zones.js';
+
+const BANDS = paceZoneBands(300); // Z1 from 6:27, Z2 5:42-6:27, Z3 5:18-5:42, Z4 5:00-5:18
+
+// --- zone pace ---
+
+test('typical pace: middle of Z2-Z4, a step past the edge of Z1 and Z5', () => {
+  assert.equal(zonePaceSec(2, BANDS), 365);
+  assert.equal(zonePaceSec(3, BANDS), 330);
+  assert.equal(zonePaceSec(4, BANDS), 309);
+  assert.equal(zonePaceSec(1, BANDS), 418);
+  assert.equal(zonePaceSec(5, BANDS), 285);
+});
+
+test('no bands or unknown zone: no pace', () => {
+  assert.equal(zonePaceSec(2, null), null);
+  assert.equal(zonePaceSec(7, BANDS), null);
+});
+
+// --- one phase ---
+
+test('a timed phase gets its distance', () => {
+  assert.deepEqual(estimatePhase({ value: 10, unit: 'min', zone: 3 }, BANDS), { timeSec: 600, distanceM: 1818, estimated: 'distance' });
+  assert.equal(estimatePhase({ value: 90, unit: 'sec', zone: 5 }, BANDS).timeSec, 90);
+});
+
+test('a distance phase gets its time', () => {
+  assert.deepEqual(estimatePhase({ value: 2, unit: 'km', zone: 4 }, BANDS), { timeSec: 618, distanceM: 2000, estimated: 'time' });
+  assert.deepEqual(estimatePhase({ value: '0,4', unit: 'km', zone: 4 }, BANDS).distanceM, 400);
+  assert.equal(estimatePhase({ value: 400, unit: 'm', zone: 5 }, BANDS).timeSec, 114);
+});
+
+test('walking recoveries go at walking pace', () => {
+  const p = estimatePhase({ value: 2, unit: 'min', zone: 1, description: 'Recupero camminando' }, BANDS);
+  assert.equal(p.distanceM, Math.round((120 / WALK_PACE_SEC) * 1000));
+  // even without bands
+  assert.equal(estimatePhase({ value: 2, unit: 'min', zone: 1, description: 'Cammino' }, null).distanceM, 200);
+});
+
+test('without bands only the planned half is known', () => {
+  assert.deepEqual(estimatePhase({ value: 5, unit: 'km', zone: 2 }, null), { timeSec: null, distanceM: 5000, estimated: null });
+  assert.deepEqual(estimatePhase({ value: null, unit: 'min', zone: 2 }, BANDS), { timeSec: null, distanceM: null, estimated: null });
+});
+
+// --- whole workout ---
+
+const intervals = [
+  { value: 10, unit: 'min', zone: 2 },
+  ...Array.from({ length: 4 }, () => [{ value: 1, unit: 'km', zone: 4 }, { value: 2, unit: 'min', zone: 1 }]).flat(),
+  { value: 5, unit: 'min', zone: 1 },
+];
+
+test('totals add up the phases', () => {
+  const est = estimateRun(intervals, BANDS);
+  assert.equal(est.phases.length, 10);
+  assert.equal(est.totalSec, 600 + 4 * (309 + 120) + 300);
+  assert.equal(est.totalM, est.phases.reduce((s, p) => s + p.distanceM, 0));
+  assert.equal(est.estimated, true);
+});
+
+test('a total is null when any phase misses that half', () => {
+  const est = estimateRun(intervals, null);
+  assert.equal(est.totalSec, null);
+  assert.equal(est.totalM, null);
+  assert.equal(est.estimated, false);
+
+  const timedOnly = estimateRun([{ value: 30, unit: 'min', zone: 2 }], null);
+  assert.equal(timedOnly.totalSec, 1800);
+  assert.equal(timedOnly.totalM, null);
+});
+
+test('no phases, no totals', () => {
+  assert.deepEqual(estimateRun([], BANDS), { phases: [], totalSec: null, totalM: null, estimated: false });
+});
+
+// --- formatting ---
+
+test('durations and distances read like the plan', () => {
+  assert.equal(formatRunDuration(2700), '45 min');
+  assert.equal(formatRunDuration(3900), '1 h 05 min');
+  assert.equal(formatRunDuration(null), '');
+  assert.equal(formatRunDistance(8420), '8.4 km');
+  assert.equal(formatRunDistance(600), '600 m');
+  assert.equal(formatRunDistance(null), '');
+});
+
+test('the list line marks what is estimated', () => {
+  assert.equal(formatRunEstimate(estimateRun([{ value: 45, unit: 'min', zone: 2 }], BANDS)), '45 min · ~7.4 km');
+  assert.equal(formatRunEstimate(estimateRun([{ value: 8, unit: 'km', zone: 2 }], BANDS)), '~49 min · 8.0 km');
+  assert.equal(formatRunEstimate(estimateRun([{ value: 8, unit: 'km', zone: 2 }], null)), '8.0 km');
+  assert.equal(formatRunEstimate(estimateRun(intervals, BANDS)), '~44 min · ~7.5 km');
+  assert.equal(formatRunEstimate(estimateRun(intervals, null)), '');
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { windowPaces, splitReport } from '../js/run-splits.js';
+import { cumulativeDistances } from '../js/run-track.js';
+import { paceZoneBands } from '../js/pace-zones.js';
+
+const M_PER_DEG = 6371000 * Math.PI / 180;
+const T0 = Date.UTC(2026, 9, 19, 7, 0, 0);
+const BANDS = paceZoneBands(300); // Z2 5:42-6:27, Z5 faster than 5:00
+
+// One fix per second: `secs` seconds at `paceSec` sec/km, continuing from `from`
+function run(from, secs, paceSec) {
+  const out = [];
+  let { lat, t } = from;
+  for (let i = 0; i < secs; i++) {
+    lat += (1000 / paceSec) / M_PER_DEG;
+    t += 1000;
+    out.push({ lat, lon: 9, t, acc: 5 });
+  }
+  return out;
+}
+
+const start = { lat: 45, lon: 9, t: T0, acc: 5 };
+const easy = run(start, 60, 360);                 // Z2
+const fast = run(easy[easy.length - 1], 60, 250); // Z5
+const track = {
+  name: 'Progressivo',
+  startedAt: T0,
+  endedAt: T0 + 120000,
+  points: [start, ...easy, ...fast],
+  laps: [
+    { phaseIndex: 0, name: 'Fase 1 · Zona 2', zone: 2, startT: T0 },
+    { phaseIndex: 1, name: 'Fase 2 · Zona 5', zone: 5, startT: T0 + 60000 },
+  ],
+};
+
+// --- smoothed pace ---
+
+test('windowPaces waits for the minimum window, then reads the pace', () => {
+  const pts = [start, ...easy];
+  const paces = windowPaces(pts, cumulativeDistances(pts));
+  assert.equal(paces[3], null);
+  assert.ok(Math.abs(paces[30] - 360) <= 1);
+});
+
+test('a still runner has no pace', () => {
+  const pts = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(i => ({ lat: 45, lon: 9, t: T0 + i * 1000 }));
+  assert.ok(windowPaces(pts, cumulativeDistances(pts)).every(p => p === null));
+});
+
+// --- report ---
+
+test('each phase gets distance, duration, pace and time in its target zone', () => {
+  const { phases } = splitReport(track, BANDS);
+  assert.equal(phases.length, 2);
+  assert.equal(phases[0].durationSec, 60);
+  // the fix at the boundary opens phase 2, so phase 1 is one step short
+  assert.ok(Math.abs(phases[0].distanceM - 167) <= 4);
+  assert.ok(Math.abs(phases[0].avgPaceSec - 360) <= 8);
+  assert.equal(phases[0].inTargetPct, 100);
+  // the first seconds of the fast phase still carry easy pace in the window
+  assert.ok(phases[1].inTargetPct > 70 && phases[1].inTargetPct < 100);
+  assert.ok(Math.abs(phases[1].avgPaceSec - 250) <= 8);
+});
+
+test('zone totals add up across phases', () => {
+  const { phases, zoneTotals, classifiedSec } = splitReport(track, BANDS);
+  assert.equal(zoneTotals[2], phases[0].zoneSec[2] + phases[1].zoneSec[2]);
+  assert.equal(classifiedSec, Object.values(zoneTotals).reduce((a, b) => a + b, 0));
+  assert.ok(zoneTotals[5] > 40);
+});
+
+test('pauses and signal gaps are not attributed', () => {
+  const gap = { ...track, points: [start, ...easy.slice(0, 30), ...easy.slice(30).map(p => ({ ...p, t: p.t + 60000 }))] };
+  const { zoneTotals } = splitReport(gap, BANDS);
+  assert.ok(zoneTotals[2] <= 60);
+});
+
+test('without pace bands there is no time in zone, but splits remain', () => {
+  const { phases, zoneTotals } = splitReport(track, null);
+  assert.equal(zoneTotals, null);
+  assert.equal(phases[0].inTargetPct, null);
+  assert.ok(phases[0].avgPaceSec > 0);
+});
+
+test('treadmill laps bring their own distance', () => {
+  const indoor = {
+    name: 'Tapis roulant',
+    startedAt: T0,
+    endedAt: T0 + 600000,
+    points: [],
+    laps: [
+      { phaseIndex: 0, name: 'Fase 1 · Zona 2', zone: 2, startT: T0, distanceM: 1000 },
+      { phaseIndex: 1, name: 'Fase 2 · Zona 4', zone: 4, startT: T0 + 360000, distanceM: 1000 },
+    ],
+  };
+  const { phases, zoneTotals } = splitReport(indoor, BANDS);
+  assert.deepEqual(phases.map(p => [p.distanceM, p.durationSec, p.avgPaceSec]), [[1000, 360, 360], [1000, 240, 240]]);
+  assert.equal(phases[0].inTargetPct, null);
+  assert.equal(zoneTotals[2], 0);
+});
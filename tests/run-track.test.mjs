@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  haversineM,
+  cumulativeDistances,
+  splitLaps,
+  toGPX,
+  toTCX,
+  trackFileName,
+} from '../js/run-track.js';
+
+// ~11.1 m per 0.0001 degree of latitude
+const T0 = Date.UTC(2026, 9, 19, 7, 0, 0);
+const pt = (i, dLat = 0.0001) => ({ lat: 45 + i * dLat, lon: 9, t: T0 + i * 5000, acc: 5 });
+
+const track = {
+  id: 'r1',
+  name: 'Ripetute 1000 & recupero',
+  plan: 'Mezza <12 settimane>',
+  startedAt: T0,
+  endedAt: T0 + 30000,
+  points: [0, 1, 2, 3, 4, 5, 6].map(i => pt(i)),
+  laps: [
+    { phaseIndex: 0, name: 'Fase 1 · Zona 2', notes: 'Zona 2 · 6:00 – 6:40 /km', rest: false, startT: T0 },
+    { phaseIndex: 1, name: 'Fase 2 · Zona 1', notes: 'Recupero', rest: true, startT: T0 + 15000 },
+  ],
+};
+
+// --- distances ---
+
+test('haversine matches a known distance', () => {
+  assert.ok(Math.abs(haversineM(45, 9, 45.0001, 9) - 11.12) < 0.05);
+});
+
+test('cumulative distance skips jitter and GPS jumps', () => {
+  const pts = [pt(0), pt(1), { ...pt(1), lat: 45.00010001 }, { lat: 46, lon: 9, t: T0 }, { lat: 46.0001, lon: 9, t: T0 }];
+  const d = cumulativeDistances(pts);
+  assert.equal(d.length, 5);
+  assert.ok(Math.abs(d[1] - 11.12) < 0.05);
+  assert.equal(d[2], d[1]);   // < 1 m
+  assert.equal(d[3], d[2]);   // ~111 km jump
+  assert.ok(d[4] > d[3]);
+});
+
+// --- laps ---
+
+test('points fall in the lap that was running when they were taken', () => {
+  const laps = splitLaps(track);
+  assert.deepEqual(laps.map(l => l.points.length), [3, 4]);
+  assert.deepEqual(laps.map(l => l.durationSec), [15, 15]);
+  // lap 2 counts the step from the last fix of lap 1
+  assert.ok(Math.abs(laps[1].distanceM - 4 * 11.12) < 0.5);
+  assert.ok(Math.abs(laps[0].distanceM + laps[1].distanceM - 6 * 11.12) < 0.5);
+});
+
+test('a track without laps is one lap', () => {
+  const laps = splitLaps({ ...track, laps: [] });
+  assert.equal(laps.length, 1);
+  assert.equal(laps[0].points.length, 7);
+});
+
+// --- exports ---
+
+test('GPX has a waypoint per phase, a segment per phase and escaped text', () => {
+  const gpx = toGPX(track);
+  assert.match(gpx, /^<\?xml version="1.0"/);
+  assert.equal((gpx.match(/<wpt /g) || []).length, 2);
+  assert.equal((gpx.match(/<trkseg>/g) || []).length, 2);
+  assert.equal((gpx.match(/<trkpt /g) || []).length, 7);
+  assert.match(gpx, /Ripetute 1000 &amp; recupero/);
+  assert.match(gpx, /Mezza &lt;12 settimane&gt;/);
+  assert.match(gpx, /<desc>Zona 2 · 6:00 – 6:40 \/km<\/desc>/);
+  assert.match(gpx, /<time>2026-10-19T07:00:00.000Z<\/time>/);
+});
+
+test('TCX has one Lap per phase with notes, intensity and cumulative distance', () => {
+  const tcx = toTCX(track);
+  assert.equal((tcx.match(/<Lap StartTime=/g) || []).length, 2);
+  assert.match(tcx, /<Lap StartTime="2026-10-19T07:00:15.000Z">/);
+  assert.match(tcx, /<Intensity>Resting<\/Intensity>/);
+  assert.match(tcx, /<Notes>Fase 1 · Zona 2 · Zona 2 · 6:00 – 6:40 \/km<\/Notes>/);
+  const dist = [...tcx.matchAll(/<Trackpoint>[\s\S]*?<DistanceMeters>([\d.]+)<\/DistanceMeters>/g)].map(m => Number(m[1]));
+  assert.equal(dist.length, 7);
+  assert.ok(dist.every((d, i) => i === 0 || d >= dist[i - 1]));
+});
+
+test('file names are dated and slugged', () => {
+  assert.equal(trackFileName(track, 'gpx'), 'viltrum-2026-10-19-ripetute-1000-recupero.gpx');
+  assert.equal(trackFileName({ startedAt: T0, name: 'Città' }, 'tcx'), 'viltrum-2026-10-19-citta.tcx');
+});
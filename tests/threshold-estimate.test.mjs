@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  thresholdFromTimeTrial,
+  thresholdFromRace,
+  thresholdFromTrack,
+  parseRaceTime,
+  RACE_DISTANCES_M,
+} from '../js/threshold-estimate.js';
+
+// --- 30' time trial ---
+
+test('time trial: pace of the last 20 minutes', () => {
+  assert.equal(thresholdFromTimeTrial(4000), 300); // 4 km in 20' = 5:00
+  assert.equal(thresholdFromTimeTrial(4800), 250);
+});
+
+test('time trial: implausible distances are null', () => {
+  assert.equal(thresholdFromTimeTrial(0), null);
+  assert.equal(thresholdFromTimeTrial(500), null);   // 40:00 /km
+  assert.equal(thresholdFromTimeTrial(12000), null); // 1:40 /km
+  assert.equal(thresholdFromTimeTrial('x'), null);
+});
+
+// --- race (Riegel) ---
+
+test('race: a 30-minute race is its own threshold', () => {
+  assert.equal(thresholdFromRace(6000, 1800), 300);
+});
+
+test('race: shorter races give a slower threshold than their pace, longer a faster one', () => {
+  const fromFiveK = thresholdFromRace(RACE_DISTANCES_M['5k'], 20 * 60); // 4:00 /km race pace
+  assert.equal(fromFiveK, 246);
+  const fromHalf = thresholdFromRace(RACE_DISTANCES_M.hm, 105 * 60);  // 4:59 /km race pace
+  assert.equal(fromHalf, 278);
+});
+
+test('race: equivalent results agree', () => {
+  // 10K in 41:40 is the Riegel equivalent of a 20:00 5K
+  const t10 = 1200 * Math.pow(2, 1.06);
+  assert.equal(thresholdFromRace(10000, t10), thresholdFromRace(5000, 1200));
+});
+
+test('race: out-of-range times are null', () => {
+  assert.equal(thresholdFromRace(5000, 300), null);      // too short to extrapolate
+  assert.equal(thresholdFromRace(21097.5, 5 * 3600), null);
+  assert.equal(thresholdFromRace(0, 1200), null);
+});
+
+test('parseRaceTime takes mm:ss and h:mm:ss', () => {
+  assert.equal(parseRaceTime('22:30'), 1350);
+  assert.equal(parseRaceTime('1:45:10'), 6310);
+  assert.equal(parseRaceTime(' 105:00 '), 6300);
+  assert.equal(parseRaceTime('1:75:00'), null);
+  assert.equal(parseRaceTime('22:75'), null);
+  assert.equal(parseRaceTime('abc'), null);
+  assert.equal(parseRaceTime('0:00'), null);
+});
+
+// --- recorded test ---
+
+// One sample per second at `paceSec` sec/km from `from`
+function samples(from, secs, paceSec) {
+  const out = [];
+  let { t, distanceM, movingMs } = from;
+  for (let i = 0; i < secs; i++) {
+    t += 1000;
+    distanceM += 1000 / paceSec;
+    movingMs += 1000;
+    out.push({ t, distanceM, movingMs });
+  }
+  return out;
+}
+
+const T0 = Date.UTC(2026, 9, 19, 7, 0, 0);
+const warmup = samples({ t: T0, distanceM: 0, movingMs: 0 }, 600, 400);
+const firstTen = samples(warmup[warmup.length - 1], 600, 280);  // went out too fast
+const lastTwenty = samples(firstTen[firstTen.length - 1], 1200, 300);
+const testStart = warmup[warmup.length - 1].t;
+
+test('recorded test: last 20 moving minutes of the test lap', () => {
+  const track = {
+    endedAt: lastTwenty[lastTwenty.length - 1].t,
+    points: [...warmup, ...firstTen, ...lastTwenty],
+    laps: [{ startT: T0 }, { startT: testStart, test: true }],
+  };
+  assert.deepEqual(thresholdFromTrack(track), { paceSec: 300, distanceM: 4000, movingSec: 1200 });
+});
+
+test('recorded test: the cooldown after the test lap does not count', () => {
+  const cooldown = samples(lastTwenty[lastTwenty.length - 1], 300, 420);
+  const track = {
+    endedAt: cooldown[cooldown.length - 1].t,
+    points: [...warmup, ...firstTen, ...lastTwenty, ...cooldown],
+    laps: [{ startT: T0 }, { startT: testStart, test: true }, { startT: lastTwenty[lastTwenty.length - 1].t + 1 }],
+  };
+  assert.equal(thresholdFromTrack(track).paceSec, 300);
+});
+
+test('recorded test: no test lap, no GPS or a short test is null', () => {
+  const points = [...warmup, ...firstTen, ...lastTwenty];
+  assert.equal(thresholdFromTrack({ points, laps: [{ startT: T0 }] }), null);
+  assert.equal(thresholdFromTrack({ points: [], laps: [{ startT: testStart, test: true }] }), null);
+  assert.equal(thresholdFromTrack({ points: [...warmup, ...firstTen], laps: [{ startT: testStart, test: true }] }), null);
+  assert.equal(thresholdFromTrack(null), null);
+});
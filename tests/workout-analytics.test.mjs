@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  weekKey,
+  parseLoadKg,
+  sessionVolume,
+  weeklySummary,
+  trainingStreaks,
+  planAdherence,
+  liftTrends,
+} from '../js/workout-analytics.js';
+
+// Local-time dates so the tests hold in any timezone.
+// 2026-10-19 is a Monday.
+const at = (y, m, d, h = 18) => new Date(y, m - 1, d, h).toISOString();
+const NOW = new Date(2026, 9, 21, 12); // Wednesday
+
+// --- weeks ---
+
+test('weekKey is the Monday of the week, Sunday belongs to the week before', () => {
+  assert.equal(weekKey(new Date(2026, 9, 19)), '2026-10-19');
+  assert.equal(weekKey(new Date(2026, 9, 25, 23)), '2026-10-19');
+  assert.equal(weekKey(new Date(2026, 9, 18)), '2026-10-12');
+});
+
+// --- loads ---
+
+test('parseLoadKg reads numbers, units, decimal commas and pairs', () => {
+  assert.equal(parseLoadKg(40), 40);
+  assert.equal(parseLoadKg('40 kg'), 40);
+  assert.equal(parseLoadKg('42,5'), 42.5);
+  assert.equal(parseLoadKg('2x16'), 16);
+  assert.equal(parseLoadKg(''), null);
+  assert.equal(parseLoadKg('corpo libero'), null);
+  assert.equal(parseLoadKg(0), null);
+});
+
+test('sessionVolume sums reps x kg and ignores incomplete sets', () => {
+  const entry = { sets: [
+    { reps: 5, kg: 100 },
+    { reps: 5, kg: 100 },
+    { reps: null, kg: 100 },
+    { reps: 10, kg: null },
+  ] };
+  assert.equal(sessionVolume(entry), 1000);
+  assert.equal(sessionVolume({}), 0);
+});
+
+// --- weekly summary ---
+
+test('weeklySummary buckets sessions per week and keeps empty weeks', () => {
+  const history = [
+    { completedAt: at(2026, 10, 20), duration: 3600, sets: [{ reps: 5, kg: 80 }] },
+    { completedAt: at(2026, 10, 19), duration: 1800, sets: [] },
+    { completedAt: at(2026, 10, 6), duration: 2400 },
+    { completedAt: at(2026, 1, 1), duration: 999 }, // outside the window
+  ];
+  const weeks = weeklySummary(history, { weeks: 3, now: NOW });
+  assert.deepEqual(weeks.map(w => w.week), ['2026-10-05', '2026-10-12', '2026-10-19']);
+  assert.deepEqual(weeks.map(w => w.sessions), [1, 0, 2]);
+  assert.equal(weeks[2].durationSec, 5400);
+  assert.equal(weeks[2].volumeKg, 400);
+  assert.equal(weeks[2].sets, 1);
+});
+
+// --- streaks ---
+
+test('streaks count consecutive weeks and days', () => {
+  const history = [
+    at(2026, 10, 20), at(2026, 10, 19),   // this week, Mon + Tue
+    at(2026, 10, 14),                     // last week
+    at(2026, 10, 7),                      // week before
+    at(2026, 9, 16),                      // gap, older run
+  ].map(completedAt => ({ completedAt }));
+  const s = trainingStreaks(history, { now: NOW });
+  assert.equal(s.currentWeeks, 3);
+  assert.equal(s.bestWeeks, 3);
+  // Wednesday with no session yet: the Mon-Tue run is still alive
+  assert.equal(s.currentDays, 2);
+  assert.equal(s.bestDays, 2);
+});
+
+test('an empty current week does not break the weekly streak', () => {
+  const history = [at(2026, 10, 14), at(2026, 10, 8)].map(completedAt => ({ completedAt }));
+  const s = trainingStreaks(history, { now: new Date(2026, 9, 19, 8) });
+  assert.equal(s.currentWeeks, 2);
+  assert.equal(s.currentDays, 0);
+});
+
+test('no history means no streak', () => {
+  assert.deepEqual(trainingStreaks([], { now: NOW }),
+    { currentWeeks: 0, bestWeeks: 0, currentDays: 0, bestDays: 0 });
+});
+
+// --- plan adherence ---
+
+test('planAdherence uses plan progress and counts recent plan sessions', () => {
+  const history = [
+    { completedAt: at(2026, 10, 20), plan: 'Forza 12' },
+    { completedAt: at(2026, 10, 1), plan: 'Forza 12' },
+    { completedAt: at(2026, 9, 1), plan: 'Forza 12' },   // older than 4 weeks
+    { completedAt: at(2026, 10, 20), plan: 'Altro' },
+  ];
+  const a = planAdherence('Forza 12', { totalWorkouts: 36 }, { lastWorkoutIndex: 8 }, history, { now: NOW });
+  assert.deepEqual(a, { planName: 'Forza 12', done: 9, total: 36, pct: 25, last4Weeks: 2 });
+});
+
+test('planAdherence without progress or plan data is zero, not NaN', () => {
+  const a = planAdherence('X', null, null, [], { now: NOW });
+  assert.equal(a.done, 0);
+  assert.equal(a.total, 0);
+  assert.equal(a.pct, 0);
+});
+
+// --- lift trends ---
+
+test('liftTrends keeps the heaviest set per session, oldest first', () => {
+  const history = [
+    { completedAt: at(2026, 10, 20), sets: [
+      { name: 'Back Squat', reps: 5, kg: 100 },
+      { name: 'Back Squat', reps: 3, kg: 110 },
+    ] },
+    { completedAt: at(2026, 10, 13), sets: [{ name: 'Back Squat', reps: 5, kg: 95 }] },
+  ];
+  const t = liftTrends(history);
+  assert.deepEqual(t['Back Squat'].map(p => [p.kg, p.reps]), [[95, 5], [110, 3]]);
+});
+
+test('liftTrends falls back to completion-page weights when no set was logged', () => {
+  const history = [
+    { completedAt: at(2026, 10, 20),
+      sets: [{ name: 'Panca', reps: 8, kg: 60 }],
+      exerciseWeights: { 'Panca|bilanciere': '55', 'Rematore|manubri': '2x22', 'Plank': 'corpo libero' } },
+  ];
+  const t = liftTrends(history);
+  assert.equal(t['Panca'][0].kg, 60);          // the logged set wins
+  assert.equal(t['Rematore'][0].kg, 22);
+  assert.equal(t['Rematore'][0].reps, null);
+  assert.equal(t['Plank'], undefined);
+});
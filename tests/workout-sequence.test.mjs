@@ -0,0 +1,295 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SEQUENCE_RULES,
+  STEP_KINDS,
+  classifyRow,
+  isRestName,
+  needsInterBlockRest,
+  parseBlockFormat,
+  isRepBasedRow,
+  STEP_MODES,
+  sequenceSignature,
+  compileWorkoutSequence,
+} from '../js/workout-sequence.js';
+
+const row = (name, block, extra = {}) => ({ name, block, duration: 40, rounds: 1, reps: '10', tipoDiPeso: '', ...extra });
+const names = (seq) => seq.map((s) => s.name);
+
+// --- classification ---
+
+test('rest words are whole words, case-insensitive', () => {
+  assert.equal(isRestName('Riposo'), true);
+  assert.equal(isRestName('REST 60s'), true);
+  assert.equal(isRestName('Pausa'), true);
+  assert.equal(isRestName('Press'), false);
+  assert.equal(isRestName('Forest walk'), false);
+  assert.equal(isRestName(''), false);
+});
+
+test('active rest is an exercise, not a rest', () => {
+  assert.equal(isRestName('Pausa attiva'), false);
+  assert.equal(isRestName('Riposo attivo'), false);
+  assert.equal(isRestName('Active rest'), false);
+  assert.equal(classifyRow(row('Pausa attiva', 'A')), 'work');
+});
+
+test('block headers are markers: name, same-as-block, or very short', () => {
+  assert.equal(classifyRow(row('Blocco 1', 'A')), 'marker');
+  assert.equal(classifyRow(row('Forza', 'Forza')), 'marker');
+  assert.equal(classifyRow(row('Squat', 'A', { duration: 5 })), 'marker');
+  assert.equal(classifyRow(row('Squat', 'A', { duration: 0 })), 'marker');
+  assert.equal(classifyRow(row('Squat', 'A', { duration: 6 })), 'work');
+});
+
+test('explicit type beats name inference', () => {
+  assert.equal(classifyRow(row('Pausa', 'A', { type: 'work' })), 'work');
+  assert.equal(classifyRow(row('Camminata', 'A', { type: 'REST' })), 'rest');
+  assert.equal(classifyRow(row('Squat', 'A', { type: 'bogus' })), 'work');
+});
+
+// --- compile ---
+
+test('empty / invalid workout compiles to nothing', () => {
+  assert.deepEqual(compileWorkoutSequence(null), []);
+  assert.deepEqual(compileWorkoutSequence({ exercises: [] }), []);
+});
+
+test('blocks x rounds with numbering, ready + good job labels', () => {
+  const seq = compileWorkoutSequence({ exercises: [
+    row('Blocco A', 'A', { duration: 0 }),
+    row('Squat', 'A', { rounds: 2 }),
+    row('Push up', 'A', { rounds: 2 }),
+  ] });
+  assert.deepEqual(names(seq), ['Are you ready?', 'Squat', 'Push up', 'Squat', 'Push up', 'Good Job']);
+  assert.equal(seq[0].duration, 10);
+  assert.equal(seq.at(-1).duration, 20);
+  assert.equal(seq[0].isLabel, true);
+  const last = seq[4];
+  assert.equal(last.kind, STEP_KINDS.WORK);
+  assert.equal(last.blockNumber, 1);
+  assert.equal(last.roundNumber, 2);
+  assert.equal(last.totalRounds, 2);
+  assert.equal(last.exerciseNumber, 2);
+  assert.equal(last.totalExercises, 2);
+});
+
+test('auto REST between two different blocks, with next-block preview', () => {
+  const seq = compileWorkoutSequence({ exercises: [row('Squat', 'A'), row('Row', 'B'), row('Curl', 'B')] });
+  assert.deepEqual(names(seq), ['Are you ready?', 'Squat', 'REST', 'Row', 'Curl', 'Good Job']);
+  const rest = seq[2];
+  assert.equal(rest.kind, STEP_KINDS.REST);
+  assert.equal(rest.duration, DEFAULT_SEQUENCE_RULES.interBlockRestSec);
+  assert.equal(rest.nextBlockName, 'B');
+  assert.deepEqual(rest.nextBlockPreview.map((p) => p.name), ['Row', 'Curl']);
+});
+
+test('same single exercise overview -> working sets: no REST', () => {
+  const seq = compileWorkoutSequence({ exercises: [
+    row('Bench press', 'Overview'),
+    row('bench press ', 'Working sets', { rounds: 3 }),
+  ] });
+  assert.ok(!names(seq).includes('REST'));
+});
+
+test('dedicated Rest block: no auto REST before it', () => {
+  const seq = compileWorkoutSequence({ exercises: [
+    row('Squat', 'A'),
+    row('Riposo', 'Recupero', { duration: 90 }),
+    row('Row', 'B'),
+  ] });
+  assert.deepEqual(names(seq), ['Are you ready?', 'Squat', 'Riposo', 'Row', 'Good Job']);
+  assert.equal(seq[2].kind, STEP_KINDS.REST);
+  assert.equal(seq[2].nextBlockName, 'B');
+});
+
+test('block that programs its own rest: no auto REST, last-round rest previews next block', () => {
+  const seq = compileWorkoutSequence({ exercises: [
+    row('Squat', 'A', { rounds: 2 }),
+    row('Rest', 'A', { rounds: 2, duration: 60 }),
+    row('Row', 'B'),
+    row('Pausa', 'B'),
+  ] });
+  assert.deepEqual(names(seq), ['Are you ready?', 'Squat', 'Rest', 'Squat', 'Rest', 'Row', 'Pausa', 'Good Job']);
+  assert.equal(seq[2].nextBlockPreview, undefined, 'round 1 rest has no preview');
+  assert.deepEqual(seq[4].nextBlockPreview.map((p) => p.name), ['Row']);
+  assert.equal(seq[6].nextBlockPreview, undefined, 'no block after the last one');
+});
+
+test('"Pausa attiva" stays a working step and still gets the auto REST', () => {
+  const seq = compileWorkoutSequence({ exercises: [row('Pausa attiva', 'A'), row('Row', 'B')] });
+  assert.deepEqual(names(seq), ['Are you ready?', 'Pausa attiva', 'REST', 'Row', 'Good Job']);
+  assert.equal(seq[1].kind, STEP_KINDS.WORK);
+});
+
+test('warm-up: one pass of each unique working exercise, no rests', () => {
+  const seq = compileWorkoutSequence({ exercises: [
+    row('Squat', 'A', { rounds: 3 }),
+    row('Riposo', 'A', { rounds: 3 }),
+    row('Squat', 'B'),
+    row('Row', 'B'),
+  ] }, { includeWarmup: true });
+  const warm = seq.filter((s) => s.kind === STEP_KINDS.WARMUP);
+  assert.deepEqual(names(warm), ['Squat', 'Row']);
+  assert.ok(warm.every((s) => s.duration === 25 && s.isWarmup && s.blockNumber === null));
+  assert.deepEqual(names(seq.slice(0, 4)), ['Riscaldamento', 'Squat', 'Row', 'Are you ready?']);
+  assert.equal(seq[3].duration, 15);
+});
+
+test('rules override durations and skip conditions', () => {
+  const workout = { exercises: [row('Squat', 'A'), row('Riposo', 'A'), row('Row', 'B'), row('Curl', 'C'), row('Squat', 'D')] };
+  const seq = compileWorkoutSequence(workout, {
+    rules: { interBlockRestSec: 90, readyNoWarmupSec: 3, goodJobSec: 7, skipRestWhenBlockHasRest: false, restImageUrl: 'r.png' },
+  });
+  const rests = seq.filter((s) => s.name === 'REST');
+  assert.equal(rests.length, 3);
+  assert.ok(rests.every((r) => r.duration === 90 && r.imageUrl === 'r.png'));
+  assert.equal(seq[0].duration, 3);
+  assert.equal(seq.at(-1).duration, 7);
+});
+
+test('interBlockRestSec 0 disables the auto REST', () => {
+  const seq = compileWorkoutSequence({ exercises: [row('Squat', 'A'), row('Row', 'B')] }, { rules: { interBlockRestSec: 0 } });
+  assert.ok(!names(seq).includes('REST'));
+});
+
+test('needsInterBlockRest: nothing after the last block', () => {
+  assert.equal(needsInterBlockRest([{ name: 'Squat', _type: 'work' }], []), false);
+});
+
+test('rows with no duration fall back to the default step length', () => {
+  const seq = compileWorkoutSequence({ exercises: [row('Squat', 'A', { duration: undefined, type: 'work' })] });
+  assert.equal(seq[1].duration, DEFAULT_SEQUENCE_RULES.defaultStepSec);
+});
+
+// --- block formats ---
+
+test('parseBlockFormat reads format and minutes from the label', () => {
+  assert.equal(parseBlockFormat('Forza'), null);
+  assert.deepEqual(parseBlockFormat('EMOM 12'), { format: 'emom', intervalSec: 60, totalSec: 720 });
+  assert.deepEqual(parseBlockFormat('E2MOM 10'), { format: 'emom', intervalSec: 120, totalSec: 600 });
+  assert.deepEqual(parseBlockFormat('emom'), { format: 'emom', intervalSec: 60, totalSec: null });
+  assert.deepEqual(parseBlockFormat("AMRAP 15'"), { format: 'amrap', totalSec: 900 });
+  assert.deepEqual(parseBlockFormat('Finisher AMRAP'), { format: 'amrap', totalSec: DEFAULT_SEQUENCE_RULES.amrapDefaultSec });
+  assert.deepEqual(parseBlockFormat('Tabata'), { format: 'tabata', intervals: null });
+  assert.deepEqual(parseBlockFormat('Tabata 6'), { format: 'tabata', intervals: 6 });
+  assert.deepEqual(parseBlockFormat('For Time cap 12'), { format: 'fortime', capSec: 720 });
+  assert.deepEqual(parseBlockFormat('3 rounds for time'), { format: 'fortime', capSec: DEFAULT_SEQUENCE_RULES.forTimeCapSec });
+});
+
+test('EMOM unrolls one step per minute, cycling the rows', () => {
+  const seq = compileWorkoutSequence({ exercises: [row('Clean', 'EMOM 5'), row('Burpee', 'EMOM 5')] });
+  const emom = seq.filter((s) => s.format === 'emom');
+  assert.deepEqual(names(emom), ['Clean', 'Burpee', 'Clean', 'Burpee', 'Clean']);
+  assert.ok(emom.every((s) => s.duration === 60 && s.kind === STEP_KINDS.WORK && s.totalIntervals === 5));
+  assert.equal(emom[4].interval, 5);
+  assert.equal(emom[4].roundNumber, 3);
+  assert.equal(emom[4].totalRounds, 3);
+  assert.equal(emom[3].exerciseNumber, 2);
+});
+
+test('EMOM without minutes: rows x rounds intervals', () => {
+  const seq = compileWorkoutSequence({ exercises: [row('Clean', 'EMOM', { rounds: 4 }), row('Riposo', 'EMOM', { rounds: 4 })] });
+  const emom = seq.filter((s) => s.format === 'emom');
+  assert.equal(emom.length, 8);
+  assert.equal(emom[1].kind, STEP_KINDS.REST);
+});
+
+test('Tabata: 20/10 x 8 by default, no trailing rest', () => {
+  const seq = compileWorkoutSequence({ exercises: [row('Squat', 'Tabata'), row('Push up', 'Tabata')] });
+  const tab = seq.filter((s) => s.format === 'tabata');
+  assert.equal(tab.length, 15);
+  const work = tab.filter((s) => s.kind === STEP_KINDS.WORK);
+  const rest = tab.filter((s) => s.kind === STEP_KINDS.REST);
+  assert.equal(work.length, 8);
+  assert.equal(rest.length, 7);
+  assert.ok(work.every((s) => s.duration === 20));
+  assert.ok(rest.every((s) => s.duration === 10 && s.name === 'Riposo'));
+  assert.deepEqual(names(work.slice(0, 3)), ['Squat', 'Push up', 'Squat']);
+});
+
+test('AMRAP and For Time compile to one step carrying the circuit', () => {
+  const seq = compileWorkoutSequence({ exercises: [
+    row('Thruster', 'AMRAP 12', { reps: '10' }),
+    row('Pull up', 'AMRAP 12', { reps: '5' }),
+    row('Run', 'For Time cap 15', { rounds: 3, reps: '400m' }),
+  ] });
+  const amrap = seq.find((s) => s.format === 'amrap');
+  assert.equal(amrap.name, 'AMRAP 12');
+  assert.equal(amrap.duration, 720);
+  assert.deepEqual(amrap.circuit.map((c) => `${c.reps} ${c.name}`), ['10 Thruster', '5 Pull up']);
+  const ft = seq.find((s) => s.format === 'fortime');
+  assert.equal(ft.duration, 900);
+  assert.equal(ft.circuitRounds, 3);
+  assert.deepEqual(names(seq), ['Are you ready?', 'AMRAP 12', 'REST', 'For Time cap 15', 'Good Job']);
+});
+
+test('a row `format` cell overrides the block name', () => {
+  const seq = compileWorkoutSequence({ exercises: [row('Clean', 'Finale', { format: 'EMOM 3' })] });
+  assert.equal(seq.filter((s) => s.format === 'emom').length, 3);
+});
+
+// --- rep-based sets ---
+
+const REP_RULES = { ...DEFAULT_SEQUENCE_RULES, repModeByBlockName: true };
+
+test('isRepBasedRow: plain counts in forza blocks once opted in, or explicit mode', () => {
+  const w = (extra) => ({ _type: 'work', name: 'Squat', block: 'Forza', reps: '5', ...extra });
+  assert.equal(isRepBasedRow(w()), false, 'off by default: forza blocks stay on the clock');
+  assert.equal(isRepBasedRow(w({ mode: 'reps' })), true);
+  assert.equal(isRepBasedRow(w(), REP_RULES), true);
+  assert.equal(isRepBasedRow(w({ reps: '8+' }), REP_RULES), true);
+  assert.equal(isRepBasedRow(w({ reps: '10 - 8 - 6' }), REP_RULES), false);
+  assert.equal(isRepBasedRow(w({ reps: 'max' }), REP_RULES), false);
+  assert.equal(isRepBasedRow(w({ block: 'Metcon' }), REP_RULES), false);
+  assert.equal(isRepBasedRow(w({ block: 'Metcon', mode: 'reps' })), true);
+  assert.equal(isRepBasedRow(w({ mode: 'timed' }), REP_RULES), false);
+  assert.equal(isRepBasedRow(w({ _type: 'rest' }), REP_RULES), false);
+  assert.equal(isRepBasedRow(w(), { ...REP_RULES, repModeBlockWords: [] }), false);
+});
+
+test('rep-based sets get a rest after each set except the block\'s last', () => {
+  const seq = compileWorkoutSequence({ exercises: [
+    row('Back squat', 'Forza', { rounds: 3, reps: '5' }),
+    row('Row', 'B'),
+  ] }, { rules: { repModeByBlockName: true, repRestSec: 150 } });
+  assert.deepEqual(names(seq), ['Are you ready?',
+    'Back squat', 'Recupero', 'Back squat', 'Recupero', 'Back squat',
+    'REST', 'Row', 'Good Job']);
+  assert.equal(seq[1].mode, STEP_MODES.REPS);
+  assert.equal(seq[2].kind, STEP_KINDS.REST);
+  assert.equal(seq[2].duration, 150);
+  assert.equal(seq[2].restAfterReps, true);
+  assert.equal(seq[7].mode, STEP_MODES.TIMED);
+});
+
+test('a programmed rest row replaces the generated one and is timed as its rest', () => {
+  const seq = compileWorkoutSequence({ exercises: [
+    row('Bench press', 'Forza', { rounds: 2, reps: '5' }),
+    row('Riposo', 'Forza', { rounds: 2, duration: 180 }),
+  ] }, { rules: { repModeByBlockName: true } });
+  assert.deepEqual(names(seq), ['Are you ready?', 'Bench press', 'Riposo', 'Bench press', 'Riposo', 'Good Job']);
+  assert.equal(seq[2].restAfterReps, true);
+  assert.equal(seq[2].duration, 180);
+});
+
+test('a programmed rest after a timed set is not a rep rest', () => {
+  const seq = compileWorkoutSequence({ exercises: [
+    row('Bench press', 'Forza', { rounds: 2, reps: '5' }),
+    row('Riposo', 'Forza', { rounds: 2, duration: 180 }),
+  ] });
+  assert.equal(seq[1].mode, STEP_MODES.TIMED);
+  assert.equal(seq[2].restAfterReps, undefined);
+});
+
+// --- signature ---
+
+test('sequenceSignature is stable and changes with the sequence', () => {
+  const w = { exercises: [row('Squat', 'A', { rounds: 2 }), row('Row', 'B')] };
+  const a = sequenceSignature(compileWorkoutSequence(w));
+  assert.match(a, /^[0-9a-f]{8}$/);
+  assert.equal(sequenceSignature(compileWorkoutSequence(w)), a);
+  assert.notEqual(sequenceSignature(compileWorkoutSequence(w, { rules: { interBlockRestSec: 90 } })), a);
+  assert.notEqual(sequenceSignature(compileWorkoutSequence({ exercises: [row('Squat', 'A', { rounds: 3 }), row('Row', 'B')] })), a);
+  assert.equal(sequenceSignature([]), sequenceSignature(null));
+});